@@ -9,22 +9,143 @@
  *   1. 受信したメッセージの sender.id とオリジンを検証し、許可リスト外なら遮断。
  *   2. アクションが "open-tab" の場合、開こうとしている URL がホワイトリストに含まれるか確認。
  *   3. 条件を満たしたときのみ chrome.tabs.create でタブを生成し、例外発生時は catch でログを出して安全に失敗する。
+ *   4. "check-host-permission" / "request-host-permission" では、API の接続先（src/apiEndpoints.js）の
+ *      ホストへのアクセス許可を確認し、未許可なら許可を求めるページ（src/hostPermission.html）を開く。
+ *      chrome.permissions.request はユーザー操作が必要なため、ここでは要求せずページ側のボタンで要求する。
+ *   5. 名前が "api-job" のポートでは、API のジョブ（POST /jobs → GET /jobs/:id の状態確認 → GET /jobs/:id/result）を実行し、
+ *      進捗をポートで返す。キャンセルやポートの切断では DELETE /jobs/:id を送る。
+ *      サーバーがジョブに対応していない（404 / 405 / 501）場合は "unsupported" を返し、呼び出し元が同期の api-fetch に切り替える。
+ *   6. "secure-storage" では、APIキーを暗号化して chrome.storage.local に保存・復号して返す（src/storage.js の secureStorage）。
+ *      暗号鍵は取り出せない CryptoKey としてこの拡張機能の IndexedDB に置き、content script には渡さない。
+ *   7. API のレスポンスは上限（MAX_RESPONSE_BYTES）まで少しずつ読み込み、超えたら読み込みを止めてエラーにする。
+ *      PPTX のデータ（JSON の base64 の data、または PPTX そのものを返すレスポンス）が大きい場合は sendResponse / ポートのメッセージに含めず、
+ *      response.transfer.id だけを返す。content script は名前が "api-transfer" のポートでデータを分割して受け取る。
+ *      ログにはレスポンスの中身や APIキーを出さない（長い文字列は文字数だけ出す）。
  */
-// 他のスクリプトから送られてくる命令を受け取り、必要なら新しいタブを開く
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+
+// メッセージ・ポートの送信元がこの拡張機能の許可されたページか確認する
+function isAllowedSender(sender) {
+  // Ensure the message is from this extension and expected origin
+  if (sender.id !== chrome.runtime.id) {
+    console.warn('Blocked message from unknown sender', sender);
+    return false;
+  }
+
+  const origin = sender.origin || (sender.url ? new URL(sender.url).origin : '');
+  const ALLOWED_ORIGINS = [
+    'https://r-ai.tsd.public.rakuten-it.com'
+  ];
+  if (!ALLOWED_ORIGINS.some(o => origin.startsWith(o))) {
+    console.warn('Blocked message from unauthorized origin', origin);
+    return false;
+  }
+  return true;
+}
+
+// secureStorage（src/storage.js）の暗号化・復号はここで行い、暗号鍵は content script に渡さない
+// 暗号鍵は取り出せない（extractable: false）CryptoKey としてこの拡張機能の IndexedDB に置くため、ブラウザを再起動しても復号できる
+// 暗号化した値は chrome.storage.local に置く
+const SECURE_KEY_DB = 'secureStorage';
+const SECURE_KEY_STORE = 'keys';
+const SECURE_KEY_ID = 'aes-gcm';
+// secureStorage で読み書きできるキー（接続先のプロファイルごとの APIキー）
+const SECURE_ITEM_PATTERN = /^apiKey:[\w-]+$/;
+
+let secureKeyPromise = null;
+
+// IDBRequest の結果を Promise で受け取る
+function idbResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openSecureKeyDb() {
+  const request = indexedDB.open(SECURE_KEY_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(SECURE_KEY_STORE);
+  return idbResult(request);
+}
+
+// 暗号化に使う鍵を取得（なければ作成して IndexedDB に保存）
+function getSecureKey() {
+  if (!secureKeyPromise) {
+    secureKeyPromise = (async () => {
+      const db = await openSecureKeyDb();
+      try {
+        const saved = await idbResult(db.transaction(SECURE_KEY_STORE).objectStore(SECURE_KEY_STORE).get(SECURE_KEY_ID));
+        if (saved) return saved;
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await idbResult(db.transaction(SECURE_KEY_STORE, 'readwrite').objectStore(SECURE_KEY_STORE).put(key, SECURE_KEY_ID));
+        return key;
+      } finally {
+        db.close();
+      }
+    })();
+    // 失敗したら次の呼び出しでやり直す
+    secureKeyPromise.catch(() => { secureKeyPromise = null; });
+  }
+  return secureKeyPromise;
+}
+
+// 文字列を暗号化する（iv + 暗号文 を base64 にする）
+async function encryptSecureValue(text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await getSecureKey();
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  const buffer = new Uint8Array(iv.byteLength + encrypted.byteLength);
+  buffer.set(iv, 0);
+  buffer.set(new Uint8Array(encrypted), iv.byteLength);
+  return bytesToBase64(buffer);
+}
+
+// 暗号化されたデータを復号する
+async function decryptSecureValue(data) {
+  const raw = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+  const key = await getSecureKey();
+  const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: raw.slice(0, 12) }, key, raw.slice(12));
+  return new TextDecoder().decode(decrypted);
+}
+
+// secureStorage の読み書き（op: "get" / "set" / "remove"）。ログに値は出さない
+async function handleSecureStorage(msg, sendResponse) {
   try {
-    // Ensure the message is from this extension and expected origin
-    if (sender.id !== chrome.runtime.id) {
-      console.warn('Blocked message from unknown sender', sender);
-      return;
+    const { op, key } = msg;
+    if (typeof key !== 'string' || !SECURE_ITEM_PATTERN.test(key)) {
+      throw new Error('Invalid secure storage key');
     }
+    if (op === 'get') {
+      const stored = (await chrome.storage.local.get(key))[key];
+      let value = null;
+      if (typeof stored === 'string' && stored) {
+        try {
+          value = await decryptSecureValue(stored);
+        } catch (e) {
+          // 以前のバージョンで別の鍵で暗号化した値などは復号できない（保存されていないものとして扱う）
+          console.warn('[Background] secure storage decrypt error:', e.name);
+        }
+      }
+      sendResponse({ success: true, value });
+    } else if (op === 'set') {
+      if (typeof msg.value !== 'string') throw new Error('Invalid secure storage value');
+      await chrome.storage.local.set({ [key]: await encryptSecureValue(msg.value) });
+      sendResponse({ success: true });
+    } else if (op === 'remove') {
+      await chrome.storage.local.remove(key);
+      sendResponse({ success: true });
+    } else {
+      throw new Error('Invalid secure storage operation');
+    }
+  } catch (error) {
+    console.error('[Background] secure storage error:', error);
+    sendResponse({ success: false, error: { message: error.message, name: error.name } });
+  }
+}
 
-    const origin = sender.origin || (sender.url ? new URL(sender.url).origin : '');
-    const ALLOWED_ORIGINS = [
-      'https://r-ai.tsd.public.rakuten-it.com'
-    ];
-    if (!ALLOWED_ORIGINS.some(o => origin.startsWith(o))) {
-      console.warn('Blocked message from unauthorized origin', origin);
+// 他のスクリプトから送られてくる命令を受け取り、必要なら新しいタブを開く
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  try {
+    if (!isAllowedSender(sender)) {
       return;
     }
 
@@ -34,6 +155,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       return true; // Will respond asynchronously
     }
 
+    if (msg && msg.action === 'secure-storage') {
+      handleSecureStorage(msg, sendResponse);
+      return true; // Will respond asynchronously
+    }
+
+    if (msg && (msg.action === 'check-host-permission' || msg.action === 'request-host-permission')) {
+      handleHostPermission(msg, sendResponse);
+      return true; // Will respond asynchronously
+    }
+
     if (msg && msg.action === 'open-tab' && typeof msg.url === 'string') {
         const ALLOWED_URLS = [
           'https://r-ai.tsd.public.rakuten-it.com/',
@@ -54,6 +185,148 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
+// API の接続先として許可を求めてよいホストのパターン（manifest の optional_host_permissions の範囲）
+const HOST_PERMISSION_PATTERN = /^(https:\/\/[a-z0-9.-]+|http:\/\/(localhost|127\.0\.0\.1))\/\*$/i;
+
+// 接続先ホストへのアクセス許可の確認と、許可を求めるページの表示
+async function handleHostPermission(msg, sendResponse) {
+  try {
+    const pattern = typeof msg.pattern === 'string' ? msg.pattern : '';
+    if (!HOST_PERMISSION_PATTERN.test(pattern)) {
+      throw new Error('Invalid host permission pattern');
+    }
+    const granted = await chrome.permissions.contains({ origins: [pattern] });
+    if (msg.action === 'request-host-permission' && !granted) {
+      const url = chrome.runtime.getURL(`src/hostPermission.html?pattern=${encodeURIComponent(pattern)}`);
+      await chrome.tabs.create({ url, active: true });
+    }
+    sendResponse({ success: true, granted });
+  } catch (error) {
+    console.error('[Background] host permission error:', error);
+    sendResponse({ success: false, error: { message: error.message, name: error.name } });
+  }
+}
+
+// API のジョブはポートで実行する（ポートが開いている間は service worker が停止しない）
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'api-job' && port.name !== 'api-transfer') return;
+  if (!isAllowedSender(port.sender)) {
+    port.disconnect();
+    return;
+  }
+  if (port.name === 'api-transfer') {
+    handleTransferPort(port);
+    return;
+  }
+  const job = { id: null, canceled: false, disconnected: false, started: false };
+  port.onMessage.addListener((msg) => {
+    if (msg && msg.action === 'start' && !job.started) {
+      job.started = true;
+      runApiJob(port, job, msg);
+    } else if (msg && msg.action === 'cancel') {
+      job.canceled = true;
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    job.canceled = true;
+    job.disconnected = true;
+  });
+});
+
+// ジョブの状態確認の間隔（サーバーが pollAfterMs を返した場合はそれに従う）
+const JOB_POLL_INTERVAL = 1500;
+const JOB_MIN_POLL_INTERVAL = 500;
+// ジョブ全体の待ち時間の上限（30分）
+const JOB_TIMEOUT = 30 * 60 * 1000;
+// ジョブに対応していないサーバーが返すステータス
+const JOB_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+function postToPort(port, job, message) {
+  if (job.disconnected) return;
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    job.disconnected = true;
+  }
+}
+
+// ジョブを実行して、進捗・結果をポートで返す
+async function runApiJob(port, job, msg) {
+  const { baseUrl, headers = {}, body } = msg;
+  const jobsUrl = `${baseUrl}/jobs`;
+  const deadline = Date.now() + JOB_TIMEOUT;
+  try {
+    console.log('[Background] API job submit:', jobsUrl);
+    const submitted = await readApiResponse(await fetch(jobsUrl, { method: 'POST', headers, body }));
+    if (JOB_UNSUPPORTED_STATUSES.includes(submitted.status)) {
+      postToPort(port, job, { type: 'unsupported' });
+      return;
+    }
+    if (!submitted.ok || !submitted.data || !submitted.data.jobId) {
+      postToPort(port, job, { type: 'response', response: submitted });
+      return;
+    }
+    job.id = String(submitted.data.jobId);
+    const jobUrl = `${jobsUrl}/${encodeURIComponent(job.id)}`;
+    let status = submitted.data;
+    postToPort(port, job, { type: 'progress', jobId: job.id, status: status.status, progress: status.progress || null });
+
+    while (true) {
+      if (job.canceled) {
+        await cancelApiJob(jobUrl, headers);
+        postToPort(port, job, { type: 'canceled' });
+        return;
+      }
+      if (Date.now() > deadline) {
+        await cancelApiJob(jobUrl, headers);
+        postToPort(port, job, { type: 'error', error: { message: 'API job timed out', name: 'TimeoutError' } });
+        return;
+      }
+      const wait = Math.max(JOB_MIN_POLL_INTERVAL, Number(status.pollAfterMs) || JOB_POLL_INTERVAL);
+      await new Promise(resolve => setTimeout(resolve, wait));
+      if (job.canceled) continue;
+
+      const polled = await readApiResponse(await fetch(jobUrl, { method: 'GET', headers }));
+      if (!polled.ok) {
+        postToPort(port, job, { type: 'response', response: polled });
+        return;
+      }
+      status = polled.data || {};
+      postToPort(port, job, { type: 'progress', jobId: job.id, status: status.status, progress: status.progress || null });
+
+      if (status.status === 'succeeded') {
+        const result = await readApiResponse(await fetch(`${jobUrl}/result`, { method: 'GET', headers }));
+        postToPort(port, job, { type: 'response', response: result });
+        return;
+      }
+      if (status.status === 'failed') {
+        postToPort(port, job, { type: 'failed', error: { message: status.error || 'API job failed' } });
+        return;
+      }
+      if (status.status === 'canceled') {
+        postToPort(port, job, { type: 'canceled' });
+        return;
+      }
+    }
+  } catch (error) {
+    console.error('[Background] API job error:', error);
+    postToPort(port, job, {
+      type: 'error',
+      error: { message: error.message, name: error.name, type: error.constructor.name }
+    });
+  }
+}
+
+// ジョブのキャンセルを送る（失敗しても呼び出し元には伝えない）
+async function cancelApiJob(jobUrl, headers) {
+  try {
+    await fetch(jobUrl, { method: 'DELETE', headers });
+    console.log('[Background] API job canceled:', jobUrl);
+  } catch (error) {
+    console.warn('[Background] failed to cancel API job:', error);
+  }
+}
+
 // Handle API fetch requests from content scripts
 // Note: We cannot force IPv4 at the fetch level because:
 // 1. Cloud Run requires SNI (Server Name Indication) for SSL/TLS
@@ -66,40 +339,9 @@ async function handleApiFetch(msg, sendResponse) {
     const { url, options } = msg;
 
     console.log('[Background] API fetch request:', url);
-    console.log('[Background] Request options:', JSON.stringify(options, null, 2));
+    console.log('[Background] Request options:', JSON.stringify(redactRequestOptions(options)));
 
-    const response = await fetch(url, options);
-
-    // Get response data
-    const responseData = {
-      ok: response.ok,
-      status: response.status,
-      statusText: response.statusText,
-      headers: {}
-    };
-
-    // Copy headers
-    response.headers.forEach((value, key) => {
-      responseData.headers[key] = value;
-    });
-
-    // Get body as text first
-    const text = await response.text();
-
-    console.log('[Background] Response status:', response.status);
-    console.log('[Background] Response text length:', text.length);
-
-    // Try to parse as JSON
-    let data;
-    try {
-      data = JSON.parse(text);
-      console.log('[Background] Response data:', JSON.stringify(data, null, 2));
-    } catch (e) {
-      data = text;
-      console.log('[Background] Response as text:', text.substring(0, 200));
-    }
-
-    responseData.data = data;
+    const responseData = await readApiResponse(await fetch(url, options));
 
     console.log('[Background] API fetch response status:', responseData.status);
     sendResponse({ success: true, response: responseData });
@@ -121,3 +363,197 @@ async function handleApiFetch(msg, sendResponse) {
     });
   }
 }
+
+// レスポンスの大きさの上限（25 MB。これを超えたら読み込みを止める）
+// 本文は読み込み・base64 への変換・Blob の組み立てで何度か複製されるため、service worker とタブのメモリに収まる大きさにする
+const MAX_RESPONSE_BYTES = 25 * 1024 * 1024;
+// これより長い base64 のデータは sendResponse / ポートのメッセージに含めず、"api-transfer" ポートで分割して送る
+const INLINE_DATA_LIMIT = 256 * 1024;
+// 分割して送るときの 1 回分のバイト数（base64 にすると 1 MB。3 の倍数にして、受け取り側が 1 回ずつデコードできるようにする）
+const TRANSFER_CHUNK_BYTES = 768 * 1024;
+// 受け取られなかったデータを破棄するまでの時間
+const TRANSFER_TTL = 60 * 1000;
+// PPTX そのものを返すレスポンスの Content-Type
+const BINARY_CONTENT_TYPES = [
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/octet-stream',
+  'application/zip'
+];
+
+// 分割して送るのを待っているデータ（id → { bytes?: Uint8Array, base64?: string, timer }）
+const pendingTransfers = new Map();
+
+function createResponseTooLargeError() {
+  const error = new Error(`APIのレスポンスが大きすぎます（上限 ${MAX_RESPONSE_BYTES / 1024 / 1024} MB）。スライドの枚数や画像を減らしてください。`);
+  error.name = 'ResponseTooLargeError';
+  return error;
+}
+
+// ログに出す値から長い文字列（base64 のデータなど）を取り除く
+function redactForLog(value) {
+  if (typeof value === 'string') {
+    return value.length > 200 ? `[${value.length} chars]` : value;
+  }
+  if (!value || typeof value !== 'object') return value;
+  const redacted = Array.isArray(value) ? [] : {};
+  Object.keys(value).forEach((key) => {
+    redacted[key] = redactForLog(value[key]);
+  });
+  return redacted;
+}
+
+// ログに出すリクエストの設定（APIキーとボディは出さない）
+function redactRequestOptions(options = {}) {
+  const headers = { ...(options.headers || {}) };
+  Object.keys(headers).forEach((key) => {
+    if (key.toLowerCase() === 'x-api-key') headers[key] = '***';
+  });
+  const body = typeof options.body === 'string' ? `[${options.body.length} chars]` : options.body;
+  return { ...options, headers, body };
+}
+
+// レスポンスのボディを上限まで読み込む（超えたら読み込みを止めてエラーにする）
+async function readBodyBytes(response) {
+  const length = Number(response.headers.get('content-length'));
+  if (length > MAX_RESPONSE_BYTES) {
+    if (response.body) response.body.cancel().catch(() => {});
+    throw createResponseTooLargeError();
+  }
+  if (!response.body) {
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > MAX_RESPONSE_BYTES) {
+      reader.cancel().catch(() => {});
+      throw createResponseTooLargeError();
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // String.fromCharCode の引数が多すぎないように区切る
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// 大きなデータを "api-transfer" ポートで送れるように預かる
+function createTransfer(data) {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  const timer = setTimeout(() => pendingTransfers.delete(id), TRANSFER_TTL);
+  pendingTransfers.set(id, { ...data, timer });
+  return id;
+}
+
+// n 番目の分割データ（base64）。最後まで送ったら null
+function transferChunk(transfer, index) {
+  if (transfer.bytes) {
+    const start = index * TRANSFER_CHUNK_BYTES;
+    if (start >= transfer.bytes.length) return null;
+    return bytesToBase64(transfer.bytes.subarray(start, start + TRANSFER_CHUNK_BYTES));
+  }
+  const chunkChars = TRANSFER_CHUNK_BYTES / 3 * 4;
+  const start = index * chunkChars;
+  if (start >= transfer.base64.length) return null;
+  return transfer.base64.slice(start, start + chunkChars);
+}
+
+// 預かったデータを、content script から次を求められるたびに 1 つずつ送る（受け取り側の処理が追いつかないうちに送り続けない）
+function handleTransferPort(port) {
+  let transfer = null;
+  let index = 0;
+  port.onMessage.addListener((msg) => {
+    if (!msg) return;
+    if (msg.action === 'start' && !transfer) {
+      transfer = pendingTransfers.get(msg.id);
+      if (!transfer) {
+        port.postMessage({ type: 'error', error: { message: 'API response data has expired', name: 'TransferExpiredError' } });
+        return;
+      }
+      pendingTransfers.delete(msg.id);
+      clearTimeout(transfer.timer);
+    } else if (msg.action !== 'next' || !transfer) {
+      return;
+    }
+    const chunk = transferChunk(transfer, index);
+    if (chunk === null) {
+      port.postMessage({ type: 'end' });
+      transfer = null;
+      return;
+    }
+    port.postMessage({ type: 'chunk', index, data: chunk });
+    index++;
+  });
+  port.onDisconnect.addListener(() => {
+    transfer = null;
+  });
+}
+
+// fetch のレスポンスを content script に送れる形（JSON ならパース済み）に変換する
+// 大きな PPTX のデータは預かって、responseData.transfer = { id, size } を返す
+async function readApiResponse(response) {
+  // Get response data
+  const responseData = {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    headers: {}
+  };
+
+  // Copy headers
+  response.headers.forEach((value, key) => {
+    responseData.headers[key] = value;
+  });
+
+  const bytes = await readBodyBytes(response);
+  const contentType = (responseData.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  console.log('[Background] Response status:', response.status);
+  console.log('[Background] Response size:', bytes.length, contentType);
+
+  // PPTX そのものを返すサーバーでは、JSON と同じ { filename, mimeType } にしてデータは分割して送る
+  if (response.ok && BINARY_CONTENT_TYPES.includes(contentType)) {
+    const disposition = responseData.headers['content-disposition'] || '';
+    const filename = (disposition.match(/filename="?([^";]+)"?/) || [])[1];
+    responseData.data = { success: true, mimeType: contentType, ...(filename ? { filename } : {}) };
+    responseData.transfer = { id: createTransfer({ bytes }), size: bytes.length };
+    return responseData;
+  }
+
+  const text = new TextDecoder().decode(bytes);
+
+  // Try to parse as JSON
+  let data;
+  try {
+    data = JSON.parse(text);
+    console.log('[Background] Response data:', JSON.stringify(redactForLog(data)));
+  } catch (e) {
+    data = text;
+    console.log('[Background] Response as text:', text.substring(0, 200));
+  }
+
+  if (data && typeof data.data === 'string' && data.data.length > INLINE_DATA_LIMIT) {
+    const { data: base64, ...rest } = data;
+    data = rest;
+    responseData.transfer = { id: createTransfer({ base64 }), size: Math.floor(base64.length / 4 * 3) };
+  }
+
+  responseData.data = data;
+  return responseData;
+}
@@ -170,8 +170,14 @@
     const send = async () => {
       if (canceled) return;
       const code = await replaceGetUrls(app.scrapedCode);
+      // 書き出し設定のファイル名パターンがあればそれを使う
+      if (app.getExportFileName) {
+        fileName = await app.getExportFileName(app.scrapedCode, 'presentation');
+      }
+      const brandKit = app.getBrandKit ? await app.getBrandKit() : null;
+      const exportOptions = app.getExportOptions ? await app.getExportOptions() : null;
       if (canceled) return;
-      postToIframe(code);
+      postToIframe(code, brandKit, exportOptions);
     };
 
     if (!app.downloadIframe) {
@@ -198,7 +204,7 @@
     }
 
     // iframe にコードを送り生成処理を開始
-    function postToIframe(code) {
+    function postToIframe(code, brandKit, exportOptions) {
       if (canceled) return;
       window.removeEventListener('message', handleDownload);
       window.addEventListener('message', handleDownload);
@@ -208,7 +214,7 @@
         !app.downloadIframe.sandbox.contains('allow-same-origin');
       const target = sandboxed ? '*' : iframeOrigin;
       app.downloadIframe.contentWindow.postMessage(
-        { action: 'generate', code: code, fileName },
+        { action: 'generate', code: code, fileName, brandKit, exportOptions },
         target
       );
     }
@@ -230,6 +236,10 @@
       if (m.action === 'done') {
         app.stopFakeProgress();
         app.updateProgress(100);
+        // 追加されなかった要素があればダウンロード前に件数を表示
+        if (typeof app.showExecutionReport === 'function') {
+          app.showExecutionReport(m.report, { summary: m.summary });
+        }
         saveDataURL(m.dataURL, m.fileName);
         cleanup();
         if (typeof app.detectPptxAndRender === 'function') {
@@ -244,8 +254,9 @@
         }
         alert(getExportFailedMessage());
         cleanup();
-        if (typeof app.insertErrorPrompt === 'function') {
-          setTimeout(() => app.insertErrorPrompt(m.message), 700);
+        // 修正指示は診断結果の「修正を依頼」ボタンから入力欄へ入れる
+        if (typeof app.showSnippetDiagnostics === 'function') {
+          app.showSnippetDiagnostics(m.diagnostics, m.message);
         }
       }
     }
@@ -11,50 +11,53 @@
  *   - 実行結果として生成された PptxGenJS インスタンスを返し、外部から write などを行えるようにする。
  *
  * グローバル関数 runPptxFromSnippet(snippet, { pptx }) を公開する。
+ * オプションの fontFace / headingFontFace / chartColors（ブランドキット）は、スニペットで指定されていない
+ * フォント・グラフの色の既定値になる（未指定時は DEFAULT_FONT_FACE）。
+ * runPptxFromSnippetWithReport(snippet, { pptx }) は呼び出しごとの実行結果（applied / sanitized / skipped / failed）を
+ * report として pptx と一緒に返し、summarizePptxReport(report) で件数を集計できる。
+ * あわせて、実行前の静的検証として checkSnippetSafety(code)（sandbox の isSafeCode が使用）と
+ * validatePptxSnippet(snippet)（行・列つきの診断結果）、formatPptxDiagnostics(diagnostics) を公開する。
  */
 (function () {
-  async function runPptxFromSnippet(snippet, { pptx } = {}) {
-    if (typeof snippet !== 'string') throw new Error('snippet must be a string');
-    const PptxGenJS = window.PptxGenJS || window.pptxgen || window.pptxgenjs;
-    if (!PptxGenJS) throw new Error('pptxgenjs not loaded');
-    pptx = pptx || new PptxGenJS();
-    const SLIDE_W = 13.33, SLIDE_H = 7.5;
-
-    // expose slide size and simple spacing helpers for snippet calculations
-    // 要素を等間隔に配置する X 座標を計算
-    function evenX(index, total, itemW = 0, start = 0, end = SLIDE_W) {
-      const free = end - start - itemW * total;
-      const gap = free / (total + 1);
-      return start + gap + index * (itemW + gap);
-    }
-    // 要素を等間隔に配置する Y 座標を計算
-    function evenY(index, total, itemH = 0, start = 0, end = SLIDE_H) {
-      const free = end - start - itemH * total;
-      const gap = free / (total + 1);
-      return start + gap + index * (itemH + gap);
-    }
-
-    // グリッド配置用の座標を計算
-    function gridXY(index, total, cols, itemW = 0, itemH = 0, startX = 0, startY = 0, endX = SLIDE_W, endY = SLIDE_H) {
-      const rows = Math.ceil(total / cols);
-      const row = Math.floor(index / cols);
-      const col = index % cols;
-      return {
-        x: evenX(col, cols, itemW, startX, endX),
-        y: evenY(row, rows, itemH, startY, endY),
-      };
-    }
+  const SLIDE_W = 13.33, SLIDE_H = 7.5;
+  const DEFAULT_FONT_FACE = 'Rakuten Sans JP';
 
-    // X 座標を中央に寄せる
-    function centerX(itemW = 0, start = 0, end = SLIDE_W) {
-      return start + (end - start - itemW) / 2;
-    }
-    // Y 座標を中央に寄せる
-    function centerY(itemH = 0, start = 0, end = SLIDE_H) {
-      return start + (end - start - itemH) / 2;
-    }
+  // expose slide size and simple spacing helpers for snippet calculations
+  // 要素を等間隔に配置する X 座標を計算
+  function evenX(index, total, itemW = 0, start = 0, end = SLIDE_W) {
+    const free = end - start - itemW * total;
+    const gap = free / (total + 1);
+    return start + gap + index * (itemW + gap);
+  }
+  // 要素を等間隔に配置する Y 座標を計算
+  function evenY(index, total, itemH = 0, start = 0, end = SLIDE_H) {
+    const free = end - start - itemH * total;
+    const gap = free / (total + 1);
+    return start + gap + index * (itemH + gap);
+  }
 
-    const cleaned = stripComments(snippet).replace(/\r/g, '');
+  // グリッド配置用の座標を計算
+  function gridXY(index, total, cols, itemW = 0, itemH = 0, startX = 0, startY = 0, endX = SLIDE_W, endY = SLIDE_H) {
+    const rows = Math.ceil(total / cols);
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    return {
+      x: evenX(col, cols, itemW, startX, endX),
+      y: evenY(row, rows, itemH, startY, endY),
+    };
+  }
+
+  // X 座標を中央に寄せる
+  function centerX(itemW = 0, start = 0, end = SLIDE_W) {
+    return start + (end - start - itemW) / 2;
+  }
+  // Y 座標を中央に寄せる
+  function centerY(itemH = 0, start = 0, end = SLIDE_H) {
+    return start + (end - start - itemH) / 2;
+  }
+
+  // 変数宣言・スライドサイズ・配置ヘルパーを含む実行環境を作る
+  function createSnippetEnv(cleaned) {
     const env = buildEnv(cleaned);
     env.SLIDE_W = SLIDE_W;
     env.SLIDE_H = SLIDE_H;
@@ -63,11 +66,45 @@
     env.gridXY = gridXY;
     env.centerX = centerX;
     env.centerY = centerY;
+    return env;
+  }
+
+  async function runPptxFromSnippet(snippet, options = {}) {
+    const result = await runPptxFromSnippetWithReport(snippet, options);
+    return result.pptx;
+  }
+
+  // スニペットを実行し、呼び出しごとの結果レポートを返す
+  // report の各要素: { name, line, status, changes, error }
+  //   status: applied（そのまま追加）/ sanitized（値を補正して追加）/ skipped（追加しなかった）/ failed（例外で失敗）
+  async function runPptxFromSnippetWithReport(snippet, {
+    pptx,
+    fontFace = DEFAULT_FONT_FACE,
+    headingFontFace = fontFace,
+    chartColors = []
+  } = {}) {
+    if (typeof snippet !== 'string') throw new Error('snippet must be a string');
+    const PptxGenJS = window.PptxGenJS || window.pptxgen || window.pptxgenjs;
+    if (!PptxGenJS) throw new Error('pptxgenjs not loaded');
+    pptx = pptx || new PptxGenJS();
+
+    const cleaned = stripComments(snippet).replace(/\r/g, '');
+    const env = createSnippetEnv(cleaned);
     const calls = extractCalls(cleaned, env);
     let slide = null;
     const ensureSlide = () => (slide || (slide = pptx.addSlide()));
+    const lineOf = (pos) => (typeof pos === 'number' ? cleaned.slice(0, pos).split('\n').length : null);
+    const report = [];
 
     for (const c of calls) {
+      // pptx.writeFile はサンドボックス側で書き出すため実行しない
+      if (c.name === 'pptx.writeFile') continue;
+      const entry = { name: c.name, line: lineOf(c.pos), status: 'applied', changes: [] };
+      const note = (change) => entry.changes.push(change);
+      const skip = (reason) => {
+        entry.status = 'skipped';
+        entry.error = reason;
+      };
       try {
         switch (c.name) {
           case 'pptx.addSlide': {
@@ -78,9 +115,9 @@
           case 'slide.addText': {
             ensureSlide();
             const [textOrRuns, opts] = parseArgsAs([Arg.any, Arg.objReq], c.args, c.env);
-            validateBox(opts, SLIDE_W, SLIDE_H);
-            sanitizeCommonTextOpts(opts);
-            sanitizeRuns(textOrRuns);
+            validateBox(opts, SLIDE_W, SLIDE_H, note);
+            sanitizeCommonTextOpts(opts, note, fontFace);
+            sanitizeRuns(textOrRuns, note, fontFace);
             slide.addText(textOrRuns, opts);
             break;
           }
@@ -88,17 +125,19 @@
             ensureSlide();
             const [shapeTypeExpr, opts] = parseArgsAs([Arg.any, Arg.objReq], c.args, c.env);
             const shapeType = resolveShapeString(shapeTypeExpr);
-            validateBox(opts, SLIDE_W, SLIDE_H);
-            sanitizeShapeOpts(opts);
+            validateBox(opts, SLIDE_W, SLIDE_H, note);
+            sanitizeShapeOpts(opts, note);
             if (shapeType) {
               slide.addShape(shapeType, opts);
+            } else {
+              skip(`Unsupported shape: ${shapeTypeExpr}`);
             }
             break;
           }
           case 'slide.addImage': {
             ensureSlide();
             const [opts] = parseArgsAs([Arg.objReq], c.args, c.env);
-            validateBox(opts, SLIDE_W, SLIDE_H);
+            validateBox(opts, SLIDE_W, SLIDE_H, note);
             if (opts.path && typeof opts.path === 'string') {
               const hasScheme = /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(opts.path);
               if (!hasScheme && typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
@@ -149,6 +188,7 @@
                     }
                   } catch {
                     opts.path = fallback;
+                    note('path: image could not be loaded, replaced with a placeholder');
                   }
                 }
             }
@@ -158,27 +198,65 @@
           case 'slide.addTable': {
             ensureSlide();
             const [rows, opts] = parseArgsAs([Arg.any, Arg.objOpt], c.args, c.env);
-            const sanitizedRows = sanitizeTableData(rows);
+            const sanitizedRows = sanitizeTableData(rows, note);
             if (opts) {
-              if (opts.x != null) validateBox(opts, SLIDE_W, SLIDE_H);
-              if (!opts.fontFace) opts.fontFace = 'Rakuten Sans JP';
+              if (opts.x != null) validateBox(opts, SLIDE_W, SLIDE_H, note);
+              if (!opts.fontFace) opts.fontFace = fontFace;
             }
             slide.addTable(sanitizedRows, opts || {});
             break;
           }
           case 'slide.addChart': {
             ensureSlide();
+            // 複合グラフ: slide.addChart([{ type, data, options }, ...], opts)
+            if (c.args[0] && c.args[0].trim().startsWith('[')) {
+              const [types, opts] = parseArgsAs([Arg.any, Arg.objOpt], c.args, c.env);
+              const chartTypes = sanitizeComboChartTypes(types, note);
+              if (opts) {
+                validateBox(opts, SLIDE_W, SLIDE_H, note);
+                opts.titleFontFace ||= headingFontFace;
+                opts.legendFontFace ||= fontFace;
+                if (!opts.chartColors && chartColors.length) opts.chartColors = chartColors.slice();
+                sanitizeChartOpts(opts, note);
+              }
+              slide.addChart(chartTypes, opts || {});
+              break;
+            }
             const [chartTypeExpr, series, opts] = parseArgsAs([Arg.chartEnum, Arg.any, Arg.objOpt], c.args, c.env);
             if (opts) {
-              validateBox(opts, SLIDE_W, SLIDE_H);
-              opts.titleFontFace ||= 'Rakuten Sans JP';
-              opts.legendFontFace ||= 'Rakuten Sans JP';
-              sanitizeChartOpts(opts);
+              validateBox(opts, SLIDE_W, SLIDE_H, note);
+              opts.titleFontFace ||= headingFontFace;
+              opts.legendFontFace ||= fontFace;
+              if (!opts.chartColors && chartColors.length) opts.chartColors = chartColors.slice();
+              sanitizeChartOpts(opts, note);
             }
             slide.addChart(chartTypeExpr, series, opts || {});
             break;
           }
-          case 'pptx.writeFile': {
+          case 'slide.addNotes': {
+            ensureSlide();
+            const [notes] = parseArgsAs([Arg.any], c.args, c.env);
+            if (typeof notes !== 'string') throw new Error('Notes must be a string');
+            slide.addNotes(sanitizeNotes(notes, note));
+            break;
+          }
+          case 'slide.background': {
+            ensureSlide();
+            const [opts] = parseArgsAs([Arg.objReq], c.args, c.env);
+            const background = sanitizeBackground(opts, note);
+            if (background) {
+              slide.background = background;
+            } else {
+              skip('Background has no valid color or data:image');
+            }
+            break;
+          }
+          case 'slide.slideNumber': {
+            ensureSlide();
+            const [opts] = parseArgsAs([Arg.objReq], c.args, c.env);
+            validateBox(opts, SLIDE_W, SLIDE_H, note);
+            sanitizeCommonTextOpts(opts, note, fontFace);
+            slide.slideNumber = opts;
             break;
           }
           default:
@@ -186,9 +264,24 @@
         }
       } catch (e) {
         console.warn('[sandbox] generation error', e);
+        entry.status = 'failed';
+        entry.error = e && e.message ? e.message : String(e);
       }
+      if (entry.status === 'applied' && entry.changes.length) entry.status = 'sanitized';
+      report.push(entry);
     }
-    return pptx;
+    return { pptx, report };
+  }
+
+  // 実行レポートを状態ごとに集計する（dropped はスライドに反映されなかった呼び出しの数）
+  function summarizePptxReport(report) {
+    const summary = { total: 0, applied: 0, sanitized: 0, skipped: 0, failed: 0, dropped: 0 };
+    (report || []).forEach((entry) => {
+      summary.total++;
+      if (entry.status in summary) summary[entry.status]++;
+    });
+    summary.dropped = summary.skipped + summary.failed;
+    return summary;
   }
 
   // コード内の変数宣言を解析して実行環境を構築
@@ -203,18 +296,19 @@
   }
 
   // スニペットから許可されたメソッド呼び出しを抽出
-  function extractCalls(src, env) {
+  // base は src の先頭がスニペット全体の何文字目か（診断結果の行・列に使う）
+  function extractCalls(src, env, base = 0) {
     const calls = [];
     applyDeclarations(src, env);
     const loopRe = /(\w+)\.forEach\s*\(|for\s*\(/g;
     let lastIndex = 0, m;
     while ((m = loopRe.exec(src))) {
       const before = src.slice(lastIndex, m.index);
-      calls.push(...extractCallsFromPlain(before, env));
+      calls.push(...extractCallsFromPlain(before, env, base + lastIndex));
       if (m[0].startsWith('for(') || m[0].startsWith('for ')) {
         const { content: head, endIndex: headEnd } = readParenContent(src, loopRe.lastIndex - 1);
         const { content: body, endIndex } = readBlock(src, headEnd + 1);
-        processForLoop(head.trim(), body, env, calls);
+        processForLoop(head.trim(), body, env, calls, base + headEnd + 2);
         lastIndex = endIndex + 1;
         loopRe.lastIndex = lastIndex;
       } else {
@@ -225,13 +319,14 @@
           const paramsStr = arrow[1] || arrow[2] || '';
           const params = paramsStr.split(/\s*,\s*/).filter(Boolean);
           const body = arrow[3];
+          const bodyBase = base + loopRe.lastIndex + content.indexOf('{', content.indexOf('=>')) + 1;
           const arr = resolvePath(env, m[1], env);
           if (Array.isArray(arr)) {
             for (let i = 0; i < arr.length && i < MAX_ITER; i++) {
               const newEnv = Object.assign({}, env);
               if (params[0]) newEnv[params[0]] = arr[i];
               if (params[1]) newEnv[params[1]] = i;
-              calls.push(...extractCalls(body, newEnv));
+              calls.push(...extractCalls(body, newEnv, bodyBase));
               if (params[0]) delete newEnv[params[0]];
               if (params[1]) delete newEnv[params[1]];
               Object.assign(env, newEnv);
@@ -242,7 +337,7 @@
         loopRe.lastIndex = lastIndex;
       }
     }
-    calls.push(...extractCallsFromPlain(src.slice(lastIndex), env));
+    calls.push(...extractCallsFromPlain(src.slice(lastIndex), env, base + lastIndex));
     return calls;
   }
 
@@ -260,7 +355,7 @@
   }
 
   // for 文のヘッダーと本体を解釈し繰り返し処理を行う
-  function processForLoop(header, body, env, calls) {
+  function processForLoop(header, body, env, calls, bodyBase = 0) {
     const forOf = /^(?:let|const|var)?\s*([A-Za-z_]\w*)\s+of\s+(.+)$/.exec(header);
     if (forOf) {
       const arr = parseJsLikeValue(forOf[2], env);
@@ -268,7 +363,7 @@
         for (let i = 0; i < arr.length && i < MAX_ITER; i++) {
           const newEnv = Object.assign({}, env);
           newEnv[forOf[1]] = arr[i];
-          calls.push(...extractCalls(body, newEnv));
+          calls.push(...extractCalls(body, newEnv, bodyBase));
           delete newEnv[forOf[1]];
           Object.assign(env, newEnv);
         }
@@ -285,7 +380,7 @@
         for (let i = start; i < arr.length && i - start < MAX_ITER; i++) {
           const newEnv = Object.assign({}, env);
           newEnv[idxVar] = i;
-          calls.push(...extractCalls(body, newEnv));
+          calls.push(...extractCalls(body, newEnv, bodyBase));
           delete newEnv[idxVar];
           Object.assign(env, newEnv);
         }
@@ -294,7 +389,8 @@
   }
 
   // 単純なコード部分から許可された関数呼び出しを抜き出す
-  function extractCallsFromPlain(s, env) {
+  // 各呼び出しには呼び出し位置 pos と引数ごとの位置 argPos を記録する
+  function extractCallsFromPlain(s, env, base = 0) {
     const allow = [
       'pptx\\.addSlide',
       'slide\\.addText',
@@ -302,21 +398,38 @@
       'slide\\.addImage',
       'slide\\.addTable',
       'slide\\.addChart',
+      'slide\\.addNotes',
       'pptx\\.writeFile'
     ];
     const callRe = new RegExp(`\\b(?:${allow.join('|')})\\s*\\(`, 'g');
     const assignRe = /(?:let|const)?\s*([A-Za-z_]\w*)\s*([+\-*/])?=\s*([^;]+);/g;
+    // slide.background / slide.slideNumber への代入は呼び出しと同様に扱う
+    const propRe = /\bslide\.(background|slideNumber)\s*=\s*(?=\{)/g;
     const calls = [];
     let index = 0;
     while (index < s.length) {
       assignRe.lastIndex = index;
       callRe.lastIndex = index;
+      propRe.lastIndex = index;
       const am = assignRe.exec(s);
       const cm = callRe.exec(s);
+      const pm = propRe.exec(s);
       const ai = am ? am.index : Infinity;
       const ci = cm ? cm.index : Infinity;
-      if (ai === Infinity && ci === Infinity) break;
-      if (ai < ci) {
+      const pi = pm ? pm.index : Infinity;
+      if (ai === Infinity && ci === Infinity && pi === Infinity) break;
+      if (pi < ai && pi < ci) {
+        const openIndex = pm.index + pm[0].length;
+        const { content, endIndex } = readBlock(s, openIndex);
+        calls.push({
+          name: `slide.${pm[1]}`,
+          args: [`{${content}}`],
+          env: Object.assign({}, env),
+          pos: base + pm.index,
+          argPos: [base + openIndex]
+        });
+        index = endIndex + 1;
+      } else if (ai < ci) {
         const name = am[1];
         const op = am[2];
         const expr = am[3];
@@ -336,7 +449,14 @@
         const nameEnd = cm.index + cm[0].length;
         const name = cm[0].replace(/\s*\($/, '');
         const { content, endIndex } = readParenContent(s, nameEnd - 1);
-        calls.push({ name, args: splitTopLevelArgs(content.trim()), env: Object.assign({}, env) });
+        const ranges = splitTopLevelArgRanges(content);
+        calls.push({
+          name,
+          args: ranges.map(r => r.text),
+          env: Object.assign({}, env),
+          pos: base + cm.index,
+          argPos: ranges.map(r => base + nameEnd + r.offset)
+        });
         index = endIndex + 1;
       }
     }
@@ -364,13 +484,24 @@
         }
       }
     }
-    throw new Error('Unbalanced parentheses');
+    throw Object.assign(new Error('Unbalanced parentheses'), { index: openIndex });
   }
 
   // カンマで区切られた最上位の引数リストに分割する
   function splitTopLevelArgs(s) {
+    return splitTopLevelArgRanges(s).map(r => r.text);
+  }
+
+  // 最上位の引数を { text, offset }（offset は s 内で引数が始まる位置）の配列で返す
+  function splitTopLevelArgRanges(s) {
     const args = [];
-    let buf = '', depth = 0, inStr = false, strCh = '', esc = false;
+    let buf = '', start = 0, depth = 0, inStr = false, strCh = '', esc = false;
+    const push = (end) => {
+      const lead = buf.length - buf.trimStart().length;
+      args.push({ text: buf.trim(), offset: start + lead });
+      buf = '';
+      start = end + 1;
+    };
     for (let i = 0; i < s.length; i++) {
       const ch = s[i];
       if (inStr) {
@@ -383,10 +514,10 @@
       if (ch === '"' || ch === "'") { inStr = true; strCh = ch; buf += ch; continue; }
       if (ch === '{' || ch === '[' || ch === '(') { depth++; buf += ch; continue; }
       if (ch === '}' || ch === ']' || ch === ')') { depth--; buf += ch; continue; }
-      if (ch === ',' && depth === 0) { args.push(buf.trim()); buf = ''; continue; }
+      if (ch === ',' && depth === 0) { push(i); continue; }
       buf += ch;
     }
-    if (buf.trim()) args.push(buf.trim());
+    if (buf.trim()) push(s.length);
     return args;
   }
 
@@ -670,16 +801,23 @@
         continue;
       }
       if (ch === '"' || ch === "'") { inStr = true; strCh = ch; out += ch; continue; }
+      // コメントは空白に置き換えて行・列の位置を保つ
       if (ch === '/' && next === '*') {
+        out += '  ';
         i += 2;
-        while (i < str.length && !(str[i] === '*' && str[i + 1] === '/')) i++;
+        while (i < str.length && !(str[i] === '*' && str[i + 1] === '/')) {
+          out += str[i] === '\n' ? '\n' : ' ';
+          i++;
+        }
+        if (i < str.length) out += '  ';
         i++; // skip closing '/'
         continue;
       }
       if (ch === '/' && next === '/') {
         i += 2;
-        while (i < str.length && str[i] !== '\n') i++;
-        out += '\n';
+        out += '  ';
+        while (i < str.length && str[i] !== '\n') { out += ' '; i++; }
+        if (i < str.length) out += '\n';
         continue;
       }
       out += ch;
@@ -708,7 +846,7 @@
         }
       }
     }
-    throw new Error('Unbalanced braces');
+    throw Object.assign(new Error('Unbalanced braces'), { index: openIndex });
   }
 
   // pptx.ShapeType の文字列を実際の列挙値に変換
@@ -728,12 +866,16 @@
   }
 
   // オブジェクトの座標やサイズが正しいか確認しインチ値に変換
-  function validateBox(o, W, H) {
+  function validateBox(o, W, H, note = () => {}) {
     const x = toInch(o.x, W), y = toInch(o.y, H), w = toInch(o.w, W), h = toInch(o.h, H);
     if ([x, y, w, h].some(v => typeof v !== 'number' || isNaN(v))) return;
     // Allow boxes that extend beyond the slide bounds so that the generated
     // presentation can intentionally contain elements positioned off-slide.
     // Security checks and value sanitation remain unchanged elsewhere.
+    const converted = { x, y, w, h };
+    Object.keys(converted).forEach((k) => {
+      if (typeof o[k] !== 'number') note(`${k}: ${JSON.stringify(o[k])} → ${Math.round(converted[k] * 1000) / 1000}in`);
+    });
     o.x = x; o.y = y; o.w = w; o.h = h;
   }
 
@@ -746,69 +888,103 @@
     return Number(v);
   }
 
+  // スピーカーノートの制御文字を除去し長さを制限する
+  const MAX_NOTES_LENGTH = 20000;
+  function sanitizeNotes(text, note = () => {}) {
+    const cleaned = text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
+    if (cleaned.length !== text.length) note('notes: control characters removed');
+    if (cleaned.length > MAX_NOTES_LENGTH) note(`notes: truncated to ${MAX_NOTES_LENGTH} characters`);
+    return cleaned.slice(0, MAX_NOTES_LENGTH);
+  }
+
+  // 背景指定を色・透明度・data:画像のみに絞り込む
+  function sanitizeBackground(opts, note = () => {}) {
+    const bg = {};
+    const color = normalizeColor(opts.color);
+    if (color) bg.color = color;
+    if ('color' in opts && color !== opts.color) {
+      note(color ? `color: ${JSON.stringify(opts.color)} → ${color}` : `color: removed invalid color ${JSON.stringify(opts.color)}`);
+    }
+    if (typeof opts.transparency === 'number') {
+      bg.transparency = Math.max(0, Math.min(100, opts.transparency));
+      if (bg.transparency !== opts.transparency) note(`transparency: ${opts.transparency} → ${bg.transparency}`);
+    }
+    if (typeof opts.data === 'string' && opts.data.startsWith('data:image/')) {
+      bg.data = opts.data;
+    }
+    const dropped = Object.keys(opts).filter((k) => !['color', 'transparency', 'data'].includes(k) || (k === 'data' && !bg.data));
+    if (dropped.length) note(`removed unsupported background options: ${dropped.join(', ')}`);
+    return bg.color || bg.data ? bg : null;
+  }
+
   // テキスト共通のオプションを安全な値に整える
-  function sanitizeCommonTextOpts(opts) {
-    opts.fontFace ||= 'Rakuten Sans JP';
+  function sanitizeCommonTextOpts(opts, note = () => {}, fontFace = DEFAULT_FONT_FACE) {
+    opts.fontFace ||= fontFace;
     if ('color' in opts) {
-      opts.color = normalizeColorOrDefault(opts.color, '000000');
+      opts.color = normalizeColorOrDefault(opts.color, '000000', note, 'color');
     }
     if (opts.fill && typeof opts.fill === 'object' && 'color' in opts.fill) {
-      opts.fill.color = normalizeColorOrDefault(opts.fill.color, 'FFFFFF');
+      opts.fill.color = normalizeColorOrDefault(opts.fill.color, 'FFFFFF', note, 'fill.color');
     }
   }
 
   // テキストラン配列内のオプションを一括で整える
-  function sanitizeRuns(runs) {
+  function sanitizeRuns(runs, note = () => {}, fontFace = DEFAULT_FONT_FACE) {
     if (!Array.isArray(runs)) return;
     runs.forEach((r) => {
-      if (r && r.options) sanitizeCommonTextOpts(r.options);
+      if (r && r.options) sanitizeCommonTextOpts(r.options, note, fontFace);
     });
   }
 
   // 図形オプションの色や線を正しい形式に直す
-  function sanitizeShapeOpts(opts) {
+  function sanitizeShapeOpts(opts, note = () => {}) {
     if (opts.fill && typeof opts.fill === 'object') {
       if ('color' in opts.fill) {
-        opts.fill.color = normalizeColorOrDefault(opts.fill.color, 'FFFFFF');
+        opts.fill.color = normalizeColorOrDefault(opts.fill.color, 'FFFFFF', note, 'fill.color');
       } else {
         delete opts.fill;
+        note('fill: removed (no color)');
       }
     }
     if (opts.line && typeof opts.line === 'object') {
       if ('color' in opts.line) {
-        opts.line.color = normalizeColorOrDefault(opts.line.color, '000000');
+        opts.line.color = normalizeColorOrDefault(opts.line.color, '000000', note, 'line.color');
       } else if (!('width' in opts.line)) {
         delete opts.line;
+        note('line: removed (no color or width)');
       }
     }
   }
 
   // グラフ描画用オプションの色や線を調整する
-  function sanitizeChartOpts(opts) {
+  function sanitizeChartOpts(opts, note = () => {}) {
     ['gridLine', 'catGridLine', 'valGridLine'].forEach((k) => {
       const o = opts[k];
       if (o) {
         if (typeof o.size === 'number' && o.size <= 0) {
+          note(`${k}.size: ${o.size} → 0.1`);
           o.size = 0.1;
         }
-        if (o.color) o.color = normalizeColorOrDefault(o.color, 'CCCCCC');
+        if (o.color) o.color = normalizeColorOrDefault(o.color, 'CCCCCC', note, `${k}.color`);
       }
     });
     if (Array.isArray(opts.chartColors)) {
-      opts.chartColors = opts.chartColors.map((c) => normalizeColorOrDefault(c, '000000'));
+      opts.chartColors = opts.chartColors.map((c, i) => normalizeColorOrDefault(c, '000000', note, `chartColors[${i}]`));
     }
-    const normalizeColorProp = (obj, key) => {
+    const normalizeColorProp = (obj, key, label) => {
       if (!obj || !obj[key]) return;
       let val = obj[key];
       if (val && typeof val === 'object' && 'color' in val) {
         const c = normalizeColor(val.color);
         if (c) {
+          if (c !== val.color) note(`${label}: ${JSON.stringify(val.color)} → ${c}`);
           if (Object.keys(val).length === 1) {
             obj[key] = c;
           } else {
             val.color = c;
           }
         } else {
+          note(`${label}: removed invalid color ${JSON.stringify(val.color)}`);
           if (Object.keys(val).length === 1) {
             delete obj[key];
           } else {
@@ -818,30 +994,59 @@
       } else if (typeof val === 'string') {
         const c = normalizeColor(val);
         if (c) {
+          if (c !== val) note(`${label}: ${JSON.stringify(val)} → ${c}`);
           obj[key] = c;
         } else {
+          note(`${label}: removed invalid color ${JSON.stringify(val)}`);
           delete obj[key];
         }
       }
     };
 
-    ['fill', 'catAxisLabelColor', 'catAxisLineColor', 'valAxisLabelColor', 'valAxisLineColor', 'valAxisTitleColor', 'dataLabelColor'].forEach((k) => normalizeColorProp(opts, k));
-    if (opts.chartArea) normalizeColorProp(opts.chartArea, 'fill');
+    ['fill', 'catAxisLabelColor', 'catAxisLineColor', 'valAxisLabelColor', 'valAxisLineColor', 'valAxisTitleColor', 'dataLabelColor'].forEach((k) => normalizeColorProp(opts, k, k));
+    if (opts.chartArea) normalizeColorProp(opts.chartArea, 'fill', 'chartArea.fill');
+  }
+
+  // 複合グラフの種類定義を検証する（type は pptx.ChartType の値のみ）
+  function sanitizeComboChartTypes(types, note = () => {}) {
+    if (!Array.isArray(types) || types.length === 0) throw new Error('Chart types must be a non-empty array');
+    const P = (window.PptxGenJS || window.pptxgen || window.pptxgenjs);
+    const validTypes = Object.values(P.ChartType || (new P()).ChartType);
+    return types.map((t) => {
+      if (!t || typeof t !== 'object' || !validTypes.includes(t.type)) throw new Error('Invalid ChartType in combo chart');
+      if (!Array.isArray(t.data)) throw new Error('Combo chart data must be an array');
+      const options = t.options && typeof t.options === 'object' ? t.options : {};
+      sanitizeChartOpts(options, note);
+      return { type: t.type, data: t.data, options };
+    });
   }
 
   // 表データ内の null を空セルに置き換える
-  function sanitizeTableData(tableData) {
+  function sanitizeTableData(tableData, note = () => {}) {
     if (!Array.isArray(tableData)) return tableData;
-    return tableData.map((row) =>
+    let replaced = 0;
+    const rows = tableData.map((row) =>
       Array.isArray(row)
-        ? row.map((cell) => (cell === null ? { text: '', options: {} } : cell))
+        ? row.map((cell) => {
+          if (cell !== null) return cell;
+          replaced++;
+          return { text: '', options: {} };
+        })
         : row
     );
+    if (replaced) note(`rows: ${replaced} null cell(s) replaced with empty cells`);
+    return rows;
   }
 
-  // 色コードを正規化し、無効なら既定値を返す
-  function normalizeColorOrDefault(c, def) {
-    return normalizeColor(c) || def;
+  // 色コードを正規化し、無効なら既定値を返す（note があれば変更内容を記録）
+  function normalizeColorOrDefault(c, def, note = null, label = 'color') {
+    const normalized = normalizeColor(c);
+    if (note && normalized !== c) {
+      note(normalized
+        ? `${label}: ${JSON.stringify(c)} → ${normalized}`
+        : `${label}: invalid color ${JSON.stringify(c)} → ${def}`);
+    }
+    return normalized || def;
   }
 
   // #やrgb表記を6桁の16進カラーコードに変換
@@ -873,6 +1078,406 @@
     return Shape[expr];
   }
 
+  // ---- 静的検証（isSafeCode と validatePptxSnippet で共用） ----
+
+  // スニペットで参照を禁止する識別子
+  const BANNED_IDENTIFIERS = [
+    'fetch',
+    'XMLHttpRequest',
+    'localStorage',
+    'chrome',
+    'document',
+    'navigator',
+    'eval',
+    'Function'
+  ];
+
+  // プロトタイプをたどって Function などに届くプロパティ（obj.constructor.constructor('...') など）
+  const BANNED_PROPERTIES = ['constructor', '__proto__', 'prototype'];
+
+  // スニペットで呼び出しを許可するメソッド
+  const ALLOWED_CALLS = [
+    'pptx.addSlide',
+    'slide.addText',
+    'slide.addShape',
+    'slide.addImage',
+    'slide.addTable',
+    'slide.addChart',
+    'slide.addNotes',
+    'pptx.writeFile'
+  ];
+
+  // パーサー（acorn）がない場合に使う危険なパターン
+  const UNSAFE_PATTERNS = [
+    /fetch\s*\(/gi,
+    /XMLHttpRequest/gi,
+    /localStorage/gi,
+    /chrome\.storage/gi,
+    /document\.cookie/gi,
+    /navigator\.clipboard/gi,
+    /\beval\b/gi,
+    /new\s+Function/gi,
+    /\.\s*(constructor|prototype)\b/g,
+    /\[\s*['"`](constructor|__proto__|prototype)['"`]\s*\]/g,
+    /__proto__/g
+  ];
+
+  // 文字列リテラル（テンプレートリテラルは ${ } の外側）の中身の範囲 [start, end) を返す
+  // acorn がないときに、表示する文章の中の "fetch(" などを危険なパターンとして扱わないために使う
+  function stringLiteralRanges(src) {
+    const ranges = [];
+    const templateDepth = []; // ${ } の中の波括弧の深さ（テンプレートリテラルの入れ子ごと）
+    let i = 0;
+    // テンプレートリテラルの文字部分を読む（` または } の次の文字から）
+    const readTemplate = () => {
+      const start = i;
+      while (i < src.length) {
+        if (src[i] === '\\') { i += 2; continue; }
+        if (src[i] === '`') { ranges.push([start, i]); i++; return; }
+        if (src[i] === '$' && src[i + 1] === '{') {
+          ranges.push([start, i]);
+          i += 2;
+          templateDepth.push(0);
+          return;
+        }
+        i++;
+      }
+      ranges.push([start, i]);
+    };
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '"' || ch === "'") {
+        const start = ++i;
+        while (i < src.length && src[i] !== ch && src[i] !== '\n') {
+          if (src[i] === '\\') i++;
+          i++;
+        }
+        ranges.push([start, i]);
+        i++;
+        continue;
+      }
+      if (ch === '`') {
+        i++;
+        readTemplate();
+        continue;
+      }
+      if (templateDepth.length) {
+        const top = templateDepth.length - 1;
+        if (ch === '{') {
+          templateDepth[top]++;
+        } else if (ch === '}') {
+          if (templateDepth[top] === 0) {
+            templateDepth.pop();
+            i++;
+            readTemplate();
+            continue;
+          }
+          templateDepth[top]--;
+        }
+      }
+      i++;
+    }
+    return ranges;
+  }
+
+  // 抽象構文木を深さ優先で巡回
+  function walkAst(node, fn) {
+    if (!node || typeof node.type !== 'string') return;
+    fn(node);
+    for (const key of Object.keys(node)) {
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach((c) => walkAst(c, fn));
+      } else if (child && typeof child.type === 'string') {
+        walkAst(child, fn);
+      }
+    }
+  }
+
+  // ASTノードからメンバー名を取得
+  function memberName(node) {
+    if (!node) return '';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) {
+      const obj = memberName(node.object);
+      const prop = memberName(node.property);
+      return obj && prop ? obj + '.' + prop : '';
+    }
+    return '';
+  }
+
+  // 禁止された識別子・呼び出しを検出する（acorn があれば AST、なければ正規表現）
+  // 戻り値: [{ code, index, message }]（index はスニペット内の文字位置）
+  function checkSnippetSafety(code) {
+    const src = code || '';
+    const issues = [];
+    const acorn = (typeof globalThis !== 'undefined' && globalThis.acorn) || null;
+    if (!acorn) {
+      // コメントと文字列リテラルの中から始まる一致は除く（obj['constructor'] は [ から一致するため検出される）
+      const cleaned = stripComments(src);
+      const ranges = stringLiteralRanges(cleaned);
+      const inString = (index) => ranges.some(([start, end]) => index >= start && index < end);
+      UNSAFE_PATTERNS.forEach((re) => {
+        re.lastIndex = 0;
+        let m;
+        while ((m = re.exec(cleaned))) {
+          if (inString(m.index)) continue;
+          issues.push({ code: 'disallowed-identifier', index: m.index, message: `Disallowed expression: ${m[0]}` });
+        }
+      });
+      return issues;
+    }
+    let ast;
+    try {
+      ast = acorn.parse(src, { ecmaVersion: 2020 });
+    } catch (e) {
+      issues.push({ code: 'syntax-error', index: typeof e.pos === 'number' ? e.pos : 0, message: e.message });
+      return issues;
+    }
+    walkAst(ast, (node) => {
+      if (node.type === 'Identifier') {
+        if (BANNED_IDENTIFIERS.includes(node.name)) {
+          issues.push({ code: 'disallowed-identifier', index: node.start, message: `Disallowed identifier: ${node.name}` });
+        }
+      } else if (node.type === 'MemberExpression') {
+        // window.document などのメンバー経由の参照と、プロトタイプをたどるプロパティ
+        const name = memberName(node);
+        if (BANNED_IDENTIFIERS.some((b) => name === b || name.startsWith(b + '.'))) {
+          issues.push({ code: 'disallowed-identifier', index: node.start, message: `Disallowed expression: ${name}` });
+        }
+        const prop = node.computed
+          ? (node.property && node.property.type === 'Literal' ? String(node.property.value) : '')
+          : (node.property && node.property.name) || '';
+        if (BANNED_PROPERTIES.includes(prop)) {
+          issues.push({ code: 'disallowed-identifier', index: node.start, message: `Disallowed property: ${prop}` });
+        }
+      } else if (node.type === 'CallExpression') {
+        const name = memberName(node.callee);
+        if (name && name.endsWith('.forEach')) return; // allow Array#forEach
+        if (!ALLOWED_CALLS.includes(name)) {
+          issues.push({ code: 'disallowed-call', index: node.start, message: `Disallowed call: ${name || 'computed expression'}` });
+        }
+      }
+    });
+    return issues;
+  }
+
+  // スニペットを実行せずに検証し、行・列つきの診断結果を返す
+  // 戻り値: { ok, diagnostics: [{ line, column, severity: 'error' | 'warning', code, message, source }] }
+  function validatePptxSnippet(snippet) {
+    const src = typeof snippet === 'string' ? snippet : '';
+    const lines = src.split('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < src.length; i++) {
+      if (src[i] === '\n') lineStarts.push(i + 1);
+    }
+    const diagnostics = [];
+    const seen = new Set();
+    const add = (severity, code, index, message) => {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+      const diag = {
+        line: line + 1,
+        column: Math.max(0, index - lineStarts[line]) + 1,
+        severity,
+        code,
+        message,
+        source: (lines[line] || '').trim().slice(0, 160)
+      };
+      const key = `${diag.line}:${diag.column}:${code}:${message}`;
+      if (seen.has(key)) return; // ループ展開で同じ呼び出しが繰り返される場合
+      seen.add(key);
+      diagnostics.push(diag);
+    };
+
+    checkSnippetSafety(src).forEach((issue) => add('error', issue.code, issue.index, issue.message));
+
+    // pptx / slide の許可されていないメソッド呼び出し
+    const methodRe = /\b(pptx|slide)\s*\.\s*([A-Za-z_$][\w$]*)\s*\(/g;
+    const cleaned = stripComments(src).replace(/\r/g, ' ');
+    let m;
+    while ((m = methodRe.exec(cleaned))) {
+      const name = `${m[1]}.${m[2]}`;
+      if (!ALLOWED_CALLS.includes(name) && name !== 'pptx.write') {
+        add('error', 'disallowed-call', m.index, `Not allowed call: ${name}`);
+      }
+    }
+
+    let calls = [];
+    try {
+      calls = extractCalls(cleaned, createSnippetEnv(cleaned));
+    } catch (e) {
+      add('error', 'syntax-error', typeof e.index === 'number' ? e.index : 0, e.message);
+    }
+    calls.forEach((c) => checkCall(c, add));
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { ok: !diagnostics.some((d) => d.severity === 'error'), diagnostics };
+  }
+
+  // 呼び出し1件の引数・列挙値・座標を検証する
+  function checkCall(c, add) {
+    const argPos = (i) => (c.argPos && typeof c.argPos[i] === 'number' ? c.argPos[i] : c.pos || 0);
+    c.args.forEach((arg, i) => checkValueExpr(arg, argPos(i), c.env, add));
+
+    const parseArg = (i) => {
+      try { return parseJsLikeValue(c.args[i] || '', c.env); } catch { return undefined; }
+    };
+    const requireObject = (i) => {
+      const v = parseArg(i);
+      if (!v || typeof v !== 'object' || Array.isArray(v)) {
+        add('error', 'unparseable-argument', argPos(i), `${c.name} requires an options object as argument ${i + 1}`);
+        return null;
+      }
+      return v;
+    };
+
+    switch (c.name) {
+      case 'slide.addText': {
+        const opts = requireObject(1);
+        if (opts) checkBox(opts, argPos(1), add);
+        break;
+      }
+      case 'slide.addShape': {
+        // 未知の pptx.ShapeType は checkValueExpr で報告済み
+        const shapeExpr = (c.args[0] || '').trim();
+        const shape = parseArg(0);
+        if (shape !== undefined && !resolveShapeString(shape)) {
+          add('error', 'unknown-shape', argPos(0), `Unsupported shape for addShape: ${shapeExpr || '(none)'} (use rect, roundRect, ellipse or line; other shapes via addText with the shape option)`);
+        }
+        const opts = requireObject(1);
+        if (opts) checkBox(opts, argPos(1), add);
+        break;
+      }
+      case 'slide.addImage': {
+        const opts = requireObject(0);
+        if (opts) {
+          checkBox(opts, argPos(0), add);
+          if (typeof opts.path === 'string' && /^(https?:|file:|\/\/)/i.test(opts.path)) {
+            add('error', 'disallowed-call', argPos(0), `External image paths are not allowed: ${opts.path.slice(0, 80)}`);
+          }
+        }
+        break;
+      }
+      case 'slide.addTable': {
+        const opts = parseArg(1);
+        if (opts && typeof opts === 'object' && opts.x != null) checkBox(opts, argPos(1), add);
+        break;
+      }
+      case 'slide.addChart': {
+        const first = (c.args[0] || '').trim();
+        if (first.startsWith('[')) {
+          const types = parseArg(0);
+          const valid = Array.isArray(types) && types.length > 0 && types.every((t) => t && t.type && Array.isArray(t.data));
+          if (!valid) {
+            add('error', 'unparseable-argument', argPos(0), 'Combo chart requires an array of { type: pptx.ChartType.*, data: [...], options }');
+          }
+          const opts = parseArg(1);
+          if (opts && typeof opts === 'object') checkBox(opts, argPos(1), add);
+        } else {
+          // 未知の pptx.ChartType は checkValueExpr で報告済み
+          if (!/^pptx\s*\.\s*ChartType\s*\./.test(first)) {
+            add('error', 'unknown-chart-type', argPos(0), `Chart type must be pptx.ChartType.*: ${first || '(none)'}`);
+          }
+          const opts = parseArg(2);
+          if (opts && typeof opts === 'object') checkBox(opts, argPos(2), add);
+        }
+        break;
+      }
+      case 'slide.addNotes': {
+        if (typeof parseArg(0) !== 'string') {
+          add('error', 'unparseable-argument', argPos(0), 'slide.addNotes requires a string');
+        }
+        break;
+      }
+      case 'slide.background':
+      case 'slide.slideNumber': {
+        const opts = requireObject(0);
+        if (opts && c.name === 'slide.slideNumber') checkBox(opts, argPos(0), add);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // 値の式を解析できるか確認する（オブジェクト・配列は要素ごとに再帰）
+  function checkValueExpr(src, offset, env, add) {
+    const lead = src.length - src.trimStart().length;
+    const text = src.trim();
+    const pos = offset + lead;
+    if (!text) return;
+
+    if ((text.startsWith('{') && text.endsWith('}')) || (text.startsWith('[') && text.endsWith(']'))) {
+      const isObject = text.startsWith('{');
+      splitTopLevelArgRanges(text.slice(1, -1)).forEach((r) => {
+        const itemPos = pos + 1 + r.offset;
+        if (!isObject) {
+          checkValueExpr(r.text, itemPos, env, add);
+          return;
+        }
+        const idx = r.text.indexOf(':');
+        if (idx === -1) {
+          add('error', 'unparseable-argument', itemPos, `Shorthand or spread property is not supported: ${r.text.slice(0, 60)}`);
+          return;
+        }
+        checkValueExpr(r.text.slice(idx + 1), itemPos + idx + 1, env, add);
+      });
+      return;
+    }
+
+    const resolves = (resolver) => {
+      try { return !!resolver(text); } catch { return false; }
+    };
+    const shapeEnum = /^pptx\s*\.\s*ShapeType\s*\.\s*(\w+)$/.exec(text);
+    if (shapeEnum) {
+      if (!resolves(resolveShapeEnum)) add('error', 'unknown-shape', pos, `Unknown shape type: pptx.ShapeType.${shapeEnum[1]}`);
+      return;
+    }
+    const chartEnum = /^pptx\s*\.\s*ChartType\s*\.\s*(\w+)$/.exec(text);
+    if (chartEnum) {
+      if (!resolves(resolveChartEnum)) add('error', 'unknown-chart-type', pos, `Unknown chart type: pptx.ChartType.${chartEnum[1]}`);
+      return;
+    }
+    // アロー関数（forEach のコールバック）は extractCalls 側で展開される
+    if (/=>/.test(text)) return;
+
+    try {
+      const value = parseJsLikeValue(text, env);
+      if ((value === undefined && text !== 'undefined') || (typeof value === 'number' && isNaN(value))) {
+        add('error', 'unparseable-argument', pos, `Cannot evaluate expression: ${text.slice(0, 80)}`);
+      }
+    } catch (e) {
+      add('error', 'unparseable-argument', pos, `${e.message}`.slice(0, 160));
+    }
+  }
+
+  // 座標・サイズがスライドの範囲外にはみ出していないか確認する（実行時は validateBox により許容される）
+  function checkBox(opts, pos, add) {
+    const x = toInch(opts.x, SLIDE_W), y = toInch(opts.y, SLIDE_H);
+    const w = toInch(opts.w, SLIDE_W), h = toInch(opts.h, SLIDE_H);
+    if ([x, y, w, h].some(v => typeof v !== 'number' || isNaN(v))) return;
+    const EPS = 0.01;
+    if (x < -EPS || y < -EPS || x + w > SLIDE_W + EPS || y + h > SLIDE_H + EPS) {
+      const fmt = (v) => Math.round(v * 100) / 100;
+      add('warning', 'out-of-bounds', pos,
+        `Box (x: ${fmt(x)}, y: ${fmt(y)}, w: ${fmt(w)}, h: ${fmt(h)}) extends beyond the ${SLIDE_W} x ${SLIDE_H} inch slide`);
+    }
+  }
+
+  // 診断結果をテキスト（1件1行）に整形する
+  function formatPptxDiagnostics(diagnostics) {
+    return (diagnostics || []).map((d) => {
+      const src = d.source ? `\n    > ${d.source}` : '';
+      return `L${d.line}:${d.column} ${d.severity} [${d.code}] ${d.message}${src}`;
+    }).join('\n');
+  }
+
   window.runPptxFromSnippet = runPptxFromSnippet;
+  window.runPptxFromSnippetWithReport = runPptxFromSnippetWithReport;
+  window.summarizePptxReport = summarizePptxReport;
+  window.checkSnippetSafety = checkSnippetSafety;
+  window.validatePptxSnippet = validatePptxSnippet;
+  window.formatPptxDiagnostics = formatPptxDiagnostics;
 })();
 
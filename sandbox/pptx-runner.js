@@ -8,7 +8,11 @@
  *   - window/chrome が存在しない環境でのポリフィル定義と、拡張内リソースのみを許可する fetch の上書き。
  *   - 進捗や完了状態を postMessage で親へ通知するための safePostMessage。
  *   - アイコン画像の DataURL 化と欠損時フォールバック、マスター スライドの定義、画像座標の EMU→インチ変換など PPTX 生成処理。
- *   - `compression: 'STORE'` で ZIP 圧縮を省略しつつ、生成後は結果を dataURL として送り返す。
+ *   - 書き出し設定（exportOptions）に応じてスライドサイズの変更（位置・大きさの拡大・縮小）、DEFLATE 圧縮、ドキュメント情報の設定を行い、生成後は結果を dataURL として送り返す。
+ *     exportOptions がない（プレビューなど）ときは 16:9・無圧縮（STORE）で生成する。
+ *   - スニペットが失敗した場合は safePptxExecutor.js の validatePptxSnippet による行・列つきの診断結果を添えて通知する。
+ *   - 呼び出しごとの実行結果（runPptxFromSnippetWithReport の report）と summarizePptxReport による集計（summary）を生成結果と一緒に送り返す。
+ *   - 書き出し設定（exportOptions）に応じて表紙・付録・末尾の案内スライドを追加する。
  */
 
 'use strict';
@@ -135,53 +139,88 @@ function emuToInches(emu) {
 }
 
 // 共通デザインのマスタースライドを定義
-function defineMasterSlide(pptx, logoPath) {
+// brandKit（src/brandKit.js で検証済み）があればフォント・ロゴ・固定画像・フッター・スライド番号・背景をそれに合わせる
+// scale はスライドサイズを 16:9 から変えるときの倍率（位置・大きさは 16:9 の座標で指定されている）
+function defineMasterSlide(pptx, logoPath, brandKit = null, scale = { x: 1, y: 1 }) {
   try {
-    const footerTextStyle = {
-      fontFace: DEFAULT_FONT_FACE,
-      fontSize: 9,
-      color: '000000',
-      bold: true,
-      valign: 'middle'
+    const kit = brandKit || {};
+    const fontFace = (kit.fonts && kit.fonts.body) || DEFAULT_FONT_FACE;
+    const logo = kit.logo || {
+      enabled: true,
+      x: emuToInches(334965),
+      y: emuToInches(6372225),
+      w: emuToInches(358776),
+      h: emuToInches(358776)
+    };
+    const footer = kit.footer || {
+      text: 'CONFIDENTIAL',
+      x: 11.39915113735783,
+      y: 7.0438593350831145,
+      w: 1.2967629046369205,
+      h: 0.2524409448818898
     };
+    const slideNumber = kit.slideNumber || {
+      enabled: true,
+      x: 12.671220253718285,
+      y: 7.0438593350831145,
+      w: 0.5691130796150481,
+      h: 0.2524409448818898
+    };
+    const images = Array.isArray(kit.images) ? kit.images : [];
+    const textStyle = (style) => ({
+      fontFace: style.fontFace || fontFace,
+      fontSize: style.fontSize || 9,
+      color: style.color || '000000',
+      bold: style.bold !== undefined ? style.bold : true,
+      valign: 'middle',
+      align: style.align || 'left'
+    });
+    const logoSource = logo.data ? { data: logo.data } : (logoPath ? { path: logoPath } : null);
 
     pptx.defineSlideMaster({
       title: MASTER_SLIDE_TITLE,
-      background: { color: 'FFFFFF' },
+      background: { color: (kit.background && kit.background.color) || 'FFFFFF' },
       objects: [
-        ...(logoPath
+        ...(logo.enabled && logoSource
           ? [{
-              image: {
-                path: logoPath,
-                x: emuToInches(334965),
-                y: emuToInches(6372225),
-                w: emuToInches(358776),
-                h: emuToInches(358776)
-              }
+              image: scaleImageOptions({
+                ...logoSource,
+                x: logo.x,
+                y: logo.y,
+                w: logo.w,
+                h: logo.h
+              }, scale)
             }]
           : []),
-        {
-          text: {
-            text: 'CONFIDENTIAL',
-            options: {
-              ...footerTextStyle,
-              x: 11.39915113735783,
-              y: 7.0438593350831145,
-              w: 1.2967629046369205,
-              h: 0.2524409448818898,
-              align: 'left'
-            }
-          }
-        }
+        ...images.map(image => ({
+          image: scaleImageOptions({ data: image.data, x: image.x, y: image.y, w: image.w, h: image.h }, scale)
+        })),
+        ...(footer.text
+          ? [{
+              text: {
+                text: footer.text,
+                options: scaleBoxOptions({
+                  ...textStyle(footer),
+                  x: footer.x,
+                  y: footer.y,
+                  w: footer.w,
+                  h: footer.h
+                }, scale)
+              }
+            }]
+          : [])
       ],
-      slideNumber: {
-        ...footerTextStyle,
-        x: 12.671220253718285,
-        y: 7.0438593350831145,
-        w: 0.5691130796150481,
-        h: 0.2524409448818898,
-        align: 'left'
-      }
+      ...(slideNumber.enabled
+        ? {
+            slideNumber: scaleBoxOptions({
+              ...textStyle(slideNumber),
+              x: slideNumber.x,
+              y: slideNumber.y,
+              w: slideNumber.w,
+              h: slideNumber.h
+            }, scale)
+          }
+        : {})
     });
     return true;
   } catch (error) {
@@ -214,103 +253,32 @@ async function replaceGetUrls(code) {
   return replaced;
 }
 
-// 危険な文字列を除去してから実行
+// 危険な文字列を除去してから実行（行番号が変わらないよう行は空にして残す）
 function sanitizeSnippet(code) {
   return (code || '')
     .split('\n')
-    .filter(line => {
+    .map(line => {
       const t = line.trim();
-      if (/new\s+PptxGenJS\b/.test(t)) return false;
-      if (/pptx\.write(File)?\b/.test(t)) return false;
-      return true;
+      if (/new\s+PptxGenJS\b/.test(t)) return '';
+      if (/pptx\.write(File)?\b/.test(t)) return '';
+      return line;
     })
     .join('\n');
 }
 
-// 危険な構文が含まれていないか簡易チェック
+// 危険な構文が含まれていないか簡易チェック（判定は safePptxExecutor.js の checkSnippetSafety）
 function isSafeCode(code) {
-  const acorn = (typeof globalThis !== 'undefined' && globalThis.acorn) || null;
-  if (!acorn) {
-    // fall back to regex-based checks when parser isn't available
-    const patterns = [
-      /fetch\s*\(/i,
-      /XMLHttpRequest/i,
-      /localStorage/i,
-      /chrome\.storage/i,
-      /document\.cookie/i,
-      /navigator\.clipboard/i,
-      /\beval\b/i,
-      /new\s+Function/i
-    ];
-    return !patterns.some((re) => re.test(code || ''));
-  }
-  try {
-    const ast = acorn.parse(code || '', { ecmaVersion: 2020 });
-    const banned = [
-      'fetch',
-      'XMLHttpRequest',
-      'localStorage',
-      'chrome',
-      'document',
-      'navigator',
-      'eval',
-      'Function'
-    ];
-    const allowedCalls = new Set([
-      'pptx.addSlide',
-      'slide.addText',
-      'slide.addShape',
-      'slide.addImage',
-      'slide.addTable',
-      'slide.addChart',
-      'pptx.writeFile'
-    ]);
-    let safe = true;
-    walkAst(ast, (node) => {
-      if (!safe) return;
-      if (node.type === 'Identifier') {
-        if (banned.includes(node.name)) safe = false;
-      } else if (node.type === 'MemberExpression') {
-        const name = memberName(node);
-        if (banned.some((b) => name === b || name.startsWith(b + '.'))) safe = false;
-      } else if (node.type === 'CallExpression') {
-        const name = memberName(node.callee);
-        if (!name) { safe = false; return; }
-        if (name.endsWith('.forEach')) return; // allow Array#forEach
-        if (!allowedCalls.has(name)) safe = false;
-      }
-    });
-    return safe;
-  } catch (e) {
-    console.warn('[isSafeCode] parse error', e);
-    return false;
-  }
+  return window.checkSnippetSafety(code).length === 0;
 }
 
-// 抽象構文木を深さ優先で巡回
-function walkAst(node, fn) {
-  if (!node || typeof node.type !== 'string') return;
-  fn(node);
-  for (const key of Object.keys(node)) {
-    const child = node[key];
-    if (Array.isArray(child)) {
-      child.forEach((c) => walkAst(c, fn));
-    } else if (child && typeof child.type === 'string') {
-      walkAst(child, fn);
-    }
-  }
-}
-
-// ASTノードからメンバー名を取得
-function memberName(node) {
-  if (!node) return '';
-  if (node.type === 'Identifier') return node.name;
-  if (node.type === 'MemberExpression' && !node.computed) {
-    const obj = memberName(node.object);
-    const prop = memberName(node.property);
-    return obj && prop ? obj + '.' + prop : '';
+// 失敗したスニペットの診断結果（行・列つき）を取得
+function snippetDiagnostics(code) {
+  try {
+    return window.validatePptxSnippet(code).diagnostics;
+  } catch (e) {
+    console.warn('[sandbox] failed to validate snippet', e);
+    return [];
   }
-  return '';
 }
 
 // 色指定がオブジェクト形式なら文字列に変換
@@ -376,13 +344,12 @@ function replacePaths(obj, from, to) {
 }
 
 // writeが失敗したとき dataURL で取得する
-async function writeWithFallback(pptx, options) {
+// compression: true で DEFLATE 圧縮、false で無圧縮（STORE）
+async function writeWithFallback(pptx, compression) {
   const tried = new Set();
   while (true) {
     try {
-      return await pptx.write('blob', {
-        compression: options.compression || 'STORE'
-      });
+      return await pptx.write({ outputType: 'blob', compression: !!compression });
     } catch (err) {
       const msg = err && err.message;
       const match = msg && msg.match(/Unable to load image[^:]*:\s*(.+)/);
@@ -402,6 +369,268 @@ async function writeWithFallback(pptx, options) {
   }
 }
 
+// --- スライドサイズの変更 ---
+// スニペットは 16:9（LAYOUT_WIDTH x LAYOUT_HEIGHT）の座標で書かれているため、
+// ほかのサイズで書き出すときは slide の各メソッドに渡す位置・大きさを比率に合わせて変換する。
+// 数値（インチ）だけを変換し、'50%' などの割合はそのまま使う。
+function scaleBoxOptions(opts, scale) {
+  const scaled = { ...opts };
+  ['x', 'w'].forEach(key => {
+    if (typeof scaled[key] === 'number') scaled[key] *= scale.x;
+  });
+  ['y', 'h'].forEach(key => {
+    if (typeof scaled[key] === 'number') scaled[key] *= scale.y;
+  });
+  return scaled;
+}
+
+// 表は列幅・行の高さも変換する
+function scaleTableOptions(opts, scale) {
+  const scaled = scaleBoxOptions(opts, scale);
+  const scaleSize = (value, factor) => {
+    if (typeof value === 'number') return value * factor;
+    if (Array.isArray(value)) return value.map(v => (typeof v === 'number' ? v * factor : v));
+    return value;
+  };
+  if (scaled.colW !== undefined) scaled.colW = scaleSize(scaled.colW, scale.x);
+  if (scaled.rowH !== undefined) scaled.rowH = scaleSize(scaled.rowH, scale.y);
+  return scaled;
+}
+
+// 画像は縦横比を保ち、変換後の枠の中央に置く
+function scaleImageOptions(opts, scale) {
+  if (typeof opts.w !== 'number' || typeof opts.h !== 'number') return scaleBoxOptions(opts, scale);
+  const uniform = Math.min(scale.x, scale.y);
+  const box = scaleBoxOptions(opts, scale);
+  const w = opts.w * uniform;
+  const h = opts.h * uniform;
+  return {
+    ...box,
+    x: typeof box.x === 'number' ? box.x + (box.w - w) / 2 : box.x,
+    y: typeof box.y === 'number' ? box.y + (box.h - h) / 2 : box.y,
+    w,
+    h
+  };
+}
+
+// slide の要素追加メソッドを、位置・大きさを変換してから呼ぶようにする
+// optsIndex は位置・大きさを渡す引数の番号（引数によって変わる場合は args から番号を返す関数）
+// slide.background はスライド全体に広がるため変換しない
+function applyLayoutScale(slide, scale) {
+  const wrap = (name, optsIndex, transform) => {
+    const original = slide[name];
+    if (typeof original !== 'function') return;
+    slide[name] = function (...args) {
+      const index = typeof optsIndex === 'function' ? optsIndex(args) : optsIndex;
+      const opts = args[index];
+      if (opts && typeof opts === 'object' && !Array.isArray(opts)) {
+        args[index] = transform(opts, scale);
+      }
+      return original.apply(this, args);
+    };
+  };
+  wrap('addText', 1, scaleBoxOptions);
+  wrap('addShape', 1, scaleBoxOptions);
+  // 複合グラフ（slide.addChart([{ type, data, options }, ...], opts)）では 2 番目の引数が位置・大きさ
+  wrap('addChart', args => (Array.isArray(args[0]) ? 1 : 2), scaleBoxOptions);
+  wrap('addTable', 1, scaleTableOptions);
+  wrap('addImage', 0, scaleImageOptions);
+  wrap('addMedia', 0, scaleBoxOptions);
+
+  // slide.slideNumber = { x, y, w, h, ... } の代入も変換する
+  const slideNumber = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(slide), 'slideNumber');
+  if (slideNumber && slideNumber.set) {
+    Object.defineProperty(slide, 'slideNumber', {
+      configurable: true,
+      get() {
+        return slideNumber.get ? slideNumber.get.call(this) : undefined;
+      },
+      set(value) {
+        const scaled = value && typeof value === 'object' && !Array.isArray(value) ? scaleBoxOptions(value, scale) : value;
+        slideNumber.set.call(this, scaled);
+      }
+    });
+  }
+  return slide;
+}
+
+// --- 書き出し時に追加するスライド（src/exportOptions.js の exportOptions） ---
+// exportOptions がない（プレビューなど）ときは従来どおり 16:9・無圧縮・表紙なし・末尾の案内スライドあり
+function resolveExportOptions(exportOptions) {
+  const opts = exportOptions || {};
+  const layout = opts.layout || {};
+  const metadata = opts.metadata || {};
+  const cover = opts.cover || {};
+  const infoSlides = opts.infoSlides || {};
+  const width = layout.width > 0 ? layout.width : LAYOUT_WIDTH;
+  const height = layout.height > 0 ? layout.height : LAYOUT_HEIGHT;
+  return {
+    layout: { width, height },
+    scale: { x: width / LAYOUT_WIDTH, y: height / LAYOUT_HEIGHT },
+    compression: !!exportOptions && opts.compression !== false,
+    metadata: {
+      author: metadata.author || '',
+      company: metadata.company || '',
+      subject: metadata.subject || ''
+    },
+    cover: {
+      template: cover.template || 'none',
+      title: cover.title || '',
+      subtitle: cover.subtitle || '',
+      showDate: !!cover.showDate
+    },
+    infoSlides: {
+      fontNote: infoSlides.fontNote !== false,
+      contact: infoSlides.contact !== false
+    },
+    appendix: Array.isArray(opts.appendix) ? opts.appendix : []
+  };
+}
+
+// 表紙を追加（template: simple は中央揃え、band は左にアクセント色の帯）
+function addCoverSlide(pptx, cover, brand, fileName) {
+  if (!cover || cover.template === 'none') return;
+  const title = cover.title || String(fileName || '').replace(/\.pptx$/i, '');
+  const subtitle = [cover.subtitle, cover.showDate ? new Date().toLocaleDateString('ja-JP') : '']
+    .filter(Boolean)
+    .join('\n');
+  const slide = pptx.addSlide();
+  const band = cover.template === 'band';
+  const x = band ? 1.2 : 0.8;
+  const w = LAYOUT_WIDTH - x - 0.8;
+  const align = band ? 'left' : 'center';
+  if (band) {
+    slide.addShape(pptx.ShapeType ? pptx.ShapeType.rect : 'rect', {
+      x: 0,
+      y: 0,
+      w: 0.45,
+      h: LAYOUT_HEIGHT,
+      fill: { color: brand.accentColor },
+      line: { color: brand.accentColor }
+    });
+  }
+  slide.addText(title, {
+    x,
+    y: 2.4,
+    w,
+    h: 1.4,
+    fontFace: brand.headingFontFace,
+    fontSize: 36,
+    bold: true,
+    color: band ? brand.accentColor : brand.textColor,
+    align,
+    valign: 'bottom'
+  });
+  if (subtitle) {
+    slide.addText(subtitle, {
+      x,
+      y: 3.95,
+      w,
+      h: 1.2,
+      fontFace: brand.fontFace,
+      fontSize: 18,
+      color: brand.textColor,
+      align,
+      valign: 'top'
+    });
+  }
+}
+
+// 付録スライド（免責事項・お問い合わせ先など、タイトルと本文だけのスライド）を追加
+function addAppendixSlide(pptx, appendix, brand) {
+  const slide = pptx.addSlide();
+  if (appendix.title) {
+    slide.addText(appendix.title, {
+      x: 0.36632108486439197,
+      y: 0.3543307086614173,
+      w: 12.598425196850394,
+      h: 0.5901870078740158,
+      fontFace: brand.headingFontFace,
+      fontSize: 22,
+      bold: true,
+      color: brand.textColor
+    });
+  }
+  if (appendix.body) {
+    slide.addText(appendix.body, {
+      x: 0.3663188976377953,
+      y: 1.1,
+      w: 12.598426290463692,
+      h: LAYOUT_HEIGHT - 2,
+      fontFace: brand.fontFace,
+      fontSize: 14,
+      color: brand.textColor,
+      valign: 'top'
+    });
+  }
+}
+
+// フォント埋め込みの注意スライドを追加
+async function addFontNoteSlide(pptx) {
+  const fontNote = pptx.addSlide();
+  try {
+    const imgRes = await fetch(chrome.runtime.getURL('images/IMG_2072.jpeg'));
+    if (!imgRes.ok) {
+      throw new Error(`status ${imgRes.status}`);
+    }
+    const imgBlob = await imgRes.blob();
+    const imgData = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(imgBlob);
+    });
+    if (imgData) {
+      fontNote.addImage({
+        data: imgData,
+        x: 0.45934055118110234,
+        y: 1.6579800962379703,
+        w: 12.238332239720036,
+        h: 5.35167760279965,
+      });
+    }
+  } catch (err) {
+    console.warn('[sandbox] failed to load font note image', err);
+  }
+  fontNote.addText('注意点：フォントの埋め込み', {
+    x: 0.36632108486439197,
+    y: 0.3543307086614173,
+    w: 12.598425196850394,
+    h: 0.5901870078740158,
+    fontFace: DEFAULT_FONT_FACE,
+    fontSize: 22,
+    bold: true,
+  });
+  fontNote.addText('BoxのプレビューやPDFではフォントがRakuten Sans JPから別のフォントに置き換わる。それを避けたい場合は下記の埋め込み設定をしてから保存してください。', {
+    x: 0.3663188976377953,
+    y: 0.923844050743657,
+    w: 12.598426290463692,
+    h: 0.5902777777777778,
+    fontFace: DEFAULT_FONT_FACE,
+    fontSize: 14,
+  });
+}
+
+// 不具合・要望の連絡先とマニュアルの案内スライドを追加
+function addContactSlide(pptx, fontFace) {
+  const fin = pptx.addSlide();
+  fin.addText([
+    { text: '何か不具合や要望ががありましたら' },
+    { text: 'こちら', options: { hyperlink: { url: INQUIRY_URL } } },
+    { text: 'からご連絡ください。\n' },
+    { text: 'また、マニュアルは' },
+    { text: 'こちら', options: { hyperlink: { url: MANUAL_URL } } },
+    { text: 'です。' }
+  ], {
+    x: 1,
+    y: LAYOUT_HEIGHT - 1,
+    w: LAYOUT_WIDTH - 2,
+    fontSize: 14,
+    fontFace,
+    align: 'right',
+  });
+}
+
 window.addEventListener('message', async (e) => {
   if (e.source !== window.parent) return;
   const allowed = ['generate', 'generate-single', 'generate-multi'];
@@ -409,7 +638,7 @@ window.addEventListener('message', async (e) => {
     parentOrigin = e.origin;
   }
   if (e.origin !== parentOrigin) return;
-  const { action, code, codes = [], fileName = 'presentation.pptx', options = {} } = e.data || {};
+  const { action, code, codes = [], fileName = 'presentation.pptx', options = {}, brandKit = null, exportOptions = null } = e.data || {};
   if (!allowed.includes(action)) return;
 
   try {
@@ -417,23 +646,45 @@ window.addEventListener('message', async (e) => {
     // 1) インスタンス生成
     const pptx = new PptxGenJS();
 
-    // 2) カスタムスライドサイズ (16:9)
-    pptx.defineLayout({ name: 'CUSTOM_LAYOUT', width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT });
+    // 2) カスタムスライドサイズ（既定は 16:9、書き出し設定で変更可能）
+    const exportSettings = resolveExportOptions(exportOptions);
+    const { layout, scale, metadata } = exportSettings;
+    pptx.defineLayout({ name: 'CUSTOM_LAYOUT', width: layout.width, height: layout.height });
     pptx.layout = 'CUSTOM_LAYOUT';
 
+    // ドキュメント情報
+    pptx.title = exportSettings.cover.title || String(fileName || '').replace(/\.pptx$/i, '');
+    if (metadata.author) pptx.author = metadata.author;
+    if (metadata.company) pptx.company = metadata.company;
+    if (metadata.subject) pptx.subject = metadata.subject;
+
     // 3) スライドマスター定義
     const logoPath = chrome.runtime && chrome.runtime.getURL ? chrome.runtime.getURL('logo.png') : 'logo.png';
-    defineMasterSlide(pptx, logoPath);
+    defineMasterSlide(pptx, logoPath, brandKit, scale);
+
+    // スニペット内で指定されていないフォント・グラフの色の既定値（ブランドキット）
+    const brandOptions = {
+      fontFace: (brandKit && brandKit.fonts && brandKit.fonts.body) || DEFAULT_FONT_FACE,
+      headingFontFace: (brandKit && brandKit.fonts && brandKit.fonts.heading) || DEFAULT_FONT_FACE,
+      chartColors: (brandKit && brandKit.palette && brandKit.palette.chartColors) || []
+    };
+    // 表紙・付録スライドで使う色
+    const slideColors = {
+      textColor: (brandKit && brandKit.palette && brandKit.palette.text) || '000000',
+      accentColor: (brandKit && brandKit.palette && brandKit.palette.accent) || 'BF0000'
+    };
 
-    // 4) addSlide をラップしてマスタースライドを自動適用
+    // 4) addSlide をラップしてマスタースライドを自動適用（16:9 以外では位置・大きさも変換）
     const originalAddSlide = pptx.addSlide.bind(pptx);
+    const needsScale = scale.x !== 1 || scale.y !== 1;
     pptx.addSlide = (options = {}) => {
       if (typeof options === 'string') {
         options = { masterName: options };
       } else if (typeof options === 'object' && !options.masterName) {
         options.masterName = MASTER_SLIDE_TITLE;
       }
-      return originalAddSlide(options);
+      const slide = originalAddSlide(options);
+      return needsScale ? applyLayoutScale(slide, scale) : slide;
     };
 
 
@@ -457,20 +708,33 @@ window.addEventListener('message', async (e) => {
       console.warn('[sandbox] failed to wrap addChart', err);
     }
 
+    // 表紙（ユーザーのスライドより前）
+    try {
+      addCoverSlide(pptx, exportSettings.cover, { ...brandOptions, ...slideColors }, fileName);
+    } catch (err) {
+      console.warn('[sandbox] failed to add cover slide', err);
+    }
+
     // 5) ユーザーコード実行
     // console.log('[sandbox] executing user code');
+    const failures = [];
+    const report = [];
     if (action === 'generate-multi') {
       const arr = Array.isArray(codes) ? codes : [];
-      for (const snip of arr) {
+      for (const [index, snip] of arr.entries()) {
+        let processed = '';
         try {
           const sanitized = sanitizeSnippet(snip);
-          const processed = await replaceGetUrls(sanitized);
+          processed = await replaceGetUrls(sanitized);
           if (!isSafeCode(processed)) {
             throw new Error('Unsafe code detected');
           }
-            await runPptxFromSnippet(processed, { pptx });
+          const result = await runPptxFromSnippetWithReport(processed, { pptx, ...brandOptions });
+          result.report.forEach(entry => report.push({ snippet: index + 1, ...entry }));
         } catch (err) {
           console.error('[sandbox] snippet error', err);
+          const diagnostics = snippetDiagnostics(processed);
+          failures.push({ snippet: index + 1, message: err.message || String(err), diagnostics });
           try {
             const errSlide = pptx.addSlide();
             errSlide.addText('エラーが起きてこのスライドの作成に失敗しました。', {
@@ -478,17 +742,20 @@ window.addEventListener('message', async (e) => {
               y: 0.5,
               w: LAYOUT_WIDTH - 1,
               h: 1,
-              fontFace: DEFAULT_FONT_FACE,
+              fontFace: brandOptions.fontFace,
               fontSize: 18,
               color: 'FF0000',
               bold: true,
             });
-            errSlide.addText(err.message || String(err), {
+            const details = diagnostics.length
+              ? `${err.message || String(err)}\n\n${window.formatPptxDiagnostics(diagnostics.slice(0, 8))}`
+              : (err.message || String(err));
+            errSlide.addText(details, {
               x: 0.5,
               y: 1.5,
               w: LAYOUT_WIDTH - 1,
               h: LAYOUT_HEIGHT - 2,
-              fontFace: DEFAULT_FONT_FACE,
+              fontFace: brandOptions.fontFace,
               fontSize: 14,
               color: '000000',
             });
@@ -500,88 +767,49 @@ window.addEventListener('message', async (e) => {
       }
     } else {
       const processed = await replaceGetUrls(code);
-      if (!isSafeCode(processed)) {
-        throw new Error('Unsafe code detected');
+      try {
+        if (!isSafeCode(processed)) {
+          throw new Error('Unsafe code detected');
+        }
+        const result = await runPptxFromSnippetWithReport(processed, { pptx, ...brandOptions });
+        report.push(...result.report);
+      } catch (err) {
+        err.diagnostics = snippetDiagnostics(processed);
+        throw err;
       }
-        await runPptxFromSnippet(processed, { pptx });
         normalizeColors(pptx);
     }
 
     // --- append additional slides ---
-    try {
-      const fontNote = pptx.addSlide();
+    for (const appendix of exportSettings.appendix) {
       try {
-        const imgRes = await fetch(chrome.runtime.getURL('images/IMG_2072.jpeg'));
-        if (!imgRes.ok) {
-          throw new Error(`status ${imgRes.status}`);
-        }
-        const imgBlob = await imgRes.blob();
-        const imgData = await new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = () => resolve(reader.result);
-          reader.onerror = () => resolve(null);
-          reader.readAsDataURL(imgBlob);
-        });
-        if (imgData) {
-          fontNote.addImage({
-            data: imgData,
-            x: 0.45934055118110234,
-            y: 1.6579800962379703,
-            w: 12.238332239720036,
-            h: 5.35167760279965,
-          });
-        }
+        addAppendixSlide(pptx, appendix, { ...brandOptions, ...slideColors });
       } catch (err) {
-        console.warn('[sandbox] failed to load font note image', err);
+        console.warn('[sandbox] failed to add appendix slide', err);
+      }
+    }
+    try {
+      if (exportSettings.infoSlides.fontNote) {
+        await addFontNoteSlide(pptx);
+      }
+      if (exportSettings.infoSlides.contact) {
+        addContactSlide(pptx, brandOptions.fontFace);
       }
-      fontNote.addText('注意点：フォントの埋め込み', {
-        x: 0.36632108486439197,
-        y: 0.3543307086614173,
-        w: 12.598425196850394,
-        h: 0.5901870078740158,
-        fontFace: DEFAULT_FONT_FACE,
-        fontSize: 22,
-        bold: true,
-      });
-      fontNote.addText('BoxのプレビューやPDFではフォントがRakuten Sans JPから別のフォントに置き換わる。それを避けたい場合は下記の埋め込み設定をしてから保存してください。', {
-        x: 0.3663188976377953,
-        y: 0.923844050743657,
-        w: 12.598426290463692,
-        h: 0.5902777777777778,
-        fontFace: DEFAULT_FONT_FACE,
-        fontSize: 14,
-      });
-
-      const fin = pptx.addSlide();
-      fin.addText([
-        { text: '何か不具合や要望ががありましたら' },
-        { text: 'こちら', options: { hyperlink: { url: INQUIRY_URL } } },
-        { text: 'からご連絡ください。\n' },
-        { text: 'また、マニュアルは' },
-        { text: 'こちら', options: { hyperlink: { url: MANUAL_URL } } },
-        { text: 'です。' }
-      ], {
-        x: 1,
-        y: LAYOUT_HEIGHT - 1,
-        w: LAYOUT_WIDTH - 2,
-        fontSize: 14,
-        fontFace: DEFAULT_FONT_FACE,
-        align: 'right',
-      });
     } catch (e) {
       console.warn('[sandbox] failed to add final slide', e);
     }
 
-    // 6) Blob 生成 (compression: 'STORE' で圧縮なし)
+    // 6) Blob 生成（書き出し設定がなければ compression: 'STORE' で圧縮なし）
     // console.log('[sandbox] writing pptx to blob');
-    const blob = await writeWithFallback(pptx, options);
+    const blob = await writeWithFallback(pptx, exportSettings.compression || options.compression === 'DEFLATE');
+    const summary = window.summarizePptxReport(report);
 
     if (action === 'generate-single') {
-      safePostMessage({ action: 'single-generated', blob });
+      safePostMessage({ action: 'single-generated', blob, report, summary });
       return;
     }
     if (action === 'generate-multi') {
-      safePostMessage({ action: 'multi-generated', blob });
+      safePostMessage({ action: 'multi-generated', blob, failures, report, summary });
       return;
     }
 
@@ -595,7 +823,7 @@ window.addEventListener('message', async (e) => {
   };
   fr.onload = () => {
     // console.log('[sandbox] file reader done');
-    safePostMessage({ action: 'done', dataURL: fr.result, fileName });
+    safePostMessage({ action: 'done', dataURL: fr.result, fileName, report, summary });
   };
   fr.onerror = (err) => {
     console.error('[sandbox] file reader error', err);
@@ -608,6 +836,6 @@ window.addEventListener('message', async (e) => {
   fr.readAsDataURL(blob);
   } catch (err) {
     console.error('[sandbox] generation error', err);
-    safePostMessage({ action: 'error', message: err.message });
+    safePostMessage({ action: 'error', message: err.message, diagnostics: err.diagnostics || [] });
   }
 });
@@ -0,0 +1,425 @@
+/**
+ * ファイル名: server/mockApiServer.js
+ * 説明:
+ *   API 経由の生成（POST /generate-pptx）を手元で試すための Node 製の参照サーバー。
+ *   API設定の接続先「ローカル（開発用サーバー）」（http://localhost:8787）から使う。ネットワークに接続していなくても動く。
+ *
+ * 概要:
+ *   - スニペットは sandbox と同じ safePptxExecutor.js（許可されたメソッドだけを実行する）を vm に読み込んで実行する。
+ *     実行前の検査（checkSnippetSafety）と、new PptxGenJS / pptx.write の行を取り除く前処理も sandbox と同じ。
+ *   - chrome.runtime.getURL('icon/...?color=...') はリポジトリ内のアイコンを読み込んで data URL に置き換える（外部への通信はしない）。
+ *   - payload.brandKit のフォント・グラフの色と、payload.exportOptions の圧縮・ドキュメント情報を反映する。
+ *     マスタースライド・表紙・付録・末尾の案内スライド・16:9 以外のスライドサイズは sandbox（pptx-runner.js）だけが対応している。
+ *   - レスポンスは本番と同じ { data: Base64, filename, mimeType } に、実行結果の report を加えたもの。
+ *     X-Client-IP ヘッダーで接続元のアドレスを返す（API設定の「IPアドレスを確認」用）。
+ *   - POST /validate-key … APIキーの検証。有効なら 200 { valid: true, expiresAt }、
+ *     使えないキーは 401 { reason: invalid|expired|revoked }、IP制限は 403 { reason: 'ip_blocked', ip }（ほかのエンドポイントも同じ）。
+ *   - ジョブAPI（大きな資料向けの非同期生成）にも対応する。
+ *       POST /jobs             … /generate-pptx と同じボディで受け付け、202 { jobId, status, progress, pollAfterMs }
+ *       GET /jobs/:id          … { jobId, status: queued|running|succeeded|failed|canceled, progress: { completed, total }, error? }
+ *       GET /jobs/:id/result   … 完了したジョブの結果（/generate-pptx と同じ形。未完了なら 409）
+ *       DELETE /jobs/:id       … キャンセル
+ *     progress.total はスニペット内の addSlide の数（ループで増える場合は作成済みの数に合わせる）。
+ *
+ * 使い方:
+ *   node server/mockApiServer.js
+ *   環境変数 PORT（既定 8787）、HOST（既定 127.0.0.1）、MOCK_API_KEY（指定した場合だけ X-API-Key を照合する。省略時は空でないキーを受け付ける）、
+ *   MOCK_EXPIRED_API_KEYS / MOCK_REVOKED_API_KEYS（期限切れ・無効化として扱うキー、カンマ区切り）、
+ *   MOCK_BLOCKED_IPS（IP制限で拒否するアドレス、カンマ区切り）、MOCK_API_KEY_EXPIRES_AT（/validate-key が返す有効期限）、
+ *   MOCK_JOB_DELAY_MS（ジョブを順番待ちにしておく時間。進捗表示やキャンセルの確認用、既定 0）
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const PptxGenJS = require('pptxgenjs');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const LAYOUT_WIDTH = 13.33;
+const LAYOUT_HEIGHT = 7.5;
+const DEFAULT_FONT_FACE = 'Rakuten Sans JP';
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+// ジョブの状態確認の間隔の目安と、ジョブを保持する時間
+const JOB_POLL_AFTER_MS = 500;
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+// getURL で読み込めるファイル（拡張機能のルートと sandbox/ の下を探す）
+const ASSET_DIRS = [ROOT_DIR, path.join(ROOT_DIR, 'sandbox')];
+const ASSET_TYPES = { '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+const FALLBACK_ICON_PATH = 'icon/solid/square.svg';
+
+// safePptxExecutor.js を sandbox と同じファイルのまま読み込む（window の代わりに vm のコンテキストを使う）
+function loadExecutor() {
+  const context = { console, PptxGenJS, URL, URLSearchParams, setTimeout, clearTimeout };
+  context.window = context;
+  vm.createContext(context);
+  const source = fs.readFileSync(path.join(ROOT_DIR, 'safePptxExecutor.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'safePptxExecutor.js' });
+  return context;
+}
+
+const executor = loadExecutor();
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 拡張機能内のファイルのパスを実際のファイルに変換する（ルートの外と画像以外は読まない）
+function resolveAssetPath(relPath) {
+  const ext = path.extname(relPath).toLowerCase();
+  if (!ASSET_TYPES[ext] || path.isAbsolute(relPath)) return null;
+  for (const dir of ASSET_DIRS) {
+    const file = path.resolve(dir, relPath);
+    if (file.startsWith(dir + path.sep) && fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// アイコン画像を DataURL に変換（SVG は color を fill に設定する）
+function loadIcon(relPath, colorHex) {
+  const file = resolveAssetPath(relPath);
+  if (!file) return null;
+  const type = ASSET_TYPES[path.extname(file).toLowerCase()];
+  let data = fs.readFileSync(file);
+  if (type === 'image/svg+xml' && colorHex) {
+    const doc = new DOMParser().parseFromString(data.toString('utf8'), 'image/svg+xml');
+    if (doc && doc.documentElement) {
+      doc.documentElement.setAttribute('fill', colorHex);
+      data = Buffer.from(new XMLSerializer().serializeToString(doc), 'utf8');
+    }
+  }
+  return `data:${type};base64,${data.toString('base64')}`;
+}
+
+// コード内の chrome.runtime.getURL 呼び出しを画像の DataURL に置き換える（pptx-runner.js の replaceGetUrls と同じ規則）
+function replaceGetUrls(code) {
+  return code.replace(/chrome\.runtime\.getURL\(\s*(['"])([^'"\)]+)\1\s*\)/g, (match, quote, original) => {
+    const [relPath, query] = original.split('?');
+    const color = new URLSearchParams(query || '').get('color');
+    const colorHex = color ? (color.startsWith('#') ? color : `#${color}`) : null;
+    const dataUrl = loadIcon(relPath, colorHex) || loadIcon(FALLBACK_ICON_PATH, colorHex);
+    return dataUrl ? `'${dataUrl}'` : match;
+  });
+}
+
+// 危険な文字列を除去してから実行（pptx-runner.js の sanitizeSnippet と同じ）
+function sanitizeSnippet(code) {
+  return (code || '')
+    .split('\n')
+    .map(line => {
+      const t = line.trim();
+      if (/new\s+PptxGenJS\b/.test(t)) return '';
+      if (/pptx\.write(File)?\b/.test(t)) return '';
+      return line;
+    })
+    .join('\n');
+}
+
+function snippetDiagnostics(code) {
+  try {
+    return executor.validatePptxSnippet(code).diagnostics;
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * スニペットから PPTX を生成する
+ * @param {string} script PptxGenJS のコード
+ * @param {{ brandKit?: object, exportOptions?: object }} payload
+ * @param {{ onSlide?: (count: number) => void }} [hooks] onSlide はスライドを追加するたびに作成済みの枚数で呼ばれる
+ * @returns {Promise<{ buffer: Buffer, report: Array<object> }>}
+ */
+async function generatePptx(script, payload = {}, { onSlide } = {}) {
+  const brandKit = payload.brandKit || null;
+  const exportOptions = payload.exportOptions || null;
+  const processed = replaceGetUrls(sanitizeSnippet(script));
+  const problems = executor.checkSnippetSafety(processed);
+  if (problems.length) {
+    throw new HttpError(400, 'Unsafe code detected', { diagnostics: snippetDiagnostics(processed) });
+  }
+
+  const pptx = new PptxGenJS();
+  pptx.defineLayout({ name: 'CUSTOM_LAYOUT', width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT });
+  pptx.layout = 'CUSTOM_LAYOUT';
+  const metadata = (exportOptions && exportOptions.metadata) || {};
+  if (metadata.author) pptx.author = metadata.author;
+  if (metadata.company) pptx.company = metadata.company;
+  if (metadata.subject) pptx.subject = metadata.subject;
+
+  // Node の PptxGenJS は path をファイルとして読むため、data URL は data で渡す
+  const originalAddSlide = pptx.addSlide.bind(pptx);
+  let slideCount = 0;
+  pptx.addSlide = (options) => {
+    const slide = originalAddSlide(options);
+    slideCount++;
+    if (onSlide) onSlide(slideCount);
+    const originalAddImage = slide.addImage.bind(slide);
+    slide.addImage = (opts = {}) => {
+      if (typeof opts.path === 'string' && opts.path.startsWith('data:')) {
+        const { path: dataUrl, ...rest } = opts;
+        return originalAddImage({ ...rest, data: dataUrl });
+      }
+      return originalAddImage(opts);
+    };
+    return slide;
+  };
+
+  const fonts = (brandKit && brandKit.fonts) || {};
+  const palette = (brandKit && brandKit.palette) || {};
+  let result;
+  try {
+    result = await executor.runPptxFromSnippetWithReport(processed, {
+      pptx,
+      fontFace: fonts.body || DEFAULT_FONT_FACE,
+      headingFontFace: fonts.heading || DEFAULT_FONT_FACE,
+      chartColors: palette.chartColors || []
+    });
+  } catch (err) {
+    throw new HttpError(400, err.message || String(err), { diagnostics: snippetDiagnostics(processed) });
+  }
+
+  // 書き出し設定がなければ sandbox と同じく圧縮しない
+  const compression = !!(exportOptions && exportOptions.compression);
+  const buffer = await pptx.write({ outputType: 'nodebuffer', compression });
+  return { buffer, report: result.report };
+}
+
+// リクエストボディを読み込む（MAX_BODY_BYTES を超えたら 413）
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // 残りは読み捨てて 413 を返せるようにする
+        req.off('data', onData);
+        req.resume();
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// 接続元の IP とAPIキーを確かめる（本番と同じく、IP制限は 403、キーが使えない場合は 401 と reason を返す）
+function checkApiKey(req, { apiKey, expiredKeys, revokedKeys, blockedIps }) {
+  const clientIp = req.socket.remoteAddress || '';
+  if (blockedIps.includes(clientIp) || blockedIps.includes(clientIp.replace(/^::ffff:/, ''))) {
+    throw new HttpError(403, `Access denied: IP ${clientIp} is not allowed`, { reason: 'ip_blocked', ip: clientIp });
+  }
+  const key = req.headers['x-api-key'] || '';
+  if (expiredKeys.includes(key)) {
+    throw new HttpError(401, 'API key has expired', { reason: 'expired' });
+  }
+  if (revokedKeys.includes(key)) {
+    throw new HttpError(401, 'API key has been revoked', { reason: 'revoked' });
+  }
+  if ((apiKey && key !== apiKey) || !key) {
+    throw new HttpError(401, 'Invalid API key', { reason: 'invalid' });
+  }
+}
+
+// APIキーの検証（拡張機能の API設定で保存する前に呼ばれる）
+function handleValidateKey(req, res, auth) {
+  checkApiKey(req, auth);
+  req.resume();
+  sendJson(res, 200, { valid: true, expiresAt: auth.keyExpiresAt || null }, { 'X-Client-IP': req.socket.remoteAddress || '' });
+}
+
+// /generate-pptx と /jobs のリクエストボディを読み込んで検証する
+async function readGenerateRequest(req) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (e) {
+    if (e instanceof HttpError) throw e;
+    throw new HttpError(400, 'Request body must be JSON');
+  }
+  if (!body || typeof body.script !== 'string') {
+    throw new HttpError(400, 'script is required');
+  }
+  return {
+    script: body.script,
+    filename: typeof body.filename === 'string' && body.filename ? body.filename : 'presentation.pptx',
+    payload: body.payload || {}
+  };
+}
+
+function buildResult({ buffer, report }, filename) {
+  return {
+    success: true,
+    data: buffer.toString('base64'),
+    filename,
+    mimeType: PPTX_MIME_TYPE,
+    report
+  };
+}
+
+async function handleGeneratePptx(req, res, auth) {
+  checkApiKey(req, auth);
+  const { script, filename, payload } = await readGenerateRequest(req);
+  const result = await generatePptx(script, payload);
+  sendJson(res, 200, buildResult(result, filename), { 'X-Client-IP': req.socket.remoteAddress || '' });
+}
+
+function createJobId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function jobStatus(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: { completed: job.completed, total: job.total },
+    pollAfterMs: JOB_POLL_AFTER_MS,
+    ...(job.error ? { error: job.error } : {})
+  };
+}
+
+// ジョブを実行する（キャンセルされていたら結果を捨てる）
+async function runJob(job, { script, filename, payload }, delayMs) {
+  if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+  if (job.status === 'canceled') return;
+  job.status = 'running';
+  try {
+    const result = await generatePptx(script, payload, {
+      onSlide: (count) => {
+        job.completed = count;
+        job.total = Math.max(job.total, count);
+      }
+    });
+    if (job.status === 'canceled') return;
+    job.result = buildResult(result, filename);
+    job.completed = job.total;
+    job.status = 'succeeded';
+  } catch (err) {
+    if (job.status === 'canceled') return;
+    job.status = 'failed';
+    job.error = err.message || String(err);
+  }
+}
+
+async function handleJobs(req, res, pathname, { auth, jobs, jobDelayMs }) {
+  checkApiKey(req, auth);
+  // 古いジョブを片付ける
+  const now = Date.now();
+  jobs.forEach((job, id) => {
+    if (now - job.createdAt > JOB_TTL_MS) jobs.delete(id);
+  });
+
+  if (pathname === '/jobs') {
+    if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+    const request = await readGenerateRequest(req);
+    const job = {
+      id: createJobId(),
+      status: 'queued',
+      completed: 0,
+      total: (request.script.match(/\.addSlide\s*\(/g) || []).length,
+      createdAt: now,
+      result: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+    runJob(job, request, jobDelayMs);
+    sendJson(res, 202, jobStatus(job), { 'X-Client-IP': req.socket.remoteAddress || '' });
+    return;
+  }
+
+  const [, id, sub] = pathname.match(/^\/jobs\/([^/]+)(?:\/(result))?$/) || [];
+  const job = id && jobs.get(decodeURIComponent(id));
+  if (!job) throw new HttpError(404, 'Job not found');
+  if (sub === 'result') {
+    if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+    if (job.status !== 'succeeded') throw new HttpError(409, `Job is ${job.status}`);
+    sendJson(res, 200, job.result);
+  } else if (req.method === 'GET') {
+    sendJson(res, 200, jobStatus(job));
+  } else if (req.method === 'DELETE') {
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'canceled';
+    }
+    sendJson(res, 200, jobStatus(job));
+  } else {
+    throw new HttpError(405, 'Method not allowed');
+  }
+}
+
+/**
+ * 参照サーバーを作成する（listen は呼び出し側で行う）
+ * @param {object} [options]
+ * @param {string} [options.apiKey] 指定した場合はこのキーだけを受け付ける（省略時は空でないキーなら受け付ける）
+ * @param {string[]} [options.expiredKeys] 期限切れとして扱うキー
+ * @param {string[]} [options.revokedKeys] 無効化されたものとして扱うキー
+ * @param {string[]} [options.blockedIps] IP制限で拒否する接続元のアドレス
+ * @param {string} [options.keyExpiresAt] /validate-key が返すキーの有効期限（ISO 8601）
+ * @param {number} [options.jobDelayMs] ジョブを順番待ちにしておく時間
+ * @returns {http.Server}
+ */
+function createMockApiServer({ apiKey = '', expiredKeys = [], revokedKeys = [], blockedIps = [], keyExpiresAt = '', jobDelayMs = 0 } = {}) {
+  const jobs = new Map();
+  const auth = { apiKey, expiredKeys, revokedKeys, blockedIps, keyExpiresAt };
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && pathname === '/health') {
+        sendJson(res, 200, { status: 'ok' });
+      } else if (req.method === 'POST' && pathname === '/generate-pptx') {
+        await handleGeneratePptx(req, res, auth);
+      } else if (req.method === 'POST' && pathname === '/validate-key') {
+        handleValidateKey(req, res, auth);
+      } else if (pathname === '/jobs' || pathname.startsWith('/jobs/')) {
+        await handleJobs(req, res, pathname, { auth, jobs, jobDelayMs });
+      } else {
+        throw new HttpError(404, 'Not found');
+      }
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error('[Mock API] generation error', err);
+      sendJson(res, status, { success: false, error: err.message, message: err.message, ...(err.details || {}) });
+    }
+    console.log(`[Mock API] ${req.method} ${pathname} ${res.statusCode}`);
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const host = process.env.HOST || DEFAULT_HOST;
+  createMockApiServer({
+    apiKey: process.env.MOCK_API_KEY || '',
+    expiredKeys: parseList(process.env.MOCK_EXPIRED_API_KEYS),
+    revokedKeys: parseList(process.env.MOCK_REVOKED_API_KEYS),
+    blockedIps: parseList(process.env.MOCK_BLOCKED_IPS),
+    keyExpiresAt: process.env.MOCK_API_KEY_EXPIRES_AT || '',
+    jobDelayMs: Number(process.env.MOCK_JOB_DELAY_MS) || 0
+  }).listen(port, host, () => {
+    console.log(`[Mock API] listening on http://${host}:${port}`);
+  });
+}
+
+module.exports = { createMockApiServer, generatePptx };
@@ -5,21 +5,34 @@
  *   プレビュー/パワポ変換拡張機能のpopup.jsと同じロジックを使用。
  *
  * 主な機能:
- *   - APIキーの保存・読み込み・削除
- *   - API URL設定
- *   - /generate-pptx エンドポイントへのリクエスト送信
+ *   - APIキーの保存・読み込み・削除（接続先のプロファイルごと。既定のキーで代用することはしない）
+ *   - APIキーの検証（POST /validate-key で有効・期限切れ・失効・IP制限を確認する）
+ *   - 接続先のURLは apiEndpoints.js で選択中のプロファイル（本番・ステージング・ローカル）から取得
+ *   - /generate-pptx エンドポイントへのリクエスト送信（buildGeneratePayload で payload.brandKit に保存済みのブランドキット、
+ *     payload.exportOptions に書き出し設定（ファイル名以外のサイズ・圧縮・ドキュメント情報・追加スライド）を付与）
+ *   - ジョブAPI（POST /jobs → 状態確認 → 結果取得）による生成と、スライドごとの進捗通知・キャンセル
+ *     （ジョブに対応していないサーバーでは従来の同期の POST /generate-pptx に切り替え、そのページを開いている間は接続先ごとに覚えておく）
  *   - Base64レスポンスをBlobに変換してダウンロード
+ *     大きなデータは background から "api-transfer" ポートで分割して受け取り、分割したまま Blob にする（readResponseBlob）
+ *   - 失敗の種類を error.kind（network / auth / ip / server / timeout / config / request）と error.status で返す
+ *     （分類と再試行・sandbox への切り替えは exportOrchestrator.js）
  *
  * セキュリティ:
  *   - TLS/HTTPS暗号化のみに依存（アプリレベル暗号化は削除）
- *   - APIキーはchrome.storage.localに保存（OSレベルで暗号化）
+ *   - APIキーは storage.js の secureStorage（AES-GCM）で暗号化して chrome.storage.local に保存（暗号化・復号は background.js で行い、暗号鍵は content script に渡さない）
  *   - IP制限（サーバー側でRakuten INTRA限定）
  */
 
+import { loadBrandKit } from './brandKit.js';
+import { loadExportOptions } from './exportOptions.js';
+import { getApiBaseUrl, loadApiEndpointSettings, resolveApiEndpoint } from './apiEndpoints.js';
+import { loadApiKey, saveApiKey as storeApiKey, clearApiKey as removeApiKey } from './storage.js';
+
+export { getApiBaseUrl };
+
 // API設定
 export const API_CONFIG = {
-  // APIサーバーのURL
-  API_BASE_URL: 'https://powerpoint-genai-test-854259963531.asia-northeast1.run.app',
+  // APIサーバーのURLは getApiBaseUrl()（API設定で選んだプロファイル）から取得する
 
   // 拡張機能のID（実行時に自動取得）
   // manifest.jsonのkeyフィールドから生成される: mnfcpmjknacajphhdlepejbcbnkllccg
@@ -30,12 +43,15 @@ export const API_CONFIG = {
     return 'mnfcpmjknacajphhdlepejbcbnkllccg'; // フォールバック
   },
 
-  // APIキーはchrome.storageから動的に取得
+  // APIキーは接続先のプロファイルごとに secureStorage から取得（getApiKey）
   API_KEY: null,
 
   // リクエストタイムアウト（5分）
   REQUEST_TIMEOUT: 300000,
 
+  // ジョブAPIを使う（false の場合は常に同期の /generate-pptx）
+  USE_JOBS: true,
+
   // デバッグモード
   DEBUG: true,
 };
@@ -60,17 +76,17 @@ function sendMessageToBackground(message) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(message, (response) => {
       if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
+        reject(createApiError(chrome.runtime.lastError.message, 'network'));
         return;
       }
 
       if (!response) {
-        reject(new Error('No response from background service worker'));
+        reject(createApiError('No response from background service worker', 'network'));
         return;
       }
 
       if (!response.success) {
-        reject(new Error(response.error?.message || 'Unknown error'));
+        reject(createApiError(response.error?.message || 'Unknown error', backgroundErrorKind(response.error)));
         return;
       }
 
@@ -80,243 +96,327 @@ function sendMessageToBackground(message) {
 }
 
 /**
- * APIキーをchrome.storage.localから取得
- * @returns {Promise<string|null>} APIキー、または null
+ * 失敗の種類つきのエラーを作成
+ * @param {string} message - メッセージ
+ * @param {string} kind - 'network' | 'auth' | 'ip' | 'server' | 'timeout' | 'config' | 'request'
+ * @param {number} [status] - HTTPステータス
+ * @returns {Error}
  */
-export async function getApiKey() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['pptx_api_key'], (result) => {
-      // ⚠️ テスト用デフォルトAPIキー（本番環境では削除してください）
-      // TODO: 本番デプロイ前に必ずこの行を削除すること
-      const DEFAULT_TEST_API_KEY = '9f3ab843049f894c01ab18d2715a92c21522c32803747405f8197b80c82a10a2';
+function createApiError(message, kind, status = 0) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.status = status;
+  return error;
+}
 
-      // ストレージにAPIキーがない場合、デフォルトキーを返す
-      const apiKey = result.pptx_api_key || DEFAULT_TEST_API_KEY;
+// background から届いたエラーの種類（レスポンスが大きすぎる場合は再試行しても直らない）
+function backgroundErrorKind(error) {
+  if (error?.name === 'TimeoutError') return 'timeout';
+  if (error?.name === 'ResponseTooLargeError') return 'request';
+  return 'network';
+}
 
-      resolve(apiKey);
-    });
-  });
+// 403 のエラーメッセージが IP制限によるものか（checkCurrentIp と同じくサーバーのメッセージから判断する）
+function isIpRestrictionMessage(message) {
+  const lower = String(message || '').toLowerCase();
+  return ['ip', 'allowed', 'restricted', 'unauthorized', 'network', 'intra'].some(word => lower.includes(word));
+}
+
+// APIキーの検証結果（validateApiKey の reason）ごとの説明
+const API_KEY_MESSAGES = {
+  valid: 'APIキーは有効です',
+  missing: 'APIキーが設定されていません。',
+  invalid: 'APIキーが正しくありません。',
+  expired: 'APIキーの有効期限が切れています。管理者に新しいAPIキーを発行してもらってください。',
+  revoked: 'APIキーは無効化されています。管理者に新しいAPIキーを発行してもらってください。',
+  ip: 'IP制限により、このネットワークからはAPIを利用できません。社内ネットワークから接続してください。',
+  unsupported: '接続先のサーバーがAPIキーの検証に対応していないため、確認できませんでした。',
+  network: 'APIサーバーに接続できなかったため、APIキーを確認できませんでした。',
+  server: 'APIサーバーでエラーが発生したため、APIキーを確認できませんでした。',
+  config: '接続先が設定されていません。'
+};
+
+// 401 / 403 のボディの reason から、APIキーが使えない理由を決める
+function apiKeyFailureReason(errorData) {
+  const reason = errorData && errorData.reason;
+  return ['expired', 'revoked'].includes(reason) ? reason : 'invalid';
+}
+
+// キャンセルされたときのエラー
+function createAbortError() {
+  const error = new Error('生成をキャンセルしました');
+  error.name = 'AbortError';
+  return error;
 }
 
 /**
- * APIキーをchrome.storage.localに保存
- * @param {string} apiKey - 保存するAPIキー
- * @returns {Promise<void>}
+ * Background service workerのポート経由でジョブを実行
+ * @param {{ baseUrl: string, headers: Object, body: string }} request - ジョブの送信内容
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} options
+ *   onProgress({ status, completed, total }) はジョブの状態が届くたびに呼ばれる
+ * @returns {Promise<{ unsupported: boolean, response?: Object }>} ジョブ非対応のサーバーでは unsupported: true
  */
-export async function saveApiKey(apiKey) {
-  return new Promise((resolve) => {
-    chrome.storage.local.set({ pptx_api_key: apiKey }, () => {
-      log('APIキーを保存しました');
-      resolve();
+function runApiJob(request, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const port = chrome.runtime.connect({ name: 'api-job' });
+    let settled = false;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      port.disconnect();
+      callback();
+    };
+    // ポートを切断すると background がジョブのキャンセルを送る
+    const onAbort = () => finish(() => reject(createAbortError()));
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    port.onMessage.addListener((msg) => {
+      if (!msg) return;
+      if (msg.type === 'progress') {
+        log('ジョブの状態:', msg.jobId, msg.status, msg.progress);
+        if (onProgress) {
+          const progress = msg.progress || {};
+          onProgress({ status: msg.status, completed: progress.completed, total: progress.total });
+        }
+      } else if (msg.type === 'unsupported') {
+        finish(() => resolve({ unsupported: true }));
+      } else if (msg.type === 'response') {
+        finish(() => resolve({ unsupported: false, response: msg.response }));
+      } else if (msg.type === 'canceled') {
+        finish(() => reject(createAbortError()));
+      } else if (msg.type === 'failed') {
+        // スニペットの誤りなど、同じ内容で再試行しても直らない失敗として扱う
+        finish(() => reject(createApiError(`サーバーでの生成に失敗しました: ${msg.error?.message || '詳細不明'}`, 'request')));
+      } else if (msg.type === 'error') {
+        finish(() => reject(createApiError(msg.error?.message || 'Unknown error', backgroundErrorKind(msg.error))));
+      }
     });
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(createApiError(chrome.runtime.lastError?.message || 'Background service worker disconnected', 'network')));
+    });
+    port.postMessage({ action: 'start', ...request });
   });
 }
 
+// base64 を Uint8Array に変換（大きな Array を作らない）
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
- * APIキーをchrome.storage.localから削除
- * @returns {Promise<void>}
+ * background が預かった大きなデータを "api-transfer" ポートで分割して受け取る
+ * @param {string} id - レスポンスの transfer.id
+ * @param {{ signal?: AbortSignal }} options
+ * @returns {Promise<Uint8Array[]>} 分割したままのデータ
  */
-export async function clearApiKey() {
-  return new Promise((resolve) => {
-    chrome.storage.local.remove(['pptx_api_key'], () => {
-      log('APIキーをクリアしました');
-      resolve();
+function receiveTransfer(id, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const port = chrome.runtime.connect({ name: 'api-transfer' });
+    const parts = [];
+    let settled = false;
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      port.disconnect();
+      callback();
+    };
+    const onAbort = () => finish(() => reject(createAbortError()));
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    port.onMessage.addListener((msg) => {
+      if (!msg) return;
+      if (msg.type === 'chunk') {
+        parts.push(base64ToBytes(msg.data));
+        // 受け取ったら次を求める
+        port.postMessage({ action: 'next' });
+      } else if (msg.type === 'end') {
+        finish(() => resolve(parts));
+      } else if (msg.type === 'error') {
+        finish(() => reject(createApiError(msg.error?.message || 'Unknown error', backgroundErrorKind(msg.error))));
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(createApiError(chrome.runtime.lastError?.message || 'Background service worker disconnected', 'network')));
     });
+    port.postMessage({ action: 'start', id });
   });
 }
 
 /**
- * API経由でパワーポイントを生成してダウンロード
- *
- * @param {string} script - pptxgenjsコード
- * @param {string} filename - ファイル名（デフォルト: 'presentation.pptx'）
- * @param {Object} payload - 追加データ（オプション）
- * @returns {Promise<void>}
- * @throws {Error} APIキーが未設定、認証エラー、ネットワークエラーなど
+ * background の api-fetch（またはジョブ）のレスポンスから PPTX の Blob を作る
+ * @param {Object} responseData - background が返したレスポンス（大きなデータは transfer.id だけが入っている）
+ * @param {{ signal?: AbortSignal }} options - キャンセル用のシグナル（オプション）
+ * @returns {Promise<Blob>}
+ * @throws {Error} レスポンスにデータがない場合
  */
-export async function generatePptxViaApi(script, filename = 'presentation.pptx', payload = {}) {
-  log('API経由でパワーポイント生成を開始');
-
-  // 1. APIキーを確認
-  const apiKey = await getApiKey();
-
-  if (!apiKey) {
-    throw new Error('APIキーが設定されていません。設定画面からAPIキーを入力してください。');
+export async function readResponseBlob(responseData, { signal } = {}) {
+  const data = (typeof responseData.data === 'object' && responseData.data) ? responseData.data : {};
+  let parts;
+  if (responseData.transfer) {
+    log('分割してデータを受信します:', responseData.transfer.size, 'bytes');
+    parts = await receiveTransfer(responseData.transfer.id, { signal });
+  } else if (data.data) {
+    parts = [base64ToBytes(data.data)];
+  } else {
+    throw createApiError('レスポンスにデータが含まれていません', 'server', responseData.status);
   }
-
-  log('APIキーを取得しました');
-
-  // 2. リクエストボディを準備
-  const requestBody = {
-    script: script,
-    filename: filename,
-    payload: payload
-  };
-
-  log('リクエスト送信（TLS暗号化）:', `${API_CONFIG.API_BASE_URL}/generate-pptx`);
-  log('Extension ID:', API_CONFIG.EXTENSION_ID);
-  log('API Key (first 16 chars):', apiKey.substring(0, 16) + '...');
-
-  // 3. APIリクエスト送信 (background service worker経由)
-  const responseData = await sendMessageToBackground({
-    action: 'api-fetch',
-    url: `${API_CONFIG.API_BASE_URL}/generate-pptx`,
-    options: {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': apiKey,
-        'X-Extension-ID': API_CONFIG.EXTENSION_ID
-      },
-      body: JSON.stringify(requestBody)
-    }
+  return new Blob(parts, {
+    type: data.mimeType || 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
   });
+}
 
-  log('Response received. Status:', responseData.status);
+// ジョブAPIに対応していなかった接続先（API のベースURL）。このページを開いている間は最初から同期APIで送り、
+// 同じ資料を /jobs と /generate-pptx に 2 回送らないようにする
+const jobsUnsupportedBaseUrls = new Set();
 
-  // 4. エラーハンドリング
-  if (responseData.status === 401) {
-    throw new Error('APIキーが無効です。設定画面から正しいAPIキーを入力してください。');
+/**
+ * /generate-pptx 相当の生成リクエストを送信（ジョブAPIを優先し、非対応なら同期APIで送る）
+ * @param {Object} requestBody - { script, filename, payload }
+ * @param {string} apiKey - APIキー
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} options
+ * @returns {Promise<Object>} background の api-fetch と同じ形のレスポンス
+ */
+async function requestGeneratePptx(requestBody, apiKey, { onProgress, signal } = {}) {
+  let baseUrl;
+  try {
+    baseUrl = await getApiBaseUrl();
+  } catch (error) {
+    throw createApiError(error.message, 'config');
   }
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-API-Key': apiKey,
+    'X-Extension-ID': API_CONFIG.EXTENSION_ID
+  };
+  const body = JSON.stringify(requestBody);
 
-  if (responseData.status === 403) {
-    const errorData = (typeof responseData.data === 'object') ? responseData.data : {};
-    const errorMessage = errorData.message || errorData.error || '';
-
-    logError('403 Forbidden. Error data:', errorData);
-    logError('403 Error message:', errorMessage);
-
-    // エラーメッセージからIPアドレスを抽出
-    const ipMatch = errorMessage.match(/\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}/);
-    const currentIp = ipMatch ? ipMatch[0] : null;
-
-    // IP制限のエラーを検出
-    if (errorMessage.toLowerCase().includes('ip') ||
-        errorMessage.toLowerCase().includes('allowed') ||
-        errorMessage.toLowerCase().includes('restricted') ||
-        errorMessage.toLowerCase().includes('unauthorized') ||
-        errorMessage.toLowerCase().includes('network') ||
-        errorMessage.toLowerCase().includes('intra')) {
-
-      const ipInfo = currentIp ? `\n\n現在のIPアドレス: ${currentIp}\n\nこのIPアドレスをサーバー管理者に伝えて、許可リストに追加してもらってください。` : '';
-
-      throw new Error(`🚫 アクセスが拒否されました。
-
-原因: IP制限により、このネットワークからのアクセスは許可されていません。
-
-対処法:
-1. VPNを切断してください（Zscaler/Netskope等）
-2. Rakuten INTRA社内ネットワーク（Wi-Fi/有線LAN）に直接接続してください
-3. または、サーバー管理者に連絡して、現在のIPアドレスを許可リストに追加してもらってください${ipInfo}
-
-エラー詳細: ${errorMessage}`);
+  if (API_CONFIG.USE_JOBS && !jobsUnsupportedBaseUrls.has(baseUrl)) {
+    log('リクエスト送信（TLS暗号化・ジョブ）:', `${baseUrl}/jobs`);
+    const job = await runApiJob({ baseUrl, headers, body }, { onProgress, signal });
+    if (!job.unsupported) {
+      return job.response;
     }
-
-    throw new Error(`アクセスが拒否されました。APIキーを確認してください。
-
-エラー詳細: ${errorMessage || '詳細不明'}`);
-  }
-
-  if (!responseData.ok) {
-    const errorData = (typeof responseData.data === 'object') ? responseData.data : {};
-    const errorMessage = errorData.message || errorData.error || `HTTP error! status: ${responseData.status}`;
-
-    log('API Error Response:', errorData);
-    throw new Error(errorMessage);
-  }
-
-  // 5. レスポンスからBase64データを取得
-  const data = (typeof responseData.data === 'object') ? responseData.data : JSON.parse(responseData.data);
-
-  if (!data.data) {
-    throw new Error('レスポンスにデータが含まれていません');
+    jobsUnsupportedBaseUrls.add(baseUrl);
+    log('ジョブAPIに対応していないため、同期APIで生成します');
   }
 
-  log('レスポンス受信成功');
-
-  // 6. Base64データをBlobに変換
-  const byteCharacters = atob(data.data);
-  const byteNumbers = new Array(byteCharacters.length);
-  for (let i = 0; i < byteCharacters.length; i++) {
-    byteNumbers[i] = byteCharacters.charCodeAt(i);
-  }
-  const byteArray = new Uint8Array(byteNumbers);
-  const blob = new Blob([byteArray], {
-    type: data.mimeType || 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  log('リクエスト送信（TLS暗号化）:', `${baseUrl}/generate-pptx`);
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createApiError('APIの応答がタイムアウトしました', 'timeout')), API_CONFIG.REQUEST_TIMEOUT);
   });
+  const responseData = await Promise.race([
+    sendMessageToBackground({
+      action: 'api-fetch',
+      url: `${baseUrl}/generate-pptx`,
+      options: { method: 'POST', headers, body }
+    }),
+    timeout
+  ]).finally(() => clearTimeout(timer));
+  // 同期APIは途中で止められないため、キャンセルされていたら結果を捨てる
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+  return responseData;
+}
 
-  log('Blob変換完了:', blob.size, 'bytes');
+// 選択中の接続先のプロファイル
+async function getActiveProfileId() {
+  return resolveApiEndpoint(await loadApiEndpointSettings()).id;
+}
 
-  // 7. ダウンロード実行
-  // ファイル名の処理：サーバーから返されたファイル名を優先し、
-  // 文字化けを防ぐためにクライアント側で指定したファイル名を使用
-  const finalFilename = filename; // クライアント側で生成したファイル名を使用（日本語対応）
+/**
+ * 接続先のプロファイルの APIキーを取得
+ * @param {string} [profileId] 省略時は選択中のプロファイル
+ * @returns {Promise<string|null>} APIキー、未設定なら null
+ */
+export async function getApiKey(profileId) {
+  return loadApiKey(profileId || await getActiveProfileId());
+}
 
-  log('使用するファイル名:', finalFilename);
-  log('サーバーから返されたファイル名:', data.filename);
+/**
+ * 接続先のプロファイルの APIキーを保存
+ * @param {string} apiKey - 保存するAPIキー
+ * @param {string} [profileId] 省略時は選択中のプロファイル
+ * @returns {Promise<void>}
+ */
+export async function saveApiKey(apiKey, profileId) {
+  await storeApiKey(apiKey, profileId || await getActiveProfileId());
+  log('APIキーを保存しました');
+}
 
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = finalFilename; // クライアント側で指定したファイル名を使用
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+/**
+ * 接続先のプロファイルの APIキーを削除
+ * @param {string} [profileId] 省略時は選択中のプロファイル
+ * @returns {Promise<void>}
+ */
+export async function clearApiKey(profileId) {
+  await removeApiKey(profileId || await getActiveProfileId());
+  log('APIキーをクリアしました');
+}
 
-  log('ダウンロード完了:', finalFilename);
+/**
+ * /generate-pptx・/jobs に送る payload を作る（保存済みのブランドキットと書き出し設定を付ける）
+ * @param {Object} payload - 追加データ（同じキーがあればこちらを優先）
+ * @returns {Promise<{ brandKit: object, exportOptions: object }>}
+ */
+export async function buildGeneratePayload(payload = {}) {
+  return { brandKit: await loadBrandKit(), exportOptions: await loadExportOptions(), ...payload };
 }
 
 /**
- * API経由でパワーポイントを生成してBlobを返す（プレビュー用）
+ * API経由でパワーポイントを生成してBlobを返す（プレビュー・ダウンロード用。保存は呼び出し元で行う）
  *
  * @param {string} script - pptxgenjsコード
  * @param {string} filename - ファイル名（デフォルト: 'presentation.pptx'）
- * @param {Object} payload - 追加データ（オプション）
+ * @param {Object} payload - 追加データ（オプション。buildGeneratePayload の既定値より優先）
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} options - 進捗の通知先とキャンセル用のシグナル（オプション）
  * @returns {Promise<Blob>} 生成されたPPTXファイルのBlob
- * @throws {Error} APIキーが未設定、認証エラー、ネットワークエラーなど
+ * @throws {Error} APIキーが未設定、認証エラー、ネットワークエラーなど（キャンセル時は name が 'AbortError'）
  */
-export async function generatePptxBlobViaApi(script, filename = 'presentation.pptx', payload = {}) {
+export async function generatePptxBlobViaApi(script, filename = 'presentation.pptx', payload = {}, options = {}) {
   log('API経由でパワーポイント生成を開始（Blob返却用）');
 
   // 1. APIキーを確認
   const apiKey = await getApiKey();
 
   if (!apiKey) {
-    throw new Error('APIキーが設定されていません。設定画面からAPIキーを入力してください。');
+    throw createApiError('APIキーが設定されていません。設定画面からAPIキーを入力してください。', 'config');
   }
 
   log('APIキーを取得しました');
 
-  // 2. リクエストボディを準備
+  // 2. リクエストボディを準備（ブランドキット・書き出し設定は呼び出し元の payload で上書き可能）
   const requestBody = {
     script: script,
     filename: filename,
-    payload: payload
+    payload: await buildGeneratePayload(payload)
   };
 
-  log('リクエスト送信（TLS暗号化）:', `${API_CONFIG.API_BASE_URL}/generate-pptx`);
-
   // 3. APIリクエスト送信 (background service worker経由)
-  const responseData = await sendMessageToBackground({
-    action: 'api-fetch',
-    url: `${API_CONFIG.API_BASE_URL}/generate-pptx`,
-    options: {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': apiKey,
-        'X-Extension-ID': API_CONFIG.EXTENSION_ID
-      },
-      body: JSON.stringify(requestBody)
-    }
-  });
+  const responseData = await requestGeneratePptx(requestBody, apiKey, options);
 
   log('Response received. Status:', responseData.status);
 
   // 4. エラーハンドリング
   if (responseData.status === 401) {
-    throw new Error('APIキーが無効です。設定画面から正しいAPIキーを入力してください。');
+    const errorData = (typeof responseData.data === 'object') ? responseData.data : {};
+    throw createApiError(`${API_KEY_MESSAGES[apiKeyFailureReason(errorData)]}設定画面から正しいAPIキーを入力してください。`, 'auth', 401);
   }
 
   if (responseData.status === 403) {
@@ -328,13 +428,11 @@ export async function generatePptxBlobViaApi(script, filename = 'presentation.pp
     const ipMatch = errorMessage.match(/\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}/);
     const currentIp = ipMatch ? ipMatch[0] : null;
 
-    if (errorMessage.toLowerCase().includes('ip') ||
-        errorMessage.toLowerCase().includes('allowed') ||
-        errorMessage.toLowerCase().includes('restricted')) {
+    if (isIpRestrictionMessage(errorMessage)) {
 
       const ipInfo = currentIp ? `\n\n現在のIPアドレス: ${currentIp}\n\nこのIPアドレスをサーバー管理者に伝えて、許可リストに追加してもらってください。` : '';
 
-      throw new Error(`🚫 アクセスが拒否されました。
+      throw createApiError(`🚫 アクセスが拒否されました。
 
 原因: IP制限により、このネットワークからのアクセスは許可されていません。
 
@@ -343,12 +441,12 @@ export async function generatePptxBlobViaApi(script, filename = 'presentation.pp
 2. Rakuten INTRA社内ネットワーク（Wi-Fi/有線LAN）に直接接続してください
 3. または、サーバー管理者に連絡して、現在のIPアドレスを許可リストに追加してもらってください${ipInfo}
 
-エラー詳細: ${errorMessage}`);
+エラー詳細: ${errorMessage}`, 'ip', 403);
     }
 
-    throw new Error(`アクセスが拒否されました。APIキーを確認してください。
+    throw createApiError(`アクセスが拒否されました。APIキーを確認してください。
 
-エラー詳細: ${errorMessage || '詳細不明'}`);
+エラー詳細: ${errorMessage || '詳細不明'}`, 'auth', 403);
   }
 
   if (!responseData.ok) {
@@ -356,60 +454,87 @@ export async function generatePptxBlobViaApi(script, filename = 'presentation.pp
     const errorMessage = errorData.message || errorData.error || `HTTP error! status: ${responseData.status}`;
 
     log('API Error Response:', errorData);
-    throw new Error(errorMessage);
+    const kind = responseData.status === 429 || responseData.status >= 500 ? 'server' : 'request';
+    throw createApiError(errorMessage, kind, responseData.status);
   }
 
-  // 5. レスポンスからBase64データを取得
-  const data = (typeof responseData.data === 'object') ? responseData.data : JSON.parse(responseData.data);
-
-  if (!data.data) {
-    throw new Error('レスポンスにデータが含まれていません');
-  }
+  // 5. レスポンスのデータをBlobに変換（大きなデータは background から分割して受け取る）
+  const blob = await readResponseBlob(responseData, options);
 
   log('レスポンス受信成功');
-
-  // 6. Base64データをBlobに変換
-  const byteCharacters = atob(data.data);
-  const byteNumbers = new Array(byteCharacters.length);
-  for (let i = 0; i < byteCharacters.length; i++) {
-    byteNumbers[i] = byteCharacters.charCodeAt(i);
-  }
-  const byteArray = new Uint8Array(byteNumbers);
-  const blob = new Blob([byteArray], {
-    type: data.mimeType || 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-  });
-
   log('Blob変換完了:', blob.size, 'bytes');
 
   return blob;
 }
 
 /**
- * API設定の検証
- * @returns {Promise<{valid: boolean, message: string}>}
+ * APIキーを接続先のサーバーで検証する（POST /validate-key）
+ * サーバーは有効なら 200、キーが使えなければ 401 { reason: 'invalid' | 'expired' | 'revoked' }、
+ * 接続元の IP が許可されていなければ 403 を返す
+ * @param {string} apiKey - 検証するAPIキー
+ * @param {string} [baseUrl] - 接続先（省略時は選択中のプロファイル）
+ * @returns {Promise<{ valid: boolean, reason: string, message: string, expiresAt?: string }>}
+ *   reason は valid / missing / invalid / expired / revoked / ip / unsupported / network / server / config
  */
-export async function validateApiConfig() {
-  const apiKey = await getApiKey();
+export async function validateApiKey(apiKey, baseUrl) {
+  const result = (reason, extra = {}) => ({ valid: reason === 'valid', reason, message: API_KEY_MESSAGES[reason], ...extra });
 
   if (!apiKey) {
-    return {
-      valid: false,
-      message: 'APIキーが設定されていません'
-    };
+    return result('missing');
   }
 
-  // APIキーの形式チェック（64文字の16進数文字列）
-  if (!/^[a-f0-9]{64}$/i.test(apiKey)) {
-    return {
-      valid: false,
-      message: 'APIキーの形式が正しくありません（64文字の16進数である必要があります）'
-    };
+  let url;
+  try {
+    url = `${baseUrl || await getApiBaseUrl()}/validate-key`;
+  } catch (error) {
+    return result('config', { message: error.message });
   }
 
-  return {
-    valid: true,
-    message: 'API設定は正常です'
-  };
+  let responseData;
+  try {
+    responseData = await sendMessageToBackground({
+      action: 'api-fetch',
+      url,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Key': apiKey,
+          'X-Extension-ID': API_CONFIG.EXTENSION_ID
+        },
+        body: '{}'
+      }
+    });
+  } catch (error) {
+    logError('APIキーの検証に失敗しました:', error);
+    return result('network');
+  }
+
+  const data = (typeof responseData.data === 'object' && responseData.data) ? responseData.data : {};
+  log('APIキーの検証結果:', responseData.status, data.reason || '');
+
+  if (responseData.ok) {
+    const expiresAt = typeof data.expiresAt === 'string' ? data.expiresAt : undefined;
+    return result('valid', expiresAt ? { expiresAt, message: `${API_KEY_MESSAGES.valid}（有効期限: ${new Date(expiresAt).toLocaleString()}）` } : {});
+  }
+  if (responseData.status === 401) {
+    return result(apiKeyFailureReason(data));
+  }
+  if (responseData.status === 403) {
+    return result(data.reason === 'ip_blocked' || isIpRestrictionMessage(data.message || data.error) ? 'ip' : apiKeyFailureReason(data));
+  }
+  if ([404, 405, 501].includes(responseData.status)) {
+    return result('unsupported');
+  }
+  return result('server', { message: `${API_KEY_MESSAGES.server} (Status: ${responseData.status})` });
+}
+
+/**
+ * 選択中の接続先とその APIキーを検証する
+ * @returns {Promise<{ valid: boolean, reason: string, message: string, expiresAt?: string }>}
+ */
+export async function validateApiConfig() {
+  return validateApiKey(await getApiKey());
 }
 
 /**
@@ -430,7 +555,7 @@ export async function checkCurrentIp() {
     // エラーレスポンスにIPアドレス情報が含まれる
     const testResponse = await sendMessageToBackground({
       action: 'api-fetch',
-      url: `${API_CONFIG.API_BASE_URL}/generate-pptx`,
+      url: `${await getApiBaseUrl()}/generate-pptx`,
       options: {
         method: 'POST',
         headers: {
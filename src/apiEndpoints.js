@@ -0,0 +1,191 @@
+/**
+ * ファイル名: src/apiEndpoints.js
+ * 説明:
+ *   API 経由の生成で使う接続先（エンドポイントのプロファイル）を扱うモジュール。
+ *   選んだプロファイルと、ステージング・ローカルの URL は chrome.storage.local に保存する。
+ *
+ * 主な機能:
+ *   - 本番・ステージング・ローカル（server/mockApiServer.js）のプロファイル定義
+ *   - URL の検証（https のみ。http は localhost / 127.0.0.1 だけ許可）
+ *   - 選択中のプロファイルのベース URL の取得
+ *   - 本番以外のホストへのアクセス許可（manifest の optional_host_permissions）の確認と要求
+ *     content script からは chrome.permissions を使えないため、background.js 経由で確認し、
+ *     要求は拡張機能のページ（src/hostPermission.html）をタブで開いてユーザーに許可してもらう
+ */
+
+export const API_ENDPOINT_STORAGE_KEY = 'apiEndpoint';
+
+// 本番の URL は固定。ステージング・ローカルは URL を変更できる（baseUrl は初期値）
+export const API_ENDPOINT_PROFILES = Object.freeze([
+  {
+    id: 'production',
+    label: '本番',
+    baseUrl: 'https://powerpoint-genai-test-854259963531.asia-northeast1.run.app',
+    editable: false
+  },
+  { id: 'staging', label: 'ステージング', baseUrl: '', editable: true },
+  { id: 'localhost', label: 'ローカル（開発用サーバー）', baseUrl: 'http://localhost:8787', editable: true }
+]);
+
+export const DEFAULT_API_ENDPOINT_SETTINGS = Object.freeze({
+  profile: 'production',
+  // 変更できるプロファイルの URL（プロファイル id → URL）
+  urls: { staging: '', localhost: 'http://localhost:8787' }
+});
+
+// http で接続してよいホスト（開発用サーバー）
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+/**
+ * API のベース URL を検証して整える（末尾の / を取り除く）
+ * @param {string} url 入力された URL
+ * @returns {string} 使えない URL の場合は ''
+ */
+export function normalizeApiBaseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (e) {
+    return '';
+  }
+  const isLocal = LOCAL_HOSTNAMES.includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) return '';
+  if (parsed.username || parsed.password || parsed.search || parsed.hash) return '';
+  return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+}
+
+/**
+ * 保存されていた接続先の設定を既定値で補う
+ * @param {object} settings 保存されていた設定
+ * @returns {{ profile: string, urls: Object<string, string> }}
+ */
+export function normalizeApiEndpointSettings(settings) {
+  const src = settings && typeof settings === 'object' ? settings : {};
+  const urls = src.urls && typeof src.urls === 'object' ? src.urls : {};
+  const normalized = {
+    profile: API_ENDPOINT_PROFILES.some(p => p.id === src.profile) ? src.profile : DEFAULT_API_ENDPOINT_SETTINGS.profile,
+    urls: {}
+  };
+  API_ENDPOINT_PROFILES.filter(p => p.editable).forEach(p => {
+    normalized.urls[p.id] = typeof urls[p.id] === 'string'
+      ? normalizeApiBaseUrl(urls[p.id])
+      : DEFAULT_API_ENDPOINT_SETTINGS.urls[p.id];
+  });
+  return normalized;
+}
+
+/**
+ * 設定からプロファイルと実際に使うベース URL を決める
+ * @param {object} settings normalizeApiEndpointSettings の結果
+ * @param {string} [profileId] 省略時は選択中のプロファイル
+ * @returns {{ id: string, label: string, baseUrl: string, editable: boolean }}
+ */
+export function resolveApiEndpoint(settings, profileId) {
+  const normalized = normalizeApiEndpointSettings(settings);
+  const id = profileId || normalized.profile;
+  const profile = API_ENDPOINT_PROFILES.find(p => p.id === id) || API_ENDPOINT_PROFILES[0];
+  return {
+    ...profile,
+    baseUrl: profile.editable ? normalized.urls[profile.id] : profile.baseUrl
+  };
+}
+
+/**
+ * 保存されている接続先の設定を読み込む（未保存なら本番）
+ * @returns {Promise<{ profile: string, urls: Object<string, string> }>}
+ */
+export async function loadApiEndpointSettings() {
+  return new Promise((resolve) => {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      resolve(normalizeApiEndpointSettings(null));
+      return;
+    }
+    chrome.storage.local.get([API_ENDPOINT_STORAGE_KEY], (result) => {
+      resolve(normalizeApiEndpointSettings(result && result[API_ENDPOINT_STORAGE_KEY]));
+    });
+  });
+}
+
+/**
+ * 接続先の設定を保存する
+ * @param {object} settings 接続先の設定
+ * @returns {Promise<object>} 保存した（検証済みの）設定
+ */
+export async function saveApiEndpointSettings(settings) {
+  const normalized = normalizeApiEndpointSettings(settings);
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [API_ENDPOINT_STORAGE_KEY]: normalized }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(normalized);
+    });
+  });
+}
+
+/**
+ * 選択中のプロファイルのベース URL を返す
+ * @returns {Promise<string>}
+ * @throws {Error} URL が設定されていない場合
+ */
+export async function getApiBaseUrl() {
+  const endpoint = resolveApiEndpoint(await loadApiEndpointSettings());
+  if (!endpoint.baseUrl) {
+    throw new Error(`接続先「${endpoint.label}」の URL が設定されていません。API設定から URL を入力してください。`);
+  }
+  return endpoint.baseUrl;
+}
+
+/**
+ * chrome.permissions で使うホストのパターン（ポートは含めない）
+ * @param {string} baseUrl ベース URL
+ * @returns {string} 例: 'http://localhost/*'（URL が不正なら ''）
+ */
+export function hostPermissionPattern(baseUrl) {
+  const normalized = normalizeApiBaseUrl(baseUrl);
+  if (!normalized) return '';
+  const { protocol, hostname } = new URL(normalized);
+  return `${protocol}//${hostname}/*`;
+}
+
+function sendPermissionMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (!response || !response.success) {
+        reject(new Error(response?.error?.message || 'No response from background service worker'));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * ベース URL のホストへのアクセスが許可されているか確認する
+ * @param {string} baseUrl ベース URL
+ * @returns {Promise<boolean>}
+ */
+export async function hasHostPermission(baseUrl) {
+  const pattern = hostPermissionPattern(baseUrl);
+  if (!pattern) return false;
+  const response = await sendPermissionMessage({ action: 'check-host-permission', pattern });
+  return !!response.granted;
+}
+
+/**
+ * ベース URL のホストへのアクセス許可を求めるページを開く（許可はそのページでユーザーが行う）
+ * @param {string} baseUrl ベース URL
+ * @returns {Promise<void>}
+ */
+export async function requestHostPermission(baseUrl) {
+  const pattern = hostPermissionPattern(baseUrl);
+  if (!pattern) {
+    throw new Error('URL が正しくありません');
+  }
+  await sendPermissionMessage({ action: 'request-host-permission', pattern });
+}
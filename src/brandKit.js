@@ -0,0 +1,328 @@
+/**
+ * ファイル名: src/brandKit.js
+ * 説明:
+ *   生成するスライドの共通デザイン（ブランドキット）を扱うモジュール。
+ *   フォント・配色・ロゴ・フッター・スライド番号・背景をまとめて chrome.storage.local に保存し、
+ *   sandbox（pptx-runner.js のマスタースライドと safePptxExecutor.js の既定フォント）と API の payload に渡す。
+ *
+ * 主な機能:
+ *   - 既定値（従来のマスタースライドと同じ内容）との統合と値の検証
+ *   - 保存・読み込み・初期化
+ *   - JSON への書き出し・読み込み
+ *   - 既存の PPTX（pptxAnalyzer.js の extractBrandSource の結果）からの作成
+ *
+ * 位置・大きさの単位はインチ（16:9、13.33 x 7.5）。色は # なしの 6 桁の16進数。
+ */
+
+export const BRAND_KIT_VERSION = 1;
+export const BRAND_KIT_FORMAT = 'pptx-genai-brand-kit';
+export const BRAND_KIT_STORAGE_KEY = 'brandKit';
+
+// 従来 pptx-runner.js / safePptxExecutor.js に固定されていた内容
+export const DEFAULT_BRAND_KIT = Object.freeze({
+  version: BRAND_KIT_VERSION,
+  name: '',
+  fonts: { heading: 'Rakuten Sans JP', body: 'Rakuten Sans JP' },
+  palette: { text: '000000', accent: 'BF0000', chartColors: [] },
+  background: { color: 'FFFFFF' },
+  // data が空のときは拡張機能の logo.png を使う
+  logo: { enabled: true, data: '', x: 0.3663, y: 6.9688, w: 0.3924, h: 0.3924 },
+  // ロゴ以外に全スライドへ配置する画像（PPTX から作成したときのレイアウトの固定画像など）
+  images: [],
+  // fontFace が空のときは本文フォント
+  footer: { text: 'CONFIDENTIAL', x: 11.3992, y: 7.0439, w: 1.2968, h: 0.2524, fontSize: 9, fontFace: '', color: '000000', bold: true, align: 'left' },
+  slideNumber: { enabled: true, x: 12.6712, y: 7.0439, w: 0.5691, h: 0.2524, fontSize: 9, fontFace: '', color: '000000', bold: true, align: 'left' }
+});
+
+const ALIGNS = ['left', 'center', 'right'];
+
+// 画像として扱える data URI（PptxGenJS が埋め込める形式）
+const IMAGE_DATA_PATTERN = /^data:image\/(png|jpeg|gif|svg\+xml);base64,/;
+
+// 画像1枚あたりの data URI の上限（storage と sandbox へのメッセージの大きさを抑えるため）
+export const MAX_BRAND_IMAGE_DATA_LENGTH = 1024 * 1024;
+
+// ロゴ以外の画像の上限枚数
+const MAX_BRAND_IMAGES = 4;
+
+// スライドの大きさ（16:9）
+const SLIDE_WIDTH = 13.333;
+const SLIDE_HEIGHT = 7.5;
+
+function normalizeHex(value, fallback) {
+  const hex = String(value || '').trim().replace(/^#/, '').toUpperCase();
+  if (/^[0-9A-F]{6}$/.test(hex)) return hex;
+  if (/^[0-9A-F]{3}$/.test(hex)) return hex.split('').map(c => c + c).join('');
+  return fallback;
+}
+
+function normalizeNumber(value, fallback, min, max) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+}
+
+function normalizeText(value, fallback, maxLength = 200) {
+  return typeof value === 'string' ? value.slice(0, maxLength) : fallback;
+}
+
+function normalizeImageData(value) {
+  return typeof value === 'string' && IMAGE_DATA_PATTERN.test(value) && value.length <= MAX_BRAND_IMAGE_DATA_LENGTH ? value : '';
+}
+
+// 位置・大きさ（スライドの範囲に収める）
+function normalizeBox(source, defaults) {
+  return {
+    x: normalizeNumber(source.x, defaults.x, 0, 13.33),
+    y: normalizeNumber(source.y, defaults.y, 0, 7.5),
+    w: normalizeNumber(source.w, defaults.w, 0.05, 13.33),
+    h: normalizeNumber(source.h, defaults.h, 0.05, 7.5)
+  };
+}
+
+// フッター・スライド番号の文字の書式
+function normalizeTextStyle(source, defaults) {
+  return {
+    fontSize: normalizeNumber(source.fontSize, defaults.fontSize, 6, 72),
+    fontFace: normalizeText(source.fontFace, defaults.fontFace, 100).trim(),
+    color: normalizeHex(source.color, defaults.color),
+    bold: typeof source.bold === 'boolean' ? source.bold : defaults.bold,
+    align: ALIGNS.includes(source.align) ? source.align : defaults.align
+  };
+}
+
+/**
+ * ブランドキットを既定値で補い、値を検証する
+ * @param {object} kit 保存されていた・読み込んだブランドキット
+ * @returns {object} DEFAULT_BRAND_KIT と同じ形のブランドキット
+ */
+export function normalizeBrandKit(kit) {
+  const src = kit && typeof kit === 'object' ? kit : {};
+  const d = DEFAULT_BRAND_KIT;
+  const fonts = src.fonts || {};
+  const palette = src.palette || {};
+  const background = src.background || {};
+  const logo = src.logo || {};
+  const footer = src.footer || {};
+  const slideNumber = src.slideNumber || {};
+  return {
+    version: BRAND_KIT_VERSION,
+    name: normalizeText(src.name, d.name, 100),
+    fonts: {
+      heading: normalizeText(fonts.heading, d.fonts.heading, 100).trim() || d.fonts.heading,
+      body: normalizeText(fonts.body, d.fonts.body, 100).trim() || d.fonts.body
+    },
+    palette: {
+      text: normalizeHex(palette.text, d.palette.text),
+      accent: normalizeHex(palette.accent, d.palette.accent),
+      chartColors: (Array.isArray(palette.chartColors) ? palette.chartColors : [])
+        .map(c => normalizeHex(c, null))
+        .filter(Boolean)
+        .slice(0, 12)
+    },
+    background: { color: normalizeHex(background.color, d.background.color) },
+    logo: {
+      enabled: typeof logo.enabled === 'boolean' ? logo.enabled : d.logo.enabled,
+      data: normalizeImageData(logo.data),
+      ...normalizeBox(logo, d.logo)
+    },
+    images: (Array.isArray(src.images) ? src.images : [])
+      .filter(image => image && normalizeImageData(image.data))
+      .slice(0, MAX_BRAND_IMAGES)
+      .map(image => ({ data: image.data, ...normalizeBox(image, d.logo) })),
+    footer: {
+      text: normalizeText(footer.text, d.footer.text),
+      ...normalizeBox(footer, d.footer),
+      ...normalizeTextStyle(footer, d.footer)
+    },
+    slideNumber: {
+      enabled: typeof slideNumber.enabled === 'boolean' ? slideNumber.enabled : d.slideNumber.enabled,
+      ...normalizeBox(slideNumber, d.slideNumber),
+      ...normalizeTextStyle(slideNumber, d.slideNumber)
+    }
+  };
+}
+
+/**
+ * 保存されているブランドキットを読み込む（未保存なら既定値）
+ * @returns {Promise<object>}
+ */
+export async function loadBrandKit() {
+  return new Promise((resolve) => {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      resolve(normalizeBrandKit(null));
+      return;
+    }
+    chrome.storage.local.get([BRAND_KIT_STORAGE_KEY], (result) => {
+      resolve(normalizeBrandKit(result && result[BRAND_KIT_STORAGE_KEY]));
+    });
+  });
+}
+
+/**
+ * ブランドキットを保存する
+ * @param {object} kit ブランドキット
+ * @returns {Promise<object>} 保存した（検証済みの）ブランドキット
+ */
+export async function saveBrandKit(kit) {
+  const normalized = normalizeBrandKit(kit);
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [BRAND_KIT_STORAGE_KEY]: normalized }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(normalized);
+    });
+  });
+}
+
+/**
+ * 保存したブランドキットを削除して既定値に戻す
+ * @returns {Promise<object>} 既定値
+ */
+export async function resetBrandKit() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove([BRAND_KIT_STORAGE_KEY], () => resolve(normalizeBrandKit(null)));
+  });
+}
+
+/**
+ * 書き出し用の JSON テキストを作成する
+ * @param {object} kit ブランドキット
+ * @returns {string}
+ */
+export function buildBrandKitJson(kit) {
+  return JSON.stringify({ format: BRAND_KIT_FORMAT, ...normalizeBrandKit(kit) }, null, 2);
+}
+
+/**
+ * 書き出したブランドキットの JSON テキストを読み込む
+ * @param {string} text JSON テキスト
+ * @returns {object} 検証済みのブランドキット
+ * @throws {Error} 形式が違う・新しいバージョンの場合
+ */
+export function parseBrandKitJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('JSON として読み込めませんでした');
+  }
+  if (!data || data.format !== BRAND_KIT_FORMAT) {
+    throw new Error('ブランドキットの書き出しファイルではありません');
+  }
+  if (typeof data.version !== 'number' || data.version > BRAND_KIT_VERSION) {
+    throw new Error(`対応していないバージョンです (version: ${data.version})`);
+  }
+  return normalizeBrandKit(data);
+}
+
+// 日本語の資料で使うフォント（Jpan の指定 → 東アジア → 欧文の順）
+function pickThemeFont(font) {
+  return (font && (font.jpan || font.ea || font.latin)) || '';
+}
+
+// 「+mj-lt」などテーマフォントの参照を実際のフォント名にする（参照先が空なら ''）
+// 生成するスライドは1つのフォントで日本語も書くため、欧文（lt）の参照でも日本語フォントを優先する
+function resolveThemeTypeface(typeface, themeFonts) {
+  const name = String(typeface || '').trim();
+  const ref = name.match(/^\+(mj|mn)-(lt|ea|cs)$/);
+  if (!ref) return name;
+  return pickThemeFont(themeFonts && themeFonts[ref[1] === 'mj' ? 'major' : 'minor']);
+}
+
+/**
+ * 既存の PPTX から取り出した情報をブランドキットに変換する
+ *
+ * - 配色: テーマの accent1 をアクセント、accent1〜6 をグラフの色、本文スタイル（なければ tx1）を文字色にする
+ * - フォント: マスターのタイトル・本文スタイルの書体（なければ a:fontScheme の見出し・本文フォント）
+ * - ロゴ: レイアウトの固定画像の1枚目をロゴ、残りを images にする（埋め込めない形式・大きすぎる画像は除く）
+ * - スライド番号・背景色: レイアウト・マスターの設定
+ * フッターの文字はファイルから読み取らないため base の設定を残す。
+ * 位置はスライドの大きさが 16:9 と違う場合に合わせて拡大・縮小する。
+ *
+ * @param {object} source pptxAnalyzer.js の extractBrandSource の結果
+ * @param {object} [base] 引き継ぐブランドキット（フッターなど）。省略時は既定値
+ * @returns {{ kit: object, summary: string[] }} kit は検証済みのブランドキット、summary は反映した内容の説明
+ */
+export function buildBrandKitFromPptx(source, base = DEFAULT_BRAND_KIT) {
+  const current = normalizeBrandKit(base);
+  const themeColors = source.themeColors || {};
+  const themeFonts = source.themeFonts || null;
+  const template = source.template || {};
+  const masterStyles = source.masterStyles || {};
+  const summary = [];
+
+  const size = source.slideSize || {};
+  const scaleX = size.width > 0 ? SLIDE_WIDTH / size.width : 1;
+  const scaleY = size.height > 0 ? SLIDE_HEIGHT / size.height : 1;
+  const scaleBox = box => ({ x: box.x * scaleX, y: box.y * scaleY, w: box.w * scaleX, h: box.h * scaleY });
+  // 画像は縦横比を保つ
+  const scaleImageBox = box => {
+    const scale = Math.min(scaleX, scaleY);
+    return { x: box.x * scaleX, y: box.y * scaleY, w: box.w * scale, h: box.h * scale };
+  };
+
+  const kit = {
+    ...current,
+    name: String(source.fileName || '').replace(/\.pptx$/i, '')
+  };
+
+  // 配色
+  const accents = ['accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6']
+    .map(key => themeColors[key])
+    .filter(Boolean);
+  const bodyLevel1 = (masterStyles.bodyStyle && masterStyles.bodyStyle.level1) || {};
+  kit.palette = {
+    text: bodyLevel1.color || themeColors.tx1 || current.palette.text,
+    accent: accents[0] || current.palette.accent,
+    chartColors: accents
+  };
+  if (accents.length) summary.push(`テーマの配色（${accents.length}色）`);
+
+  // フォント
+  const titleStyle = masterStyles.titleStyle || {};
+  const heading = resolveThemeTypeface(titleStyle.typeface, themeFonts) || pickThemeFont(themeFonts && themeFonts.major);
+  const body = resolveThemeTypeface(bodyLevel1.typeface, themeFonts) || pickThemeFont(themeFonts && themeFonts.minor);
+  kit.fonts = { heading: heading || current.fonts.heading, body: body || current.fonts.body };
+  if (heading || body) summary.push(`フォント（見出し: ${kit.fonts.heading} / 本文: ${kit.fonts.body}）`);
+
+  // 背景
+  if (template.background) {
+    kit.background = { color: template.background };
+    summary.push(`背景色 #${template.background}`);
+  }
+
+  // ロゴ・固定画像
+  const images = (template.fixedImages || []).filter(image => normalizeImageData(image.data));
+  const skipped = (template.fixedImages || []).length - images.length;
+  if (images.length) {
+    kit.logo = { enabled: true, data: images[0].data, ...scaleImageBox(images[0]) };
+    kit.images = images.slice(1, MAX_BRAND_IMAGES + 1).map(image => ({ data: image.data, ...scaleImageBox(image) }));
+    summary.push(`ロゴ・固定画像（${images.length}枚）`);
+  } else {
+    kit.logo = { ...current.logo, enabled: false, data: '' };
+    kit.images = [];
+  }
+  if (skipped > 0) summary.push(`埋め込めない形式・大きすぎる画像 ${skipped}枚は除きました`);
+
+  // スライド番号
+  if (template.slideNumber) {
+    const slideNumber = template.slideNumber;
+    kit.slideNumber = {
+      enabled: true,
+      ...scaleBox(slideNumber),
+      fontSize: slideNumber.fontSize,
+      fontFace: resolveThemeTypeface(slideNumber.font, themeFonts),
+      color: slideNumber.color || kit.palette.text,
+      bold: slideNumber.bold,
+      align: { l: 'left', ctr: 'center', r: 'right' }[slideNumber.align] || slideNumber.align
+    };
+    summary.push('スライド番号の位置と書式');
+  } else {
+    kit.slideNumber = { ...current.slideNumber, enabled: false };
+  }
+
+  return { kit: normalizeBrandKit(kit), summary };
+}
@@ -0,0 +1,340 @@
+/**
+ * ファイル名: src/dataMerge.js
+ * 説明:
+ *   スロット付きテンプレート（templateSlots.js）に CSV / XLSX の行を差し込み、1行ごとにスライドを作るためのモジュール。
+ *   差し込みは手元で行い、スライドの生成は sandbox の generate-multi に任せるため、行ごとに AI へ問い合わせることはない。
+ *
+ * 主な機能:
+ *   - スロット名を見出しにした CSV のひな形（1行目: 見出し、2行目: 現在の値の例）の作成
+ *   - CSV（RFC 4180、BOM・改行を含むセル対応）/ XLSX（最初のシート。読み取る行・列には上限があり、
+ *     日付・時刻・パーセントの表示形式は表示に近い文字列にする）の読み込み
+ *   - 行ごとのスニペット作成と、見出しの過不足・値の警告の集計
+ *
+ * CSV のセルの書き方:
+ *   - テキストはそのまま（セル内改行も可）
+ *   - グラフのラベル・値など配列のスロットは | 区切り（例: 1月|2月|3月）
+ */
+
+import { fillTemplateSlots } from './templateSlots.js';
+
+// 一度に差し込める行数の上限（sandbox のメモリ使用量を抑えるため）
+export const MAX_MERGE_ROWS = 200;
+
+// CSV の 1 セルを出力用にエスケープ
+function escapeCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// スロットの値を CSV セル用の文字列にする（配列は | 区切り）
+function slotValueToCell(value) {
+  return Array.isArray(value) ? value.join('|') : value;
+}
+
+/**
+ * スロット名を見出しにした CSV のひな形を作成する（Excel で文字化けしないよう BOM 付き）
+ * @param {Array<object>} slots スロット定義
+ * @returns {string}
+ */
+export function buildCsvTemplate(slots) {
+  const list = Array.isArray(slots) ? slots : [];
+  const header = list.map(slot => escapeCsvCell(slot.name)).join(',');
+  const example = list.map(slot => escapeCsvCell(slotValueToCell(slot.default))).join(',');
+  return `\uFEFF${header}\r\n${example}\r\n`;
+}
+
+/**
+ * CSV テキストを行の配列に変換する（ダブルクォート内の , と改行に対応）
+ * @param {string} text CSV テキスト
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// XLSX から読み取る範囲（見出しの前の空行を含めても、行数が MAX_MERGE_ROWS を超えたことがわかるだけ読む）
+// 離れたセル（XFD1048576 など）があっても、この範囲の外は読み飛ばす
+export const MAX_XLSX_ROWS = MAX_MERGE_ROWS + 100;
+export const MAX_XLSX_COLUMNS = 100;
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// 組み込みの表示形式（numFmtId）のうち日付・時刻のもの（27〜36・50〜58 は日本語版の和暦・年月日）
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 22, 27, 28, 29, 30, 31, 34, 35, 36, 50, 51, 52, 53, 54, 57, 58];
+const BUILTIN_TIME_FORMATS = [18, 19, 20, 21, 32, 33, 45, 46, 47, 55, 56];
+// 組み込みの表示形式のうちパーセント（numFmtId → 小数点以下の桁数）
+const BUILTIN_PERCENT_FORMATS = { 9: 0, 10: 2 };
+
+// Excelの列名（A, B, ..., AA）→ 0始まりの列番号
+function columnIndexFromName(name) {
+  let index = 0;
+  for (const ch of name.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// 子要素を名前空間に関係なくローカル名で取得
+function childElements(node, localName) {
+  return Array.from(node.childNodes || []).filter(n => n.nodeType === 1 && (n.localName || n.nodeName.replace(/^.*:/, '')) === localName);
+}
+
+// 表示形式の種類（'date' | 'time' | 'datetime' | 'percent' | null）と、パーセントの小数点以下の桁数
+function classifyNumberFormat(numFmtId, formatCode) {
+  if (BUILTIN_DATE_FORMATS.includes(numFmtId)) return { kind: numFmtId === 22 ? 'datetime' : 'date' };
+  if (BUILTIN_TIME_FORMATS.includes(numFmtId)) return { kind: 'time' };
+  if (numFmtId in BUILTIN_PERCENT_FORMATS) return { kind: 'percent', decimals: BUILTIN_PERCENT_FORMATS[numFmtId] };
+  if (!formatCode) return { kind: null };
+  // 引用符・エスケープ・[色] などを除いてから判定する（最初のセクションだけ使う）
+  const code = formatCode.split(';')[0].replace(/"[^"]*"|\\.|_.|\*.|\[[^\]]*\]/g, '');
+  if (code.includes('%')) {
+    const decimals = (code.match(/\.(0+)/) || ['', ''])[1].length;
+    return { kind: 'percent', decimals };
+  }
+  const hasDate = /[yd]/i.test(code) || (/m/i.test(code) && !/[hs]/i.test(code));
+  const hasTime = /[hs]/i.test(code);
+  if (hasDate && hasTime) return { kind: 'datetime' };
+  if (hasDate) return { kind: 'date' };
+  if (hasTime) return { kind: 'time' };
+  return { kind: null };
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// 数値のセルを表示形式に合わせた文字列にする（日付は YYYY/MM/DD、時刻は HH:MM(:SS)、パーセントは 25%）
+function formatCellNumber(text, format, date1904) {
+  const value = Number(text);
+  if (!format || !format.kind || text.trim() === '' || !Number.isFinite(value)) return text;
+  if (format.kind === 'percent') {
+    return `${(value * 100).toFixed(format.decimals)}%`;
+  }
+  // シリアル値（1900年基準は 1899/12/30 が 0、1904年基準は 1904/1/1 が 0）
+  const days = value + (date1904 ? 1462 : 0);
+  const date = new Date(Math.round((days - 25569) * 86400) * 1000);
+  if (Number.isNaN(date.getTime())) return text;
+  const ymd = `${date.getUTCFullYear()}/${pad2(date.getUTCMonth() + 1)}/${pad2(date.getUTCDate())}`;
+  const seconds = date.getUTCSeconds();
+  const hms = `${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}${seconds ? `:${pad2(seconds)}` : ''}`;
+  if (format.kind === 'date') return ymd;
+  if (format.kind === 'time') return hms;
+  return `${ymd} ${hms}`;
+}
+
+/**
+ * XLSX ファイルの最初のシートを行の配列として読み取る（MAX_XLSX_ROWS 行・MAX_XLSX_COLUMNS 列まで）
+ * 日付・時刻・パーセントの表示形式のセルは表示に近い文字列にする（例: 45292 → 2024/01/01、0.25 → 25%）
+ * @param {ArrayBuffer} data XLSX ファイルの内容
+ * @param {{ maxRows?: number, maxColumns?: number }} [options]
+ * @returns {Promise<string[][]>} 行ごとのセル値（空セルは ""、末尾の空行は除く）
+ */
+export async function readWorkbookRows(data, { maxRows = MAX_XLSX_ROWS, maxColumns = MAX_XLSX_COLUMNS } = {}) {
+  const zip = await JSZip.loadAsync(data);
+  const parser = new DOMParser();
+  const readXml = async (path) => {
+    const file = zip.file(path);
+    return file ? parser.parseFromString(await file.async('string'), 'application/xml') : null;
+  };
+
+  const workbookDoc = await readXml('xl/workbook.xml');
+  const sheet = workbookDoc && workbookDoc.getElementsByTagNameNS('*', 'sheet')[0];
+  if (!sheet) {
+    throw new Error('XLSXファイルにシートが見つかりません');
+  }
+  const workbookPr = workbookDoc.getElementsByTagNameNS('*', 'workbookPr')[0];
+  const date1904 = !!workbookPr && ['1', 'true'].includes(workbookPr.getAttribute('date1904'));
+
+  // 最初のシートのパス
+  const relId = sheet.getAttributeNS(RELATIONSHIP_NS, 'id') || sheet.getAttribute('r:id');
+  const relsDoc = await readXml('xl/_rels/workbook.xml.rels');
+  const rel = relsDoc && Array.from(relsDoc.getElementsByTagNameNS('*', 'Relationship')).find(r => r.getAttribute('Id') === relId);
+  if (!rel) {
+    throw new Error('XLSXファイルにシートが見つかりません');
+  }
+  const target = rel.getAttribute('Target') || '';
+  const sheetDoc = await readXml(target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`);
+  if (!sheetDoc) {
+    throw new Error('XLSXファイルにシートが見つかりません');
+  }
+
+  // 共有文字列（リッチテキストは全 t 要素を連結）
+  const sharedStrings = [];
+  const sharedStringsDoc = await readXml('xl/sharedStrings.xml');
+  if (sharedStringsDoc) {
+    Array.from(sharedStringsDoc.getElementsByTagNameNS('*', 'si')).forEach(si => {
+      sharedStrings.push(Array.from(si.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join(''));
+    });
+  }
+
+  // セルのスタイル番号（s 属性）→ 表示形式
+  const cellFormats = [];
+  const stylesDoc = await readXml('xl/styles.xml');
+  if (stylesDoc) {
+    const formatCodes = new Map();
+    Array.from(stylesDoc.getElementsByTagNameNS('*', 'numFmt')).forEach(f => {
+      formatCodes.set(parseInt(f.getAttribute('numFmtId'), 10), f.getAttribute('formatCode') || '');
+    });
+    const cellXfs = stylesDoc.getElementsByTagNameNS('*', 'cellXfs')[0];
+    if (cellXfs) {
+      childElements(cellXfs, 'xf').forEach(xf => {
+        const numFmtId = parseInt(xf.getAttribute('numFmtId'), 10) || 0;
+        cellFormats.push(classifyNumberFormat(numFmtId, formatCodes.get(numFmtId)));
+      });
+    }
+  }
+
+  // 範囲内のセルだけを読み取る（行・列は r 属性、省略時は直前の次）
+  const rows = [];
+  let width = 0;
+  let rowNumber = 0;
+  const sheetData = sheetDoc.getElementsByTagNameNS('*', 'sheetData')[0];
+  for (const row of sheetData ? childElements(sheetData, 'row') : []) {
+    rowNumber = parseInt(row.getAttribute('r'), 10) || rowNumber + 1;
+    if (rowNumber > maxRows) break;
+    const values = [];
+    let col = -1;
+    childElements(row, 'c').forEach(c => {
+      const ref = (c.getAttribute('r') || '').match(/^([A-Za-z]+)\d*$/);
+      col = ref ? columnIndexFromName(ref[1]) : col + 1;
+      if (col >= maxColumns) return;
+      const type = c.getAttribute('t');
+      let value;
+      if (type === 'inlineStr') {
+        value = Array.from(c.getElementsByTagNameNS('*', 't')).map(t => t.textContent).join('');
+      } else {
+        const v = childElements(c, 'v')[0];
+        if (!v) return;
+        if (type === 's') {
+          value = sharedStrings[parseInt(v.textContent, 10)] || '';
+        } else if (type === 'b') {
+          value = v.textContent === '1' ? 'TRUE' : 'FALSE';
+        } else if (!type || type === 'n') {
+          value = formatCellNumber(v.textContent, cellFormats[parseInt(c.getAttribute('s'), 10) || 0], date1904);
+        } else {
+          value = v.textContent;
+        }
+      }
+      values[col] = value;
+      width = Math.max(width, col + 1);
+    });
+    rows[rowNumber - 1] = values;
+  }
+  const table = [];
+  for (let i = 0; i < rows.length; i++) {
+    const values = rows[i] || [];
+    table.push(Array.from({ length: width }, (_, col) => (values[col] === undefined ? '' : values[col])));
+  }
+  while (table.length && table[table.length - 1].every(v => v === '')) table.pop();
+  return table;
+}
+
+/**
+ * CSV / XLSX ファイルを読み込み、見出しと行（見出し → 値）に変換する
+ * @param {File} file 読み込むファイル
+ * @returns {Promise<{ headers: string[], rows: Array<{ rowNumber: number, values: object }> }>}
+ *   rowNumber はファイル上の行番号（見出しが 1 行目）。空行は除く
+ */
+export async function readMergeFile(file) {
+  let table;
+  if (/\.xlsx$/i.test(file.name)) {
+    table = await readWorkbookRows(await file.arrayBuffer());
+  } else {
+    table = parseCsv(await file.text());
+  }
+  const headerIndex = table.findIndex(r => r.some(v => String(v).trim() !== ''));
+  if (headerIndex === -1) {
+    throw new Error('見出し行とデータ行が必要です');
+  }
+  const headers = table[headerIndex].map(h => String(h).trim());
+  const rows = [];
+  table.slice(headerIndex + 1).forEach((cells, index) => {
+    if (!cells.some(v => String(v).trim() !== '')) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cells[col] === undefined ? '' : String(cells[col]);
+    });
+    rows.push({ rowNumber: headerIndex + index + 2, values });
+  });
+  if (rows.length === 0) {
+    throw new Error('見出し行とデータ行が必要です');
+  }
+  return { headers, rows };
+}
+
+/**
+ * 見出しとスロットの対応を調べる
+ * @returns {{ matched: string[], unknownColumns: string[], missingSlots: string[] }}
+ */
+export function matchMergeColumns(slots, headers) {
+  const names = new Set(slots.map(slot => slot.name));
+  const columns = headers.filter(Boolean);
+  return {
+    matched: columns.filter(h => names.has(h)),
+    unknownColumns: columns.filter(h => !names.has(h)),
+    missingSlots: slots.map(slot => slot.name).filter(name => !columns.includes(name))
+  };
+}
+
+/**
+ * 行ごとにテンプレートへ値を差し込んだスニペットを作成する
+ * 見出しがないスロットは元の値のまま、配列のスロットが空欄の場合も元の値を使う
+ * @param {{ slotCode: string, slots: Array<object> }} template スロット付きテンプレート
+ * @param {Array<object>} rows readMergeFile の rows
+ * @returns {Array<{ rowNumber: number, code: string, warnings: string[] }>}
+ */
+export function buildMergeSnippets(template, rows) {
+  const slots = Array.isArray(template && template.slots) ? template.slots : [];
+  return rows.map(({ rowNumber, values: row }) => {
+    const values = {};
+    const warnings = [];
+    slots.forEach(slot => {
+      if (!Object.prototype.hasOwnProperty.call(row, slot.name)) {
+        values[slot.name] = slot.default;
+        return;
+      }
+      const cell = row[slot.name];
+      if (slot.type !== 'text' && String(cell).trim() === '') {
+        warnings.push(`${slot.name}: empty, kept the original values`);
+        values[slot.name] = slot.default;
+        return;
+      }
+      values[slot.name] = cell;
+    });
+    const result = fillTemplateSlots(template, values);
+    return { rowNumber, code: result.code, warnings: warnings.concat(result.warnings) };
+  });
+}
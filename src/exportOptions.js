@@ -0,0 +1,234 @@
+/**
+ * ファイル名: src/exportOptions.js
+ * 説明:
+ *   PPTX を書き出すときの設定（ファイル名・スライドサイズ・圧縮・ドキュメント情報、表紙・付録・末尾の案内スライド）を扱うモジュール。
+ *   設定は chrome.storage.local に保存して次回以降も使い、sandbox（pptx-runner.js）への postMessage と API の payload に exportOptions として渡す。
+ *
+ * 主な機能:
+ *   - 既定値（従来どおり 16:9、末尾にフォントの注意とお問い合わせのスライドを付ける）との統合と値の検証
+ *   - 保存・読み込み
+ *   - ファイル名のパターン（{title} {date} {time} {counter}）の展開と連番の更新
+ *   - 付録スライドのひな形（免責事項・お問い合わせ先）
+ *
+ * プレビュー用の生成では PREVIEW_EXPORT_OPTIONS（表紙・付録・末尾の案内スライドなし、16:9・無圧縮）を渡す。
+ */
+
+export const EXPORT_OPTIONS_VERSION = 1;
+export const EXPORT_OPTIONS_STORAGE_KEY = 'exportOptions';
+
+// 表紙のひな形（none: 表紙なし、simple: 中央にタイトル、band: 左にアクセント色の帯）
+export const COVER_TEMPLATES = ['none', 'simple', 'band'];
+
+// 付録スライドの上限
+export const MAX_APPENDIX_SLIDES = 10;
+
+// スライドサイズ（インチ）。スニペットは 16:9 の座標で書かれているため、ほかのサイズでは sandbox が位置・大きさを拡大・縮小する
+export const LAYOUT_PRESETS = Object.freeze({
+  '16:9': { width: 13.33, height: 7.5 },
+  '4:3': { width: 10, height: 7.5 },
+  '16:10': { width: 12, height: 7.5 }
+});
+
+// PowerPoint で指定できるスライドの大きさ（インチ）
+const MIN_LAYOUT_SIZE = 1;
+const MAX_LAYOUT_SIZE = 56;
+
+// ファイル名のパターンで使える項目
+export const FILE_NAME_TOKENS = ['{title}', '{date}', '{time}', '{counter}'];
+
+export const DEFAULT_EXPORT_OPTIONS = Object.freeze({
+  version: EXPORT_OPTIONS_VERSION,
+  // {title}: 最初の addText の先頭20文字、{date}: YYYYMMDD、{time}: HHmm、{counter}: 書き出すたびに増える番号（counter は次に使う番号）
+  fileName: { pattern: '{title}_{date}', counter: 1 },
+  // preset が custom のときだけ width / height（インチ）を使う
+  layout: { preset: '16:9', width: 13.33, height: 7.5 },
+  // true で DEFLATE 圧縮、false で無圧縮（STORE）
+  compression: true,
+  // PPTX のドキュメント情報（タイトルは表紙のタイトル、なければファイル名）
+  metadata: { author: '', company: '', subject: '' },
+  // title が空のときはファイル名（拡張子なし）を使う
+  cover: { template: 'none', title: '', subtitle: '', showDate: false },
+  // 末尾の案内スライド（fontNote: フォント埋め込みの注意、contact: 不具合・要望の連絡先とマニュアル）
+  infoSlides: { fontNote: true, contact: true },
+  // ユーザーのスライドの後ろに付ける付録（[{ title, body }]）
+  appendix: []
+});
+
+// プレビュー（テンプレートのサムネイルなど）用の設定。ユーザーのスライドだけを 16:9・無圧縮で生成する
+export const PREVIEW_EXPORT_OPTIONS = Object.freeze({
+  ...DEFAULT_EXPORT_OPTIONS,
+  compression: false,
+  cover: { ...DEFAULT_EXPORT_OPTIONS.cover, template: 'none' },
+  infoSlides: { fontNote: false, contact: false },
+  appendix: []
+});
+
+// 付録スライドのひな形
+export const APPENDIX_PRESETS = Object.freeze([
+  {
+    id: 'disclaimer',
+    label: '免責事項',
+    title: '免責事項',
+    body: '本資料は情報提供を目的として作成したものであり、内容の正確性・完全性を保証するものではありません。\n本資料の内容は予告なく変更されることがあります。\n本資料の無断転載・複製を禁じます。'
+  },
+  {
+    id: 'contact',
+    label: 'お問い合わせ先',
+    title: 'お問い合わせ先',
+    body: '担当部署：\n担当者：\nメール：\n電話：'
+  }
+]);
+
+function normalizeText(value, fallback, maxLength) {
+  return typeof value === 'string' ? value.slice(0, maxLength) : fallback;
+}
+
+function normalizeBoolean(value, fallback) {
+  return typeof value === 'boolean' ? value : fallback;
+}
+
+function normalizeNumber(value, fallback, min, max) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * 書き出し設定を既定値で補い、値を検証する
+ * @param {object} options 保存されていた書き出し設定
+ * @returns {object} DEFAULT_EXPORT_OPTIONS と同じ形の書き出し設定
+ */
+export function normalizeExportOptions(options) {
+  const src = options && typeof options === 'object' ? options : {};
+  const d = DEFAULT_EXPORT_OPTIONS;
+  const fileName = src.fileName || {};
+  const layout = src.layout || {};
+  const metadata = src.metadata || {};
+  const cover = src.cover || {};
+  const infoSlides = src.infoSlides || {};
+  const preset = layout.preset === 'custom' || LAYOUT_PRESETS[layout.preset] ? layout.preset : d.layout.preset;
+  const size = LAYOUT_PRESETS[preset] || {
+    width: normalizeNumber(layout.width, d.layout.width, MIN_LAYOUT_SIZE, MAX_LAYOUT_SIZE),
+    height: normalizeNumber(layout.height, d.layout.height, MIN_LAYOUT_SIZE, MAX_LAYOUT_SIZE)
+  };
+  return {
+    version: EXPORT_OPTIONS_VERSION,
+    fileName: {
+      pattern: normalizeText(fileName.pattern, d.fileName.pattern, 100).trim() || d.fileName.pattern,
+      counter: Math.round(normalizeNumber(fileName.counter, d.fileName.counter, 1, 999999))
+    },
+    layout: { preset, width: size.width, height: size.height },
+    compression: normalizeBoolean(src.compression, d.compression),
+    metadata: {
+      author: normalizeText(metadata.author, d.metadata.author, 100),
+      company: normalizeText(metadata.company, d.metadata.company, 100),
+      subject: normalizeText(metadata.subject, d.metadata.subject, 200)
+    },
+    cover: {
+      template: COVER_TEMPLATES.includes(cover.template) ? cover.template : d.cover.template,
+      title: normalizeText(cover.title, d.cover.title, 200),
+      subtitle: normalizeText(cover.subtitle, d.cover.subtitle, 200),
+      showDate: normalizeBoolean(cover.showDate, d.cover.showDate)
+    },
+    infoSlides: {
+      fontNote: normalizeBoolean(infoSlides.fontNote, d.infoSlides.fontNote),
+      contact: normalizeBoolean(infoSlides.contact, d.infoSlides.contact)
+    },
+    appendix: (Array.isArray(src.appendix) ? src.appendix : [])
+      .filter(slide => slide && (typeof slide.title === 'string' || typeof slide.body === 'string'))
+      .map(slide => ({
+        title: normalizeText(slide.title, '', 200),
+        body: normalizeText(slide.body, '', 4000)
+      }))
+      .filter(slide => slide.title.trim() || slide.body.trim())
+      .slice(0, MAX_APPENDIX_SLIDES)
+  };
+}
+
+/**
+ * 保存されている書き出し設定を読み込む（未保存なら既定値）
+ * @returns {Promise<object>}
+ */
+export async function loadExportOptions() {
+  return new Promise((resolve) => {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+      resolve(normalizeExportOptions(null));
+      return;
+    }
+    chrome.storage.local.get([EXPORT_OPTIONS_STORAGE_KEY], (result) => {
+      resolve(normalizeExportOptions(result && result[EXPORT_OPTIONS_STORAGE_KEY]));
+    });
+  });
+}
+
+/**
+ * 書き出し設定を保存する
+ * @param {object} options 書き出し設定
+ * @returns {Promise<object>} 保存した（検証済みの）書き出し設定
+ */
+export async function saveExportOptions(options) {
+  const normalized = normalizeExportOptions(options);
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [EXPORT_OPTIONS_STORAGE_KEY]: normalized }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(normalized);
+    });
+  });
+}
+
+/**
+ * スニペットの最初の addText の文字列からファイル名のタイトル部分を作る
+ * @param {string} snippet PptxGenJS のコード
+ * @returns {string} 見つからない場合は ''
+ */
+export function extractSnippetTitle(snippet) {
+  const m = String(snippet || '').match(/addText\(\s*(["'`])([\s\S]*?)\1/);
+  if (!m) return '';
+  return m[2].replace(/\\n/g, ' ').trim().slice(0, 20);
+}
+
+/**
+ * ファイル名のパターンを展開する（ファイル名に使えない文字は _ に置き換え、.pptx を付ける）
+ * @param {string} pattern 例: '{title}_{date}'
+ * @param {{ title?: string, counter?: number, now?: Date }} values
+ * @returns {string}
+ */
+export function buildExportFileName(pattern, { title = '', counter = 1, now = new Date() } = {}) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const values = {
+    '{title}': title || 'slides',
+    '{date}': `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+    '{time}': `${pad(now.getHours())}${pad(now.getMinutes())}`,
+    '{counter}': pad(counter, 3)
+  };
+  const name = String(pattern || DEFAULT_EXPORT_OPTIONS.fileName.pattern)
+    .replace(/\{(title|date|time|counter)\}/g, token => values[token])
+    .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_')
+    .replace(/\s+/g, '_')
+    .replace(/\.pptx$/i, '')
+    .trim();
+  return `${name || 'slides'}.pptx`;
+}
+
+/**
+ * 保存済みのパターンで書き出すファイル名を決める（{counter} を使っている場合は番号を進めて保存する）
+ * @param {string} snippet ファイル名のタイトルに使うコード
+ * @param {string} [fallbackTitle] コードにタイトルがない場合のタイトル
+ * @returns {Promise<string>}
+ */
+export async function nextExportFileName(snippet, fallbackTitle = '') {
+  const options = await loadExportOptions();
+  const { pattern, counter } = options.fileName;
+  const fileName = buildExportFileName(pattern, {
+    title: extractSnippetTitle(snippet) || fallbackTitle,
+    counter
+  });
+  if (pattern.includes('{counter}')) {
+    options.fileName.counter = counter + 1;
+    await saveExportOptions(options).catch(err => console.warn('[Export Options] 連番の保存に失敗しました', err));
+  }
+  return fileName;
+}
@@ -0,0 +1,180 @@
+/**
+ * ファイル名: src/exportOrchestrator.js
+ * 説明:
+ *   PPTX の生成を API と sandbox（ブラウザ内）のどちらで行うかを決めるモジュール。
+ *   API での生成を優先し、一時的な失敗は間隔を空けて再試行する。API で生成できない場合は sandbox での生成に切り替える。
+ *   生成そのもの（API 呼び出し・sandbox への postMessage）は呼び出し元から関数で受け取る。
+ *
+ * 主な機能:
+ *   - API のエラーの分類（ネットワーク・APIキー・IP制限・サーバーエラー・タイムアウト・設定不足・リクエスト不正・キャンセル）
+ *     再試行するのはネットワークとサーバーエラーだけ（タイムアウトは待ち時間が長くなりすぎるため再試行しない）
+ *     apiClient.js が付ける error.kind / error.status を使い、IP制限と判別できなかった 403 は checkCurrentIp で確かめる
+ *   - 再試行の間隔（指数バックオフ＋ゆらぎ）
+ *   - どちらの経路で生成したか（path: 'api' | 'sandbox'）と、切り替えた理由を返す
+ *
+ * キャンセル（error.name が 'AbortError'）の場合は再試行も sandbox への切り替えもしない。
+ */
+
+export const EXPORT_ERROR_TYPES = Object.freeze({
+  NETWORK: 'network',
+  AUTH: 'auth',
+  IP: 'ip',
+  SERVER: 'server',
+  TIMEOUT: 'timeout',
+  CONFIG: 'config',
+  REQUEST: 'request',
+  CANCELED: 'canceled'
+});
+
+// 再試行すると直る可能性がある失敗
+// タイムアウトはリクエストの制限時間（最大5分）をすでに待っているため、再試行せずにすぐ sandbox に切り替える
+const RETRYABLE_TYPES = [EXPORT_ERROR_TYPES.NETWORK, EXPORT_ERROR_TYPES.SERVER];
+
+// 利用者に見せる失敗の理由
+const ERROR_DESCRIPTIONS = {
+  network: 'APIサーバーに接続できませんでした',
+  auth: 'APIキーが無効か、権限がありません',
+  ip: 'IP制限により、このネットワークからはAPIを利用できません',
+  server: 'APIサーバーでエラーが発生しました',
+  timeout: 'APIの応答がタイムアウトしました',
+  config: 'APIキーまたは接続先が設定されていません',
+  request: 'APIがリクエストを受け付けませんでした',
+  canceled: '生成をキャンセルしました'
+};
+
+// 既定の再試行（最初の失敗のあと最大2回、1秒 → 2秒、上限8秒）
+export const DEFAULT_RETRY_POLICY = Object.freeze({ retries: 2, baseDelay: 1000, maxDelay: 8000 });
+
+/**
+ * API のエラーを分類する
+ * @param {Error} error apiClient.js が投げたエラー
+ * @returns {{ type: string, retryable: boolean, status: number, message: string }}
+ */
+export function classifyExportError(error) {
+  const err = error || {};
+  const status = Number(err.status) || 0;
+  let type;
+  if (err.name === 'AbortError') {
+    type = EXPORT_ERROR_TYPES.CANCELED;
+  } else if (Object.values(EXPORT_ERROR_TYPES).includes(err.kind)) {
+    type = err.kind;
+  } else if (err.name === 'TimeoutError') {
+    type = EXPORT_ERROR_TYPES.TIMEOUT;
+  } else if (status === 401 || status === 403) {
+    type = EXPORT_ERROR_TYPES.AUTH;
+  } else if (status === 429 || status >= 500) {
+    type = EXPORT_ERROR_TYPES.SERVER;
+  } else if (status >= 400) {
+    type = EXPORT_ERROR_TYPES.REQUEST;
+  } else {
+    // 分類できないもの（background との通信の失敗など）は接続の失敗として扱う
+    type = EXPORT_ERROR_TYPES.NETWORK;
+  }
+  return {
+    type,
+    retryable: RETRYABLE_TYPES.includes(type),
+    status,
+    message: err.message || String(error)
+  };
+}
+
+/**
+ * 分類したエラーの説明（利用者向け）
+ * @param {{ type: string }} classified classifyExportError の結果
+ * @returns {string}
+ */
+export function describeExportError(classified) {
+  return ERROR_DESCRIPTIONS[classified && classified.type] || ERROR_DESCRIPTIONS.network;
+}
+
+/**
+ * 再試行までの待ち時間（attempt は 1 始まりの再試行の回数）
+ * @param {number} attempt
+ * @param {{ baseDelay: number, maxDelay: number }} policy
+ * @param {() => number} [random] テスト用の乱数
+ * @returns {number} ミリ秒
+ */
+export function backoffDelay(attempt, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  // 同時に失敗したリクエストが一斉に再送しないよう、最大 20% 短くする
+  return Math.round(exponential * (1 - random() * 0.2));
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      const error = new Error('生成をキャンセルしました');
+      error.name = 'AbortError';
+      reject(error);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * API での生成を試し、できなければ sandbox で生成する
+ * @param {object} options
+ * @param {(context: { signal?: AbortSignal, attempt: number }) => Promise<Blob>} [options.viaApi] API で生成する関数（省略時は sandbox だけ）
+ * @param {() => Promise<Blob>} options.viaSandbox sandbox で生成する関数
+ * @param {AbortSignal} [options.signal] キャンセル用のシグナル
+ * @param {object} [options.retry] 再試行の設定（DEFAULT_RETRY_POLICY と同じ形）
+ * @param {() => Promise<{ allowed: boolean, ipv4: string, ipv6: string }>} [options.checkIp] IP制限と判別できなかった 403 のときに IP制限かどうかを確かめる関数（apiClient の checkCurrentIp）
+ * @param {(info: { attempt: number, delay: number, error: object }) => void} [options.onRetry] 再試行の前に呼ばれる
+ * @param {(error: object) => void} [options.onFallback] sandbox に切り替える前に呼ばれる
+ * @returns {Promise<{ blob: Blob, path: 'api'|'sandbox', attempts: number, apiError: object|null }>}
+ *   apiError は sandbox に切り替えた理由（classifyExportError の結果）
+ * @throws {Error} キャンセルされた場合（name: 'AbortError'）と、sandbox でも生成できなかった場合（error.apiError に API 側の理由）
+ */
+export async function runExport({ viaApi, viaSandbox, signal, retry = DEFAULT_RETRY_POLICY, checkIp, onRetry, onFallback }) {
+  let attempts = 0;
+  let apiError = null;
+
+  if (viaApi) {
+    while (true) {
+      attempts++;
+      try {
+        const blob = await viaApi({ signal, attempt: attempts });
+        return { blob, path: 'api', attempts, apiError: null };
+      } catch (error) {
+        apiError = classifyExportError(error);
+        if (apiError.type === EXPORT_ERROR_TYPES.CANCELED || (signal && signal.aborted)) {
+          throw error;
+        }
+        if (apiError.type === EXPORT_ERROR_TYPES.AUTH && apiError.status === 403 && checkIp) {
+          // checkCurrentIp は拒否されたときにサーバーが返した接続元の IP を返す（取れなければ APIキーの問題とみなす）
+          const ip = await checkIp().catch(() => null);
+          const hasIp = ip && [ip.ipv4, ip.ipv6].some(value => value && value !== 'Unknown');
+          if (ip && ip.allowed === false && hasIp) apiError.type = EXPORT_ERROR_TYPES.IP;
+        }
+        console.warn(`[Export] API での生成に失敗しました（${apiError.type}、${attempts} 回目）:`, error);
+        if (!apiError.retryable || attempts > retry.retries) break;
+        const delay = backoffDelay(attempts, retry);
+        if (onRetry) onRetry({ attempt: attempts, delay, error: apiError });
+        await wait(delay, signal);
+      }
+    }
+    if (onFallback) onFallback(apiError);
+  }
+
+  try {
+    const blob = await viaSandbox();
+    return { blob, path: 'sandbox', attempts, apiError };
+  } catch (error) {
+    if (apiError) {
+      error.apiError = apiError;
+      error.message = `${error.message}（API: ${describeExportError(apiError)}）`;
+    }
+    throw error;
+  }
+}
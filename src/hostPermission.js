@@ -0,0 +1,38 @@
+/**
+ * ファイル名: src/hostPermission.js
+ * 説明:
+ *   API の接続先ホストへのアクセス許可を求める拡張機能のページ（hostPermission.html）のスクリプト。
+ *   chrome.permissions.request はユーザー操作の中でしか呼べないため、background.js がこのページを開き、
+ *   ユーザーが「許可する」を押したときに要求する。
+ *   対象のパターンはクエリ文字列の pattern で受け取り、background.js と同じ条件で検証する。
+ */
+(function () {
+  const HOST_PERMISSION_PATTERN = /^(https:\/\/[a-z0-9.-]+|http:\/\/(localhost|127\.0\.0\.1))\/\*$/i;
+  const pattern = new URLSearchParams(location.search).get('pattern') || '';
+  const patternEl = document.getElementById('host-permission-pattern');
+  const grantBtn = document.getElementById('host-permission-grant-btn');
+  const resultEl = document.getElementById('host-permission-result');
+
+  if (!HOST_PERMISSION_PATTERN.test(pattern)) {
+    patternEl.textContent = pattern || '（指定なし）';
+    grantBtn.disabled = true;
+    resultEl.textContent = '❌ 接続先の指定が正しくありません。API設定からやり直してください。';
+    return;
+  }
+  patternEl.textContent = pattern;
+
+  grantBtn.addEventListener('click', async () => {
+    grantBtn.disabled = true;
+    try {
+      const granted = await chrome.permissions.request({ origins: [pattern] });
+      resultEl.textContent = granted
+        ? '✅ 許可しました。このタブを閉じて、API設定の画面に戻ってください。'
+        : '⚠️ 許可されませんでした。この接続先には API 経由で接続できません。';
+      if (!granted) grantBtn.disabled = false;
+    } catch (error) {
+      console.error('[Host Permission] request failed:', error);
+      resultEl.textContent = `❌ 許可の要求に失敗しました: ${error.message}`;
+      grantBtn.disabled = false;
+    }
+  });
+})();
@@ -25,6 +25,12 @@ window.messages = {
     pptxAnalysisTitle: "スライド解析結果",
     pptxCopyJson: "JSONをコピー",
     pptxSendJson: "送信",
+    pptxShowCode: "コードを表示",
+    pptxShowJson: "JSONを表示",
+    pptxRebuild: "PPTXを再現",
+    pptxDownloadDeckJson: "デッキJSONをダウンロード",
+    pptxUseAsBrand: "このファイルをブランドに設定",
+    pptxCodePrompt: "以下のPptxGenJSコードは既存のスライドをそのまま再現したものです。位置・サイズ・色・フォント・罫線などのデザインは変えずに、テキストやデータなどの内容だけを変更したコードを出力してください。",
     templates: "テンプレート",
     saveTemplate: "テンプレートとして保存",
     savePreview: "テンプレートとして保存",
@@ -70,6 +76,12 @@ window.messages = {
     exportingPptx: "パワポをエクスポート中...",
     exportDone: "エクスポート完了",
     exportFailed: "エラーが発生しエクスポートがうまくいきませんでした。修正指示をAIに渡してください",
+    snippetDiagnosticsTitle: "コードの問題",
+    snippetDiagnosticsFix: "修正を依頼",
+    snippetDiagnosticsClose: "閉じる",
+    reportTitle: "一部の要素を追加できませんでした",
+    reportElementsDropped: " 件の要素が追加されませんでした",
+    reportElementsSanitized: " 件の要素は値を補正して追加しました",
     registrationComplete: "登録完了！",
     creatingPptx: "パワポを作成中...",
     textboxDetected: "テキストボックスを検出しました",
@@ -92,11 +104,17 @@ window.messages = {
     langEn: "English",
     // API経由ダウンロード機能
     downloadViaApi: "高速ダウンロード",
+    downloadCsvTemplate: "差し込み用CSV",
+    csvTemplateNoSlots: "このコードには差し替えられる箇所がありません",
     apiKeyNotSet: "APIキーが設定されていません",
     apiKeyInvalid: "APIキーが無効です",
     apiDownloadSuccess: "API経由でダウンロードが完了しました！",
     apiDownloadFailed: "API経由でのダウンロードに失敗しました",
     apiGenerating: "API経由で生成中...",
+    apiJobQueued: "API の順番待ち中...",
+    apiRetrying: "API に再接続しています...",
+    exportViaApi: "API で生成しました",
+    exportViaSandbox: "API で生成できなかったため、ブラウザ内で生成しました",
     // APIキー設定UI
     apiSettings: "API設定",
     apiKeySettings: "APIキー設定",
@@ -109,6 +127,10 @@ window.messages = {
     apiKeyCurrentStatus: "現在の状態",
     apiKeySet: "設定済み",
     apiKeyNotSetStatus: "未設定",
+    apiKeyValidate: "APIキーを確認",
+    apiKeyValidating: "APIキーを確認中...",
+    apiKeySaveUnverified: "このまま保存しますか？",
+    apiKeyStorageNote: "APIキーは暗号化してこのブラウザに保存します。復号用の鍵は拡張機能の中だけに置き、ページからは読み取れません。",
     // PPTX Preview
     previewPptx: "プレビュー",
     previewPptxUpdate: "プレビュー更新",
@@ -137,6 +159,12 @@ window.messages = {
     pptxAnalysisTitle: "Slide Analysis Result",
     pptxCopyJson: "Copy JSON",
     pptxSendJson: "Send",
+    pptxShowCode: "Show code",
+    pptxShowJson: "Show JSON",
+    pptxRebuild: "Rebuild PPTX",
+    pptxDownloadDeckJson: "Download deck JSON",
+    pptxUseAsBrand: "Use as our brand",
+    pptxCodePrompt: "The following PptxGenJS code reproduces an existing slide as-is. Keep the design (positions, sizes, colors, fonts and borders) unchanged and output code that only changes the content such as text and data.",
     templates: "Templates",
     saveTemplate: "Save as Template",
     savePreview: "Save as Template",
@@ -182,6 +210,12 @@ window.messages = {
     exportingPptx: "Exporting PowerPoint...",
     exportDone: "Export completed",
     exportFailed: "An error occurred and export failed. Please pass fix instructions to the AI",
+    snippetDiagnosticsTitle: "Code problems",
+    snippetDiagnosticsFix: "Ask for a fix",
+    snippetDiagnosticsClose: "Close",
+    reportTitle: "Some elements were not added",
+    reportElementsDropped: " element(s) dropped",
+    reportElementsSanitized: " element(s) adjusted before adding",
     registrationComplete: "Registration complete!",
     creatingPptx: "Creating PowerPoint...",
     textboxDetected: "Detected text box",
@@ -204,11 +238,17 @@ window.messages = {
     langEn: "English",
     // API経由ダウンロード機能
     downloadViaApi: "Fast Download",
+    downloadCsvTemplate: "Merge CSV",
+    csvTemplateNoSlots: "This code has no replaceable content",
     apiKeyNotSet: "API key is not set",
     apiKeyInvalid: "API key is invalid",
     apiDownloadSuccess: "Download via API completed!",
     apiDownloadFailed: "Failed to download via API",
     apiGenerating: "Generating via API...",
+    apiJobQueued: "Waiting in the API queue...",
+    apiRetrying: "Retrying the API...",
+    exportViaApi: "Generated via the API",
+    exportViaSandbox: "The API could not generate the file, so it was generated in the browser",
     // APIキー設定UI
     apiSettings: "API Settings",
     apiKeySettings: "API Key Settings",
@@ -221,6 +261,10 @@ window.messages = {
     apiKeyCurrentStatus: "Current Status",
     apiKeySet: "Set",
     apiKeyNotSetStatus: "Not Set",
+    apiKeyValidate: "Check API key",
+    apiKeyValidating: "Checking API key...",
+    apiKeySaveUnverified: "Save it anyway?",
+    apiKeyStorageNote: "The API key is stored encrypted in this browser. The decryption key stays inside the extension and cannot be read by web pages.",
     // PPTX Preview
     previewPptx: "Preview",
     previewPptxUpdate: "Update Preview",
@@ -7,11 +7,19 @@
  * 主な機能:
  *   - PPTXファイルの読み込みとZIP展開
  *   - テーマカラーの抽出と変換
- *   - スライド要素（テキスト、図形、表、線）の完全解析
+ *   - スライド要素（テキスト、図形、表、線、画像）の完全解析
  *   - テンプレート情報（背景色、スライド番号、固定画像）の抽出
+ *   - 塗りつぶし（単色・グラデーション・パターン・画像）の解析
+ *   - SmartArt（描画済み図形）の解析
+ *   - チャート（グループ内を含む、複合グラフ・第2軸・データラベル・表示形式）の解析
+ *   - チャートのキャッシュが欠けている場合の埋め込みワークブック（ppt/embeddings/*.xlsx）からの補完
  *   - マスタースタイルの解析
  *   - 箇条書きの解析
+ *   - スピーカーノートの抽出
  *   - PptxGenJS用の詳細プロンプト付きJSON生成
+ *   - コード生成用のスライドデータ出力（slides[].data、pptxCodeGenerator.js で使用）
+ *   - デッキ全体の構造化JSON（テーマ、マスター/レイアウト一覧、スライドごとのデータ）の作成
+ *   - ブランドキット作成用の情報（テーマの配色・フォント、ロゴ、スライド番号、背景）の抽出
  */
 
 // 単位変換関数
@@ -131,6 +139,25 @@ function getGroupTransform(grpSpElement) {
   return transform;
 }
 
+// 親グループの変換と子グループの変換を合成（子の子座標系 → 親の親座標系）
+function composeGroupTransforms(parent, child) {
+  const parentScaleX = parent.chExt_cx !== 0 ? parent.ext_cx / parent.chExt_cx : 1;
+  const parentScaleY = parent.chExt_cy !== 0 ? parent.ext_cy / parent.chExt_cy : 1;
+  const childScaleX = child.chExt_cx !== 0 ? child.ext_cx / child.chExt_cx : 1;
+  const childScaleY = child.chExt_cy !== 0 ? child.ext_cy / child.chExt_cy : 1;
+
+  return {
+    off_x: parent.off_x + (child.off_x - parent.chOff_x) * parentScaleX,
+    off_y: parent.off_y + (child.off_y - parent.chOff_y) * parentScaleY,
+    ext_cx: child.chExt_cx * childScaleX * parentScaleX,
+    ext_cy: child.chExt_cy * childScaleY * parentScaleY,
+    chOff_x: child.chOff_x,
+    chOff_y: child.chOff_y,
+    chExt_cx: child.chExt_cx,
+    chExt_cy: child.chExt_cy
+  };
+}
+
 // グループの子座標系から絶対座標への変換関数
 function transformCoordinates(localPosition, localSize, groupTransform) {
   if (!groupTransform) {
@@ -157,6 +184,90 @@ function transformCoordinates(localPosition, localSize, groupTransform) {
   };
 }
 
+// 画像の拡張子 → MIMEタイプ
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  webp: 'image/webp',
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf'
+};
+
+// プロンプトJSONにインライン展開する画像データURIの上限（文字数）
+// これを超える画像はプロンプトJSONでは data を省略する（コード生成用の slides[].data には全て含める）
+const MAX_INLINE_IMAGE_LENGTH = 300000;
+
+const RELATIONSHIP_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// リレーションシップのTargetをZIP内のパスに解決する（例: ../media/image1.png → ppt/media/image1.png）
+function resolveRelationshipTarget(basePath, target) {
+  if (!target) return '';
+  if (target.startsWith('/')) return target.substring(1);
+
+  const parts = basePath.split('/').slice(0, -1);
+  target.split('/').forEach(seg => {
+    if (seg === '..') {
+      parts.pop();
+    } else if (seg && seg !== '.') {
+      parts.push(seg);
+    }
+  });
+  return parts.join('/');
+}
+
+// 読み込んだリレーションシップ（zip → パーツのパス → Promise<Map>）。画像ごと・ノートなどで同じ .rels を何度も解析しない
+const relationshipCache = new WeakMap();
+
+// パーツ（スライド・レイアウト・マスター）のリレーションシップを読み込む（Id → { type, target, external }）
+// パーツごとに一度だけ解析し、2回目以降は同じ Map を返す（呼び出し側で変更しないこと）
+function loadRelationships(zip, partPath) {
+  if (!relationshipCache.has(zip)) relationshipCache.set(zip, new Map());
+  const cache = relationshipCache.get(zip);
+  if (!cache.has(partPath)) cache.set(partPath, parseRelationships(zip, partPath));
+  return cache.get(partPath);
+}
+
+async function parseRelationships(zip, partPath) {
+  const rels = new Map();
+  const dir = partPath.substring(0, partPath.lastIndexOf('/'));
+  const relsPath = `${dir}/_rels/${partPath.split('/').pop()}.rels`;
+  const relsFile = zip.file(relsPath);
+  if (!relsFile) {
+    console.log(`リレーションシップファイルが見つかりません: ${relsPath}`);
+    return rels;
+  }
+
+  const relsXml = await relsFile.async("string");
+  const relsDoc = new DOMParser().parseFromString(relsXml, "application/xml");
+  Array.from(relsDoc.getElementsByTagName("Relationship")).forEach(rel => {
+    rels.set(rel.getAttribute("Id"), {
+      type: rel.getAttribute("Type") || "",
+      target: rel.getAttribute("Target") || "",
+      external: rel.getAttribute("TargetMode") === "External"
+    });
+  });
+  return rels;
+}
+
+// メディアファイルをデータURIとして読み込む
+async function loadMediaDataUri(zip, mediaPath) {
+  const ext = mediaPath.split('.').pop().toLowerCase();
+  const mimeType = IMAGE_MIME_TYPES[ext] || `image/${ext}`;
+  const mediaFile = zip.file(mediaPath);
+  if (!mediaFile) {
+    console.log(`メディアファイルが見つかりません: ${mediaPath}`);
+    return { mimeType, data: "" };
+  }
+  const base64 = await mediaFile.async("base64");
+  return { mimeType, data: `data:${mimeType};base64,${base64}` };
+}
+
 // テーマカラーを読み込む関数
 async function loadThemeColors(zip) {
   try {
@@ -221,6 +332,117 @@ async function loadThemeColors(zip) {
   }
 }
 
+// テーマのフォント（a:fontScheme の見出し用 majorFont・本文用 minorFont）を読み込む関数
+async function loadThemeFonts(zip) {
+  try {
+    const themeFile = zip.file('ppt/theme/theme1.xml');
+    if (!themeFile) return null;
+
+    const themeXml = await themeFile.async('string');
+    const doc = new DOMParser().parseFromString(themeXml, 'application/xml');
+
+    const fontScheme = Array.from(doc.getElementsByTagName('*')).find(el =>
+      el.tagName.endsWith(':fontScheme') || el.localName === 'fontScheme'
+    );
+    if (!fontScheme) return null;
+
+    // latin（欧文）・ea（東アジア）の typeface と、Jpan スクリプトの指定
+    const readFont = (name) => {
+      const fontEl = findChildElement(fontScheme, name);
+      const font = { latin: '', ea: '', jpan: '' };
+      if (!fontEl) return font;
+      const latin = findChildElement(fontEl, 'latin');
+      const ea = findChildElement(fontEl, 'ea');
+      const jpan = Array.from(fontEl.getElementsByTagName('*')).find(el =>
+        (el.tagName.endsWith(':font') || el.localName === 'font') && el.getAttribute('script') === 'Jpan'
+      );
+      if (latin) font.latin = latin.getAttribute('typeface') || '';
+      if (ea) font.ea = ea.getAttribute('typeface') || '';
+      if (jpan) font.jpan = jpan.getAttribute('typeface') || '';
+      return font;
+    };
+
+    const themeFonts = {
+      name: fontScheme.getAttribute('name') || '',
+      major: readFont('majorFont'),
+      minor: readFont('minorFont')
+    };
+    console.log('テーマフォントを読み込みました:', themeFonts);
+    return themeFonts;
+  } catch (err) {
+    console.log('テーマフォントの読み込みエラー:', err.message);
+    return null;
+  }
+}
+
+// スライドサイズを読み込む（presentation.xml の p:sldSz、インチ）
+async function loadSlideSize(zip) {
+  const presFile = zip.file('ppt/presentation.xml');
+  if (!presFile) return null;
+
+  const presXml = await presFile.async('string');
+  const doc = new DOMParser().parseFromString(presXml, 'application/xml');
+  const sldSz = Array.from(doc.getElementsByTagName('*')).find(el =>
+    el.tagName.endsWith(':sldSz') || el.localName === 'sldSz'
+  );
+  if (!sldSz) return null;
+
+  return {
+    width: parseFloat(emuToInch(parseInt(sldSz.getAttribute('cx') || '0', 10)).toFixed(3)),
+    height: parseFloat(emuToInch(parseInt(sldSz.getAttribute('cy') || '0', 10)).toFixed(3))
+  };
+}
+
+// マスター・レイアウトの名前（p:cSld の name 属性）
+function getPartName(doc) {
+  const cSld = Array.from(doc.getElementsByTagName('*')).find(el =>
+    el.tagName.endsWith(':cSld') || el.localName === 'cSld'
+  );
+  return cSld ? (cSld.getAttribute('name') || '') : '';
+}
+
+// スライドマスターとレイアウトの一覧を読み込む
+async function loadLayoutCatalog(zip) {
+  const masterPaths = Object.keys(zip.files)
+    .filter(p => /^ppt\/slideMasters\/slideMaster\d+\.xml$/i.test(p))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+  const masters = [];
+  for (const masterPath of masterPaths) {
+    const masterXml = await zip.file(masterPath).async('string');
+    const masterDoc = new DOMParser().parseFromString(masterXml, 'application/xml');
+    const rels = await loadRelationships(zip, masterPath);
+
+    const layouts = [];
+    for (const rel of rels.values()) {
+      if (!rel.type.endsWith('/slideLayout')) continue;
+      const layoutPath = resolveRelationshipTarget(masterPath, rel.target);
+      const layoutFile = zip.file(layoutPath);
+      if (!layoutFile) continue;
+
+      const layoutXml = await layoutFile.async('string');
+      const layoutDoc = new DOMParser().parseFromString(layoutXml, 'application/xml');
+      // プレースホルダー（type 省略時は obj）
+      const placeholders = Array.from(layoutDoc.getElementsByTagName('*'))
+        .filter(el => el.tagName.endsWith(':ph') || el.localName === 'ph')
+        .map(ph => ({
+          type: ph.getAttribute('type') || 'obj',
+          idx: ph.getAttribute('idx') != null ? parseInt(ph.getAttribute('idx'), 10) : null
+        }));
+
+      layouts.push({
+        path: layoutPath,
+        name: getPartName(layoutDoc),
+        type: layoutDoc.documentElement.getAttribute('type') || '',
+        placeholders
+      });
+    }
+
+    masters.push({ path: masterPath, name: getPartName(masterDoc), layouts });
+  }
+  return masters;
+}
+
 // 色情報を抽出（srgbClrまたはschemeClr対応、RGB値に変換）
 function extractColor(element, themeColors) {
   if (!element) return '';
@@ -253,9 +475,188 @@ function extractColor(element, themeColors) {
     return resolveSchemeColor(schemeName, lumMod, lumOff, themeColors);
   }
 
+  const sysClr = Array.from(element.getElementsByTagName("*")).find(el =>
+    el.tagName.endsWith(":sysClr") || el.localName === "sysClr"
+  );
+
+  if (sysClr) {
+    return normalizeColorHex(sysClr.getAttribute('lastClr') || '');
+  }
+
   return '';
 }
 
+// 色要素の透明度を取得（<a:alpha val="60000"/> → 40）
+function extractTransparency(element) {
+  if (!element) return 0;
+
+  const alpha = Array.from(element.getElementsByTagName("*")).find(el =>
+    el.tagName.endsWith(":alpha") || el.localName === "alpha"
+  );
+  if (!alpha) return 0;
+
+  const val = parseInt(alpha.getAttribute('val') || '100000', 10);
+  return Math.max(0, Math.min(100, Math.round(100 - val / 1000)));
+}
+
+// 直下の子要素をローカル名で取得
+function findChildElement(parent, name) {
+  if (!parent) return null;
+  return Array.from(parent.childNodes).find(node => {
+    if (node.nodeType !== 1) return false;
+    const tagName = node.tagName || node.localName;
+    return tagName && (tagName.endsWith(`:${name}`) || tagName === name);
+  }) || null;
+}
+
+// 複数色の平均色（グラデーション・パターンの代表色に使用）
+function averageColors(colors) {
+  const valid = colors.filter(c => /^[0-9A-F]{6}$/i.test(c || ''));
+  if (valid.length === 0) return '';
+
+  const sum = valid.reduce((acc, c) => {
+    acc[0] += parseInt(c.substring(0, 2), 16);
+    acc[1] += parseInt(c.substring(2, 4), 16);
+    acc[2] += parseInt(c.substring(4, 6), 16);
+    return acc;
+  }, [0, 0, 0]);
+
+  const toHex = (n) => Math.round(n / valid.length).toString(16).padStart(2, '0').toUpperCase();
+  return toHex(sum[0]) + toHex(sum[1]) + toHex(sum[2]);
+}
+
+// 塗りつぶし情報を抽出（spPr / bgPr の直下を参照）
+// 戻り値: null（指定なし）または
+//   { type: "none" }
+//   { type: "solid", color, transparency }
+//   { type: "gradient", gradientType: "linear"|"circle"|"rect"|"shape", angle, stops: [{ position, color, transparency }], color }
+//   { type: "pattern", pattern, foreground, background, color }
+//   { type: "picture", mediaPath, mimeType, data, stretch, tile, crop, transparency, color }
+// color は PptxGenJS の fill.color として使える代表色
+async function extractFill(propsElement, themeColors, zip, partPath) {
+  if (!propsElement) return null;
+
+  try {
+    if (findChildElement(propsElement, 'noFill')) {
+      return { type: 'none' };
+    }
+
+    const solidFill = findChildElement(propsElement, 'solidFill');
+    if (solidFill) {
+      return {
+        type: 'solid',
+        color: extractColor(solidFill, themeColors),
+        transparency: extractTransparency(solidFill)
+      };
+    }
+
+    const gradFill = findChildElement(propsElement, 'gradFill');
+    if (gradFill) {
+      const fill = {
+        type: 'gradient',
+        gradientType: 'linear',
+        angle: 0,
+        stops: [],
+        color: ''
+      };
+
+      const gsLst = findChildElement(gradFill, 'gsLst');
+      const stops = gsLst ? Array.from(gsLst.childNodes).filter(node =>
+        node.nodeType === 1 && ((node.tagName || node.localName).endsWith(':gs') || node.localName === 'gs')
+      ) : [];
+
+      fill.stops = stops.map(gs => ({
+        position: parseFloat((parseInt(gs.getAttribute('pos') || '0', 10) / 1000).toFixed(1)),
+        color: extractColor(gs, themeColors),
+        transparency: extractTransparency(gs)
+      })).sort((a, b) => a.position - b.position);
+
+      const lin = findChildElement(gradFill, 'lin');
+      const path = findChildElement(gradFill, 'path');
+      if (lin) {
+        fill.angle = parseFloat((parseInt(lin.getAttribute('ang') || '0', 10) / 60000).toFixed(2));
+      } else if (path) {
+        fill.gradientType = path.getAttribute('path') || 'circle';
+      }
+
+      fill.color = averageColors(fill.stops.map(s => s.color));
+      console.log(`グラデーション: ${fill.gradientType}, 角度=${fill.angle}, ${fill.stops.length}色`);
+      return fill;
+    }
+
+    const pattFill = findChildElement(propsElement, 'pattFill');
+    if (pattFill) {
+      const foreground = extractColor(findChildElement(pattFill, 'fgClr'), themeColors) || '000000';
+      const background = extractColor(findChildElement(pattFill, 'bgClr'), themeColors) || 'FFFFFF';
+      return {
+        type: 'pattern',
+        pattern: pattFill.getAttribute('prst') || 'pct5',
+        foreground: foreground,
+        background: background,
+        color: averageColors([foreground, background])
+      };
+    }
+
+    const blipFill = findChildElement(propsElement, 'blipFill');
+    if (blipFill) {
+      const fill = {
+        type: 'picture',
+        mediaPath: '',
+        mimeType: '',
+        data: '',
+        stretch: !!findChildElement(blipFill, 'stretch'),
+        tile: !!findChildElement(blipFill, 'tile'),
+        crop: null,
+        transparency: 0,
+        color: ''
+      };
+
+      const blip = findChildElement(blipFill, 'blip');
+      if (blip) {
+        const alphaModFix = Array.from(blip.getElementsByTagName("*")).find(el =>
+          el.tagName.endsWith(":alphaModFix") || el.localName === "alphaModFix"
+        );
+        if (alphaModFix) {
+          const amt = parseInt(alphaModFix.getAttribute("amt") || "100000", 10);
+          fill.transparency = Math.max(0, Math.min(100, Math.round(100 - amt / 1000)));
+        }
+
+        const embedId = blip.getAttributeNS(RELATIONSHIP_NS, "embed") || blip.getAttribute("r:embed");
+        if (embedId && zip && partPath) {
+          const rels = await loadRelationships(zip, partPath);
+          const rel = rels.get(embedId);
+          if (rel && !rel.external) {
+            fill.mediaPath = resolveRelationshipTarget(partPath, rel.target);
+            const media = await loadMediaDataUri(zip, fill.mediaPath);
+            fill.mimeType = media.mimeType;
+            fill.data = media.data;
+          }
+        }
+      }
+
+      const srcRect = findChildElement(blipFill, 'srcRect');
+      if (srcRect) {
+        const crop = {
+          left: parseInt(srcRect.getAttribute("l") || "0", 10) / 100000,
+          top: parseInt(srcRect.getAttribute("t") || "0", 10) / 100000,
+          right: parseInt(srcRect.getAttribute("r") || "0", 10) / 100000,
+          bottom: parseInt(srcRect.getAttribute("b") || "0", 10) / 100000
+        };
+        if (crop.left || crop.top || crop.right || crop.bottom) {
+          fill.crop = crop;
+        }
+      }
+
+      console.log(`画像塗りつぶし: ${fill.mediaPath || '(参照なし)'}`);
+      return fill;
+    }
+  } catch (err) {
+    console.log('塗りつぶし情報の抽出エラー:', err.message);
+  }
+
+  return null;
+}
+
 // 罫線情報を抽出
 function extractBorderInfo(lnElement, themeColors) {
   if (!lnElement) return { width: 0, color: '', dashType: 'solid' };
@@ -294,22 +695,66 @@ function extractBorderInfo(lnElement, themeColors) {
   return borderInfo;
 }
 
+// 背景の塗りつぶしを抽出（<p:bg> の bgPr または bgRef）
+async function extractBackgroundFill(doc, themeColors, zip, partPath) {
+  const bg = Array.from(doc.getElementsByTagName('*')).find(el =>
+    el.tagName.endsWith(':bg') || el.localName === 'bg'
+  );
+  if (!bg) return null;
+
+  const bgPr = findChildElement(bg, 'bgPr');
+  if (bgPr) {
+    return await extractFill(bgPr, themeColors, zip, partPath);
+  }
+
+  // テーマの背景スタイル参照（色のみ採用）
+  const bgRef = findChildElement(bg, 'bgRef');
+  if (bgRef) {
+    const color = extractColor(bgRef, themeColors);
+    if (color) return { type: 'solid', color: color, transparency: 0 };
+  }
+
+  return null;
+}
+
 // テンプレート情報を抽出
 async function extractTemplateInfo(zip, slidePath, themeColors) {
   try {
     const template = {
       background: "",
+      backgroundFill: null,
       defaultTextColor: "",
       slideNumber: null,
       fixedImages: []
     };
 
+    // 背景はスライド → レイアウト → マスターの順で優先
+    let slideBgFill = null;
+    let layoutBgFill = null;
+    let masterBgFill = null;
+    const applyBackground = () => {
+      const fill = slideBgFill || layoutBgFill || masterBgFill;
+      if (fill && fill.type !== 'none') {
+        template.backgroundFill = fill;
+        template.background = fill.color || "";
+        console.log(`背景: ${fill.type} ${template.background}`);
+      }
+    };
+
+    const slideFile = zip.file(slidePath);
+    if (slideFile) {
+      const slideXml = await slideFile.async('string');
+      const slideDoc = new DOMParser().parseFromString(slideXml, 'application/xml');
+      slideBgFill = await extractBackgroundFill(slideDoc, themeColors, zip, slidePath);
+    }
+
     const slideNum = slidePath.match(/slide(\d+)\.xml/)[1];
     const slideRelsPath = `ppt/slides/_rels/slide${slideNum}.xml.rels`;
     const slideRelsFile = zip.file(slideRelsPath);
 
     if (!slideRelsFile) {
       console.log('スライドの関係ファイルが見つかりません');
+      applyBackground();
       return template;
     }
 
@@ -322,6 +767,7 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
 
     if (!layoutRel) {
       console.log('スライドレイアウトの参照が見つかりません');
+      applyBackground();
       return template;
     }
 
@@ -332,6 +778,7 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
 
     if (!layoutRelsFile) {
       console.log('レイアウトの関係ファイルが見つかりません');
+      applyBackground();
       return template;
     }
 
@@ -344,31 +791,18 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
 
     if (!masterRel) {
       console.log('スライドマスターの参照が見つかりません');
+      applyBackground();
       return template;
     }
 
     const masterPath = `ppt/slideMasters/${masterRel.getAttribute('Target').split('/').pop()}`;
 
-    // スライドマスターから背景色を抽出
+    // スライドマスターから背景を抽出
     const masterFile = zip.file(masterPath);
     if (masterFile) {
       const masterXml = await masterFile.async('string');
       const masterDoc = new DOMParser().parseFromString(masterXml, 'application/xml');
-
-      const bg = Array.from(masterDoc.getElementsByTagName('*')).find(el =>
-        el.tagName.endsWith(':bg') || el.localName === 'bg'
-      );
-
-      if (bg) {
-        const solidFill = Array.from(bg.getElementsByTagName('*')).find(el =>
-          el.tagName.endsWith(':solidFill') || el.localName === 'solidFill'
-        );
-
-        if (solidFill) {
-          template.background = extractColor(solidFill, themeColors);
-          console.log(`背景色: ${template.background}`);
-        }
-      }
+      masterBgFill = await extractBackgroundFill(masterDoc, themeColors, zip, masterPath);
     }
 
     // スライドレイアウトから固定要素を抽出
@@ -377,6 +811,8 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
       const layoutXml = await layoutFile.async('string');
       const layoutDoc = new DOMParser().parseFromString(layoutXml, 'application/xml');
 
+      layoutBgFill = await extractBackgroundFill(layoutDoc, themeColors, zip, layoutPath);
+
       // スライド番号を抽出
       const slideNumField = Array.from(layoutDoc.getElementsByTagName('*')).find(el =>
         (el.tagName.endsWith(':fld') || el.localName === 'fld') &&
@@ -462,6 +898,8 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
         (el.tagName.endsWith(':pic') || el.localName === 'pic')
       );
 
+      const layoutRels = pics.length > 0 ? await loadRelationships(zip, layoutPath) : new Map();
+
       for (const pic of pics) {
         const nvPr = Array.from(pic.getElementsByTagName('*')).find(el =>
           el.tagName.endsWith(':nvPr') || el.localName === 'nvPr'
@@ -492,13 +930,27 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
               );
               const name = cNvPr ? cNvPr.getAttribute('name') : 'image';
 
-              template.fixedImages.push({
+              const fixedImage = {
                 name: name,
                 x: parseFloat(emuToInch(x).toFixed(3)),
                 y: parseFloat(emuToInch(y).toFixed(3)),
                 w: parseFloat(emuToInch(w).toFixed(3)),
                 h: parseFloat(emuToInch(h).toFixed(3))
-              });
+              };
+
+              // 画像データ（レイアウトのリレーションから解決）
+              const blip = Array.from(pic.getElementsByTagName('*')).find(el =>
+                el.tagName.endsWith(':blip') || el.localName === 'blip'
+              );
+              const embedId = blip ? (blip.getAttributeNS(RELATIONSHIP_NS, 'embed') || blip.getAttribute('r:embed')) : null;
+              const rel = embedId ? layoutRels.get(embedId) : null;
+              if (rel && !rel.external) {
+                fixedImage.mediaPath = resolveRelationshipTarget(layoutPath, rel.target);
+                const media = await loadMediaDataUri(zip, fixedImage.mediaPath);
+                fixedImage.data = media.data;
+              }
+
+              template.fixedImages.push(fixedImage);
 
               console.log(`固定画像: ${name} at (${template.fixedImages[template.fixedImages.length-1].x}, ${template.fixedImages[template.fixedImages.length-1].y})`);
             }
@@ -507,11 +959,13 @@ async function extractTemplateInfo(zip, slidePath, themeColors) {
       }
     }
 
+    applyBackground();
     return template;
   } catch (err) {
     console.log('テンプレート情報の抽出エラー:', err.message);
     return {
       background: "",
+      backgroundFill: null,
       defaultTextColor: "",
       slideNumber: null,
       fixedImages: []
@@ -788,6 +1242,7 @@ async function extractSingleShape(shape, index, themeColors, masterStyles, zip,
           alignment: ''
         },
         fillColor: '',
+        fill: null,  // 塗りつぶしの詳細（solid/gradient/pattern/picture）
         borderColor: '',
         borderWidth: 0,
         placeholderType: null,
@@ -1111,24 +1566,10 @@ async function extractSingleShape(shape, index, themeColors, masterStyles, zip,
           }
         }
 
-        const noFill = Array.from(spPr.childNodes).find(node => {
-          if (node.nodeType === 1) {
-            const tagName = node.tagName || node.localName;
-            return tagName && (tagName.endsWith(':noFill') || tagName === 'noFill');
-          }
-          return false;
-        });
-
-        const shapeSolidFill = Array.from(spPr.childNodes).find(node => {
-          if (node.nodeType === 1) {
-            const tagName = node.tagName || node.localName;
-            return tagName && (tagName.endsWith(':solidFill') || tagName === 'solidFill');
-          }
-          return false;
-        });
-
-        if (!noFill && shapeSolidFill) {
-          element.fillColor = extractColor(shapeSolidFill, themeColors);
+        const fill = await extractFill(spPr, themeColors, zip, slidePath);
+        if (fill && fill.type !== 'none') {
+          element.fill = fill;
+          element.fillColor = fill.color || '';
         }
 
         const ln = Array.from(spPr.getElementsByTagName("*")).find(el =>
@@ -1161,6 +1602,11 @@ async function extractSingleShape(shape, index, themeColors, masterStyles, zip,
             if (borderSolidFill) {
               element.borderColor = extractColor(borderSolidFill, themeColors);
             }
+
+            // 線の図形（prstGeom="line" など p:sp で描かれた線）の矢印
+            const arrows = extractLineArrows(ln, spPr);
+            if (arrows.arrowStart !== 'none') element.arrowStart = arrows.arrowStart;
+            if (arrows.arrowEnd !== 'none') element.arrowEnd = arrows.arrowEnd;
           }
         }
 
@@ -1202,7 +1648,7 @@ async function extractSingleShape(shape, index, themeColors, masterStyles, zip,
       // 3. 枠線がある（色または幅が設定されている）
       // 4. デフォルト以外の形状タイプ（ellipseなど）
       const hasContent = element.text.trim().length > 0;
-      const hasFill = element.fillColor && element.fillColor.length > 0;
+      const hasFill = (element.fillColor && element.fillColor.length > 0) || !!element.fill;
       const hasBorder = (element.borderColor && element.borderColor.length > 0) || element.borderWidth > 0;
       const hasNonRectShape = element.shapeType && element.shapeType !== 'rect';
 
@@ -1524,7 +1970,301 @@ async function loadChartXML(zip, chartPath) {
   }
 }
 
+// Excelの列名（A, B, ..., AA）→ 0始まりの列番号
+function columnIndexFromName(name) {
+  let index = 0;
+  for (const ch of name.toUpperCase()) {
+    index = index * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// セル範囲の参照（例: Sheet1!$B$2:$B$5, 'Sheet 1'!$A$1）を解析
+function parseCellRangeRef(ref) {
+  const m = (ref || "").trim().match(/^(?:'((?:[^']|'')+)'|([^!]+))!\$?([A-Za-z]+)\$?(\d+)(?::\$?([A-Za-z]+)\$?(\d+))?$/);
+  if (!m) return null;
+  const startCol = columnIndexFromName(m[3]);
+  const startRow = parseInt(m[4], 10);
+  const endCol = m[5] ? columnIndexFromName(m[5]) : startCol;
+  const endRow = m[6] ? parseInt(m[6], 10) : startRow;
+  return {
+    sheet: m[1] ? m[1].replace(/''/g, "'") : m[2],
+    startCol: Math.min(startCol, endCol),
+    endCol: Math.max(startCol, endCol),
+    startRow: Math.min(startRow, endRow),
+    endRow: Math.max(startRow, endRow)
+  };
+}
+
+// 列番号（0始まり）→ 列名（A, B, ..., AA）
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// XLSX（ArrayBuffer）を開き、シート名一覧とシートごとのセル値（"B2" → 文字列）を読み取るリーダーを返す
+// ワークブックとして読めない場合は null
+async function openWorkbook(data) {
+  const workbookZip = await getJSZipLib().loadAsync(data);
+  const parser = new DOMParser();
+  const readXml = async (path) => {
+    const file = workbookZip.file(path);
+    return file ? parser.parseFromString(await file.async("string"), "application/xml") : null;
+  };
+
+  // 共有文字列（リッチテキストは全 t 要素を連結）
+  const sharedStrings = [];
+  const sharedStringsDoc = await readXml("xl/sharedStrings.xml");
+  if (sharedStringsDoc) {
+    Array.from(sharedStringsDoc.getElementsByTagNameNS("*", "si")).forEach(si => {
+      sharedStrings.push(Array.from(si.getElementsByTagNameNS("*", "t")).map(t => t.textContent).join(""));
+    });
+  }
+
+  // シート名 → シートXMLのパス（ワークブック内の順序を保持）
+  const workbookDoc = await readXml("xl/workbook.xml");
+  if (!workbookDoc) return null;
+  const workbookRels = await loadRelationships(workbookZip, "xl/workbook.xml");
+  const sheetPaths = new Map();
+  Array.from(workbookDoc.getElementsByTagNameNS("*", "sheet")).forEach(sheet => {
+    const rel = workbookRels.get(sheet.getAttributeNS(RELATIONSHIP_NS, "id") || sheet.getAttribute("r:id"));
+    if (rel) sheetPaths.set(sheet.getAttribute("name"), resolveRelationshipTarget("xl/workbook.xml", rel.target));
+  });
+
+  // シートごとのセル値をキャッシュ
+  const sheetCells = new Map();
+  const loadSheetCells = async (sheetName) => {
+    if (sheetCells.has(sheetName)) return sheetCells.get(sheetName);
+    const cells = new Map();
+    const sheetPath = sheetPaths.get(sheetName) || (sheetPaths.size === 1 ? Array.from(sheetPaths.values())[0] : null);
+    const sheetDoc = sheetPath ? await readXml(sheetPath) : null;
+    if (sheetDoc) {
+      Array.from(sheetDoc.getElementsByTagNameNS("*", "c")).forEach(c => {
+        const type = c.getAttribute("t");
+        let value;
+        if (type === "inlineStr") {
+          value = Array.from(c.getElementsByTagNameNS("*", "t")).map(t => t.textContent).join("");
+        } else {
+          const v = getChildElement(c, "v");
+          if (!v) return;
+          value = type === "s" ? (sharedStrings[parseInt(v.textContent, 10)] || "") : v.textContent;
+        }
+        cells.set((c.getAttribute("r") || "").toUpperCase(), value);
+      });
+    }
+    sheetCells.set(sheetName, cells);
+    return cells;
+  };
+
+  return { sheetNames: Array.from(sheetPaths.keys()), loadSheetCells };
+}
+
+// チャートの埋め込みワークブック（ppt/embeddings/*.xlsx）を開き、セル範囲を読み取るリーダーを返す
+// 埋め込みがない・外部リンクの場合は null
+async function loadEmbeddedWorkbook(zip, chartPath) {
+  try {
+    const rels = await loadRelationships(zip, chartPath);
+    const packageRel = Array.from(rels.values()).find(rel =>
+      !rel.external && (rel.type.endsWith("/package") || /\.xls[xm]$/i.test(rel.target))
+    );
+    if (!packageRel) return null;
+
+    const workbookPath = resolveRelationshipTarget(chartPath, packageRel.target);
+    const workbookFile = zip.file(workbookPath);
+    if (!workbookFile) {
+      console.log(`埋め込みワークブックが見つかりません: ${workbookPath}`);
+      return null;
+    }
+
+    // 読み込み済みのJSZipで埋め込みファイルを展開
+    const workbook = await openWorkbook(await workbookFile.async("arraybuffer"));
+    if (!workbook) return null;
+
+    return {
+      path: workbookPath,
+      // セル範囲の値を配列で返す（複数行×複数列の場合は最も内側の階層＝最終列を使用）
+      async readRange(ref) {
+        const range = parseCellRangeRef(ref);
+        if (!range) return null;
+        const cells = await workbook.loadSheetCells(range.sheet);
+        const values = [];
+        if (range.startCol === range.endCol || range.startRow === range.endRow) {
+          for (let row = range.startRow; row <= range.endRow; row++) {
+            for (let col = range.startCol; col <= range.endCol; col++) {
+              values.push(cells.get(`${columnName(col)}${row}`));
+            }
+          }
+        } else {
+          for (let row = range.startRow; row <= range.endRow; row++) {
+            values.push(cells.get(`${columnName(range.endCol)}${row}`));
+          }
+        }
+        return values;
+      }
+    };
+  } catch (err) {
+    console.log(`埋め込みワークブックの読み込みエラー: ${err.message}`);
+    return null;
+  }
+}
+
+// キャッシュが欠けている系列を埋め込みワークブックの値で補完する
+// 補完できた場合は true
+async function fillChartSeriesFromWorkbook(zip, chartPath, series) {
+  const targets = series.filter(s => s.workbookRefs);
+  if (targets.length === 0) return false;
+
+  const workbook = await loadEmbeddedWorkbook(zip, chartPath);
+  if (!workbook) return false;
+
+  let filled = false;
+  for (const s of targets) {
+    for (const [key, { ref, numeric }] of Object.entries(s.workbookRefs)) {
+      const values = ref ? await workbook.readRange(ref) : null;
+      if (!values || values.every(v => v === undefined)) continue;
+
+      if (key === "name") {
+        s.name = values.filter(v => v !== undefined).join(" ");
+      } else if (numeric) {
+        s[key] = values.map(v => {
+          const value = parseFloat(v);
+          return isNaN(value) ? 0 : value;
+        });
+      } else {
+        s[key] = values.map(v => (v === undefined ? "" : String(v)));
+      }
+      filled = true;
+    }
+  }
+  if (filled) {
+    console.log(`チャートデータを埋め込みワークブックから補完: ${workbook.path}`);
+  }
+  return filled;
+}
+
+// 解析対象のプロット種類（c:xxxChart → chartType）
+const CHART_PLOT_TYPES = {
+  barChart: "bar",
+  lineChart: "line",
+  pieChart: "pie",
+  doughnutChart: "doughnut",
+  areaChart: "area",
+  scatterChart: "scatter",
+  radarChart: "radar",
+  bubbleChart: "bubble"
+};
+
+// 要素の直下の子要素を localName で取得
+function getChildElement(parent, localName) {
+  if (!parent) return null;
+  return Array.from(parent.children).find(el => el.localName === localName) || null;
+}
+
+// c:strRef / c:numRef / c:strLit / c:numLit / c:multiLvlStrRef のキャッシュ値を読み取る
+// multiLvlStrRef（PptxGenJS出力など）は最初の階層を使用
+// 戻り値: { values, ref: 参照セル範囲(c:f), complete: キャッシュが ptCount 分そろっているか }
+function readChartSource(dataElement, numeric = false) {
+  const source = { values: [], ref: "", complete: true };
+  if (!dataElement) return source;
+
+  const formula = dataElement.getElementsByTagNameNS("*", "f")[0];
+  source.ref = formula ? formula.textContent.trim() : "";
+
+  const cache = dataElement.getElementsByTagNameNS("*", "strCache")[0]
+    || dataElement.getElementsByTagNameNS("*", "numCache")[0]
+    || dataElement.getElementsByTagNameNS("*", "lvl")[0]
+    || getChildElement(dataElement, "strLit")
+    || getChildElement(dataElement, "numLit");
+  if (!cache) {
+    source.complete = !source.ref;
+    return source;
+  }
+
+  // pt の idx に合わせて配置（欠けている点は後で補完できるよう記録する）
+  const ptCountElement = getChildElement(cache, "ptCount")
+    || (cache.parentElement ? getChildElement(cache.parentElement, "ptCount") : null);
+  const ptCount = ptCountElement ? parseInt(ptCountElement.getAttribute("val") || "0", 10) : 0;
+  const slots = [];
+  Array.from(cache.getElementsByTagNameNS("*", "pt")).forEach((pt, i) => {
+    const vElement = pt.getElementsByTagNameNS("*", "v")[0];
+    if (!vElement) return;
+    const idx = pt.hasAttribute("idx") ? parseInt(pt.getAttribute("idx"), 10) : i;
+    slots[idx] = vElement.textContent.trim();
+  });
+
+  const length = Math.max(ptCount, slots.length);
+  for (let i = 0; i < length; i++) {
+    const text = slots[i];
+    if (text === undefined) source.complete = false;
+    if (numeric) {
+      const value = parseFloat(text);
+      source.values.push(isNaN(value) ? 0 : value);
+    } else {
+      source.values.push(text === undefined ? "" : text);
+    }
+  }
+  if (length === 0 && source.ref) source.complete = false;
+  return source;
+}
+
+// データラベル設定（c:dLbls）を読み取る。表示項目がない場合は null
+function extractDataLabels(dLbls) {
+  if (!dLbls) return null;
+  const deleted = getChildElement(dLbls, "delete");
+  if (deleted && deleted.getAttribute("val") !== "0") return null;
+
+  const flag = (name) => {
+    const el = getChildElement(dLbls, name);
+    return !!el && el.getAttribute("val") !== "0" && el.getAttribute("val") !== "false";
+  };
+  const labels = {
+    showValue: flag("showVal"),
+    showPercent: flag("showPercent"),
+    showCategoryName: flag("showCatName"),
+    showSeriesName: flag("showSerName")
+  };
+  if (!labels.showValue && !labels.showPercent && !labels.showCategoryName && !labels.showSeriesName) {
+    return null;
+  }
+
+  const numFmt = getChildElement(dLbls, "numFmt");
+  if (numFmt && numFmt.getAttribute("formatCode")) {
+    labels.numberFormat = numFmt.getAttribute("formatCode");
+  }
+  const dLblPos = getChildElement(dLbls, "dLblPos");
+  if (dLblPos && dLblPos.getAttribute("val")) {
+    labels.position = dLblPos.getAttribute("val");
+  }
+  return labels;
+}
+
+// 軸の設定（最大値・最小値・表示形式）を読み取る
+function extractAxisInfo(axis) {
+  const info = {};
+  if (!axis) return info;
+
+  const scaling = getChildElement(axis, "scaling");
+  if (scaling) {
+    const max = getChildElement(scaling, "max");
+    const min = getChildElement(scaling, "min");
+    if (max) info.maxValue = parseFloat(max.getAttribute("val"));
+    if (min) info.minValue = parseFloat(min.getAttribute("val"));
+  }
+
+  const numFmt = getChildElement(axis, "numFmt");
+  const formatCode = numFmt ? numFmt.getAttribute("formatCode") : "";
+  if (formatCode && formatCode !== "General") {
+    info.numberFormat = formatCode;
+  }
+  return info;
+}
+
 // チャートデータを抽出する
+// plotArea 内のすべてのプロット（c:barChart, c:lineChart など）を走査し、
+// 複数種類（棒＋折れ線など）を含む場合は chartType="combo" として系列ごとに種類・第2軸を記録する
 function extractChartData(chartDoc, themeColors) {
   try {
     const chartData = {
@@ -1539,135 +2279,159 @@ function extractChartData(chartDoc, themeColors) {
     const plotArea = chartDoc.getElementsByTagNameNS("*", "plotArea")[0];
     if (!plotArea) return chartData;
 
-    const chartTypes = [
-      "barChart", "lineChart", "pieChart", "doughnutChart",
-      "areaChart", "scatterChart", "radarChart"
-    ];
-
-    let chartElement = null;
-    for (const type of chartTypes) {
-      const elements = plotArea.getElementsByTagNameNS("*", type);
-      if (elements.length > 0) {
-        chartElement = elements[0];
-        chartData.chartType = type.replace("Chart", "");
-        break;
-      }
-    }
-
-    if (!chartElement) {
+    const plots = Array.from(plotArea.children).filter(el => CHART_PLOT_TYPES[el.localName]);
+    if (plots.length === 0) {
       console.log("サポートされているチャート種類が見つかりません");
       return chartData;
     }
 
-    // 棒グラフの方向を取得
-    if (chartData.chartType === "bar") {
-      const barDir = chartElement.getElementsByTagNameNS("*", "barDir")[0];
-      if (barDir) {
-        const direction = barDir.getAttribute("val");
-        chartData.specialProperties.direction = direction; // "bar" = 横棒, "col" = 縦棒
-      }
-    }
+    // 軸ID → 軸要素
+    const axesById = new Map();
+    Array.from(plotArea.children)
+      .filter(el => el.localName === "valAx" || el.localName === "catAx" || el.localName === "dateAx")
+      .forEach(axis => {
+        const axId = getChildElement(axis, "axId");
+        if (axId) axesById.set(axId.getAttribute("val"), axis);
+      });
+
+    // プロットの値軸（散布図・バブルは左右に配置された valAx を Y 軸とみなす）
+    const getValueAxis = (plot) => {
+      const axes = Array.from(plot.children)
+        .filter(el => el.localName === "axId")
+        .map(el => axesById.get(el.getAttribute("val")))
+        .filter(axis => axis && axis.localName === "valAx");
+      const vertical = axes.find(axis => {
+        const axPos = getChildElement(axis, "axPos");
+        return axPos && (axPos.getAttribute("val") === "l" || axPos.getAttribute("val") === "r");
+      });
+      return vertical || axes[0] || null;
+    };
+
+    const primaryAxis = getValueAxis(plots[0]);
+    const isCombo = plots.length > 1;
+    chartData.chartType = isCombo ? "combo" : CHART_PLOT_TYPES[plots[0].localName];
 
-    // ドーナツチャートの穴サイズを取得
-    if (chartData.chartType === "doughnut") {
-      const holeSize = chartElement.getElementsByTagNameNS("*", "holeSize")[0];
-      if (holeSize) {
-        chartData.specialProperties.holeSize = parseInt(holeSize.getAttribute("val") || "50");
+    plots.forEach(plot => {
+      const plotType = CHART_PLOT_TYPES[plot.localName];
+      const valueAxis = getValueAxis(plot);
+      const secondaryAxis = !!(valueAxis && primaryAxis && valueAxis !== primaryAxis);
+
+      // 棒グラフの方向・グループ化
+      if (plotType === "bar") {
+        const barDir = getChildElement(plot, "barDir");
+        if (barDir) {
+          chartData.specialProperties.direction = barDir.getAttribute("val"); // "bar" = 横棒, "col" = 縦棒
+        }
+      }
+      // 積み上げ（PptxGenJS の barGrouping は棒・面グラフだけが対応しているため、折れ線の積み上げは読み取らない）
+      if (plotType === "bar" || plotType === "area") {
+        const grouping = getChildElement(plot, "grouping");
+        const value = grouping ? grouping.getAttribute("val") : "";
+        if (value === "stacked" || value === "percentStacked") {
+          chartData.specialProperties.grouping = value;
+        }
       }
-    }
 
-    // データシリーズを抽出
-    const serElements = chartElement.getElementsByTagNameNS("*", "ser");
-    if (!serElements || serElements.length === 0) {
-      console.log("データシリーズが見つかりません");
-      return chartData;
-    }
-    Array.from(serElements).forEach((ser, serIndex) => {
-      const series = {
-        index: serIndex,
-        name: "",
-        categories: [],
-        values: [],
-        colors: []
-      };
+      // ドーナツチャートの穴サイズを取得
+      if (plotType === "doughnut") {
+        const holeSize = getChildElement(plot, "holeSize");
+        if (holeSize) {
+          chartData.specialProperties.holeSize = parseInt(holeSize.getAttribute("val") || "50");
+        }
+      }
 
-      // シリーズ名を取得
-      const txElement = ser.getElementsByTagNameNS("*", "tx")[0];
-      if (txElement) {
-        const strCache = txElement.getElementsByTagNameNS("*", "strCache")[0];
-        if (strCache) {
-          const pts = strCache.getElementsByTagNameNS("*", "pt");
-          if (pts.length > 0) {
-            const vElement = pts[0].getElementsByTagNameNS("*", "v")[0];
-            if (vElement) series.name = vElement.textContent.trim();
-          }
+      // レーダーチャートのスタイル（standard / marker / filled）
+      if (plotType === "radar") {
+        const radarStyle = getChildElement(plot, "radarStyle");
+        if (radarStyle) {
+          chartData.specialProperties.radarStyle = radarStyle.getAttribute("val");
         }
       }
 
-      // カテゴリラベルを取得
-      const catElement = ser.getElementsByTagNameNS("*", "cat")[0];
-      if (catElement) {
-        const strRef = catElement.getElementsByTagNameNS("*", "strRef")[0];
-        if (strRef) {
-          const strCache = strRef.getElementsByTagNameNS("*", "strCache")[0];
-          if (strCache) {
-            const pts = strCache.getElementsByTagNameNS("*", "pt");
-            Array.from(pts).forEach(pt => {
-              const vElement = pt.getElementsByTagNameNS("*", "v")[0];
-              if (vElement) {
-                series.categories.push(vElement.textContent.trim());
-              }
-            });
+      // プロット全体のデータラベル（系列側の設定があればそちらを優先）
+      const plotDataLabels = extractDataLabels(getChildElement(plot, "dLbls"));
+
+      // データシリーズを抽出
+      const serElements = Array.from(plot.children).filter(el => el.localName === "ser");
+      serElements.forEach(ser => {
+        const series = {
+          index: chartData.series.length,
+          name: "",
+          categories: [],
+          values: [],
+          colors: []
+        };
+        if (isCombo) {
+          series.chartType = plotType;
+          series.secondaryAxis = secondaryAxis;
+        }
+
+        // キャッシュが欠けている項目は埋め込みワークブックから補完するため参照範囲を記録
+        const workbookRefs = {};
+        const readInto = (key, dataElement, numeric = false) => {
+          const source = readChartSource(dataElement, numeric);
+          series[key] = source.values;
+          if (!source.complete) workbookRefs[key] = { ref: source.ref, numeric };
+        };
+
+        // シリーズ名を取得
+        const txElement = getChildElement(ser, "tx");
+        if (txElement) {
+          const source = readChartSource(txElement);
+          if (source.values.length > 0 && source.values[0]) {
+            series.name = source.values[0];
+          } else if (getChildElement(txElement, "v")) {
+            series.name = getChildElement(txElement, "v").textContent.trim();
+          } else if (source.ref) {
+            workbookRefs.name = { ref: source.ref, numeric: false };
           }
         }
-      }
 
-      // データ値を取得
-      const valElement = ser.getElementsByTagNameNS("*", "val")[0];
-      if (valElement) {
-        const numRef = valElement.getElementsByTagNameNS("*", "numRef")[0];
-        if (numRef) {
-          const numCache = numRef.getElementsByTagNameNS("*", "numCache")[0];
-          if (numCache) {
-            const pts = numCache.getElementsByTagNameNS("*", "pt");
-            Array.from(pts).forEach(pt => {
-              const vElement = pt.getElementsByTagNameNS("*", "v")[0];
-              if (vElement) {
-                const value = parseFloat(vElement.textContent.trim());
-                series.values.push(isNaN(value) ? 0 : value);
-              }
-            });
+        if (plotType === "scatter" || plotType === "bubble") {
+          // 散布図・バブル: X値をカテゴリとして、Y値を値として扱う
+          readInto("categories", getChildElement(ser, "xVal"));
+          readInto("values", getChildElement(ser, "yVal"), true);
+          if (plotType === "bubble") {
+            readInto("sizes", getChildElement(ser, "bubbleSize"), true);
           }
+        } else {
+          // カテゴリラベル・データ値を取得
+          readInto("categories", getChildElement(ser, "cat"));
+          readInto("values", getChildElement(ser, "val"), true);
+        }
+        if (Object.keys(workbookRefs).length > 0) {
+          series.workbookRefs = workbookRefs;
         }
-      }
 
-      // ステップ1: シリーズレベルの色を取得（全データポイントに適用される色）
-      const serSpPr = ser.getElementsByTagNameNS("*", "spPr")[0];
-      let seriesLevelColor = null;
+        // ステップ1: シリーズレベルの色を取得（全データポイントに適用される色）
+        const serSpPr = getChildElement(ser, "spPr");
+        let seriesLevelColor = null;
 
-      if (serSpPr) {
-        const solidFill = serSpPr.getElementsByTagNameNS("*", "solidFill")[0];
-        if (solidFill) {
-          seriesLevelColor = extractColor(solidFill, themeColors);
+        if (serSpPr) {
+          // 折れ線・散布図は線の色、それ以外は塗りつぶしの色
+          const ln = getChildElement(serSpPr, "ln");
+          const solidFill = getChildElement(serSpPr, "solidFill")
+            || (ln ? getChildElement(ln, "solidFill") : null);
+          if (solidFill) {
+            seriesLevelColor = extractColor(solidFill, themeColors);
+          }
         }
-      }
 
-      // シリーズレベルの色がある場合、全データポイントにその色を適用
-      if (seriesLevelColor && series.values.length > 0) {
-        for (let i = 0; i < series.values.length; i++) {
-          series.colors.push(seriesLevelColor);
+        // シリーズレベルの色がある場合、全データポイントにその色を適用
+        if (seriesLevelColor && series.values.length > 0) {
+          for (let i = 0; i < series.values.length; i++) {
+            series.colors.push(seriesLevelColor);
+          }
         }
-      }
 
-      // ステップ2: 個別データポイントの色を取得（シリーズレベルの色を上書き）
-      const dPts = ser.getElementsByTagNameNS("*", "dPt");
-      if (dPts && dPts.length > 0) {
-        Array.from(dPts).forEach(dPt => {
-          const idxElements = dPt.getElementsByTagNameNS("*", "idx");
-          const idx = idxElements && idxElements.length > 0 ? parseInt(idxElements[0].getAttribute("val") || "0") : 0;
-          const spPr = dPt.getElementsByTagNameNS("*", "spPr")[0];
+        // ステップ2: 個別データポイントの色を取得（シリーズレベルの色を上書き）
+        const dPts = Array.from(ser.children).filter(el => el.localName === "dPt");
+        dPts.forEach(dPt => {
+          const idxElement = getChildElement(dPt, "idx");
+          const idx = idxElement ? parseInt(idxElement.getAttribute("val") || "0") : 0;
+          const spPr = getChildElement(dPt, "spPr");
           if (spPr) {
-            const solidFill = spPr.getElementsByTagNameNS("*", "solidFill")[0];
+            const solidFill = getChildElement(spPr, "solidFill");
             if (solidFill) {
               const color = extractColor(solidFill, themeColors);
               // インデックス位置に色を設定（シリーズレベルの色を上書き）
@@ -1678,11 +2442,20 @@ function extractChartData(chartDoc, themeColors) {
             }
           }
         });
-      }
 
-      chartData.series.push(series);
+        // データラベル
+        const serDLbls = getChildElement(ser, "dLbls");
+        const dataLabels = serDLbls ? extractDataLabels(serDLbls) : plotDataLabels;
+        if (dataLabels) series.dataLabels = dataLabels;
+
+        chartData.series.push(series);
+      });
     });
 
+    if (chartData.series.length === 0) {
+      console.log("データシリーズが見つかりません");
+    }
+
     // 凡例の位置を取得
     const legend = chartDoc.getElementsByTagNameNS("*", "legend")[0];
     if (legend) {
@@ -1692,17 +2465,15 @@ function extractChartData(chartDoc, themeColors) {
       }
     }
 
-    // 軸情報を取得（棒グラフ、折れ線グラフなど）
-    const catAx = plotArea.getElementsByTagNameNS("*", "catAx")[0];
-    const valAx = plotArea.getElementsByTagNameNS("*", "valAx")[0];
-
-    if (valAx) {
-      const scaling = valAx.getElementsByTagNameNS("*", "scaling")[0];
-      if (scaling) {
-        const max = scaling.getElementsByTagNameNS("*", "max")[0];
-        const min = scaling.getElementsByTagNameNS("*", "min")[0];
-        if (max) chartData.axes.maxValue = parseFloat(max.getAttribute("val"));
-        if (min) chartData.axes.minValue = parseFloat(min.getAttribute("val"));
+    // 軸情報を取得（値軸の最大値・最小値・表示形式、コンボの場合は第2軸も）
+    chartData.axes = extractAxisInfo(primaryAxis);
+    if (isCombo) {
+      const secondaryPlot = plots.find(plot => {
+        const axis = getValueAxis(plot);
+        return axis && axis !== primaryAxis;
+      });
+      if (secondaryPlot) {
+        chartData.axes.secondary = extractAxisInfo(getValueAxis(secondaryPlot));
       }
     }
 
@@ -1714,7 +2485,8 @@ function extractChartData(chartDoc, themeColors) {
 }
 
 // 単一チャートの抽出
-async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors) {
+// groupTransform が指定された場合はグループの子座標系から絶対座標に変換する
+async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors, groupTransform = null) {
   try {
     const chart = {
       index: frameIndex,
@@ -1724,7 +2496,8 @@ async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors
       series: [],
       legend: {},
       axes: {},
-      specialProperties: {}
+      specialProperties: {},
+      dataSource: "cache"
     };
 
     // 位置とサイズを取得
@@ -1740,14 +2513,20 @@ async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors
         el.tagName && (el.tagName.endsWith(":ext") || el.localName === "ext")
       );
 
-      if (off) {
-        chart.position.x = emuToInch(parseInt(off.getAttribute("x") || "0"));
-        chart.position.y = emuToInch(parseInt(off.getAttribute("y") || "0"));
-      }
-      if (ext) {
-        chart.size.width = emuToInch(parseInt(ext.getAttribute("cx") || "0"));
-        chart.size.height = emuToInch(parseInt(ext.getAttribute("cy") || "0"));
-      }
+      const localPosition = {
+        x: off ? parseInt(off.getAttribute("x") || "0") : 0,
+        y: off ? parseInt(off.getAttribute("y") || "0") : 0
+      };
+      const localSize = {
+        width: ext ? parseInt(ext.getAttribute("cx") || "0") : 0,
+        height: ext ? parseInt(ext.getAttribute("cy") || "0") : 0
+      };
+      // 座標変換はEMU単位で行い、最後にインチへ変換する
+      const transformed = transformCoordinates(localPosition, localSize, groupTransform);
+      chart.position.x = emuToInch(transformed.position.x);
+      chart.position.y = emuToInch(transformed.position.y);
+      chart.size.width = emuToInch(transformed.size.width);
+      chart.size.height = emuToInch(transformed.size.height);
     }
 
     // チャート参照を取得
@@ -1788,10 +2567,8 @@ async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors
     }
 
     const chartTarget = chartRel.getAttribute("Target");
-    // チャートパスを正しく構築: ../charts/chart1.xml → ppt/charts/chart1.xml
-    const chartPath = chartTarget.startsWith('../')
-      ? 'ppt/' + chartTarget.substring(3)  // ../ を除去して ppt/ を前置
-      : slidePath.replace(/slides\/slide\d+\.xml/, '') + chartTarget;
+    // チャートパスを正しく構築: ../charts/chart1.xml や /ppt/charts/chart1.xml → ppt/charts/chart1.xml
+    const chartPath = resolveRelationshipTarget(slidePath, chartTarget);
 
     // チャートXMLを読み込んでデータを抽出
     const chartDoc = await loadChartXML(zip, chartPath);
@@ -1802,7 +2579,11 @@ async function extractSingleChart(frame, frameIndex, zip, slidePath, themeColors
       chart.legend = chartData.legend || {};
       chart.axes = chartData.axes || {};
       chart.specialProperties = chartData.specialProperties || {};
-      console.log(`チャート${frameIndex}: ${chart.chartType} (${chart.series.length}シリーズ)`);
+
+      // キャッシュ（c:numCache / c:strCache）が欠けている場合は埋め込みワークブックから補完
+      chart.dataSource = await fillChartSeriesFromWorkbook(zip, chartPath, chart.series) ? "workbook" : "cache";
+      chart.series.forEach(s => delete s.workbookRefs);
+      console.log(`チャート${frameIndex}: ${chart.chartType} (${chart.series.length}シリーズ, ${chart.dataSource})`);
     } else {
       console.log(`チャート${frameIndex}: チャートXMLの読み込みに失敗`);
     }
@@ -1893,7 +2674,9 @@ function extractSingleLine(cxn, index, themeColors) {
         lineColor: "",
         lineDash: "solid",
         arrowStart: "none",
-        arrowEnd: "none"
+        arrowEnd: "none",
+        flipH: false,
+        flipV: false
       };
 
       const xfrm = Array.from(cxn.getElementsByTagName("*")).find(el =>
@@ -1901,9 +2684,11 @@ function extractSingleLine(cxn, index, themeColors) {
       );
 
       let flipH = false;
+      let flipV = false;
 
       if (xfrm) {
         flipH = xfrm.getAttribute("flipH") === "1";
+        flipV = xfrm.getAttribute("flipV") === "1";
 
         const off = Array.from(xfrm.getElementsByTagName("*")).find(el =>
           el.tagName.endsWith(":off") || el.localName === "off"
@@ -1963,11 +2748,20 @@ function extractSingleLine(cxn, index, themeColors) {
         }
       }
 
-      if (flipH) {
+      // 水平線の flipH・垂直線の flipV は矢印の入れ替えで表現し、斜め線は反転情報を保持
+      if (flipH && line.size.height === 0) {
         const temp = line.arrowStart;
         line.arrowStart = line.arrowEnd;
         line.arrowEnd = temp;
         console.log(`線${index}: flipH=1のため矢印を反転`);
+      } else if (flipV && line.size.width === 0) {
+        const temp = line.arrowStart;
+        line.arrowStart = line.arrowEnd;
+        line.arrowEnd = temp;
+        console.log(`線${index}: flipV=1のため矢印を反転`);
+      } else {
+        line.flipH = flipH;
+        line.flipV = flipV;
       }
 
       console.log(`線${index}: 位置(${line.position.x}, ${line.position.y}), 太さ=${line.lineWidth}, スタイル=${line.lineDash}, 矢印開始=${line.arrowStart}, 矢印終了=${line.arrowEnd}`);
@@ -2003,12 +2797,259 @@ function extractLines(doc, themeColors) {
   return lines;
 }
 
+// a:ln の矢印（headEnd / tailEnd）を読み取る
+// 水平線の flipH・垂直線の flipV は描く向きが逆になるため、開始・終了を入れ替える（extractSingleLine と同じ扱い）
+function extractLineArrows(ln, spPr) {
+  const find = (parent, name) => Array.from(parent.getElementsByTagName("*")).find(el =>
+    el.tagName.endsWith(`:${name}`) || el.localName === name
+  );
+  const headEnd = find(ln, "headEnd");
+  const tailEnd = find(ln, "tailEnd");
+  let arrowStart = (headEnd && headEnd.getAttribute("type")) || "none";
+  let arrowEnd = (tailEnd && tailEnd.getAttribute("type")) || "none";
+
+  const xfrm = spPr ? find(spPr, "xfrm") : null;
+  const ext = xfrm ? find(xfrm, "ext") : null;
+  if (xfrm && ext) {
+    const flipH = xfrm.getAttribute("flipH") === "1";
+    const flipV = xfrm.getAttribute("flipV") === "1";
+    if ((flipH && ext.getAttribute("cy") === "0") || (flipV && ext.getAttribute("cx") === "0")) {
+      [arrowStart, arrowEnd] = [arrowEnd, arrowStart];
+    }
+  }
+  return { arrowStart, arrowEnd };
+}
+
+// 単一画像の抽出（グループ内外で再利用可能）
+async function extractSingleImage(pic, index, zip, slidePath) {
+  try {
+    const image = {
+      index: index,
+      name: "",
+      description: "",
+      position: { x: 0, y: 0 },
+      size: { width: 0, height: 0 },
+      rotation: 0,
+      flipH: false,
+      flipV: false,
+      crop: null,
+      transparency: 0,
+      mediaPath: "",
+      mimeType: "",
+      data: "",
+      linkUrl: "",
+      hyperlink: ""
+    };
+
+    const cNvPr = Array.from(pic.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":cNvPr") || el.localName === "cNvPr"
+    );
+    if (cNvPr) {
+      image.name = cNvPr.getAttribute("name") || "";
+      image.description = cNvPr.getAttribute("descr") || "";
+    }
+
+    // 位置・サイズ・回転・反転
+    const xfrm = Array.from(pic.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":xfrm") || el.localName === "xfrm"
+    );
+    if (xfrm) {
+      const rot = parseInt(xfrm.getAttribute("rot") || "0", 10);
+      image.rotation = parseFloat((rot / 60000).toFixed(2));
+      image.flipH = xfrm.getAttribute("flipH") === "1";
+      image.flipV = xfrm.getAttribute("flipV") === "1";
+
+      const off = Array.from(xfrm.getElementsByTagName("*")).find(el =>
+        el.tagName.endsWith(":off") || el.localName === "off"
+      );
+      const ext = Array.from(xfrm.getElementsByTagName("*")).find(el =>
+        el.tagName.endsWith(":ext") || el.localName === "ext"
+      );
+      if (off) {
+        image.position.x = parseInt(off.getAttribute("x") || "0", 10);
+        image.position.y = parseInt(off.getAttribute("y") || "0", 10);
+      }
+      if (ext) {
+        image.size.width = parseInt(ext.getAttribute("cx") || "0", 10);
+        image.size.height = parseInt(ext.getAttribute("cy") || "0", 10);
+      }
+    }
+
+    // トリミング（a:srcRect は 1/1000 % 単位、100000 = 100%）
+    const srcRect = Array.from(pic.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":srcRect") || el.localName === "srcRect"
+    );
+    if (srcRect) {
+      const crop = {
+        left: parseInt(srcRect.getAttribute("l") || "0", 10) / 100000,
+        top: parseInt(srcRect.getAttribute("t") || "0", 10) / 100000,
+        right: parseInt(srcRect.getAttribute("r") || "0", 10) / 100000,
+        bottom: parseInt(srcRect.getAttribute("b") || "0", 10) / 100000
+      };
+      if (crop.left || crop.top || crop.right || crop.bottom) {
+        image.crop = crop;
+      }
+    }
+
+    const blip = Array.from(pic.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":blip") || el.localName === "blip"
+    );
+    if (!blip) {
+      console.log(`画像${index}: a:blip が見つかりません`);
+      return null;
+    }
+
+    // 透明度（a:alphaModFix amt は 1/1000 % 単位）
+    const alphaModFix = Array.from(blip.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":alphaModFix") || el.localName === "alphaModFix"
+    );
+    if (alphaModFix) {
+      const amt = parseInt(alphaModFix.getAttribute("amt") || "100000", 10);
+      image.transparency = Math.max(0, Math.min(100, Math.round(100 - amt / 1000)));
+    }
+
+    const rels = await loadRelationships(zip, slidePath);
+
+    const hlinkClick = Array.from(pic.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":hlinkClick") || el.localName === "hlinkClick"
+    );
+    if (hlinkClick) {
+      const hlinkRel = rels.get(hlinkClick.getAttributeNS(RELATIONSHIP_NS, "id") || hlinkClick.getAttribute("r:id"));
+      if (hlinkRel && hlinkRel.external) {
+        image.hyperlink = hlinkRel.target;
+      }
+    }
+
+    const embedId = blip.getAttributeNS(RELATIONSHIP_NS, "embed") || blip.getAttribute("r:embed");
+    const linkId = blip.getAttributeNS(RELATIONSHIP_NS, "link") || blip.getAttribute("r:link");
+    const rel = rels.get(embedId || linkId);
+    if (!rel) {
+      console.log(`画像${index}: リレーションが見つかりません (${embedId || linkId})`);
+      return null;
+    }
+
+    // 外部リンク画像はURLのみ保持
+    if (rel.external) {
+      image.linkUrl = rel.target;
+      console.log(`画像${index}: 外部リンク画像 ${image.linkUrl}`);
+      return image;
+    }
+
+    image.mediaPath = resolveRelationshipTarget(slidePath, rel.target);
+    const media = await loadMediaDataUri(zip, image.mediaPath);
+    image.mimeType = media.mimeType;
+    image.data = media.data;
+
+    console.log(`画像${index}: ${image.mediaPath} 位置(${image.position.x}, ${image.position.y}), 回転=${image.rotation}, トリミング=${image.crop ? 'あり' : 'なし'}`);
+    return image;
+
+  } catch (err) {
+    console.log(`画像${index}の処理中にエラー:`, err.message);
+    return null;
+  }
+}
+
+// 画像抽出関数 - グループ外の画像のみ
+async function extractImages(doc, zip, slidePath) {
+  const images = [];
+  const pics = Array.from(doc.getElementsByTagNameNS("*", "pic"));
+
+  console.log(`${pics.length}個のpic要素（画像）を発見`);
+
+  for (let index = 0; index < pics.length; index++) {
+    const pic = pics[index];
+
+    // グループ内の画像は除外
+    const parent = pic.parentElement;
+    const parentTag = parent ? (parent.tagName || parent.localName) : null;
+    if (parentTag && (parentTag.endsWith(':grpSp') || parentTag === 'grpSp')) {
+      continue;  // グループ内の画像はスキップ
+    }
+
+    // mc:AlternateContent のフォールバック側は重複になるため除外
+    let ancestor = parent;
+    let isFallback = false;
+    while (ancestor) {
+      if (ancestor.localName === 'Fallback') {
+        isFallback = true;
+        break;
+      }
+      ancestor = ancestor.parentElement;
+    }
+    if (isFallback) continue;
+
+    const image = await extractSingleImage(pic, index, zip, slidePath);
+    if (image) {
+      images.push(image);
+    }
+  }
+
+  return images;
+}
+
+// スピーカーノートを抽出（ppt/notesSlides/notesSlideN.xml の本文プレースホルダー）
+async function extractNotes(zip, slidePath) {
+  try {
+    const rels = await loadRelationships(zip, slidePath);
+    const notesRel = Array.from(rels.values()).find(rel => rel.type.endsWith('/notesSlide'));
+    if (!notesRel) return "";
+
+    const notesPath = resolveRelationshipTarget(slidePath, notesRel.target);
+    const notesFile = zip.file(notesPath);
+    if (!notesFile) {
+      console.log(`ノートファイルが見つかりません: ${notesPath}`);
+      return "";
+    }
+
+    const notesXml = await notesFile.async("string");
+    const notesDoc = new DOMParser().parseFromString(notesXml, "application/xml");
+
+    // type="body" のプレースホルダーがノート本文（スライド画像・番号は除外）
+    const bodyShape = Array.from(notesDoc.getElementsByTagNameNS("*", "sp")).find(sp => {
+      const ph = Array.from(sp.getElementsByTagName("*")).find(el =>
+        el.tagName.endsWith(":ph") || el.localName === "ph"
+      );
+      return ph && ph.getAttribute("type") === "body";
+    });
+    if (!bodyShape) return "";
+
+    const paragraphs = Array.from(bodyShape.getElementsByTagName("*")).filter(el =>
+      el.tagName.endsWith(":p") || el.localName === "p"
+    );
+
+    const lines = paragraphs.map(p => {
+      let text = "";
+      Array.from(p.getElementsByTagName("*")).forEach(el => {
+        const name = el.localName || el.tagName.split(':').pop();
+        if (name === "t") {
+          text += el.textContent || "";
+        } else if (name === "br") {
+          text += "\n";
+        }
+      });
+      return text;
+    });
+
+    const notes = lines.join("\n").replace(/\s+$/, "");
+    if (notes) {
+      console.log(`スピーカーノート: ${notes.length}文字`);
+    }
+    return notes;
+
+  } catch (err) {
+    console.log('スピーカーノートの抽出エラー:', err.message);
+    return "";
+  }
+}
+
 // グループ化図形の再帰的抽出
 async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zip, slidePath, groupTransform = null) {
   const groupChildren = {
     elements: [],
     tables: [],
-    lines: []
+    lines: [],
+    images: [],
+    charts: []
   };
 
   try {
@@ -2016,11 +3057,9 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
     const localGroupTransform = getGroupTransform(grpSpElement);
 
     // 親グループの変換がある場合は累積変換を適用（ネストグループ対応）
-    let effectiveTransform = localGroupTransform;
+    let effectiveTransform = localGroupTransform || groupTransform;
     if (groupTransform && localGroupTransform) {
-      // 累積変換の計算（簡略化: 親→子の順で適用）
-      // 完全な実装では行列演算が必要だが、基本的なケースでは順次適用で十分
-      effectiveTransform = localGroupTransform;
+      effectiveTransform = composeGroupTransforms(groupTransform, localGroupTransform);
     }
 
     // グループ内の直接の子要素を走査
@@ -2028,6 +3067,8 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
     let elementIndex = 0;
     let tableIndex = 0;
     let lineIndex = 0;
+    let imageIndex = 0;
+    let chartIndex = 0;
 
     for (const child of children) {
       const tagName = child.tagName || child.localName;
@@ -2045,6 +3086,21 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
           groupChildren.elements.push(element);
         }
 
+      } else if (tagName && (tagName.endsWith(':graphicFrame') || tagName === 'graphicFrame') && isDiagramFrame(child)) {
+        // SmartArt
+        const diagram = await extractSingleDiagram(child, themeColors, masterStyles, zip, slidePath, effectiveTransform);
+        groupChildren.elements.push(...diagram.elements);
+        groupChildren.tables.push(...diagram.tables);
+        groupChildren.lines.push(...diagram.lines);
+        groupChildren.images.push(...diagram.images);
+
+      } else if (tagName && (tagName.endsWith(':graphicFrame') || tagName === 'graphicFrame') && isChartFrame(child)) {
+        // チャート（座標変換は extractSingleChart 内で適用）
+        const chart = await extractSingleChart(child, chartIndex++, zip, slidePath, themeColors, effectiveTransform);
+        if (chart) {
+          groupChildren.charts.push(chart);
+        }
+
       } else if (tagName && (tagName.endsWith(':graphicFrame') || tagName === 'graphicFrame')) {
         // 表
         const table = extractSingleTable(child, tableIndex++, themeColors);
@@ -2071,6 +3127,19 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
           groupChildren.lines.push(line);
         }
 
+      } else if (tagName && (tagName.endsWith(':pic') || tagName === 'pic')) {
+        // 画像
+        const image = await extractSingleImage(child, imageIndex++, zip, slidePath);
+        if (image && effectiveTransform) {
+          // 座標変換を適用
+          const transformed = transformCoordinates(image.position, image.size, effectiveTransform);
+          image.position = transformed.position;
+          image.size = transformed.size;
+          groupChildren.images.push(image);
+        } else if (image) {
+          groupChildren.images.push(image);
+        }
+
       } else if (tagName && (tagName.endsWith(':grpSp') || tagName === 'grpSp')) {
         // ネストされたグループ - 再帰呼び出し
         const nestedGroup = await extractGroupRecursive(child, themeColors, masterStyles, zip, slidePath, effectiveTransform);
@@ -2078,6 +3147,8 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
         groupChildren.elements.push(...nestedGroup.elements);
         groupChildren.tables.push(...nestedGroup.tables);
         groupChildren.lines.push(...nestedGroup.lines);
+        groupChildren.images.push(...nestedGroup.images);
+        groupChildren.charts.push(...nestedGroup.charts);
       }
     }
 
@@ -2088,12 +3159,142 @@ async function extractGroupRecursive(grpSpElement, themeColors, masterStyles, zi
   return groupChildren;
 }
 
+// graphicFrame がチャートを参照しているか
+function isChartFrame(frame) {
+  const graphicData = frame.getElementsByTagNameNS("*", "graphicData")[0];
+  const uri = graphicData ? (graphicData.getAttribute("uri") || "") : "";
+  return uri.includes("/chart");
+}
+
+// graphicFrame が SmartArt（dgm）を参照しているか
+function isDiagramFrame(frame) {
+  const graphicData = frame.getElementsByTagNameNS("*", "graphicData")[0];
+  const uri = graphicData ? (graphicData.getAttribute("uri") || "") : "";
+  return uri.includes("/diagram");
+}
+
+// SmartArt の描画済み図形を抽出（ppt/diagrams/drawingN.xml）
+// 描画パーツの座標はフレーム左上を原点とするため、フレーム位置をグループ変換として適用する
+async function extractSingleDiagram(frame, themeColors, masterStyles, zip, slidePath, parentTransform = null) {
+  const empty = { elements: [], tables: [], lines: [], images: [] };
+
+  try {
+    const relIds = Array.from(frame.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":relIds") || el.localName === "relIds"
+    );
+    if (!relIds) return empty;
+
+    const dataId = relIds.getAttributeNS(RELATIONSHIP_NS, "dm") || relIds.getAttribute("r:dm");
+    const rels = await loadRelationships(zip, slidePath);
+    const dataRel = rels.get(dataId);
+    if (!dataRel) {
+      console.log(`SmartArt: データパーツのリレーションが見つかりません (${dataId})`);
+      return empty;
+    }
+
+    // データパーツの拡張情報（dsp:dataModelExt relId）から描画パーツを特定
+    const dataPath = resolveRelationshipTarget(slidePath, dataRel.target);
+    let drawingPath = "";
+    const dataFile = zip.file(dataPath);
+    if (dataFile) {
+      const dataXml = await dataFile.async("string");
+      const dataDoc = new DOMParser().parseFromString(dataXml, "application/xml");
+      const dataModelExt = Array.from(dataDoc.getElementsByTagName("*")).find(el =>
+        el.tagName.endsWith(":dataModelExt") || el.localName === "dataModelExt"
+      );
+      const drawingRel = dataModelExt ? rels.get(dataModelExt.getAttribute("relId")) : null;
+      if (drawingRel) {
+        drawingPath = resolveRelationshipTarget(slidePath, drawingRel.target);
+      }
+    }
+    // 拡張情報がない場合はデータパーツと同じ番号の描画パーツを使う
+    if (!drawingPath) {
+      const num = (dataPath.match(/(\d+)\.xml$/) || [])[1];
+      if (num) drawingPath = `ppt/diagrams/drawing${num}.xml`;
+    }
+
+    const drawingFile = drawingPath ? zip.file(drawingPath) : null;
+    if (!drawingFile) {
+      console.log(`SmartArt: 描画パーツが見つかりません (${dataPath})`);
+      return empty;
+    }
+
+    const drawingXml = await drawingFile.async("string");
+    const drawingDoc = new DOMParser().parseFromString(drawingXml, "application/xml");
+    const spTree = Array.from(drawingDoc.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":spTree") || el.localName === "spTree"
+    );
+    if (!spTree) return empty;
+
+    // フレームの位置・サイズ（子座標系はフレームと同じ大きさ）
+    const xfrm = Array.from(frame.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":xfrm") || el.localName === "xfrm"
+    );
+    const off = xfrm ? Array.from(xfrm.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":off") || el.localName === "off"
+    ) : null;
+    const ext = xfrm ? Array.from(xfrm.getElementsByTagName("*")).find(el =>
+      el.tagName.endsWith(":ext") || el.localName === "ext"
+    ) : null;
+    const cx = ext ? parseInt(ext.getAttribute("cx") || "0", 10) : 0;
+    const cy = ext ? parseInt(ext.getAttribute("cy") || "0", 10) : 0;
+
+    let frameTransform = {
+      off_x: off ? parseInt(off.getAttribute("x") || "0", 10) : 0,
+      off_y: off ? parseInt(off.getAttribute("y") || "0", 10) : 0,
+      ext_cx: cx,
+      ext_cy: cy,
+      chOff_x: 0,
+      chOff_y: 0,
+      chExt_cx: cx,
+      chExt_cy: cy
+    };
+    if (parentTransform) {
+      frameTransform = composeGroupTransforms(parentTransform, frameTransform);
+    }
+
+    // 画像・塗りつぶしのリレーションは描画パーツ基準で解決する
+    const shapes = await extractGroupRecursive(spTree, themeColors, masterStyles, zip, drawingPath, frameTransform);
+    console.log(`SmartArt: ${drawingPath} から 図形=${shapes.elements.length}, 線=${shapes.lines.length}, 画像=${shapes.images.length}`);
+    return shapes;
+
+  } catch (err) {
+    console.log('SmartArt抽出中にエラー:', err.message);
+    return empty;
+  }
+}
+
+// SmartArt を抽出（グループ外のもの、グループ内は extractGroupRecursive で処理）
+async function extractDiagrams(doc, themeColors, masterStyles, zip, slidePath) {
+  const diagramElements = { elements: [], tables: [], lines: [], images: [] };
+  const graphicFrames = Array.from(doc.getElementsByTagNameNS("*", "graphicFrame"));
+
+  for (const frame of graphicFrames) {
+    const parent = frame.parentElement;
+    const parentTag = parent ? (parent.tagName || parent.localName) : null;
+    if (parentTag && (parentTag.endsWith(':grpSp') || parentTag === 'grpSp')) {
+      continue;  // グループ内はスキップ
+    }
+    if (!isDiagramFrame(frame)) continue;
+
+    const diagram = await extractSingleDiagram(frame, themeColors, masterStyles, zip, slidePath);
+    diagramElements.elements.push(...diagram.elements);
+    diagramElements.tables.push(...diagram.tables);
+    diagramElements.lines.push(...diagram.lines);
+    diagramElements.images.push(...diagram.images);
+  }
+
+  return diagramElements;
+}
+
 // グループ化図形を抽出（トップレベルのグループのみ）
 async function extractGroups(doc, themeColors, masterStyles, zip, slidePath) {
   const groupElements = {
     elements: [],
     tables: [],
-    lines: []
+    lines: [],
+    images: [],
+    charts: []
   };
 
   try {
@@ -2112,9 +3313,11 @@ async function extractGroups(doc, themeColors, masterStyles, zip, slidePath) {
       groupElements.elements.push(...groupChildren.elements);
       groupElements.tables.push(...groupChildren.tables);
       groupElements.lines.push(...groupChildren.lines);
+      groupElements.images.push(...groupChildren.images);
+      groupElements.charts.push(...groupChildren.charts);
     }
 
-    console.log(`グループから抽出: 図形=${groupElements.elements.length}, 表=${groupElements.tables.length}, 線=${groupElements.lines.length}`);
+    console.log(`グループから抽出: 図形=${groupElements.elements.length}, 表=${groupElements.tables.length}, 線=${groupElements.lines.length}, 画像=${groupElements.images.length}, チャート=${groupElements.charts.length}`);
 
   } catch (err) {
     console.log('グループ抽出中にエラー:', err.message);
@@ -2123,11 +3326,42 @@ async function extractGroups(doc, themeColors, masterStyles, zip, slidePath) {
   return groupElements;
 }
 
-// AI用プロンプト付きJSON生成関数
-function generatePromptWithJSON(elements, tables, lines, charts, template, slidePath) {
-  const data = {
+// 塗りつぶし詳細をプロンプトJSON用に整形（大きな画像データは省略する）
+function toPromptFill(fill, maxInlineImageLength = MAX_INLINE_IMAGE_LENGTH, includeMediaRef = true) {
+  if (!fill) return null;
+  if (fill.type !== 'picture') return { ...fill };
+
+  const promptFill = {
+    type: 'picture',
+    stretch: fill.stretch,
+    tile: fill.tile
+  };
+  if (fill.data && fill.data.length <= maxInlineImageLength) {
+    promptFill.data = fill.data;
+  }
+  if (fill.mediaPath && includeMediaRef) promptFill.mediaRef = fill.mediaPath;
+  if (fill.crop) promptFill.crop = fill.crop;
+  if (fill.transparency) promptFill.transparency = fill.transparency;
+  return promptFill;
+}
+
+// 抽出結果をインチ単位・PptxGenJS形式のスライドJSONに変換
+// maxInlineImageLength を超える画像データは省略する（プロンプト用）
+// mediaRef（元PPTX内のメディアパス）はデッキJSON用。生成コードからは参照できないため、プロンプトでは includeMediaRef: false にする
+function buildSlideData(elements, tables, lines, charts, template, slidePath, images = [], notes = "", { maxInlineImageLength = MAX_INLINE_IMAGE_LENGTH, includeMediaRef = true } = {}) {
+  return {
     slide: slidePath.split('/').pop().replace('.xml', ''),
-    template: template,
+    template: {
+      ...template,
+      backgroundFill: toPromptFill(template.backgroundFill, maxInlineImageLength, includeMediaRef),
+      fixedImages: (template.fixedImages || []).map(img => {
+        const { mediaPath, data, ...rest } = img;
+        const fixedImage = { ...rest };
+        if (data && data.length <= maxInlineImageLength) fixedImage.data = data;
+        if (mediaPath && includeMediaRef) fixedImage.mediaRef = mediaPath;
+        return fixedImage;
+      })
+    },
     elements: elements.map((el, index) => {
       const xEmu = el.position?.x || 0;
       const yEmu = el.position?.y || 0;
@@ -2157,6 +3391,9 @@ function generatePromptWithJSON(elements, tables, lines, charts, template, slide
       // fillをオブジェクト形式に
       if (el.fillColor) {
         elementData.fill = { color: normalizeColorHex(el.fillColor) };
+        if (el.fill?.transparency) {
+          elementData.fill.transparency = el.fill.transparency;
+        }
       } else {
         // fillColorがない場合でも、枠線のみの図形には透明な塗りつぶしを設定
         if (el.borderColor && el.borderWidth > 0) {
@@ -2164,11 +3401,18 @@ function generatePromptWithJSON(elements, tables, lines, charts, template, slide
         }
       }
 
+      // グラデーション・パターン・画像の塗りつぶし詳細（fill.color は代表色）
+      if (el.fill && el.fill.type !== 'solid') {
+        elementData.fillStyle = toPromptFill(el.fill, maxInlineImageLength, includeMediaRef);
+      }
+
       // lineをオブジェクト形式に（枠線がある場合のみ）
       if (el.borderColor && el.borderWidth > 0) {
         elementData.line = {
           color: normalizeColorHex(el.borderColor),
-          pt: parseFloat(emuToPoint(el.borderWidth).toFixed(2))
+          pt: parseFloat(emuToPoint(el.borderWidth).toFixed(2)),
+          beginArrowType: el.arrowStart || undefined,
+          endArrowType: el.arrowEnd || undefined
         };
       }
 
@@ -2274,7 +3518,9 @@ function generatePromptWithJSON(elements, tables, lines, charts, template, slide
           dashType: line.lineDash || "solid",
           beginArrowType: line.arrowStart !== "none" ? line.arrowStart : undefined,
           endArrowType: line.arrowEnd !== "none" ? line.arrowEnd : undefined
-        }
+        },
+        flipH: line.flipH || undefined,
+        flipV: line.flipV || undefined
       };
     }),
     charts: charts.map((chart, index) => {
@@ -2287,16 +3533,80 @@ function generatePromptWithJSON(elements, tables, lines, charts, template, slide
         chartType: chart.chartType,
         series: chart.series.map(s => ({
           name: s.name,
+          chartType: s.chartType,
+          secondaryAxis: s.secondaryAxis || undefined,
           categories: s.categories || [],
           values: s.values || [],
-          colors: (s.colors || []).filter(c => c !== "").map(c => normalizeColorHex(c))
+          sizes: s.sizes,
+          colors: (s.colors || []).filter(c => c !== "").map(c => normalizeColorHex(c)),
+          dataLabels: s.dataLabels
         })),
         legend: chart.legend || {},
         axes: chart.axes || {},
-        specialProperties: chart.specialProperties || {}
+        specialProperties: chart.specialProperties || {},
+        dataSource: chart.dataSource || "cache"
       };
-    })
+    }),
+    images: images.map((img, index) => {
+      const x = emuToInch(img.position?.x || 0);
+      const y = emuToInch(img.position?.y || 0);
+      const w = emuToInch(img.size?.width || 0);
+      const h = emuToInch(img.size?.height || 0);
+
+      const imageData = {
+        id: index + 1,
+        name: img.name || "",
+        x: parseFloat(x.toFixed(3)),
+        y: parseFloat(y.toFixed(3)),
+        w: parseFloat(w.toFixed(3)),
+        h: parseFloat(h.toFixed(3))
+      };
+
+      // 画像データ（大きすぎる場合は省略）
+      if (img.linkUrl) {
+        imageData.path = img.linkUrl;
+      } else if (img.data && img.data.length <= maxInlineImageLength) {
+        imageData.data = img.data;
+      }
+      if (img.mediaPath && includeMediaRef) {
+        imageData.mediaRef = img.mediaPath;
+      }
+
+      // トリミング: PptxGenJSでは w/h に元画像全体のサイズ、sizing に表示領域を指定する
+      if (img.crop) {
+        const visibleW = 1 - img.crop.left - img.crop.right;
+        const visibleH = 1 - img.crop.top - img.crop.bottom;
+        if (visibleW > 0 && visibleH > 0) {
+          const fullW = w / visibleW;
+          const fullH = h / visibleH;
+          imageData.w = parseFloat(fullW.toFixed(3));
+          imageData.h = parseFloat(fullH.toFixed(3));
+          imageData.sizing = {
+            type: "crop",
+            x: parseFloat((fullW * img.crop.left).toFixed(3)),
+            y: parseFloat((fullH * img.crop.top).toFixed(3)),
+            w: parseFloat(w.toFixed(3)),
+            h: parseFloat(h.toFixed(3))
+          };
+        }
+      }
+
+      if (img.rotation) imageData.rotate = img.rotation;
+      if (img.flipH) imageData.flipH = true;
+      if (img.flipV) imageData.flipV = true;
+      if (img.transparency) imageData.transparency = img.transparency;
+      if (img.description) imageData.altText = img.description;
+      if (img.hyperlink) imageData.hyperlink = { url: img.hyperlink };
+
+      return imageData;
+    }),
+    notes: notes || ""
   };
+}
+
+// AI用プロンプト付きJSON生成関数
+function generatePromptWithJSON(elements, tables, lines, charts, template, slidePath, images = [], notes = "") {
+  const data = buildSlideData(elements, tables, lines, charts, template, slidePath, images, notes, { includeMediaRef: false });
 
   // AI用の詳細プロンプトを生成
   const prompt = `# PowerPoint Slide Reproduction Task
@@ -2321,14 +3631,17 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
   "elements": [{shape data}],   // 図形・テキストボックス
   "tables": [{table data}],     // 表
   "lines": [{line data}],       // 線・コネクタ
-  "charts": [{chart data}]      // グラフ・チャート
+  "charts": [{chart data}],     // グラフ・チャート
+  "images": [{image data}],     // 画像（写真・スクリーンショット）
+  "notes": "speaker notes"      // スピーカーノート
 }
 \`\`\`
 
 ### Template (テンプレート情報)
 
 スライドテンプレートから抽出された情報:
-- **background**: 背景色(RGB hex, ""=なし)
+- **background**: 背景色(RGB hex, ""=なし) ※グラデーション・パターンの場合は代表色
+- **backgroundFill**: 背景の塗りつぶし詳細(nullまたはオブジェクト、形式は下記「Fill Styles」参照)
 - **slideNumber**: スライド番号設定(nullまたはオブジェクト)
   - **x, y, w, h**: 位置とサイズ(インチ)
   - **fontSize**: フォントサイズ(pt)
@@ -2339,6 +3652,7 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
 - **fixedImages**: 固定画像配列(ロゴなど)
   - **id, name**: ID・名前
   - **x, y, w, h**: 位置とサイズ(インチ)
+  - **data**: 画像データ(data URI、大きすぎる場合は省略。省略された画像は追加しない)
 
 ### Elements (図形・テキストボックス)
 
@@ -2352,8 +3666,9 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
 - **bold, italic**: スタイル
 - **fontFace**: フォント名（PptxGenJS形式）
 - **align**: 配置("left"/"center"/"right"）（PptxGenJS形式）
-- **fill**: 背景色オブジェクト { color: "FFFFFF" } または undefined
-- **line**: 枠線オブジェクト { color: "000000", pt: 1.5 } または undefined
+- **fill**: 背景色オブジェクト { color: "FFFFFF", transparency: 0-100(任意) } または undefined ※グラデーション・パターンの場合は代表色
+- **fillStyle**: グラデーション・パターン・画像の塗りつぶし詳細（存在する場合のみ、形式は下記「Fill Styles」参照）
+- **line**: 枠線オブジェクト { color: "000000", pt: 1.5 } または undefined（線の図形の矢印は beginArrowType / endArrowType）
 - **paragraphs**: 段落配列（箇条書き含む、存在する場合のみ）
   - **text**: 段落テキスト（全ランを結合した文字列）
   - **level**: インデントレベル(0=なし, 1以上=箇条書きレベル)
@@ -2411,6 +3726,7 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
   - **dashType**: 線のスタイル("solid"=実線, "dash"=破線, "dot"=点線, "dashDot"=一点鎖線, "lgDash"=長い破線, "sysDot"=システム点線など)
   - **beginArrowType**: 開始側の矢印("arrow"=矢印, "triangle"=三角, "diamond"=菱形, "oval"=丸など、なしの場合はundefined)
   - **endArrowType**: 終了側の矢印(同上、なしの場合はundefined)
+- **flipH, flipV**: 斜め線の左右・上下反転(trueの場合のみ。右上がりの線などはflipHで表現)
 
 ### Charts (グラフ・チャート)
 
@@ -2418,20 +3734,69 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
 - **id**: ID
 - **x, y**: 位置(インチ)
 - **w, h**: サイズ(インチ)
-- **chartType**: チャート種類("bar"=棒グラフ, "line"=折れ線グラフ, "pie"=円グラフ, "doughnut"=ドーナツグラフ, など)
+- **chartType**: チャート種類("bar"=棒グラフ, "line"=折れ線グラフ, "pie"=円グラフ, "doughnut"=ドーナツグラフ, "area"=面グラフ, "scatter"=散布図, "radar"=レーダーチャート, "bubble"=バブルチャート, "combo"=複合グラフ)
 - **series**: データシリーズ配列
   - **name**: シリーズ名
-  - **categories**: カテゴリラベル配列
-  - **values**: データ値配列
+  - **chartType**: 系列のグラフ種類 ※chartType="combo"の場合のみ（例: 棒＋折れ線）
+  - **secondaryAxis**: 第2軸を使う系列の場合 true ※chartType="combo"の場合のみ
+  - **categories**: カテゴリラベル配列（散布図・バブルの場合はX値）
+  - **values**: データ値配列（散布図・バブルの場合はY値）
+  - **sizes**: バブルのサイズ配列 ※バブルチャートの場合のみ
   - **colors**: データポイントの色配列(RGB hex)
+  - **dataLabels**: データラベル { showValue, showPercent, showCategoryName, showSeriesName, numberFormat(表示形式), position } ※表示する場合のみ
 - **legend**: 凡例設定
   - **position**: 凡例位置("r"=右, "b"=下, "t"=上, "l"=左)
 - **axes**: 軸設定
   - **maxValue**: 最大値（値軸）
   - **minValue**: 最小値（値軸）
+  - **numberFormat**: 値軸の表示形式("#,##0", "0%"など)
+  - **secondary**: 第2軸の { maxValue, minValue, numberFormat } ※複合グラフで第2軸がある場合のみ
+- **dataSource**: データの取得元("cache"=チャート内のキャッシュ, "workbook"=キャッシュが欠けていたため埋め込みExcelから補完)
 - **specialProperties**: チャート固有のプロパティ
-  - **direction**: 棒グラフの方向("bar"=横棒, "col"=縦棒) ※chartType="bar"の場合のみ
+  - **direction**: 棒グラフの方向("bar"=横棒, "col"=縦棒) ※棒グラフを含む場合のみ
+  - **grouping**: 積み上げ("stacked"=積み上げ, "percentStacked"=100%積み上げ) ※棒・面グラフで積み上げの場合のみ（面グラフは "stacked" のみ対応）
   - **holeSize**: 穴のサイズ(0-100) ※chartType="doughnut"の場合のみ
+  - **radarStyle**: レーダーのスタイル("standard", "marker", "filled") ※chartType="radar"の場合のみ
+- 複合グラフは PptxGenJS の複数種類指定 slide.addChart([{ type, data, options }, ...], options) で再現し、第2軸の系列は options に secondaryValAxis: true, secondaryCatAxis: true を指定してください
+
+### Notes (スピーカーノート)
+
+- **notes**: 発表者用のスピーカーノート（改行は"\\n"、""=なし）
+- ノートがある場合は **slide.addNotes(notes)** で必ず同じ内容を設定してください
+
+### Fill Styles (塗りつぶし詳細)
+
+elements[].fillStyle と template.backgroundFill の形式:
+- **type: "solid"**: { color, transparency }
+- **type: "gradient"**: グラデーション
+  - **gradientType**: "linear"=線形, "circle"/"rect"/"shape"=放射状
+  - **angle**: 線形グラデーションの角度(度、0=左→右、90=上→下)
+  - **stops**: 色の分岐点配列 [{ position: 0-100(%), color: RGB hex, transparency: 0-100 }]
+  - **color**: 代表色(全stopの平均)
+- **type: "pattern"**: パターン
+  - **pattern**: パターン名("pct20", "dkDnDiag", "smGrid"など)
+  - **foreground, background**: 前景色・背景色(RGB hex)
+  - **color**: 代表色(前景色と背景色の平均)
+- **type: "picture"**: 画像の塗りつぶし
+  - **data**: 画像データURI（大きな画像の場合は省略。省略された場合は代表色で塗りつぶす）
+  - **stretch, tile**: 引き伸ばし・並べて表示
+  - **crop**: トリミング { left, top, right, bottom }(0-1の割合)
+  - **transparency**: 透明度(0-100)
+
+### Images (画像)
+
+各画像（すべてPptxGenJS addImage形式で出力済み、そのまま addImage に渡せます）:
+- **id, name**: ID・名前
+- **x, y**: 位置(インチ)
+- **w, h**: サイズ(インチ) ※sizingがある場合はトリミング前の元画像全体のサイズ
+- **data**: 画像データURI("data:image/png;base64,...")。大きすぎる画像は省略されるため、data も path もない画像は追加しないでください
+- **path**: 外部リンク画像のURL（リンク画像の場合のみ）
+- **sizing**: トリミング設定 { type: "crop", x, y, w, h }（表示領域、インチ）
+- **rotate**: 回転角度(度)
+- **flipH, flipV**: 左右・上下反転
+- **transparency**: 透明度(0-100)
+- **altText**: 代替テキスト
+- **hyperlink**: リンク { url }
 
 ---
 
@@ -2443,8 +3808,10 @@ PptxGenJSで下記のパワポを完全再現して。**位置・サイズ・色
 const pptx = new PptxGenJS();
 const slide = pptx.addSlide();
 
-// 背景色を設定
-if (template.background) {
+// 背景を設定（画像の塗りつぶしは画像として、それ以外は色/代表色で設定）
+if (template.backgroundFill && template.backgroundFill.type === 'picture' && template.backgroundFill.data) {
+  slide.background = { data: template.backgroundFill.data };
+} else if (template.background) {
   slide.background = { color: template.background };
 }
 
@@ -2461,12 +3828,11 @@ if (template.slideNumber) {
 }
 
 // 固定画像を追加（ロゴなど）
-// 注意: 画像データは別途用意する必要があります
+// data がない画像（大きすぎて省略したもの）は追加しない
 template.fixedImages.forEach(img => {
-  // slide.addImage({
-  //   data: "image/png;base64,..." または path: "logo.png",
-  //   x: img.x, y: img.y, w: img.w, h: img.h
-  // });
+  if (img.data) {
+    slide.addImage({ data: img.data, x: img.x, y: img.y, w: img.w, h: img.h });
+  }
 });
 \`\`\`
 
@@ -2474,7 +3840,13 @@ template.fixedImages.forEach(img => {
 
 \`\`\`javascript
 elements.forEach(el => {
+  // 画像の塗りつぶしは、同じ位置に画像を配置してから図形（テキスト・枠線）を重ねる
+  if (el.fillStyle && el.fillStyle.type === 'picture' && el.fillStyle.data) {
+    slide.addImage({ data: el.fillStyle.data, x: el.x, y: el.y, w: el.w, h: el.h });
+  }
+
   // 形状タイプに応じて適切なメソッドを使用
+  // グラデーション・パターンは PptxGenJS 非対応のため fill.color（代表色）で近似
   const shapeOptions = {
     x: el.x,
     y: el.y,
@@ -2653,11 +4025,43 @@ lines.forEach(lineItem => {
     y: lineItem.y,
     w: lineItem.w,
     h: lineItem.h,
-    line: lineItem.line
+    line: lineItem.line,
+    flipH: lineItem.flipH,
+    flipV: lineItem.flipV
   });
 });
 \`\`\`
 
+### 画像
+
+\`\`\`javascript
+images.forEach(img => {
+  // data も path もない画像（大きすぎて省略したもの）は追加しない
+  if (!img.data && !img.path) return;
+  // id, name 以外はそのまま addImage のオプションとして使用可能
+  slide.addImage({
+    data: img.data,
+    path: img.path,
+    x: img.x, y: img.y, w: img.w, h: img.h,
+    sizing: img.sizing,
+    rotate: img.rotate,
+    flipH: img.flipH,
+    flipV: img.flipV,
+    transparency: img.transparency,
+    altText: img.altText,
+    hyperlink: img.hyperlink
+  });
+});
+\`\`\`
+
+### スピーカーノート
+
+\`\`\`javascript
+if (notes) {
+  slide.addNotes(notes);
+}
+\`\`\`
+
 ---
 
 ## Important Notes
@@ -2665,7 +4069,7 @@ lines.forEach(lineItem => {
 1. **JSON形式はPptxGenJS API形式で出力済み**: プロパティ名の変換は不要、そのまま使用可能
 2. **fontFace**: フォント名プロパティ（font → fontFace に変換済み）
 3. **align/valign**: 配置値は変換済み（"l"/"ctr"/"r" → "left"/"center"/"right", "t"/"m"/"b" → "top"/"middle"/"bottom"）
-4. **fill**: オブジェクト形式 { color: "FFFFFF" } または undefined（空文字列ではない）
+4. **fill**: オブジェクト形式 { color: "FFFFFF" } または undefined（空文字列ではない）。グラデーション・パターンは fillStyle に詳細があり、fill.color は代表色
 5. **line**: オブジェクト形式 { color: "000000", pt: 1.5 } または undefined
 6. **border**: オブジェクト形式 { top: {pt, color}, right: {pt, color}, bottom: {pt, color}, left: {pt, color} }
 7. **テーブルborderについて**: PptxGenJSのテーブルでは、border配列に変換が必要（実装例参照）
@@ -2704,6 +4108,8 @@ ${data.tables.map((t, i) => `  - Table ${i + 1}: ${t.rows.length} rows × ${t.co
 - **Lines**: ${data.lines.length} lines
 - **Charts**: ${data.charts.length} charts
 ${data.charts.map((c, i) => `  - Chart ${i + 1}: ${c.chartType} (${c.series.length} series, ${c.series.reduce((sum, s) => sum + s.values.length, 0)} data points)`).join('\n')}
+- **Images**: ${data.images.length} images
+- **Notes**: ${data.notes ? `${data.notes.length} characters` : 'none'}
 
 ✅ **All data extracted completely - every row, cell, element, and chart is included above.**
 
@@ -2714,24 +4120,29 @@ ${data.charts.map((c, i) => `  - Chart ${i + 1}: ${c.chartType} (${c.series.leng
   return prompt;
 }
 
+// JSZipを取得（ブラウザ環境ではグローバル、Node.js環境ではrequire）
+function getJSZipLib() {
+  if (typeof JSZip !== 'undefined') {
+    return JSZip;
+  } else if (typeof require !== 'undefined') {
+    return require('jszip');
+  }
+  throw new Error('JSZip is not loaded. Please check manifest.json content_scripts configuration.');
+}
+
 // メイン解析関数
 export async function analyzePPTX(file) {
   try {
-    // JSZipをロード（ブラウザ環境ではグローバル、Node.js環境ではrequire）
-    let JSZipLib;
-    if (typeof JSZip !== 'undefined') {
-      JSZipLib = JSZip;
-    } else if (typeof require !== 'undefined') {
-      JSZipLib = require('jszip');
-    } else {
-      throw new Error('JSZip is not loaded. Please check manifest.json content_scripts configuration.');
-    }
+    // JSZipをロード
+    const JSZipLib = getJSZipLib();
 
     const buf = await file.arrayBuffer();
     const zip = await JSZipLib.loadAsync(buf);
 
-    // テーマカラーを読み込む
+    // テーマカラー・スライドサイズ・マスター/レイアウト一覧を読み込む
     const themeColors = await loadThemeColors(zip);
+    const slideSize = await loadSlideSize(zip);
+    const masters = await loadLayoutCatalog(zip);
 
     // スライド一覧を取得
     const slideFiles = Object.keys(zip.files)
@@ -2763,27 +4174,42 @@ export async function analyzePPTX(file) {
       const elements = await extractElements(doc, themeColors, masterStyles, zip, slidePath);
       const tables = extractTables(doc, themeColors);
       const lines = extractLines(doc, themeColors);
+      const images = await extractImages(doc, zip, slidePath);
 
       // 表とチャートを抽出（新しい統合関数を使用）
       const graphicFramesData = await extractGraphicFrames(doc, zip, slidePath, themeColors);
       const charts = graphicFramesData.charts;
 
-      // グループ化された要素と非グループ化要素を結合
-      const allElements = [...elements, ...groupElements.elements];
-      const allTables = [...tables, ...groupElements.tables];
-      const allLines = [...lines, ...groupElements.lines];
-      const allCharts = charts; // グループ内チャートは現状未対応
+      // SmartArt の描画済み図形を抽出
+      const diagramElements = await extractDiagrams(doc, themeColors, masterStyles, zip, slidePath);
 
-      const promptWithJson = generatePromptWithJSON(allElements, allTables, allLines, allCharts, template, slidePath);
+      // グループ化された要素・SmartArt・非グループ化要素を結合
+      const allElements = [...elements, ...groupElements.elements, ...diagramElements.elements];
+      const allTables = [...tables, ...groupElements.tables, ...diagramElements.tables];
+      const allLines = [...lines, ...groupElements.lines, ...diagramElements.lines];
+      const allCharts = [...charts, ...groupElements.charts];
+      const allImages = [...images, ...groupElements.images, ...diagramElements.images];
+      const notes = await extractNotes(zip, slidePath);
+      const slideRels = await loadRelationships(zip, slidePath);
+      const layoutRel = Array.from(slideRels.values()).find(rel => rel.type.endsWith('/slideLayout'));
+
+      const promptWithJson = generatePromptWithJSON(allElements, allTables, allLines, allCharts, template, slidePath, allImages, notes);
+      // コード生成用（画像データは省略しない）
+      const data = buildSlideData(allElements, allTables, allLines, allCharts, template, slidePath, allImages, notes, { maxInlineImageLength: Infinity });
 
       results.push({
         slideNumber: parseInt(slidePath.match(/slide(\d+)\.xml/i)[1], 10),
         slidePath: slidePath,
+        layoutPath: layoutRel ? resolveRelationshipTarget(slidePath, layoutRel.target) : "",
         promptWithJson: promptWithJson,
+        data: data,
         elementCount: allElements.length,
         tableCount: allTables.length,
         lineCount: allLines.length,
-        chartCount: allCharts.length
+        chartCount: allCharts.length,
+        imageCount: allImages.length,
+        images: allImages,
+        notes: notes
       });
     }
 
@@ -2791,6 +4217,9 @@ export async function analyzePPTX(file) {
       success: true,
       fileName: file.name,
       slideCount: slideFiles.length,
+      slideSize: slideSize,
+      themeColors: themeColors || {},
+      masters: masters,
       slides: results
     };
 
@@ -2801,3 +4230,84 @@ export async function analyzePPTX(file) {
     };
   }
 }
+
+/**
+ * ブランドキットの作成に使う情報（テーマの配色・フォント、最初のスライドのマスター情報）を取り出す。
+ * ブランドキットへの変換は src/brandKit.js の buildBrandKitFromPptx が行う。
+ * @param {File|Blob} file PPTX ファイル
+ * @returns {Promise<{ fileName: string, slideSize: object|null, themeColors: object, themeFonts: object|null, template: object, masterStyles: object }>}
+ * @throws {Error} スライドが1枚もない場合
+ */
+export async function extractBrandSource(file) {
+  const JSZipLib = getJSZipLib();
+  const zip = await JSZipLib.loadAsync(await file.arrayBuffer());
+
+  const slidePath = Object.keys(zip.files)
+    .filter(p => /^ppt\/slides\/slide\d+\.xml$/i.test(p))
+    .sort((a, b) => parseInt(a.match(/slide(\d+)\.xml/i)[1], 10) - parseInt(b.match(/slide(\d+)\.xml/i)[1], 10))[0];
+  if (!slidePath) {
+    throw new Error("スライドが見つかりませんでした");
+  }
+
+  const themeColors = await loadThemeColors(zip);
+  return {
+    fileName: file.name || "",
+    slideSize: await loadSlideSize(zip),
+    themeColors: themeColors || {},
+    themeFonts: await loadThemeFonts(zip),
+    template: await extractTemplateInfo(zip, slidePath, themeColors),
+    masterStyles: await extractMasterStyles(zip, slidePath)
+  };
+}
+
+// デッキJSONのスキーマ識別子とバージョン（構造を変更したらバージョンを上げる）
+export const DECK_SCHEMA = "pptx-genai/deck";
+export const DECK_SCHEMA_VERSION = 1;
+
+// data URI を取り除いた複製を作成（mediaRef は残るため元メディアは参照可能）
+function stripMediaData(value) {
+  if (Array.isArray(value)) return value.map(stripMediaData);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  Object.keys(value).forEach(key => {
+    const v = value[key];
+    if (key === 'data' && typeof v === 'string' && v.startsWith('data:')) return;
+    out[key] = stripMediaData(v);
+  });
+  return out;
+}
+
+/**
+ * analyzePPTX の結果からデッキ全体の構造化JSONを作成する。
+ * 差分比較や他ツール連携用のため、生成日時など実行ごとに変わる値は含めない。
+ *
+ * {
+ *   schema, version, fileName, slideSize: { width, height }（インチ）,
+ *   theme: { colors: { dk1, lt1, accent1, ... } },
+ *   masters: [{ path, name, layouts: [{ path, name, type, placeholders: [{ type, idx }] }] }],
+ *   slides: [{ slideNumber, slidePath, layoutPath, template, elements, tables, lines, charts, images, notes }]
+ * }
+ *
+ * @param {object} analysis analyzePPTX の戻り値（success: true）
+ * @param {{ includeMedia?: boolean }} [options] includeMedia=true で画像の data URI も含める
+ * @returns {object}
+ */
+export function buildDeckDocument(analysis, { includeMedia = false } = {}) {
+  return {
+    schema: DECK_SCHEMA,
+    version: DECK_SCHEMA_VERSION,
+    fileName: analysis.fileName || "",
+    slideSize: analysis.slideSize || null,
+    theme: { colors: analysis.themeColors || {} },
+    masters: analysis.masters || [],
+    slides: (analysis.slides || []).map(slide => {
+      const { slide: _name, ...data } = slide.data || {};
+      return {
+        slideNumber: slide.slideNumber,
+        slidePath: slide.slidePath,
+        layoutPath: slide.layoutPath || "",
+        ...(includeMedia ? data : stripMediaData(data))
+      };
+    })
+  };
+}
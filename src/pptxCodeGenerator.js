@@ -0,0 +1,532 @@
+/**
+ * ファイル名: src/pptxCodeGenerator.js
+ * 説明:
+ *   pptxAnalyzer の解析結果（slides[].data）から PptxGenJS のスニペットを生成するモジュール。
+ *   AIを介さずに同じ入力から常に同じコードを出力するため、アップロードしたスライドを無料・即時に再現できる。
+ *   生成コードは safePptxExecutor（runPptxFromSnippet）と sandbox の isSafeCode でそのまま実行できる形式に限定する。
+ *
+ * 主な機能:
+ *   - テンプレート情報（背景、スライド番号、固定画像）の出力
+ *   - 図形・テキスト（段落、ラン、箇条書き、改行）の出力
+ *   - 表（セル結合、罫線、塗りつぶし）の出力
+ *   - 線（破線、矢印、反転）の出力
+ *   - グラフ（複合グラフ・第2軸・データラベル・表示形式を含む）・画像・スピーカーノートの出力
+ */
+
+// そのままコードとして出力する値（pptx.ShapeType.rect など）
+class RawCode {
+  constructor(code) {
+    this.code = code;
+  }
+}
+const raw = (code) => new RawCode(code);
+
+// addShape で実行できる図形（safePptxExecutor の resolveShapeString と合わせる）
+const ADD_SHAPE_TYPES = ['rect', 'roundRect', 'ellipse', 'line'];
+
+// OOXML の prstDash → PptxGenJS の dashType
+const DASH_TYPE_MAP = {
+  solid: 'solid',
+  dash: 'dash',
+  dashDot: 'dashDot',
+  lgDash: 'lgDash',
+  lgDashDot: 'lgDashDot',
+  lgDashDotDot: 'lgDashDotDot',
+  sysDash: 'sysDash',
+  sysDot: 'sysDot',
+  dot: 'sysDot',
+  sysDashDot: 'dashDot',
+  sysDashDotDot: 'lgDashDotDot'
+};
+
+// PptxGenJS で指定できる矢印の種類
+const ARROW_TYPES = ['arrow', 'diamond', 'oval', 'stealth', 'triangle'];
+
+// p:sp で描かれた直線のコネクタ（PptxGenJS に対応する図形がないため line で描く）
+const LINE_SHAPE_TYPES = ['line', 'straightConnector1'];
+
+// 解析結果のグラフ種類 → pptx.ChartType
+const CHART_TYPE_MAP = {
+  bar: 'bar',
+  line: 'line',
+  pie: 'pie',
+  doughnut: 'doughnut',
+  area: 'area',
+  scatter: 'scatter',
+  radar: 'radar',
+  bubble: 'bubble'
+};
+
+const LEGEND_POSITIONS = ['b', 'l', 'r', 't', 'tr'];
+const DATA_LABEL_POSITIONS = ['bestFit', 'b', 'ctr', 'inBase', 'inEnd', 'l', 'outEnd', 'r', 't'];
+const ALIGN_MAP = { l: 'left', ctr: 'center', r: 'right', just: 'justify' };
+
+// 指定桁で丸める（指数表記は executor が解釈できないため桁数を制限する）
+function round(value, digits = 3) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return parseFloat(n.toFixed(digits));
+}
+
+// 6桁の16進カラーに正規化（無効なら空文字）
+function normalizeHex(color) {
+  if (typeof color !== 'string') return '';
+  const hex = color.trim().replace(/^#/, '').toUpperCase();
+  return /^[0-9A-F]{6}$/.test(hex) ? hex : '';
+}
+
+// 文字列リテラルを出力（executor のループ検出に掛からないよう "for (" の括弧をエスケープ）
+function stringLiteral(str) {
+  return JSON.stringify(String(str))
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+    .replace(/(for(?:Each)?\s*)\(/g, '$1\\u0028');
+}
+
+// 値を JavaScript リテラルに変換（undefined のプロパティは出力しない）
+function toLiteral(value) {
+  if (value instanceof RawCode) return value.code;
+  if (value === null) return 'null';
+  if (typeof value === 'string') return stringLiteral(value);
+  if (typeof value === 'number') return String(round(value, 6));
+  if (typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? 'null' : toLiteral(v))).join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    const props = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .map(key => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${toLiteral(value[key])}`);
+    return props.length ? `{ ${props.join(', ')} }` : '{}';
+  }
+  return 'null';
+}
+
+// 配列を1要素1行で出力（ランや表の行など長いデータ用）
+function toMultilineArray(items, indent = '  ') {
+  if (items.length === 0) return '[]';
+  return `[\n${items.map(item => indent + toLiteral(item)).join(',\n')}\n]`;
+}
+
+// 図形名を pptx.ShapeType の参照に変換
+function shapeTypeRef(shapeType) {
+  const name = /^[A-Za-z]\w*$/.test(shapeType || '') ? shapeType : 'rect';
+  return raw(`pptx.ShapeType.${name}`);
+}
+
+// 位置・サイズ
+function boxOptions(item) {
+  return { x: round(item.x), y: round(item.y), w: round(item.w), h: round(item.h) };
+}
+
+// 背景・スライド番号・固定画像
+function templateCode(template) {
+  const code = [];
+  if (!template) return code;
+
+  const bgFill = template.backgroundFill;
+  if (bgFill && bgFill.type === 'picture' && bgFill.data) {
+    code.push(`slide.background = ${toLiteral({ data: bgFill.data })};`);
+  } else if (normalizeHex(template.background)) {
+    const background = { color: normalizeHex(template.background) };
+    if (bgFill && bgFill.type === 'solid' && bgFill.transparency) {
+      background.transparency = bgFill.transparency;
+    }
+    code.push(`slide.background = ${toLiteral(background)};`);
+  }
+
+  if (template.slideNumber) {
+    const sn = template.slideNumber;
+    code.push(`slide.slideNumber = ${toLiteral({
+      ...boxOptions(sn),
+      fontFace: sn.font || undefined,
+      fontSize: sn.fontSize,
+      color: normalizeHex(sn.color) || undefined,
+      bold: sn.bold || undefined,
+      align: ALIGN_MAP[sn.align] || undefined
+    })};`);
+  }
+
+  (template.fixedImages || []).forEach(img => {
+    if (img.data) {
+      code.push(`slide.addImage(${toLiteral({ data: img.data, ...boxOptions(img) })});`);
+    } else {
+      code.push(`// 固定画像 ${img.name || ''} は画像データがないため省略`);
+    }
+  });
+  return code;
+}
+
+// 段落の箇条書き設定
+function bulletOptions(paragraph) {
+  const options = {};
+  const bullet = paragraph.bullet;
+  if (bullet) {
+    if (bullet.type === 'number') {
+      options.bullet = { type: 'number', style: bullet.numType || undefined };
+    } else if (bullet.char && bullet.char !== '•') {
+      const code = bullet.char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+      options.bullet = { characterCode: code };
+    } else {
+      options.bullet = true;
+    }
+  }
+  if (paragraph.level > 0) options.indentLevel = paragraph.level;
+  return options;
+}
+
+// テキストランの書式
+function runOptions(run) {
+  const options = {
+    fontSize: run.fontSize,
+    color: normalizeHex(run.color) || undefined,
+    bold: run.bold || undefined,
+    italic: run.italic || undefined,
+    fontFace: run.fontFace || undefined
+  };
+  if (run.underline && run.underline !== 'none') options.underline = { style: run.underline };
+  if (run.baseline > 0) options.superscript = true;
+  if (run.baseline < 0) options.subscript = true;
+  return options;
+}
+
+// 段落配列を addText のラン配列に変換
+// 段落の区切りは最後のランの breakLine、段落内の改行(a:br)は次のランの softBreakBefore で表す
+function paragraphsToRuns(paragraphs) {
+  const runs = [];
+  paragraphs.forEach((p, pIndex) => {
+    const pieces = [];
+    let softBreak = false;
+    if (Array.isArray(p.runs)) {
+      p.runs.forEach(run => {
+        if (run.isBreak) {
+          softBreak = true;
+          return;
+        }
+        const options = runOptions(run);
+        if (softBreak) {
+          options.softBreakBefore = true;
+          softBreak = false;
+        }
+        pieces.push({ text: run.text, options });
+      });
+    } else if (p.text) {
+      pieces.push({ text: p.text, options: {} });
+    }
+    if (pieces.length === 0) {
+      pieces.push({ text: '', options: {} });
+    }
+
+    Object.assign(pieces[0].options, bulletOptions(p));
+    if (pIndex < paragraphs.length - 1) {
+      pieces[pieces.length - 1].options.breakLine = true;
+    }
+    runs.push(...pieces);
+  });
+  return runs;
+}
+
+// 図形・テキストボックス
+function elementCode(el) {
+  const code = [];
+  const fillStyle = el.fillStyle;
+
+  // 画像の塗りつぶしは同じ位置に画像を置き、その上に図形（テキスト・枠線）を重ねる
+  if (fillStyle && fillStyle.type === 'picture' && fillStyle.data) {
+    code.push(`slide.addImage(${toLiteral({ data: fillStyle.data, ...boxOptions(el) })});`);
+  }
+
+  const options = boxOptions(el);
+  const fillColor = normalizeHex(el.fill?.color);
+  if (fillColor) {
+    options.fill = { color: fillColor, transparency: el.fill.transparency || undefined };
+  }
+  if (el.line) {
+    options.line = {
+      color: normalizeHex(el.line.color) || undefined,
+      width: el.line.pt,
+      beginArrowType: ARROW_TYPES.includes(el.line.beginArrowType) ? el.line.beginArrowType : undefined,
+      endArrowType: ARROW_TYPES.includes(el.line.endArrowType) ? el.line.endArrowType : undefined
+    };
+  }
+
+  const paragraphs = Array.isArray(el.paragraphs) ? el.paragraphs : [];
+  const hasText = !!el.text || paragraphs.some(p => p.text);
+
+  if (hasText) {
+    options.shape = el.shapeType && el.shapeType !== 'rect' ? shapeTypeRef(el.shapeType) : undefined;
+    options.align = el.align || undefined;
+    if (paragraphs.length > 0) {
+      // 書式はランごとに指定する（図形全体に指定すると書式なしのランに継承されるため）
+      code.push(`slide.addText(${toMultilineArray(paragraphsToRuns(paragraphs))}, ${toLiteral(options)});`);
+    } else {
+      Object.assign(options, {
+        fontFace: el.fontFace || undefined,
+        fontSize: el.fontSize,
+        color: normalizeHex(el.color) || undefined,
+        bold: el.bold || undefined,
+        italic: el.italic || undefined
+      });
+      code.push(`slide.addText(${toLiteral(el.text)}, ${toLiteral(options)});`);
+    }
+  } else if (LINE_SHAPE_TYPES.includes(el.shapeType)) {
+    code.push(`slide.addShape(pptx.ShapeType.line, ${toLiteral(options)});`);
+  } else if (ADD_SHAPE_TYPES.includes(el.shapeType || 'rect')) {
+    code.push(`slide.addShape(${toLiteral(shapeTypeRef(el.shapeType))}, ${toLiteral(options)});`);
+  } else {
+    // その他の図形は addText("", { shape }) で描画
+    options.shape = shapeTypeRef(el.shapeType);
+    code.push(`slide.addText("", ${toLiteral(options)});`);
+  }
+  return code;
+}
+
+// 表のセル罫線（上・右・下・左）
+function cellBorders(border) {
+  if (!border) return undefined;
+  return ['top', 'right', 'bottom', 'left'].map(side => {
+    const b = border[side] || {};
+    const color = normalizeHex(b.color);
+    return b.pt > 0 && color ? { type: 'solid', pt: b.pt, color } : { type: 'none' };
+  });
+}
+
+// 表
+function tableCode(table) {
+  const rows = table.rows.map(row => row.cells.map(cell => ({
+    text: cell.text || '',
+    options: {
+      fontSize: cell.fontSize,
+      color: normalizeHex(cell.color) || undefined,
+      bold: cell.bold || undefined,
+      italic: cell.italic || undefined,
+      fontFace: cell.fontFace || undefined,
+      align: cell.align,
+      valign: cell.valign,
+      fill: normalizeHex(cell.fill?.color) ? { color: normalizeHex(cell.fill.color) } : undefined,
+      border: cellBorders(cell.border),
+      colspan: cell.colspan > 1 ? cell.colspan : undefined,
+      rowspan: cell.rowspan > 1 ? cell.rowspan : undefined
+    }
+  })));
+  const options = {
+    ...boxOptions(table),
+    colW: table.colW,
+    // 行の高さが取れない表（高さ0）は PptxGenJS の自動計算に任せる
+    rowH: table.rows.every(row => row.h > 0) ? table.rows.map(row => row.h) : undefined
+  };
+  return [`slide.addTable(${toMultilineArray(rows)}, ${toLiteral(options)});`];
+}
+
+// 線・コネクタ
+function lineCode(lineItem) {
+  const line = lineItem.line || {};
+  const options = {
+    ...boxOptions(lineItem),
+    line: {
+      color: normalizeHex(line.color) || '000000',
+      width: line.pt || 0.75,
+      dashType: DASH_TYPE_MAP[line.dashType] || 'solid',
+      beginArrowType: ARROW_TYPES.includes(line.beginArrowType) ? line.beginArrowType : undefined,
+      endArrowType: ARROW_TYPES.includes(line.endArrowType) ? line.endArrowType : undefined
+    },
+    flipH: lineItem.flipH || undefined,
+    flipV: lineItem.flipV || undefined
+  };
+  return [`slide.addShape(pptx.ShapeType.line, ${toLiteral(options)});`];
+}
+
+// グラフのデータ系列
+function chartSeries(chartType, series) {
+  const toValues = (values) => (values || []).map(v => round(v, 6));
+  if (chartType === 'scatter' || chartType === 'bubble') {
+    // 散布図・バブルは先頭系列がX値、以降がY値（バブルはサイズも指定）
+    const xValues = series.length ? toValues(series[0].categories) : [];
+    return [
+      { name: 'X', values: xValues },
+      ...series.map(s => ({
+        name: s.name || '',
+        values: toValues(s.values),
+        sizes: chartType === 'bubble' ? toValues(s.sizes) : undefined
+      }))
+    ];
+  }
+  return series.map(s => ({
+    name: s.name || '',
+    labels: (s.categories || []).map(c => String(c)),
+    values: toValues(s.values)
+  }));
+}
+
+// 種類ごとのオプション（棒の向き・積み上げ・色・データラベル）
+function chartTypeOptions(chartType, series, special) {
+  const options = {
+    barDir: chartType === 'bar' ? (special.direction === 'bar' ? 'bar' : 'col') : undefined,
+    // PptxGenJS は面グラフの grouping を stacked のときだけ出力する（percentStacked は通常の面グラフになる）
+    barGrouping: (chartType === 'bar' && special.grouping) || (chartType === 'area' && special.grouping === 'stacked')
+      ? special.grouping
+      : undefined,
+    holeSize: chartType === 'doughnut' && special.holeSize ? special.holeSize : undefined,
+    radarStyle: chartType === 'radar' && special.radarStyle ? special.radarStyle : undefined
+  };
+
+  // 円・ドーナツはデータ点ごと、それ以外は系列ごとの色
+  const colors = (chartType === 'pie' || chartType === 'doughnut')
+    ? (series[0]?.colors || [])
+    : series.map(s => (s.colors || [])[0]);
+  if (colors.length > 0 && colors.every(c => normalizeHex(c))) {
+    options.chartColors = colors.map(normalizeHex);
+  }
+
+  // データラベルは PptxGenJS ではグラフ（種類）単位のため、先頭の設定を使う
+  const labels = series.find(s => s.dataLabels)?.dataLabels;
+  if (labels) {
+    Object.assign(options, {
+      showValue: labels.showValue || undefined,
+      showPercent: labels.showPercent || undefined,
+      showLabel: labels.showCategoryName || undefined,
+      showSerName: labels.showSeriesName || undefined,
+      dataLabelFormatCode: labels.numberFormat && labels.numberFormat !== 'General' ? labels.numberFormat : undefined,
+      dataLabelPosition: DATA_LABEL_POSITIONS.includes(labels.position) ? labels.position : undefined
+    });
+  }
+  return options;
+}
+
+// 値軸のオプション
+function valueAxisOptions(axis) {
+  if (!axis) return {};
+  return {
+    valAxisMaxVal: typeof axis.maxValue === 'number' ? axis.maxValue : undefined,
+    valAxisMinVal: typeof axis.minValue === 'number' ? axis.minValue : undefined,
+    valAxisLabelFormatCode: axis.numberFormat || undefined
+  };
+}
+
+// 複合グラフの系列を種類・軸ごとのまとまりに分ける（出現順を維持）
+function comboGroups(series) {
+  const groups = [];
+  series.forEach(s => {
+    const chartType = CHART_TYPE_MAP[s.chartType] ? s.chartType : 'bar';
+    const secondaryAxis = !!s.secondaryAxis;
+    let group = groups.find(g => g.chartType === chartType && g.secondaryAxis === secondaryAxis);
+    if (!group) {
+      group = { chartType, secondaryAxis, series: [] };
+      groups.push(group);
+    }
+    group.series.push(s);
+  });
+  return groups;
+}
+
+// 複合グラフ（棒＋折れ線など）。第2軸の系列は secondaryValAxis / secondaryCatAxis を指定する
+function comboChartCode(chart) {
+  const special = chart.specialProperties || {};
+  const legendPos = chart.legend?.position;
+  const axes = chart.axes || {};
+  const groups = comboGroups(chart.series || []);
+  const hasSecondary = groups.some(g => g.secondaryAxis);
+
+  const types = groups.map(group => ({
+    type: raw(`pptx.ChartType.${CHART_TYPE_MAP[group.chartType]}`),
+    data: chartSeries(group.chartType, group.series),
+    options: {
+      ...chartTypeOptions(group.chartType, group.series, special),
+      secondaryValAxis: group.secondaryAxis || undefined,
+      secondaryCatAxis: group.secondaryAxis || undefined
+    }
+  }));
+
+  const options = {
+    ...boxOptions(chart),
+    showLegend: !!legendPos,
+    legendPos: LEGEND_POSITIONS.includes(legendPos) ? legendPos : undefined
+  };
+  if (hasSecondary) {
+    options.valAxes = [valueAxisOptions(axes), valueAxisOptions(axes.secondary)];
+    options.catAxes = [{}, { catAxisHidden: true }];
+  } else {
+    Object.assign(options, valueAxisOptions(axes));
+  }
+
+  return [`slide.addChart(${toMultilineArray(types)}, ${toLiteral(options)});`];
+}
+
+// グラフ
+function chartCode(chart) {
+  if (chart.chartType === 'combo') {
+    return comboChartCode(chart);
+  }
+
+  const type = CHART_TYPE_MAP[chart.chartType];
+  if (!type) {
+    return [`// 未対応のグラフ種類のため省略: ${chart.chartType || 'unknown'}`];
+  }
+
+  const legendPos = chart.legend?.position;
+  const series = chart.series || [];
+  const options = {
+    ...boxOptions(chart),
+    ...chartTypeOptions(chart.chartType, series, chart.specialProperties || {}),
+    showLegend: !!legendPos,
+    legendPos: LEGEND_POSITIONS.includes(legendPos) ? legendPos : undefined,
+    ...valueAxisOptions(chart.axes)
+  };
+
+  return [`slide.addChart(pptx.ChartType.${type}, ${toMultilineArray(chartSeries(chart.chartType, series))}, ${toLiteral(options)});`];
+}
+
+// 画像
+function imageCode(img) {
+  if (!img.data) {
+    // 外部リンク画像や大きすぎて省略された画像は executor で読み込めないため出力しない
+    return [`// 画像 ${img.name || img.mediaRef || ''} は画像データがないため省略`];
+  }
+  const options = {
+    data: img.data,
+    ...boxOptions(img),
+    sizing: img.sizing,
+    rotate: img.rotate || undefined,
+    flipH: img.flipH || undefined,
+    flipV: img.flipV || undefined,
+    transparency: img.transparency || undefined,
+    altText: img.altText || undefined,
+    hyperlink: img.hyperlink
+  };
+  return [`slide.addImage(${toLiteral(options)});`];
+}
+
+/**
+ * 1スライド分の解析データ（analyzePPTX の slides[].data）から PptxGenJS コードを生成する。
+ * 重なり順は 画像 → 図形 → 表 → グラフ → 線 とする。
+ * @param {object} data
+ * @returns {string}
+ */
+export function generateSlideCode(data) {
+  const code = [
+    `// ${data.slide || 'slide'}`,
+    'const pptx = new PptxGenJS();',
+    'const slide = pptx.addSlide();',
+    ...templateCode(data.template),
+    ...(data.images || []).flatMap(imageCode),
+    ...(data.elements || []).flatMap(elementCode),
+    ...(data.tables || []).flatMap(tableCode),
+    ...(data.charts || []).flatMap(chartCode),
+    ...(data.lines || []).flatMap(lineCode)
+  ];
+  if (data.notes) {
+    code.push(`slide.addNotes(${toLiteral(data.notes)});`);
+  }
+  return code.join('\n') + '\n';
+}
+
+/**
+ * analyzePPTX の結果全体から、スライドごとのコード配列を生成する（generate-multi 用）。
+ * @param {object} analysis
+ * @returns {string[]}
+ */
+export function generateDeckCode(analysis) {
+  return (analysis?.slides || [])
+    .filter(slide => slide.data)
+    .map(slide => generateSlideCode(slide.data));
+}
@@ -51,6 +51,59 @@
     loadPayload,
     BULK_TEMPLATES_PARAM,
   } = await import(chrome.runtime.getURL('src/storage.js'));
+  const {
+    extractTemplateSlots,
+    fillTemplateSlots,
+    buildSlotFillPrompt,
+    parseSlotValuesJson,
+    maskTemplateCode,
+    TEMPLATE_SLOTS_VERSION,
+  } = await import(chrome.runtime.getURL('src/templateSlots.js'));
+  const {
+    MAX_MERGE_ROWS,
+    buildCsvTemplate,
+    readMergeFile,
+    matchMergeColumns,
+    buildMergeSnippets,
+  } = await import(chrome.runtime.getURL('src/dataMerge.js'));
+  const {
+    buildTemplateBundle,
+    parseTemplateBundle,
+    findImportConflicts,
+    mergeImportedTemplates,
+    replaceTemplateContent,
+    restoreTemplateRevision,
+    buildTemplateSearchText,
+    filterTemplates,
+    sortTemplates,
+    recordTemplateUsage,
+  } = await import(chrome.runtime.getURL('src/templateLibrary.js'));
+  const {
+    DEFAULT_BRAND_KIT,
+    loadBrandKit,
+    saveBrandKit,
+    resetBrandKit,
+    buildBrandKitJson,
+    parseBrandKitJson,
+    buildBrandKitFromPptx,
+  } = await import(chrome.runtime.getURL('src/brandKit.js'));
+  const {
+    COVER_TEMPLATES,
+    APPENDIX_PRESETS,
+    MAX_APPENDIX_SLIDES,
+    LAYOUT_PRESETS,
+    FILE_NAME_TOKENS,
+    PREVIEW_EXPORT_OPTIONS,
+    loadExportOptions,
+    saveExportOptions,
+    buildExportFileName,
+    extractSnippetTitle,
+    nextExportFileName,
+  } = await import(chrome.runtime.getURL('src/exportOptions.js'));
+  const {
+    runExport,
+    describeExportError,
+  } = await import(chrome.runtime.getURL('src/exportOrchestrator.js'));
   const payload = await loadPayload();
 
   const PANEL_ELEMENT_ID = 'custom-preview-panel';
@@ -447,6 +500,9 @@ const JSON_TO_HTML_PREFIX =
     announcementDismissed: false,
     logStart: payload.logStart || 0,
     payload,
+    // スロット付きテンプレートから作成中の場合のスロット定義（AI の JSON 回答を手元で流し込む）
+    templateFill: payload.templateFill || null,
+    templateFillCache: null,
 
     // PPTX Preview related properties
     pptxViewer: null,
@@ -514,20 +570,20 @@ const JSON_TO_HTML_PREFIX =
     }
   }
 
-  // Generate PPTX Blob from code using API
+  // Generate PPTX Blob from code using API（API で生成できなければ sandbox で生成する）
   async function generatePptxBlob(code) {
     try {
       // Import API client module
-      const { generatePptxBlobViaApi, getApiKey } = await import(chrome.runtime.getURL('src/apiClient.js'));
+      const { generatePptxBlobViaApi, checkCurrentIp } = await import(chrome.runtime.getURL('src/apiClient.js'));
 
-      // Check if API key is set
-      const apiKey = await getApiKey();
-      if (!apiKey) {
-        throw new Error('APIキーが設定されていません。設定画面からAPIキーを設定してください。');
+      const { blob, path, apiError } = await runExport({
+        viaApi: ({ signal }) => generatePptxBlobViaApi(code, 'preview.pptx', {}, { signal }),
+        viaSandbox: async () => (await requestMultiSlides([code])).blob,
+        checkIp: checkCurrentIp
+      });
+      if (path === 'sandbox') {
+        showExportPathNotice(path, apiError);
       }
-
-      // Generate PPTX via API
-      const blob = await generatePptxBlobViaApi(code, 'preview.pptx');
       return blob;
     } catch (error) {
       console.error('PPTX generation via API failed:', error);
@@ -1232,6 +1288,56 @@ const JSON_TO_HTML_PREFIX =
       #${PANEL_ID} #pptx-detected-overlay button {
         margin: 0;
       }
+      #${PANEL_ID} #snippet-diagnostics {
+        position: absolute;
+        left: 8px;
+        right: 8px;
+        bottom: 8px;
+        max-height: 45%;
+        overflow-y: auto;
+        background: #fff;
+        border: 1px solid #f5c2c7;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(15, 23, 42, 0.12);
+        padding: 10px 12px;
+        box-sizing: border-box;
+        z-index: 2;
+        font-size: 12px;
+      }
+      #${PANEL_ID} #snippet-diagnostics .snippet-diagnostics-title {
+        font-weight: bold;
+        color: #b02a37;
+        margin-bottom: 4px;
+      }
+      #${PANEL_ID} #snippet-diagnostics .snippet-diagnostics-message {
+        color: #555;
+        margin-bottom: 6px;
+        word-break: break-word;
+      }
+      #${PANEL_ID} #snippet-diagnostics ul {
+        margin: 0;
+        padding-left: 16px;
+      }
+      #${PANEL_ID} #snippet-diagnostics li {
+        margin-bottom: 4px;
+      }
+      #${PANEL_ID} #snippet-diagnostics li.warning {
+        color: #8a6d00;
+      }
+      #${PANEL_ID} #snippet-diagnostics code {
+        display: block;
+        color: #333;
+        background: #f6f6f6;
+        padding: 2px 4px;
+        white-space: pre-wrap;
+        word-break: break-all;
+      }
+      #${PANEL_ID} #snippet-diagnostics .snippet-diagnostics-actions {
+        margin-top: 8px;
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+      }
       #${PANEL_ID} #announcement-modal {
         position: absolute;
         inset: 0;
@@ -1855,6 +1961,8 @@ const JSON_TO_HTML_PREFIX =
           </label>
           <span class="toggle-label" data-i18n="multiSlide"></span>
           <button id="api-settings-btn" type="button" title="API Settings" style="margin-left:8px;"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512" style="width:16px;height:16px;fill:currentColor;"><path d="M487.4 315.7l-42.6-24.6c4.3-23.2 4.3-47 0-70.2l42.6-24.6c4.9-2.8 7.1-8.6 5.5-14-11.1-35.6-30-67.8-54.7-94.6-3.8-4.1-10-5.1-14.8-2.3L380.8 110c-17.9-15.4-38.5-27.3-60.8-35.1V25.8c0-5.6-3.9-10.5-9.4-11.7-36.7-8.2-74.3-7.8-109.2 0-5.5 1.2-9.4 6.1-9.4 11.7V75c-22.2 7.9-42.8 19.8-60.8 35.1L88.7 85.5c-4.9-2.8-11-1.9-14.8 2.3-24.7 26.7-43.6 58.9-54.7 94.6-1.7 5.4.6 11.2 5.5 14L67.3 221c-4.3 23.2-4.3 47 0 70.2l-42.6 24.6c-4.9 2.8-7.1 8.6-5.5 14 11.1 35.6 30 67.8 54.7 94.6 3.8 4.1 10 5.1 14.8 2.3l42.6-24.6c17.9 15.4 38.5 27.3 60.8 35.1v49.2c0 5.6 3.9 10.5 9.4 11.7 36.7 8.2 74.3 7.8 109.2 0 5.5-1.2 9.4-6.1 9.4-11.7v-49.2c22.2-7.9 42.8-19.8 60.8-35.1l42.6 24.6c4.9 2.8 11 1.9 14.8-2.3 24.7-26.7 43.6-58.9 54.7-94.6 1.5-5.5-.7-11.3-5.6-14.1zM256 336c-44.1 0-80-35.9-80-80s35.9-80 80-80 80 35.9 80 80-35.9 80-80 80z"/></svg></button>
+          <button id="brand-kit-btn" type="button" title="Brand Kit">🎨</button>
+          <button id="export-options-btn" type="button" title="Export Options">📑</button>
         </div>
       </div>
         <div id="preview-content">
@@ -1907,6 +2015,10 @@ const JSON_TO_HTML_PREFIX =
               <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">
                 <h3 style="margin:0;" data-i18n="pptxAnalysisTitle"></h3>
                 <div style="display:flex;gap:8px;">
+                  <button type="button" id="pptx-code-btn" style="display:none;padding:6px 16px;background:#f5f5f5;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;" data-i18n="pptxShowCode"></button>
+                  <button type="button" id="pptx-brand-btn" style="display:none;padding:6px 16px;background:#f5f5f5;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;" data-i18n="pptxUseAsBrand"></button>
+                  <button type="button" id="pptx-deck-json-btn" style="display:none;padding:6px 16px;background:#f5f5f5;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;" data-i18n="pptxDownloadDeckJson"></button>
+                  <button type="button" id="pptx-rebuild-btn" style="display:none;padding:6px 16px;background:#f5f5f5;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;" data-i18n="pptxRebuild"></button>
                   <button type="button" id="pptx-copy-btn" style="display:none;padding:6px 16px;background:#f5f5f5;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;" data-i18n="pptxCopyJson"></button>
                   <button type="button" id="pptx-send-btn" style="display:none;padding:6px 16px;background:#bf0000;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px;font-weight:500;" data-i18n="pptxSendJson"></button>
                 </div>
@@ -1927,9 +2039,17 @@ const JSON_TO_HTML_PREFIX =
           <div class="csv-modal-dialog">
             <button type="button" class="csv-modal-close api-modal-close" aria-label="Close">×</button>
             <h2 style="margin-bottom:20px;" data-i18n="apiKeySettings"></h2>
+            <div style="margin-bottom:15px;">
+              <label for="api-endpoint-select" style="display:block;margin-bottom:5px;font-weight:bold;">接続先:</label>
+              <select id="api-endpoint-select" style="width:100%;padding:8px;border:1px solid #ccc;border-radius:4px;"></select>
+              <input type="url" id="api-endpoint-url" placeholder="https://example.com" style="width:100%;margin-top:8px;padding:8px;border:1px solid #ccc;border-radius:4px;font-family:monospace;">
+              <div id="api-endpoint-permission" style="margin-top:8px;font-size:12px;"></div>
+              <button type="button" id="api-endpoint-permission-btn" style="display:none;margin-top:8px;padding:6px 12px;background:#007bff;color:white;border:none;border-radius:4px;cursor:pointer;font-size:12px;">アクセスを許可</button>
+            </div>
             <div style="margin-bottom:15px;">
               <label style="display:block;margin-bottom:5px;font-weight:bold;" data-i18n="apiKeyCurrentStatus"></label>
               <div id="api-key-status" style="padding:8px;background:#f5f5f5;border-radius:4px;"></div>
+              <button type="button" id="api-key-validate-btn" data-i18n="apiKeyValidate" style="margin-top:8px;padding:6px 12px;background:#007bff;color:white;border:none;border-radius:4px;cursor:pointer;font-size:12px;"></button>
             </div>
             <div style="margin-bottom:15px;">
               <label style="display:block;margin-bottom:5px;font-weight:bold;">現在のIPアドレス:</label>
@@ -1939,6 +2059,7 @@ const JSON_TO_HTML_PREFIX =
             <div style="margin-bottom:20px;">
               <label for="api-key-input" style="display:block;margin-bottom:5px;font-weight:bold;">API Key:</label>
               <input type="password" id="api-key-input" placeholder="" data-i18n-placeholder="apiKeyPlaceholder" style="width:100%;padding:8px;border:1px solid #ccc;border-radius:4px;font-family:monospace;">
+              <div data-i18n="apiKeyStorageNote" style="margin-top:6px;font-size:12px;color:#666;"></div>
             </div>
             <div class="csv-modal-actions">
               <div class="csv-modal-actions-left">
@@ -1979,76 +2100,7 @@ const JSON_TO_HTML_PREFIX =
     // API経由ダウンロードボタンのイベントリスナー
     const downloadApiBtn = panel.querySelector('#download-api-btn');
     if (downloadApiBtn) {
-      downloadApiBtn.onclick = async () => {
-        try {
-          if (!app.scrapedCode) {
-            alert(t('noTargetCode'));
-            return;
-          }
-
-          // APIクライアントを動的にインポート
-          const { generatePptxViaApi, getApiKey } = await import(chrome.runtime.getURL('src/apiClient.js'));
-
-          // APIキーの確認
-          const apiKey = await getApiKey();
-          if (!apiKey) {
-            alert(t('apiKeyNotSet'));
-            return;
-          }
-
-          // 進捗表示を開始
-          app.showProgress(t('apiGenerating'), 120000);
-
-          // ファイル名を生成
-          let fileName = 'presentation.pptx';
-          try {
-            const m = app.scrapedCode.match(/addText\(\s*(["'`])([\s\S]*?)\1/);
-            if (m) {
-              const text = m[2].replace(/\\n/g, ' ').trim();
-              // 日本語を含むファイル名をサニタイズ
-              // 不正な文字を削除し、20文字に制限
-              let sanitized = text.replace(/[\\/:*?"<>|]/g, '_').slice(0, 20);
-
-              // 日本語が含まれる場合、そのまま使用（ブラウザが適切にエンコード）
-              // ただし、空白やタブは_に置換
-              sanitized = sanitized.replace(/\s+/g, '_');
-
-              const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-              fileName = `${sanitized}_${date}.pptx`;
-            }
-          } catch (e) {
-            console.error('[API Download] ファイル名生成エラー', e);
-          }
-
-          // API経由でパワーポイントを生成
-          await generatePptxViaApi(app.scrapedCode, fileName);
-
-          // 進捗表示を終了
-          app.stopFakeProgress();
-          app.updateProgress(100);
-          setTimeout(() => {
-            app.hideProgress();
-            // alert(t('apiDownloadSuccess')); // アラート削除：ダウンロード成功は通知不要
-          }, 500);
-
-        } catch (error) {
-          console.error('[API Download] エラー:', error);
-          app.stopFakeProgress();
-          app.hideProgress();
-
-          // エラーメッセージの判定
-          let errorMsg = t('apiDownloadFailed');
-          if (error.message.includes('APIキーが設定されていません')) {
-            errorMsg = t('apiKeyNotSet');
-          } else if (error.message.includes('APIキーが無効')) {
-            errorMsg = t('apiKeyInvalid');
-          } else {
-            errorMsg = `${t('apiDownloadFailed')}: ${error.message}`;
-          }
-
-          alert(errorMsg);
-        }
-      };
+      downloadApiBtn.onclick = () => downloadPptxViaApi();
     }
 
     const multiBtn = panel.querySelector('#download-multi-btn');
@@ -2131,10 +2183,38 @@ const JSON_TO_HTML_PREFIX =
     const pptxJsonOutput = panel.querySelector('#pptx-json-output');
     const pptxCopyBtn = panel.querySelector('#pptx-copy-btn');
     const pptxSendBtn = panel.querySelector('#pptx-send-btn');
+    const pptxCodeBtn = panel.querySelector('#pptx-code-btn');
+    const pptxRebuildBtn = panel.querySelector('#pptx-rebuild-btn');
+    const pptxDeckJsonBtn = panel.querySelector('#pptx-deck-json-btn');
+    const pptxBrandBtn = panel.querySelector('#pptx-brand-btn');
 
     if (pptxModal && pptxClose && pptxCancel && pptxInput &&
         pptxSelectBtn && pptxDropArea && pptxSelectedFile && pptxAnalysisResult &&
-        pptxSlideList && pptxJsonOutput && pptxCopyBtn && pptxSendBtn) {
+        pptxSlideList && pptxJsonOutput && pptxCopyBtn && pptxSendBtn &&
+        pptxCodeBtn && pptxRebuildBtn && pptxDeckJsonBtn && pptxBrandBtn) {
+
+      // 解析結果と表示中のスライド・表示モード（JSON / 生成コード）
+      const pptxState = { result: null, file: null, slideIndex: 0, showCode: false };
+
+      const setPptxActionsVisible = (visible) => {
+        [pptxCopyBtn, pptxSendBtn, pptxCodeBtn, pptxRebuildBtn, pptxDeckJsonBtn, pptxBrandBtn].forEach(btn => {
+          btn.style.display = visible ? 'inline-block' : 'none';
+        });
+      };
+
+      const setPptxCodeMode = (showCode) => {
+        pptxState.showCode = showCode;
+        pptxCodeBtn.dataset.i18n = showCode ? 'pptxShowJson' : 'pptxShowCode';
+        applyTranslations(pptxCodeBtn);
+      };
+
+      // 選択中のスライドを解析JSONから PptxGenJS コードに変換して表示
+      const renderPptxCode = async () => {
+        const slide = pptxState.result?.slides?.[pptxState.slideIndex];
+        if (!slide || !slide.data) return;
+        const { generateSlideCode } = await import(chrome.runtime.getURL('src/pptxCodeGenerator.js'));
+        pptxJsonOutput.value = generateSlideCode(slide.data);
+      };
 
       // Store openPptxModal in app so it can be used from renderPreview
       app.openPptxModal = () => {
@@ -2149,8 +2229,10 @@ const JSON_TO_HTML_PREFIX =
         pptxSelectedFile.dataset.i18n = 'pptxNoFile';
         applyTranslations(pptxSelectedFile);
         pptxAnalysisResult.style.display = 'none';
-        pptxCopyBtn.style.display = 'none';
-        pptxSendBtn.style.display = 'none';
+        setPptxActionsVisible(false);
+        setPptxCodeMode(false);
+        pptxState.result = null;
+        pptxState.file = null;
         pptxJsonOutput.value = '';
         pptxSlideList.innerHTML = '';
       };
@@ -2163,8 +2245,10 @@ const JSON_TO_HTML_PREFIX =
         pptxAnalysisResult.style.display = 'block';
         pptxSlideList.innerHTML = '<p>解析中...</p>';
         pptxJsonOutput.value = '';
-        pptxCopyBtn.style.display = 'none';
-        pptxSendBtn.style.display = 'none';
+        setPptxActionsVisible(false);
+        setPptxCodeMode(false);
+        pptxState.result = null;
+        pptxState.file = null;
 
         try {
           // Load pptxAnalyzer module
@@ -2173,6 +2257,10 @@ const JSON_TO_HTML_PREFIX =
           const result = await analyzePPTX(file);
 
           if (result.success) {
+            pptxState.result = result;
+            pptxState.file = file;
+            pptxState.slideIndex = 0;
+
             // Check file size (50MB = 52428800 bytes)
             const PREVIEW_SIZE_LIMIT = 52428800;
             const isLargeFile = file.size > PREVIEW_SIZE_LIMIT;
@@ -2251,7 +2339,7 @@ const JSON_TO_HTML_PREFIX =
               result.slides.forEach((slide, index) => {
                 const option = document.createElement('option');
                 option.value = slide.slideNumber - 1;
-                option.textContent = `スライド ${slide.slideNumber} (要素:${slide.elementCount}, 表:${slide.tableCount}, 線:${slide.lineCount})`;
+                option.textContent = `スライド ${slide.slideNumber} (要素:${slide.elementCount}, 表:${slide.tableCount}, 線:${slide.lineCount}, 画像:${slide.imageCount || 0})`;
                 select.appendChild(option);
 
                 // Create preview thumbnail for each slide
@@ -2329,7 +2417,9 @@ const JSON_TO_HTML_PREFIX =
               const updateJsonOutput = () => {
                 const selectedIndex = parseInt(select.value);
                 const promptText = result.slides[selectedIndex].promptWithJson;
+                pptxState.slideIndex = selectedIndex;
                 pptxJsonOutput.value = promptText;
+                if (pptxState.showCode) renderPptxCode();
 
                 // Update visual selection in preview container
                 previewContainer.querySelectorAll('[data-slide-index]').forEach((card, idx) => {
@@ -2374,8 +2464,7 @@ const JSON_TO_HTML_PREFIX =
 
               // Show first slide by default
               updateJsonOutput();
-              pptxCopyBtn.style.display = 'inline-block';
-              pptxSendBtn.style.display = 'inline-block';
+              setPptxActionsVisible(true);
             };
 
             // Function to create dummy preview (for large files)
@@ -2461,7 +2550,7 @@ const JSON_TO_HTML_PREFIX =
               result.slides.forEach((slide, index) => {
                 const option = document.createElement('option');
                 option.value = slide.slideNumber - 1;
-                option.textContent = `スライド ${slide.slideNumber} (要素:${slide.elementCount}, 表:${slide.tableCount}, 線:${slide.lineCount})`;
+                option.textContent = `スライド ${slide.slideNumber} (要素:${slide.elementCount}, 表:${slide.tableCount}, 線:${slide.lineCount}, 画像:${slide.imageCount || 0})`;
                 select.appendChild(option);
 
                 // Create dummy thumbnail for each slide
@@ -2507,7 +2596,9 @@ const JSON_TO_HTML_PREFIX =
               const updateJsonOutput = () => {
                 const selectedIndex = parseInt(select.value);
                 const promptText = result.slides[selectedIndex].promptWithJson;
+                pptxState.slideIndex = selectedIndex;
                 pptxJsonOutput.value = promptText;
+                if (pptxState.showCode) renderPptxCode();
 
                 previewContainer.querySelectorAll('[data-slide-index]').forEach((card, idx) => {
                   if (idx === selectedIndex) {
@@ -2546,8 +2637,7 @@ const JSON_TO_HTML_PREFIX =
 
               // Show first slide by default
               updateJsonOutput();
-              pptxCopyBtn.style.display = 'inline-block';
-              pptxSendBtn.style.display = 'inline-block';
+              setPptxActionsVisible(true);
             };
 
             // Decide which preview to create based on file size
@@ -2587,12 +2677,82 @@ const JSON_TO_HTML_PREFIX =
         }, 2000);
       };
 
+      pptxCodeBtn.onclick = async () => {
+        setPptxCodeMode(!pptxState.showCode);
+        if (pptxState.showCode) {
+          await renderPptxCode();
+        } else {
+          const slide = pptxState.result?.slides?.[pptxState.slideIndex];
+          pptxJsonOutput.value = slide ? slide.promptWithJson : '';
+        }
+      };
+
+      // 解析結果から全スライドのコードを生成し、AIを介さずにPPTXを再現してダウンロード
+      pptxRebuildBtn.onclick = async () => {
+        const result = pptxState.result;
+        if (!result) return;
+        const { generateDeckCode } = await import(chrome.runtime.getURL('src/pptxCodeGenerator.js'));
+        const codes = generateDeckCode(result);
+        if (!codes.length) return;
+        const fileName = (result.fileName || 'slides.pptx').replace(/\.pptx$/i, '') + '_rebuilt.pptx';
+        showProgress('exportingPptx', 60000);
+        try {
+          const blob = await generateMultipleSlides(codes, fileName);
+          const url = URL.createObjectURL(blob);
+          const a = document.createElement('a');
+          a.href = url;
+          a.download = fileName;
+          document.body.appendChild(a);
+          a.click();
+          a.remove();
+          URL.revokeObjectURL(url);
+          updateProgress(100);
+          updateProgressMessage('exportDone');
+        } catch (e) {
+          console.error('rebuild pptx failed', e);
+          updateProgressMessage('exportFailed');
+          alert(t('exportFailed'));
+        }
+        hideProgress();
+      };
+
+      // デッキ全体の構造化JSONをダウンロード
+      pptxDeckJsonBtn.onclick = async () => {
+        const result = pptxState.result;
+        if (!result) return;
+        const { buildDeckDocument } = await import(chrome.runtime.getURL('src/pptxAnalyzer.js'));
+        const deck = buildDeckDocument(result);
+        const blob = new Blob([JSON.stringify(deck, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = (result.fileName || 'slides.pptx').replace(/\.pptx$/i, '') + '.deck.json';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+      };
+
+      pptxBrandBtn.onclick = async () => {
+        if (!pptxState.file) return;
+        pptxBrandBtn.disabled = true;
+        try {
+          await applyBrandFromPptxFile(pptxState.file);
+        } finally {
+          pptxBrandBtn.disabled = false;
+        }
+      };
+
       pptxSendBtn.onclick = async () => {
-        const jsonText = pptxJsonOutput.value;
+        let jsonText = pptxJsonOutput.value;
         if (!jsonText) {
           alert('送信するJSONがありません');
           return;
         }
+        // 生成コードを送る場合は、レイアウトを保ったまま内容だけ変更するよう指示を添える
+        if (pptxState.showCode) {
+          jsonText = `${t('pptxCodePrompt')}\n\n\`\`\`javascript\n${jsonText}\`\`\``;
+        }
 
         // Close the modal
         closePptxModal();
@@ -2634,6 +2794,18 @@ const JSON_TO_HTML_PREFIX =
       }, false);
     }
 
+    // Brand Kit Modal
+    const brandKitBtn = panel.querySelector('#brand-kit-btn');
+    if (brandKitBtn) {
+      brandKitBtn.onclick = () => openBrandKitModal();
+    }
+
+    // Export Options Modal
+    const exportOptionsBtn = panel.querySelector('#export-options-btn');
+    if (exportOptionsBtn) {
+      exportOptionsBtn.onclick = () => openExportOptionsModal();
+    }
+
     // API Settings Modal
     const apiSettingsBtn = panel.querySelector('#api-settings-btn');
     const apiSettingsModal = panel.querySelector('#api-settings-modal');
@@ -2647,18 +2819,99 @@ const JSON_TO_HTML_PREFIX =
     if (apiSettingsBtn && apiSettingsModal && apiModalClose && apiKeySaveBtn &&
         apiKeyCancelBtn && apiKeyClearBtn && apiKeyInput && apiKeyStatus) {
 
+      const apiKeyValidateBtn = panel.querySelector('#api-key-validate-btn');
+      // 保存前の接続先の設定（保存ボタンで保存する）
+      let endpointDraft = null;
+
+      // APIキーは接続先のプロファイルごとに保存する（表示するのは選択中のプロファイルのキー）
       const updateApiKeyStatus = async () => {
+        const { resolveApiEndpoint } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
         const { loadApiKey } = await import(chrome.runtime.getURL('src/storage.js'));
-        const apiKey = await loadApiKey();
+        const endpoint = resolveApiEndpoint(endpointDraft);
+        const apiKey = await loadApiKey(endpoint.id);
+        apiKeyInput.value = apiKey || '';
         if (apiKey) {
-          apiKeyStatus.innerHTML = `✅ <span data-i18n="apiKeySet"></span>`;
+          apiKeyStatus.innerHTML = `✅ <span data-i18n="apiKeySet"></span>（${endpoint.label}）`;
           applyTranslations(apiKeyStatus);
         } else {
-          apiKeyStatus.innerHTML = `⚠️ <span data-i18n="apiKeyNotSetStatus"></span>`;
+          apiKeyStatus.innerHTML = `⚠️ <span data-i18n="apiKeyNotSetStatus"></span>（${endpoint.label}）`;
           applyTranslations(apiKeyStatus);
         }
       };
 
+      // 入力中のキーを選択中の接続先で検証する（POST /validate-key）
+      const validateApiKeyInput = async (apiKey) => {
+        const { resolveApiEndpoint } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+        const { validateApiKey } = await import(chrome.runtime.getURL('src/apiClient.js'));
+        const endpoint = resolveApiEndpoint(endpointDraft);
+        apiKeyStatus.textContent = `🔄 ${t('apiKeyValidating')}`;
+        const result = endpoint.baseUrl
+          ? await validateApiKey(apiKey, endpoint.baseUrl)
+          : { valid: false, reason: 'config', message: `接続先「${endpoint.label}」の URL が正しくありません` };
+        apiKeyStatus.textContent = `${result.valid ? '✅' : '❌'} ${result.message}`;
+        return result;
+      };
+
+      // 接続先（エンドポイントのプロファイル）
+      const apiEndpointSelect = panel.querySelector('#api-endpoint-select');
+      const apiEndpointUrl = panel.querySelector('#api-endpoint-url');
+      const apiEndpointPermission = panel.querySelector('#api-endpoint-permission');
+      const apiEndpointPermissionBtn = panel.querySelector('#api-endpoint-permission-btn');
+
+      // 選択中のプロファイルの URL 欄とアクセス許可の状態を表示する
+      const renderApiEndpoint = async () => {
+        const { resolveApiEndpoint, normalizeApiBaseUrl, hasHostPermission } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+        const endpoint = resolveApiEndpoint(endpointDraft);
+        apiEndpointSelect.value = endpoint.id;
+        apiEndpointUrl.value = endpoint.baseUrl;
+        apiEndpointUrl.readOnly = !endpoint.editable;
+        apiEndpointPermissionBtn.style.display = 'none';
+        const baseUrl = normalizeApiBaseUrl(apiEndpointUrl.value);
+        if (!baseUrl) {
+          apiEndpointPermission.textContent = '⚠️ URL を入力してください（http は localhost / 127.0.0.1 のみ）';
+          return;
+        }
+        try {
+          if (await hasHostPermission(baseUrl)) {
+            apiEndpointPermission.textContent = '✅ この接続先へのアクセスは許可されています';
+          } else {
+            apiEndpointPermission.textContent = '⚠️ この接続先へのアクセスが許可されていません。「アクセスを許可」から許可してください。';
+            apiEndpointPermissionBtn.style.display = '';
+          }
+        } catch (error) {
+          console.error('Failed to check host permission:', error);
+          apiEndpointPermission.textContent = `❌ アクセス許可を確認できませんでした: ${error.message}`;
+        }
+      };
+
+      if (apiEndpointSelect && apiEndpointUrl && apiEndpointPermission && apiEndpointPermissionBtn) {
+        apiEndpointSelect.onchange = async () => {
+          endpointDraft.profile = apiEndpointSelect.value;
+          await renderApiEndpoint();
+          await updateApiKeyStatus();
+        };
+        apiEndpointUrl.onchange = async () => {
+          const { resolveApiEndpoint, normalizeApiBaseUrl } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+          const endpoint = resolveApiEndpoint(endpointDraft);
+          if (!endpoint.editable) return;
+          const input = apiEndpointUrl.value;
+          endpointDraft.urls[endpoint.id] = normalizeApiBaseUrl(input);
+          await renderApiEndpoint();
+          // 正しくない URL のときは入力をそのまま残して直せるようにする
+          if (!endpointDraft.urls[endpoint.id]) apiEndpointUrl.value = input;
+        };
+        apiEndpointPermissionBtn.onclick = async () => {
+          try {
+            const { requestHostPermission } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+            await requestHostPermission(apiEndpointUrl.value);
+            apiEndpointPermission.textContent = '開いたタブで「許可する」を押してから、もう一度この画面を開いてください。';
+          } catch (error) {
+            console.error('Failed to request host permission:', error);
+            alert(`アクセス許可を求められませんでした: ${error.message}`);
+          }
+        };
+      }
+
       const closeApiModal = () => {
         apiSettingsModal.style.display = 'none';
         apiSettingsModal.setAttribute('aria-hidden', 'true');
@@ -2675,15 +2928,24 @@ const JSON_TO_HTML_PREFIX =
       const openApiModal = async () => {
         apiSettingsModal.style.display = 'flex';
         apiSettingsModal.setAttribute('aria-hidden', 'false');
-        await updateApiKeyStatus();
 
-        // Load existing API key
-        const { loadApiKey } = await import(chrome.runtime.getURL('src/storage.js'));
-        const existingKey = await loadApiKey();
-        if (existingKey) {
-          apiKeyInput.value = existingKey;
+        // 接続先の設定を読み込む
+        if (apiEndpointSelect && apiEndpointUrl && apiEndpointPermission && apiEndpointPermissionBtn) {
+          const { API_ENDPOINT_PROFILES, loadApiEndpointSettings } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+          endpointDraft = await loadApiEndpointSettings();
+          apiEndpointSelect.innerHTML = '';
+          API_ENDPOINT_PROFILES.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.label;
+            apiEndpointSelect.appendChild(option);
+          });
+          await renderApiEndpoint();
         }
 
+        // 選択中の接続先の APIキーを読み込む
+        await updateApiKeyStatus();
+
         document.addEventListener('keydown', apiEscHandler, true);
         setTimeout(() => apiKeyInput.focus(), 0);
       };
@@ -2706,25 +2968,65 @@ const JSON_TO_HTML_PREFIX =
         }
 
         try {
+          const { resolveApiEndpoint, saveApiEndpointSettings } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
+          const endpoint = resolveApiEndpoint(endpointDraft);
+          if (!endpoint.baseUrl) {
+            alert(`接続先「${endpoint.label}」の URL が正しくありません`);
+            return;
+          }
+
+          // 保存する前にサーバーでキーを検証する（使えないキーは保存しない）
+          apiKeySaveBtn.disabled = true;
+          const result = await validateApiKeyInput(apiKey);
+          if (['invalid', 'expired', 'revoked'].includes(result.reason)) {
+            alert(result.message);
+            return;
+          }
+          // サーバーに確認できなかった場合は、保存するかどうかをユーザーに選んでもらう
+          if (!result.valid && !confirm(`${result.message}\n\n${t('apiKeySaveUnverified')}`)) {
+            return;
+          }
+
+          if (endpointDraft) {
+            await saveApiEndpointSettings(endpointDraft);
+          }
           const { saveApiKey } = await import(chrome.runtime.getURL('src/storage.js'));
-          await saveApiKey(apiKey);
+          await saveApiKey(apiKey, endpoint.id);
           alert(t('apiKeySaved'));
-          await updateApiKeyStatus();
           closeApiModal();
         } catch (error) {
           console.error('Failed to save API key:', error);
-          alert('Failed to save API key');
+          alert(`Failed to save API key: ${error.message}`);
+        } finally {
+          apiKeySaveBtn.disabled = false;
         }
       };
 
+      if (apiKeyValidateBtn) {
+        apiKeyValidateBtn.onclick = async () => {
+          const apiKey = apiKeyInput.value.trim();
+          if (!apiKey) {
+            alert(t('apiKeyNotSet'));
+            return;
+          }
+          apiKeyValidateBtn.disabled = true;
+          try {
+            await validateApiKeyInput(apiKey);
+          } finally {
+            apiKeyValidateBtn.disabled = false;
+          }
+        };
+      }
+
       apiKeyClearBtn.onclick = async () => {
         if (!confirm(t('apiKeyCleared') + '?')) {
           return;
         }
 
         try {
+          const { resolveApiEndpoint } = await import(chrome.runtime.getURL('src/apiEndpoints.js'));
           const { clearApiKey } = await import(chrome.runtime.getURL('src/storage.js'));
-          await clearApiKey();
+          await clearApiKey(resolveApiEndpoint(endpointDraft).id);
           apiKeyInput.value = '';
           alert(t('apiKeyCleared'));
           await updateApiKeyStatus();
@@ -2917,11 +3219,39 @@ const JSON_TO_HTML_PREFIX =
     }
   }
 
+  // スロット付きテンプレートの値（JSON）が回答にあれば、テンプレートに流し込んだコードを返す
+  function getTemplateFillCode() {
+    const fill = app.templateFill;
+    if (!fill || !Array.isArray(fill.slots)) return '';
+    try {
+      const nodes = document.querySelectorAll('code.language-json');
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        const text = (nodes[i].textContent || nodes[i].innerText || '').trim();
+        if (app.templateFillCache && app.templateFillCache.text === text) {
+          return app.templateFillCache.code;
+        }
+        const values = parseSlotValuesJson(text);
+        if (!values) continue;
+        const { code, warnings } = fillTemplateSlots(fill, values);
+        if (warnings.length) console.warn('[Template Slots] fill warnings:', warnings);
+        app.templateFillCache = { text, code };
+        return code;
+      }
+    } catch (e) {
+      console.error('getTemplateFillCode error', e);
+    }
+    return '';
+  }
+
   function extractBlocks() {
+      const filledTemplate = getTemplateFillCode();
       const nodes = [
         ...document.querySelectorAll('code.language-html, code.language-js, pre')
       ];
-      if (!nodes.length) return { error: 'コードブロックが見当たりません' };
+      if (!nodes.length) {
+        if (filledTemplate) return { html: '', pptx: filledTemplate, latest: 'pptx' };
+        return { error: 'コードブロックが見当たりません' };
+      }
 
       let htmlText = '',
           pptxText = '',
@@ -2948,6 +3278,11 @@ const JSON_TO_HTML_PREFIX =
         if (htmlText && pptxText && latest) break;
       }
 
+      if (!pptxText && filledTemplate) {
+        pptxText = filledTemplate;
+        if (!latest) latest = 'pptx';
+      }
+
       if (!htmlText && !pptxText) {
         return { error: '対象コードがありません' };
       }
@@ -3082,6 +3417,7 @@ const JSON_TO_HTML_PREFIX =
             <div class=\"pptx-overlay-actions\">
               <button type=\"button\" id=\"pptx-only-download\" data-i18n=\"exportPptx\"></button>
               <button type=\"button\" id=\"pptx-fast-download\" data-i18n=\"downloadViaApi\"></button>
+              <button type=\"button\" id=\"pptx-download-csv\" data-i18n=\"downloadCsvTemplate\"></button>
             </div>`;
           view.appendChild(div);
           applyTranslations(div);
@@ -3468,69 +3804,7 @@ const JSON_TO_HTML_PREFIX =
           // 高速ダウンロードボタン
           const fastDownloadBtn = overlayEl.querySelector('#pptx-fast-download');
           if (fastDownloadBtn) {
-            fastDownloadBtn.onclick = async () => {
-              try {
-                if (!app.scrapedCode) {
-                  alert(t('noTargetCode'));
-                  return;
-                }
-
-                // APIクライアントを動的にインポート
-                const { generatePptxViaApi, getApiKey } = await import(chrome.runtime.getURL('src/apiClient.js'));
-
-                // APIキーの確認
-                const apiKey = await getApiKey();
-                if (!apiKey) {
-                  alert(t('apiKeyNotSet'));
-                  return;
-                }
-
-                // 進捗表示を開始
-                app.showProgress(t('apiGenerating'), 120000);
-
-                // ファイル名を生成
-                let fileName = 'presentation.pptx';
-                try {
-                  const m = app.scrapedCode.match(/addText\(\s*(["'`])([\s\S]*?)\1/);
-                  if (m) {
-                    const text = m[2].replace(/\\n/g, ' ').trim();
-                    const sanitized = text.replace(/[\\/:*?"<>|]/g, '_').slice(0, 20);
-                    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-                    fileName = `${sanitized}_${date}.pptx`;
-                  }
-                } catch (e) {
-                  console.error('[API Download] ファイル名生成エラー', e);
-                }
-
-                // API経由でパワーポイントを生成
-                await generatePptxViaApi(app.scrapedCode, fileName);
-
-                // 進捗表示を終了
-                app.stopFakeProgress();
-                app.updateProgress(100);
-                setTimeout(() => {
-                  app.hideProgress();
-                  // alert(t('apiDownloadSuccess')); // アラート削除：ダウンロード成功は通知不要
-                }, 500);
-
-              } catch (error) {
-                console.error('[API Download] エラー:', error);
-                app.stopFakeProgress();
-                app.hideProgress();
-
-                // エラーメッセージの判定
-                let errorMsg = t('apiDownloadFailed');
-                if (error.message.includes('APIキーが設定されていません')) {
-                  errorMsg = t('apiKeyNotSet');
-                } else if (error.message.includes('APIキーが無効')) {
-                  errorMsg = t('apiKeyInvalid');
-                } else {
-                  errorMsg = `${t('apiDownloadFailed')}: ${error.message}`;
-                }
-
-                alert(errorMsg);
-              }
-            };
+            fastDownloadBtn.onclick = () => downloadPptxViaApi();
           }
         }
         const csvTemplateBtn = wrap.querySelector('#pptx-download-csv');
@@ -3726,9 +4000,21 @@ const JSON_TO_HTML_PREFIX =
     });
   }
 
-  // 複数のコードからまとめてスライドを生成する
-  async function generateMultipleSlides(codes) {
+  // 複数のコードからまとめてスライドを生成する（保存済みの書き出し設定で表紙・付録などを付ける）
+  // 失敗したスニペット・追加されなかった要素はパネルに表示する
+  async function generateMultipleSlides(codes, fileName) {
+    const exportOptions = await loadExportOptions();
+    const { blob, failures, report, summary } = await requestMultiSlides(codes, { exportOptions, fileName });
+    showExecutionReport(report, { failures, summary });
+    return blob;
+  }
+
+  // sandbox に複数のスニペットを渡して PPTX を生成する
+  // exportOptions を省略すると sandbox の既定（表紙なし・末尾の案内スライドあり）で生成する
+  // 戻り値の failures / report はスニペットの番号（1 始まり）付き、summary は sandbox で集計した件数
+  async function requestMultiSlides(codes, { exportOptions = null, fileName } = {}) {
     await ensureSandboxIframe();
+    const brandKit = await loadBrandKit();
     const snippets = Array.isArray(codes) ? codes : [];
     return await new Promise((resolve, reject) => {
       const iframe = app.downloadIframe;
@@ -3741,15 +4027,28 @@ const JSON_TO_HTML_PREFIX =
         if (sandboxed && e.origin !== 'null') return;
         if (e.data.action === 'multi-generated') {
           window.removeEventListener('message', handle);
-          resolve(e.data.blob);
+          resolve({
+            blob: e.data.blob,
+            failures: Array.isArray(e.data.failures) ? e.data.failures : [],
+            report: Array.isArray(e.data.report) ? e.data.report : [],
+            summary: e.data.summary || null
+          });
         } else if (e.data.action === 'error') {
           window.removeEventListener('message', handle);
-          reject(new Error(e.data.message));
+          const err = new Error(e.data.message);
+          err.diagnostics = e.data.diagnostics || [];
+          reject(err);
         }
       };
       window.addEventListener('message', handle);
       try {
-        iframe.contentWindow.postMessage({ action: 'generate-multi', codes: snippets }, target);
+        iframe.contentWindow.postMessage({
+          action: 'generate-multi',
+          codes: snippets,
+          brandKit,
+          exportOptions,
+          ...(fileName ? { fileName } : {})
+        }, target);
       } catch (err) {
         window.removeEventListener('message', handle);
         reject(err);
@@ -3761,30 +4060,48 @@ const JSON_TO_HTML_PREFIX =
   async function downloadMultiplePptx() {
     const snippets = extractAllPptxSnippets();
     if (!snippets.length) return;
-    const fileName = buildFileNameFromSnippet(snippets[0]);
+    const fileName = await nextExportFileName(snippets[0]);
     // ローディング時間は6分に設定
     showProgress('exportingPptx', 360000);
     try {
-      const blob = await generateMultipleSlides(snippets);
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = fileName;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      const blob = await generateMultipleSlides(snippets, fileName);
+      saveBlobAs(blob, fileName);
       updateProgress(100);
       updateProgressMessage('exportDone');
     } catch (e) {
       console.error('download multiple pptx failed', e);
       updateProgressMessage('exportFailed');
       alert(t('exportFailed'));
-      setTimeout(() => insertErrorPrompt(e.message), 700);
+      // 修正指示は診断結果の「修正を依頼」ボタンから入力欄へ入れる
+      showSnippetDiagnostics(e.diagnostics, e.message);
     }
     hideProgress();
   }
 
+  // Blob をファイルとして保存
+  function saveBlobAs(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // 差し込み用 CSV のひな形をダウンロード（テンプレート未指定時は表示中の PPTX コードから作成）
+  function downloadCsvTemplateFromPptx(template) {
+    const { slots } = template ? getTemplateSlots(template) : extractTemplateSlots(app.scrapedCode || '');
+    if (!slots.length) {
+      alert(t('csvTemplateNoSlots'));
+      return;
+    }
+    const baseName = template ? template.name : buildFileNameFromSnippet(app.scrapedCode).replace(/\.pptx$/, '');
+    const csv = buildCsvTemplate(slots);
+    saveBlobAs(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${baseName.replace(/[\\/:*?"<>|]/g, '_')}_data.csv`);
+  }
+
   // 進捗バーに表示するメッセージを変更
   function updateProgressMessage(key) {
     const el = document.querySelector(`#${app.PANEL_ID} .pptx-progress-message`);
@@ -3872,6 +4189,94 @@ const JSON_TO_HTML_PREFIX =
     }
   }
 
+  // ジョブAPIから届いた実際の進捗を進捗バーに反映（結果の受け取り分として 95% までにする）
+  function updateApiJobProgress({ status, completed, total }) {
+    const el = document.querySelector(`#${app.PANEL_ID} .pptx-progress-message`);
+    if (status === 'queued') {
+      if (el) el.textContent = t('apiJobQueued');
+      return;
+    }
+    if (!(total > 0)) return;
+    stopFakeProgress();
+    updateProgress(Math.min(95, Math.floor((completed || 0) / total * 95)));
+    if (el) el.textContent = `${t('apiGenerating')} (${completed || 0}/${total})`;
+  }
+
+  // API経由でパワーポイントを生成してダウンロード（進捗バーのキャンセルで中止できる）
+  // 一時的な失敗は再試行し、API で生成できなければ sandbox で生成する（どちらで生成したかはフッターに表示）
+  async function downloadPptxViaApi() {
+    const controller = new AbortController();
+    try {
+      if (!app.scrapedCode) {
+        alert(t('noTargetCode'));
+        return;
+      }
+
+      // APIクライアントを動的にインポート
+      const { generatePptxBlobViaApi, checkCurrentIp } = await import(chrome.runtime.getURL('src/apiClient.js'));
+
+      // 進捗表示を開始（ジョブAPIの進捗が届くまでは擬似進捗）
+      app.showProgress('apiGenerating', 120000);
+      app.cancelDownload = () => controller.abort();
+
+      // ファイル名を生成（書き出し設定のパターン）
+      const fileName = await nextExportFileName(app.scrapedCode, 'presentation');
+      const code = app.scrapedCode;
+
+      const { blob, path, apiError } = await runExport({
+        viaApi: ({ signal }) => generatePptxBlobViaApi(code, fileName, {}, {
+          onProgress: updateApiJobProgress,
+          signal
+        }),
+        viaSandbox: () => generateMultipleSlides([code], fileName),
+        signal: controller.signal,
+        checkIp: checkCurrentIp,
+        onRetry: () => updateProgressMessage('apiRetrying'),
+        onFallback: () => {
+          updateProgressMessage('exportingPptx');
+          startFakeProgress(120000);
+        }
+      });
+      saveBlobAs(blob, fileName);
+      showExportPathNotice(path, apiError);
+
+      // 進捗表示を終了
+      app.stopFakeProgress();
+      app.updateProgress(100);
+      setTimeout(() => {
+        app.hideProgress();
+      }, 500);
+
+    } catch (error) {
+      app.stopFakeProgress();
+      app.hideProgress();
+      if (error.name === 'AbortError') {
+        console.log('[API Download] キャンセルしました');
+        return;
+      }
+      console.error('[API Download] エラー:', error);
+      alert(`${t('exportFailed')}\n\n${error.message}`);
+      showSnippetDiagnostics(error.diagnostics, error.message);
+    } finally {
+      app.cancelDownload = null;
+    }
+  }
+
+  // どちらの経路（API / sandbox）で生成したかをフッターに表示する
+  function showExportPathNotice(path, apiError) {
+    const el = document.querySelector(`#${app.PANEL_ID} #share-message`);
+    if (!el) return;
+    el.removeAttribute('data-i18n');
+    el.textContent = path === 'api'
+      ? t('exportViaApi')
+      : `${t('exportViaSandbox')}${apiError ? `（${describeExportError(apiError)}）` : ''}`;
+    el.style.display = 'block';
+    clearTimeout(app.exportNoticeTimer);
+    app.exportNoticeTimer = setTimeout(() => {
+      el.style.display = 'none';
+    }, 6000);
+  }
+
   // プレビュー関連のボタンを一時的に無効化
   function disablePreviewButtons() {
     const wrap = document.getElementById(app.PANEL_ID);
@@ -3919,166 +4324,618 @@ const JSON_TO_HTML_PREFIX =
   }
 
   // ======================
-  // Template Masking & Save Functions
+  // Brand Kit
   // ======================
 
-  // マスキング処理関数
-  function performMasking(code, options) {
-    const { maskText, maskBullet, maskChart, randomValues, preserveSpaces } = options;
-
-    function maskString(text) {
-      if (preserveSpaces) {
-        return text.split('').map(char =>
-          (char === ' ' || char === '\n' || char === '\t') ? char : 'X'
-        ).join('');
-      }
-      return 'X'.repeat(text.length);
-    }
-
-    let maskedCode = code;
-
-    // 通常テキストのマスキング
-    if (maskText) {
-      maskedCode = maskedCode.replace(/slide\.addText\((["'])([^"']*?)\1/g,
-        (m, q, t) => `slide.addText(${q}${maskString(t)}${q}`);
-      maskedCode = maskedCode.replace(/slide\.addText\('([^']+)'/g,
-        (m, t) => `slide.addText('${maskString(t)}'`);
-      maskedCode = maskedCode.replace(/slide\.addText\("([^"]+)"/g,
-        (m, t) => `slide.addText("${maskString(t)}"`);
-    }
-
-    // 箇条書きテキストのマスキング
-    if (maskBullet) {
-      maskedCode = maskedCode.replace(/text:\s*(["'])([^"']*?)\1/g,
-        (m, q, t, offset) => {
-          const before = maskedCode.substring(Math.max(0, offset - 50), offset);
-          if (before.includes('addText') || before.includes('[') || before.includes('{')) {
-            return `text: ${q}${maskString(t)}${q}`;
-          }
-          return m;
-        });
-    }
-
-    // グラフ名のマスキング
-    if (maskChart) {
-      maskedCode = maskedCode.replace(/(\baddChart[^}]*?)name:\s*(["'])([^"']*?)\2/g,
-        (m, prefix, q, t) => `${prefix}name: ${q}${maskString(t)}${q}`);
-    }
-
-    // グラフ値のランダム化
-    if (randomValues) {
-      maskedCode = maskedCode.replace(/values:\s*\[([^\]]+)\]/g, (m, vals) => {
-        const randomVals = vals.split(',').map(v => {
-          const num = parseInt(v.trim());
-          if (!isNaN(num)) {
-            const min = Math.floor(num * 0.7);
-            const max = Math.floor(num * 1.3);
-            return Math.floor(Math.random() * (max - min + 1)) + min;
-          }
-          return v;
-        }).join(', ');
-        return `values: [${randomVals}]`;
-      });
-    }
+  // ロゴ画像の上限サイズ（storage と sandbox へのメッセージの大きさを抑えるため）
+  const MAX_BRAND_LOGO_BYTES = 512 * 1024;
 
-    return maskedCode;
+  // File を DataURL として読み込む
+  function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('FileReader error'));
+      reader.readAsDataURL(file);
+    });
   }
 
-  /**
-   * マスキングしたPptxgenjsコードからプレビューHTMLを生成
-   * @param {string} maskedCode - マスキング済みのPptxgenjsコード
-   * @returns {Promise<string>} プレビューHTML
-   */
-  async function generatePreviewFromMaskedCode(maskedCode) {
-    console.log('[Template Preview] マスキング版プレビュー生成開始');
+  // PPTX ファイルからブランドキットを作成する（フッターなどファイルにない設定は base から引き継ぐ）
+  async function createBrandKitFromPptxFile(file, base) {
+    const { extractBrandSource } = await import(chrome.runtime.getURL('src/pptxAnalyzer.js'));
+    const source = await extractBrandSource(file);
+    return buildBrandKitFromPptx(source, base || await loadBrandKit());
+  }
 
+  // PPTX ファイルの配色・フォント・ロゴ・スライド番号をブランドキットとして保存する
+  async function applyBrandFromPptxFile(file) {
     try {
-      // 1. APIクライアントをインポート
-      const { getApiKey } = await import(chrome.runtime.getURL('src/apiClient.js'));
-
-      // 2. APIキーの確認
-      const apiKey = await getApiKey();
-      if (!apiKey) {
-        throw new Error('APIキーが設定されていません');
+      const { kit, summary } = await createBrandKitFromPptxFile(file);
+      const details = summary.length ? summary.map(line => `・${line}`).join('\n') : '・反映できる設定が見つかりませんでした';
+      if (!confirm(`「${file.name}」をブランドキットに設定しますか？\n\n${details}\n\n現在のブランドキットは置き換えられます（フッターの文字は引き継ぎます）。`)) {
+        return false;
       }
+      await saveBrandKit(kit);
+      alert('ブランドキットを設定しました。🎨 ボタンから内容を確認・調整できます。');
+      return true;
+    } catch (error) {
+      console.error('[Brand Kit] PPTX からの作成エラー:', error);
+      alert(`ブランドキットを作成できませんでした: ${error.message}`);
+      return false;
+    }
+  }
 
-      // 3. 一時ファイル名を生成
-      const tempFileName = `temp_preview_${Date.now()}.pptx`;
-
-      // 4. マスキングしたコードをAPI経由でPPTX化
-      console.log('[Template Preview] API経由でPPTX生成中...');
+  // ブランドキットの編集モーダルを開く
+  async function openBrandKitModal() {
+    let draft = await loadBrandKit();
 
-      const requestBody = {
-        script: maskedCode,
-        filename: tempFileName,
-        payload: {}
-      };
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10000;
+    `;
 
-      // Background service worker経由でAPI呼び出し
-      const responseData = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'api-fetch',
-          url: 'https://powerpoint-genai-test-854259963531.asia-northeast1.run.app/generate-pptx',
-          options: {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'X-API-Key': apiKey,
-              'X-Extension-ID': chrome.runtime.id
-            },
-            body: JSON.stringify(requestBody)
-          }
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          if (!response || !response.success) {
-            reject(new Error(response?.error?.message || 'API呼び出しに失敗'));
-            return;
-          }
-          resolve(response);
-        });
-      });
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+      background: white;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      max-width: 480px;
+      width: 90%;
+      max-height: 90vh;
+      overflow: auto;
+      font-size: 13px;
+      color: #333;
+    `;
+
+    const row = 'display: flex; align-items: center; gap: 8px; margin-bottom: 10px;';
+    const label = 'width: 110px; flex-shrink: 0; color: #555;';
+    const input = 'flex: 1; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; box-sizing: border-box;';
+    const button = 'padding: 6px 12px; background: white; color: #333; border: 1px solid #ddd; border-radius: 4px; cursor: pointer; font-size: 13px;';
+
+    modalContent.innerHTML = `
+      <h3 style="margin: 0 0 6px 0;">ブランドキット</h3>
+      <p style="margin: 0 0 16px 0; color: #666;">書き出すスライドのフォント・色・ロゴ・フッターを設定します（API での書き出しにも使われます）</p>
+      <div style="${row}"><span style="${label}">名前</span><input type="text" id="brand-name" style="${input}"></div>
+      <div style="${row}"><span style="${label}">本文フォント</span><input type="text" id="brand-font-body" style="${input}"></div>
+      <div style="${row}"><span style="${label}">見出しフォント</span><input type="text" id="brand-font-heading" style="${input}"></div>
+      <div style="${row}"><span style="${label}">文字色</span><input type="color" id="brand-color-text"></div>
+      <div style="${row}"><span style="${label}">アクセント色</span><input type="color" id="brand-color-accent"></div>
+      <div style="${row}"><span style="${label}">背景色</span><input type="color" id="brand-color-background"></div>
+      <div style="${row}"><span style="${label}">グラフの色</span><input type="text" id="brand-chart-colors" placeholder="BF0000, 333333, 999999" style="${input}"></div>
+      <div style="${row}">
+        <span style="${label}">ロゴ</span>
+        <label><input type="checkbox" id="brand-logo-enabled"> 表示</label>
+        <img id="brand-logo-preview" alt="" style="height: 28px; max-width: 80px; object-fit: contain; border: 1px solid #eee;">
+        <button type="button" id="brand-logo-select" style="${button}">画像を選択</button>
+        <button type="button" id="brand-logo-default" style="${button}">既定</button>
+        <input type="file" id="brand-logo-input" accept="image/png,image/jpeg" style="display: none;">
+      </div>
+      <div style="${row}"><span style="${label}">フッター</span><input type="text" id="brand-footer-text" placeholder="空欄で表示しない" style="${input}"></div>
+      <div style="${row}"><span style="${label}">スライド番号</span><label><input type="checkbox" id="brand-slide-number"> 表示</label></div>
+      <div style="margin-top: 16px; display: flex; gap: 8px; justify-content: space-between; flex-wrap: wrap;">
+        <div style="display: flex; gap: 8px;">
+          <button type="button" id="brand-export-btn" style="${button}">書き出し</button>
+          <button type="button" id="brand-import-btn" style="${button}">読み込み</button>
+          <button type="button" id="brand-pptx-btn" style="${button}">PPTXから作成</button>
+          <button type="button" id="brand-reset-btn" style="${button}">初期値に戻す</button>
+          <input type="file" id="brand-import-input" accept=".json,application/json" style="display: none;">
+          <input type="file" id="brand-pptx-input" accept=".pptx" style="display: none;">
+        </div>
+        <div style="display: flex; gap: 8px;">
+          <button type="button" id="brand-cancel-btn" style="padding: 8px 16px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">キャンセル</button>
+          <button type="button" id="brand-save-btn" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">保存</button>
+        </div>
+      </div>
+    `;
 
-      const apiResponse = responseData.response;
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
 
-      if (apiResponse.status !== 200) {
-        throw new Error(`API Error: ${apiResponse.status}`);
+    const $ = (selector) => modalContent.querySelector(selector);
+    const closeModal = () => modal.remove();
+
+    // draft の内容をフォームに反映
+    const fillForm = () => {
+      $('#brand-name').value = draft.name;
+      $('#brand-font-body').value = draft.fonts.body;
+      $('#brand-font-heading').value = draft.fonts.heading;
+      $('#brand-color-text').value = `#${draft.palette.text}`;
+      $('#brand-color-accent').value = `#${draft.palette.accent}`;
+      $('#brand-color-background').value = `#${draft.background.color}`;
+      $('#brand-chart-colors').value = draft.palette.chartColors.join(', ');
+      $('#brand-logo-enabled').checked = draft.logo.enabled;
+      $('#brand-logo-preview').src = draft.logo.data || chrome.runtime.getURL('logo.png');
+      $('#brand-footer-text').value = draft.footer.text;
+      $('#brand-slide-number').checked = draft.slideNumber.enabled;
+    };
+
+    // フォームの内容を draft に反映（位置・大きさなどフォームにない項目は draft の値を保持）
+    const readForm = () => {
+      draft = {
+        ...draft,
+        name: $('#brand-name').value.trim(),
+        fonts: { heading: $('#brand-font-heading').value, body: $('#brand-font-body').value },
+        palette: {
+          text: $('#brand-color-text').value,
+          accent: $('#brand-color-accent').value,
+          chartColors: $('#brand-chart-colors').value.split(/[\s,、]+/).filter(Boolean)
+        },
+        background: { color: $('#brand-color-background').value },
+        logo: { ...draft.logo, enabled: $('#brand-logo-enabled').checked },
+        footer: { ...draft.footer, text: $('#brand-footer-text').value },
+        slideNumber: { ...draft.slideNumber, enabled: $('#brand-slide-number').checked }
+      };
+      return draft;
+    };
+
+    fillForm();
+
+    $('#brand-logo-select').onclick = () => $('#brand-logo-input').click();
+    $('#brand-logo-input').onchange = async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      if (file.size > MAX_BRAND_LOGO_BYTES) {
+        alert(`ロゴ画像は${Math.round(MAX_BRAND_LOGO_BYTES / 1024)}KB以下にしてください`);
+        return;
       }
+      try {
+        readForm();
+        draft.logo = { ...draft.logo, data: await readFileAsDataURL(file), enabled: true };
+        fillForm();
+      } catch (error) {
+        alert(`画像を読み込めませんでした: ${error.message}`);
+      }
+    };
+    $('#brand-logo-default').onclick = () => {
+      readForm();
+      draft.logo = { ...draft.logo, data: '' };
+      fillForm();
+    };
 
-      // 5. レスポンスからBase64データを取得
-      const data = (typeof apiResponse.data === 'object') ? apiResponse.data : JSON.parse(apiResponse.data);
+    $('#brand-export-btn').onclick = () => {
+      const json = buildBrandKitJson(readForm());
+      const baseName = (draft.name || 'brand-kit').replace(/[\\/:*?"<>|]/g, '_');
+      saveBlobAs(new Blob([json], { type: 'application/json' }), `${baseName}.brandkit.json`);
+    };
+    $('#brand-import-btn').onclick = () => $('#brand-import-input').click();
+    $('#brand-import-input').onchange = async (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      try {
+        draft = parseBrandKitJson(await file.text());
+        fillForm();
+      } catch (error) {
+        alert(`読み込みに失敗しました: ${error.message}`);
+      }
+    };
+    $('#brand-pptx-btn').onclick = () => $('#brand-pptx-input').click();
+    $('#brand-pptx-input').onchange = async (e) => {
+      const file = e.target.files && e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        const { kit, summary } = await createBrandKitFromPptxFile(file, readForm());
+        draft = kit;
+        fillForm();
+        alert(summary.length
+          ? `「${file.name}」から反映しました（保存するまで確定しません）:\n${summary.map(line => `・${line}`).join('\n')}`
+          : `「${file.name}」から反映できる設定が見つかりませんでした`);
+      } catch (error) {
+        alert(`PPTX を読み込めませんでした: ${error.message}`);
+      }
+    };
+    $('#brand-reset-btn').onclick = () => {
+      if (!confirm('ブランドキットを初期値に戻しますか？')) return;
+      draft = JSON.parse(JSON.stringify(DEFAULT_BRAND_KIT));
+      fillForm();
+    };
 
-      if (!data.data) {
-        throw new Error('レスポンスにデータが含まれていません');
+    $('#brand-cancel-btn').onclick = closeModal;
+    $('#brand-save-btn').onclick = async () => {
+      try {
+        const kit = readForm();
+        if (JSON.stringify(kit) === JSON.stringify(DEFAULT_BRAND_KIT)) {
+          await resetBrandKit();
+        } else {
+          await saveBrandKit(kit);
+        }
+        closeModal();
+      } catch (error) {
+        console.error('[Brand Kit] 保存エラー:', error);
+        alert(`保存エラー: ${error.message}`);
       }
+    };
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+  }
+
+  // ======================
+  // Export Options
+  // ======================
+
+  const COVER_TEMPLATE_LABELS = { none: 'なし', simple: 'シンプル（中央にタイトル）', band: 'アクセント色の帯' };
+
+  // 書き出し設定（ファイル名・スライドサイズ・圧縮・ドキュメント情報・表紙・付録・末尾の案内スライド）のモーダルを開く
+  async function openExportOptionsModal() {
+    const options = await loadExportOptions();
+    let appendix = options.appendix.map(slide => ({ ...slide }));
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.5);
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      z-index: 10000;
+    `;
+
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+      background: white;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      max-width: 520px;
+      width: 90%;
+      max-height: 90vh;
+      overflow: auto;
+      font-size: 13px;
+      color: #333;
+    `;
+
+    const row = 'display: flex; align-items: center; gap: 8px; margin-bottom: 10px;';
+    const label = 'width: 110px; flex-shrink: 0; color: #555;';
+    const input = 'flex: 1; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; box-sizing: border-box;';
+    const button = 'padding: 6px 12px; background: white; color: #333; border: 1px solid #ddd; border-radius: 4px; cursor: pointer; font-size: 13px;';
+    const section = 'margin: 16px 0 8px 0; font-size: 14px;';
 
-      console.log('[Template Preview] Base64データ取得成功');
+    modalContent.innerHTML = `
+      <h3 style="margin: 0 0 6px 0;">書き出し設定</h3>
+      <p style="margin: 0 0 12px 0; color: #666;">PowerPoint に書き出すときのファイル名・サイズ・追加するスライドなどを設定します（設定は次回以降も使われます）</p>
+      <h4 style="${section}">ファイル</h4>
+      <div style="${row}"><span style="${label}">ファイル名</span><input type="text" id="export-file-pattern" style="${input}"></div>
+      <div style="${row}"><span style="${label}"></span><span style="color: #888; font-size: 12px;">使える項目: ${FILE_NAME_TOKENS.join(' ')}</span></div>
+      <div style="${row}"><span style="${label}">次の番号</span><input type="number" id="export-file-counter" min="1" step="1" style="${input} max-width: 100px; flex: none;"></div>
+      <div style="${row}"><span style="${label}">例</span><span id="export-file-preview" style="color: #555; word-break: break-all;"></span></div>
+      <div style="${row}">
+        <span style="${label}">スライドサイズ</span>
+        <select id="export-layout-preset" style="${input}">
+          ${Object.keys(LAYOUT_PRESETS).map(key => `<option value="${key}">${key}（${LAYOUT_PRESETS[key].width} x ${LAYOUT_PRESETS[key].height} インチ）</option>`).join('')}
+          <option value="custom">カスタム</option>
+        </select>
+      </div>
+      <div style="${row}">
+        <span style="${label}"></span>
+        <input type="number" id="export-layout-width" min="1" max="56" step="0.01" style="${input} max-width: 90px; flex: none;"> x
+        <input type="number" id="export-layout-height" min="1" max="56" step="0.01" style="${input} max-width: 90px; flex: none;"> インチ
+      </div>
+      <div style="${row}"><span style="${label}"></span><span style="color: #888; font-size: 12px;">16:9 以外では位置と大きさを比率に合わせて変換します</span></div>
+      <div style="${row}"><span style="${label}">圧縮</span><label><input type="checkbox" id="export-compression"> ファイルを圧縮する（DEFLATE）</label></div>
+      <h4 style="${section}">ドキュメント情報</h4>
+      <div style="${row}"><span style="${label}">作成者</span><input type="text" id="export-meta-author" style="${input}"></div>
+      <div style="${row}"><span style="${label}">会社</span><input type="text" id="export-meta-company" style="${input}"></div>
+      <div style="${row}"><span style="${label}">件名</span><input type="text" id="export-meta-subject" style="${input}"></div>
+      <h4 style="${section}">表紙</h4>
+      <div style="${row}">
+        <span style="${label}">ひな形</span>
+        <select id="export-cover-template" style="${input}">
+          ${COVER_TEMPLATES.map(key => `<option value="${key}">${COVER_TEMPLATE_LABELS[key] || key}</option>`).join('')}
+        </select>
+      </div>
+      <div style="${row}"><span style="${label}">タイトル</span><input type="text" id="export-cover-title" placeholder="空欄でファイル名" style="${input}"></div>
+      <div style="${row}"><span style="${label}">サブタイトル</span><input type="text" id="export-cover-subtitle" style="${input}"></div>
+      <div style="${row}"><span style="${label}"></span><label><input type="checkbox" id="export-cover-date"> 日付を入れる</label></div>
+      <h4 style="${section}">付録スライド</h4>
+      <div id="export-appendix-list"></div>
+      <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 8px;">
+        <button type="button" class="export-appendix-add" data-preset="" style="${button}">＋ 空のスライド</button>
+        ${APPENDIX_PRESETS.map(preset => `<button type="button" class="export-appendix-add" data-preset="${preset.id}" style="${button}">＋ ${escapeHtml(preset.label)}</button>`).join('')}
+      </div>
+      <h4 style="${section}">末尾の案内スライド</h4>
+      <div style="margin-bottom: 6px;"><label><input type="checkbox" id="export-info-font-note"> フォントの埋め込みの注意</label></div>
+      <div style="margin-bottom: 6px;"><label><input type="checkbox" id="export-info-contact"> 不具合・要望の連絡先とマニュアルの案内</label></div>
+      <div style="margin-top: 16px; display: flex; gap: 8px; justify-content: flex-end;">
+        <button type="button" id="export-cancel-btn" style="padding: 8px 16px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">キャンセル</button>
+        <button type="button" id="export-save-btn" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">保存</button>
+      </div>
+    `;
 
-      // 6. Base64からArrayBufferに変換
-      const base64Data = data.data;
-      const binaryString = atob(base64Data);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const $ = (selector) => modalContent.querySelector(selector);
+    const closeModal = () => modal.remove();
+    const listEl = $('#export-appendix-list');
+
+    $('#export-file-pattern').value = options.fileName.pattern;
+    $('#export-file-counter').value = options.fileName.counter;
+    $('#export-layout-preset').value = options.layout.preset;
+    $('#export-layout-width').value = options.layout.width;
+    $('#export-layout-height').value = options.layout.height;
+    $('#export-compression').checked = options.compression;
+    $('#export-meta-author').value = options.metadata.author;
+    $('#export-meta-company').value = options.metadata.company;
+    $('#export-meta-subject').value = options.metadata.subject;
+    $('#export-cover-template').value = options.cover.template;
+    $('#export-cover-title').value = options.cover.title;
+    $('#export-cover-subtitle').value = options.cover.subtitle;
+    $('#export-cover-date').checked = options.cover.showDate;
+    $('#export-info-font-note').checked = options.infoSlides.fontNote;
+    $('#export-info-contact').checked = options.infoSlides.contact;
+
+    // ファイル名の例を表示
+    const updateFilePreview = () => {
+      $('#export-file-preview').textContent = buildExportFileName($('#export-file-pattern').value, {
+        title: extractSnippetTitle(app.scrapedCode || '') || 'タイトル',
+        counter: parseInt($('#export-file-counter').value, 10) || 1
+      });
+    };
+    $('#export-file-pattern').oninput = updateFilePreview;
+    $('#export-file-counter').oninput = updateFilePreview;
+    updateFilePreview();
+
+    // プリセットを選ぶと幅・高さを合わせ、カスタムのときだけ編集できるようにする
+    const updateLayoutInputs = () => {
+      const preset = LAYOUT_PRESETS[$('#export-layout-preset').value];
+      if (preset) {
+        $('#export-layout-width').value = preset.width;
+        $('#export-layout-height').value = preset.height;
+      }
+      $('#export-layout-width').disabled = !!preset;
+      $('#export-layout-height').disabled = !!preset;
+    };
+    $('#export-layout-preset').onchange = updateLayoutInputs;
+    updateLayoutInputs();
+
+    // 入力中の付録スライドを appendix に反映
+    const readAppendix = () => {
+      appendix = Array.from(listEl.querySelectorAll('[data-appendix-index]')).map(item => ({
+        title: item.querySelector('.export-appendix-title').value,
+        body: item.querySelector('.export-appendix-body').value
+      }));
+    };
+
+    const renderAppendix = () => {
+      listEl.innerHTML = appendix.length
+        ? appendix.map((_, index) => `
+            <div data-appendix-index="${index}" style="border: 1px solid #eee; border-radius: 4px; padding: 8px; margin-bottom: 8px;">
+              <div style="display: flex; gap: 8px; margin-bottom: 6px;">
+                <input type="text" class="export-appendix-title" placeholder="タイトル" style="${input}">
+                <button type="button" class="export-appendix-remove" style="${button}">削除</button>
+              </div>
+              <textarea class="export-appendix-body" rows="4" placeholder="本文" style="${input} width: 100%; resize: vertical;"></textarea>
+            </div>
+          `).join('')
+        : '<p style="margin: 0 0 8px 0; color: #999;">付録スライドはありません</p>';
+      listEl.querySelectorAll('[data-appendix-index]').forEach(item => {
+        const slide = appendix[Number(item.dataset.appendixIndex)];
+        item.querySelector('.export-appendix-title').value = slide.title;
+        item.querySelector('.export-appendix-body').value = slide.body;
+      });
+      listEl.querySelectorAll('.export-appendix-remove').forEach(btn => {
+        btn.onclick = () => {
+          readAppendix();
+          appendix.splice(Number(btn.closest('[data-appendix-index]').dataset.appendixIndex), 1);
+          renderAppendix();
+        };
+      });
+      modalContent.querySelectorAll('.export-appendix-add').forEach(btn => {
+        btn.disabled = appendix.length >= MAX_APPENDIX_SLIDES;
+      });
+    };
+
+    modalContent.querySelectorAll('.export-appendix-add').forEach(btn => {
+      btn.onclick = () => {
+        readAppendix();
+        if (appendix.length >= MAX_APPENDIX_SLIDES) return;
+        const preset = APPENDIX_PRESETS.find(p => p.id === btn.dataset.preset);
+        appendix.push({ title: preset ? preset.title : '', body: preset ? preset.body : '' });
+        renderAppendix();
+      };
+    });
+    renderAppendix();
+
+    $('#export-cancel-btn').onclick = closeModal;
+    $('#export-save-btn').onclick = async () => {
+      readAppendix();
+      try {
+        await saveExportOptions({
+          fileName: {
+            pattern: $('#export-file-pattern').value,
+            counter: parseInt($('#export-file-counter').value, 10)
+          },
+          layout: {
+            preset: $('#export-layout-preset').value,
+            width: parseFloat($('#export-layout-width').value),
+            height: parseFloat($('#export-layout-height').value)
+          },
+          compression: $('#export-compression').checked,
+          metadata: {
+            author: $('#export-meta-author').value.trim(),
+            company: $('#export-meta-company').value.trim(),
+            subject: $('#export-meta-subject').value.trim()
+          },
+          cover: {
+            template: $('#export-cover-template').value,
+            title: $('#export-cover-title').value.trim(),
+            subtitle: $('#export-cover-subtitle').value.trim(),
+            showDate: $('#export-cover-date').checked
+          },
+          infoSlides: {
+            fontNote: $('#export-info-font-note').checked,
+            contact: $('#export-info-contact').checked
+          },
+          appendix
+        });
+        closeModal();
+      } catch (error) {
+        console.error('[Export Options] 保存エラー:', error);
+        alert(`保存エラー: ${error.message}`);
       }
-      const arrayBuffer = bytes.buffer;
+    };
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+  }
 
-      console.log('[Template Preview] PPTX生成完了、プレビュー変換開始');
+  // ======================
+  // Template Masking & Save Functions
+  // ======================
+
+  // マスキング処理関数
+  // テキスト・表のセル・グラフの系列名／ラベル・数値の位置はスロット抽出と同じ解析で特定する（templateSlots.js）
+  // オプションは maskTemplateCode を参照
+  function performMasking(code, options) {
+    const { code: maskedCode, masked } = maskTemplateCode(code, options);
+    console.log(`[Template Masking] ${masked} 箇所をマスキング`);
+    return maskedCode;
+  }
+
+  /**
+   * マスキングしたPptxgenjsコードからプレビューHTMLを生成
+   * PPTX は sandbox で手元で生成し、失敗したときだけ API で生成する（オフライン・APIキー未設定でも保存できるように）
+   * @param {string} maskedCode - マスキング済みのPptxgenjsコード
+   * @param {{ allowApiFallback?: boolean }} [options] - allowApiFallback: false で API を使わない
+   * @returns {Promise<string>} プレビューHTML
+   */
+  async function generatePreviewFromMaskedCode(maskedCode, { allowApiFallback = true } = {}) {
+    console.log('[Template Preview] マスキング版プレビュー生成開始');
 
-      // 7. pptx-previewライブラリを使ってHTMLプレビューを生成
-      // グローバルスコープから取得（content_scriptsで読み込み済み）
-      if (typeof pptxPreview === 'undefined' || typeof pptxPreview.init !== 'function') {
-        throw new Error('pptx-preview library is not available');
+    let arrayBuffer;
+    try {
+      arrayBuffer = await generatePreviewPptxLocally(maskedCode);
+    } catch (localError) {
+      console.warn('[Template Preview] sandbox でのPPTX生成に失敗:', localError);
+      if (!allowApiFallback) {
+        throw new Error(`プレビュー生成に失敗しました: ${localError.message}`);
       }
-      const lib = pptxPreview;
+      try {
+        arrayBuffer = await generatePreviewPptxViaApi(maskedCode);
+      } catch (apiError) {
+        console.error('[Template Preview] API でのPPTX生成にも失敗:', apiError);
+        throw new Error(`プレビュー生成に失敗しました: ${localError.message} / API: ${apiError.message}`);
+      }
+    }
+
+    try {
+      const previewHtml = await renderPreviewHtmlFromPptx(arrayBuffer);
+      console.log('[Template Preview] マスキング版プレビュー生成完了');
+      return previewHtml;
+    } catch (error) {
+      console.error('[Template Preview] プレビュー生成エラー:', error);
+      throw new Error(`プレビュー生成に失敗しました: ${error.message}`);
+    }
+  }
+
+  // sandbox iframe でPPTXを生成（コードの実行に失敗した場合はエラースライドではなく例外にする）
+  // 表紙・付録・末尾の案内スライドは付けない（サムネイルに余計なスライドと画像が入らないように）
+  async function generatePreviewPptxLocally(code) {
+    console.log('[Template Preview] sandbox でPPTX生成中...');
+    const { blob, failures } = await requestMultiSlides([code], { exportOptions: PREVIEW_EXPORT_OPTIONS });
+    if (failures.length) {
+      throw new Error(failures[0].message);
+    }
+    return await blob.arrayBuffer();
+  }
+
+  // API経由でPPTXを生成
+  async function generatePreviewPptxViaApi(code) {
+    // 1. APIクライアントをインポート
+    const { getApiKey, getApiBaseUrl, readResponseBlob, buildGeneratePayload } = await import(chrome.runtime.getURL('src/apiClient.js'));
+
+    // 2. APIキーの確認
+    const apiKey = await getApiKey();
+    if (!apiKey) {
+      throw new Error('APIキーが設定されていません');
+    }
+
+    // 3. 一時ファイル名を生成
+    const tempFileName = `temp_preview_${Date.now()}.pptx`;
+
+    // 4. マスキングしたコードをAPI経由でPPTX化
+    console.log('[Template Preview] API経由でPPTX生成中...');
+
+    const requestBody = {
+      script: code,
+      filename: tempFileName,
+      payload: await buildGeneratePayload({ exportOptions: PREVIEW_EXPORT_OPTIONS })
+    };
+
+    // Background service worker経由でAPI呼び出し（接続先はAPI設定で選んだプロファイル）
+    const endpointUrl = `${await getApiBaseUrl()}/generate-pptx`;
+    const responseData = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'api-fetch',
+        url: endpointUrl,
+        options: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-API-Key': apiKey,
+            'X-Extension-ID': chrome.runtime.id
+          },
+          body: JSON.stringify(requestBody)
+        }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        if (!response || !response.success) {
+          reject(new Error(response?.error?.message || 'API呼び出しに失敗'));
+          return;
+        }
+        resolve(response);
+      });
+    });
+
+    const apiResponse = responseData.response;
 
-      // 8. 一時的なコンテナを作成してプレビューを生成
-      const tempContainer = document.createElement('div');
-      tempContainer.style.cssText = 'position: absolute; left: -9999px; top: -9999px; width: 720px;';
-      document.body.appendChild(tempContainer);
+    if (apiResponse.status !== 200) {
+      throw new Error(`API Error: ${apiResponse.status}`);
+    }
+
+    // 5. レスポンスのデータをArrayBufferに変換（大きなデータは background から分割して受け取る）
+    const blob = await readResponseBlob(apiResponse);
 
+    console.log('[Template Preview] PPTXデータ取得成功');
+
+    return await blob.arrayBuffer();
+  }
+
+  // pptx-preview でPPTXをHTMLに変換（テンプレート一覧のサムネイル用）
+  async function renderPreviewHtmlFromPptx(arrayBuffer) {
+    console.log('[Template Preview] プレビュー変換開始');
+
+    // 7. pptx-previewライブラリを使ってHTMLプレビューを生成
+    // グローバルスコープから取得（content_scriptsで読み込み済み）
+    if (typeof pptxPreview === 'undefined' || typeof pptxPreview.init !== 'function') {
+      throw new Error('pptx-preview library is not available');
+    }
+    const lib = pptxPreview;
+
+    // 8. 一時的なコンテナを作成してプレビューを生成
+    const tempContainer = document.createElement('div');
+    tempContainer.style.cssText = 'position: absolute; left: -9999px; top: -9999px; width: 720px;';
+    document.body.appendChild(tempContainer);
+
+    try {
       const tempWrapper = document.createElement('div');
       tempContainer.appendChild(tempWrapper);
 
@@ -4109,16 +4966,10 @@ const JSON_TO_HTML_PREFIX =
       // マージンを削除
       previewHtml = previewHtml.replace(/margin:\s*[0-9.]+px\s+(auto|[0-9.]+px)(\s+[0-9.]+px)?(\s+[0-9.]+px)?/gi, 'margin: 0px');
 
-      // 11. 一時コンテナを削除
-      document.body.removeChild(tempContainer);
-
-      console.log('[Template Preview] マスキング版プレビュー生成完了');
-
       return previewHtml;
-
-    } catch (error) {
-      console.error('[Template Preview] プレビュー生成エラー:', error);
-      throw new Error(`プレビュー生成に失敗しました: ${error.message}`);
+    } finally {
+      // 11. 一時コンテナを削除
+      tempContainer.remove();
     }
   }
 
@@ -4307,8 +5158,10 @@ const JSON_TO_HTML_PREFIX =
         const maskedCode = performMasking(code, {
           maskText: true,
           maskBullet: true,
+          maskTable: true,
           maskChart: true,
           randomValues: true,
+          keepMagnitude: true,
           preserveSpaces: false
         });
 
@@ -4316,9 +5169,38 @@ const JSON_TO_HTML_PREFIX =
         console.log('[Template Save] マスキング版プレビューを生成中...');
         const maskedPreviewHtml = await generatePreviewFromMaskedCode(maskedCode);
 
+        // テキスト・表のセル・グラフの系列をスロット化（再利用時は値だけをAIに作らせて手元で流し込む）
+        const { slotCode, slots } = extractTemplateSlots(code);
+
         // テンプレート一覧を取得
         const templates = await getTemplates();
 
+        // 同じ名前のテンプレートがあれば上書きするか確認（上書き前の内容は履歴に残る）
+        const sameName = templates.find(t => t.name === templateName);
+        if (sameName && confirm(`テンプレート「${templateName}」は既にあります。上書きしますか？\n（上書き前の内容は履歴から戻せます。キャンセルすると別のテンプレートとして保存します）`)) {
+          replaceTemplateContent(sameName, {
+            name: templateName,
+            originalCode: code,
+            maskedCode: maskedCode,
+            code: maskedCode,
+            previewHtml: maskedPreviewHtml,
+            originalCodeLength: code.length,
+            slotCode: slotCode,
+            slots: slots,
+            slotsVersion: TEMPLATE_SLOTS_VERSION,
+            tags: Array.from(new Set((sameName.tags || []).concat(Array.from(selectedTags))))
+          }, '保存で上書きする前');
+          await saveTemplates(templates);
+          document.body.removeChild(modal);
+          app.stopFakeProgress();
+          app.updateProgress(100);
+          setTimeout(() => {
+            app.hideProgress();
+            openTemplatesModal();
+          }, 500);
+          return;
+        }
+
         // 新しいテンプレートを追加
         const newTemplate = {
           id: Date.now().toString(),
@@ -4328,6 +5210,9 @@ const JSON_TO_HTML_PREFIX =
           code: maskedCode, // 後方互換性のため保持
           previewHtml: maskedPreviewHtml, // マスキング版プレビューHTMLを保存
           originalCodeLength: code.length,
+          slotCode: slotCode, // コンテンツを {{スロット名}} に置き換えたコード
+          slots: slots, // スロット定義（名前・種類・元の値・最大文字数の目安）
+          slotsVersion: TEMPLATE_SLOTS_VERSION,
           tags: Array.from(selectedTags), // 選択されたタグを配列として保存
           createdAt: now.toISOString(),
           updatedAt: now.toISOString()
@@ -4398,11 +5283,15 @@ const JSON_TO_HTML_PREFIX =
     });
   }
 
-  // テンプレート一覧を保存
+  // テンプレート一覧を保存（容量不足などで保存できなかった場合は reject）
   async function saveTemplates(templates) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       if (chrome && chrome.storage && chrome.storage.local) {
         chrome.storage.local.set({ pptxTemplates: templates }, () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
           resolve();
         });
       } else {
@@ -4534,7 +5423,7 @@ const JSON_TO_HTML_PREFIX =
         const tag = btn.dataset.tag;
         await addTagToTemplate(templateId, tag);
         document.body.removeChild(modal);
-        loadTemplatesList(currentTagFilter); // 現在のフィルターを維持
+        loadTemplatesList(); // 現在のフィルターを維持
       });
     });
 
@@ -4547,7 +5436,7 @@ const JSON_TO_HTML_PREFIX =
       if (newTag) {
         await addTagToTemplate(templateId, newTag);
         document.body.removeChild(modal);
-        loadTemplatesList(currentTagFilter); // 現在のフィルターを維持
+        loadTemplatesList(); // 現在のフィルターを維持
       }
     };
 
@@ -4589,7 +5478,7 @@ const JSON_TO_HTML_PREFIX =
       await saveTemplates(newTemplates);
       // 選択状態から削除
       selectedTemplateIds.delete(id);
-      await loadTemplatesList(currentTagFilter); // 現在のフィルターを維持して一覧を再読み込み
+      await loadTemplatesList(); // 現在のフィルターを維持して一覧を再読み込み
     }
   }
 
@@ -4599,6 +5488,7 @@ const JSON_TO_HTML_PREFIX =
     const template = templates.find(t => t.id === id);
 
     if (template) {
+      await markTemplatesUsed([id]);
       // テンプレート一覧を非表示にして、テキスト入力UIを表示
       showTemplateInputUI(template);
     }
@@ -4634,6 +5524,9 @@ const JSON_TO_HTML_PREFIX =
           <div style="flex:1;">
             <h3 style="margin:0 0 8px 0;font-size:16px;font-weight:600;">テンプレート: ${escapeHtml(template.name)}</h3>
             <p style="margin:0;color:#666;font-size:14px;line-height:1.5;">テンプレートを元に作るスライドの内容を入力してください</p>
+            ${getTemplateSlots(template).slots.length ? `
+              <p style="margin:4px 0 0 0;color:#999;font-size:12px;">差し替え箇所: ${getTemplateSlots(template).slots.length}件（デザインは変更されません）</p>
+            ` : ''}
           </div>
         </div>
         <textarea id="template-input-text" style="width:100%;height:200px;padding:12px;border:1px solid #ddd;border-radius:4px;font-size:14px;resize:vertical;box-sizing:border-box;" placeholder="ここに内容を入力してください..."></textarea>
@@ -4667,12 +5560,189 @@ const JSON_TO_HTML_PREFIX =
     }
   }
 
+  // テンプレートのスロット定義を取得（スロット導入前に保存したテンプレートはその場で作成）
+  function getTemplateSlots(template) {
+    if (template.slotCode && Array.isArray(template.slots) && template.slotsVersion === TEMPLATE_SLOTS_VERSION) {
+      return { slotCode: template.slotCode, slots: template.slots };
+    }
+    try {
+      return extractTemplateSlots(template.originalCode || template.code || '');
+    } catch (e) {
+      console.warn('[Template Slots] failed to extract slots', e);
+      return { slotCode: '', slots: [] };
+    }
+  }
+
+  // データ差し込みUIを表示（CSV / XLSX の1行ごとにテンプレートからスライドを作成）
+  function showTemplateMergeUI(template) {
+    const templatesList = document.querySelector('#templates-list');
+    if (!templatesList) return;
+
+    const { slotCode, slots } = getTemplateSlots(template);
+    let mergeData = null;
+
+    templatesList.innerHTML = `
+      <div style="display:flex;flex-direction:column;gap:12px;">
+        <div>
+          <button type="button" id="back-to-templates-btn" style="padding:8px 16px;background:#007bff;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px;font-weight:500;">
+            ← 一覧に戻る
+          </button>
+        </div>
+        <div>
+          <h3 style="margin:0 0 8px 0;font-size:16px;font-weight:600;">データ差し込み: ${escapeHtml(template.name)}</h3>
+          <p style="margin:0;color:#666;font-size:14px;line-height:1.5;">
+            CSV / Excel の1行ごとにスライドを1枚作成します（最大${MAX_MERGE_ROWS}行）。<br>
+            見出しには差し替え箇所の名前を使います。まずひな形の CSV をダウンロードしてください。
+          </p>
+        </div>
+        ${slots.length ? `
+          <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+            <button type="button" id="merge-csv-template-btn" style="padding:8px 16px;background:white;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;">
+              ひな形CSVをダウンロード（${slots.length}項目）
+            </button>
+            <input type="file" id="merge-file-input" accept=".csv,.xlsx" style="font-size:13px;">
+          </div>
+          <div id="merge-summary" style="font-size:13px;color:#666;"></div>
+          <div style="display:flex;justify-content:flex-end;gap:8px;">
+            <button type="button" id="merge-create-btn" disabled style="padding:10px 24px;background:#bf0000;color:white;border:none;border-radius:4px;cursor:pointer;font-size:14px;font-weight:500;opacity:0.5;">
+              作成
+            </button>
+          </div>
+          <div id="merge-report" style="font-size:13px;"></div>
+        ` : `
+          <p style="margin:0;color:#bf0000;font-size:14px;">このテンプレートには差し替えられる箇所がありません</p>
+        `}
+      </div>
+    `;
+
+    const backBtn = document.querySelector('#back-to-templates-btn');
+    if (backBtn) {
+      backBtn.onclick = () => {
+        loadTemplatesList();
+      };
+    }
+    if (!slots.length) return;
+
+    const summaryEl = document.querySelector('#merge-summary');
+    const createBtn = document.querySelector('#merge-create-btn');
+    const setCreateEnabled = (enabled) => {
+      createBtn.disabled = !enabled;
+      createBtn.style.opacity = enabled ? '1' : '0.5';
+    };
+
+    document.querySelector('#merge-csv-template-btn').onclick = () => downloadCsvTemplateFromPptx(template);
+
+    document.querySelector('#merge-file-input').onchange = async (e) => {
+      const file = e.target.files && e.target.files[0];
+      mergeData = null;
+      setCreateEnabled(false);
+      document.querySelector('#merge-report').innerHTML = '';
+      if (!file) {
+        summaryEl.innerHTML = '';
+        return;
+      }
+      try {
+        const { headers, rows } = await readMergeFile(file);
+        const { matched, unknownColumns, missingSlots } = matchMergeColumns(slots, headers);
+        const lines = [`${escapeHtml(file.name)}: ${rows.length}行 / 対応する列 ${matched.length}/${slots.length}`];
+        if (unknownColumns.length) {
+          lines.push(`<span style="color:#b26a00;">使われない列: ${unknownColumns.map(escapeHtml).join(', ')}</span>`);
+        }
+        if (missingSlots.length) {
+          lines.push(`<span style="color:#b26a00;">列がない項目（元の内容のまま）: ${missingSlots.map(escapeHtml).join(', ')}</span>`);
+        }
+        if (rows.length > MAX_MERGE_ROWS) {
+          lines.push(`<span style="color:#bf0000;">行数が上限（${MAX_MERGE_ROWS}行）を超えています</span>`);
+        } else if (!matched.length) {
+          lines.push('<span style="color:#bf0000;">差し替え箇所に対応する列がありません</span>');
+        } else {
+          mergeData = rows;
+          setCreateEnabled(true);
+        }
+        summaryEl.innerHTML = lines.join('<br>');
+      } catch (error) {
+        console.error('[Template Merge] failed to read file', error);
+        summaryEl.innerHTML = `<span style="color:#bf0000;">ファイルを読み込めませんでした: ${escapeHtml(error.message)}</span>`;
+      }
+    };
+
+    createBtn.onclick = async () => {
+      if (!mergeData) return;
+      setCreateEnabled(false);
+      createBtn.textContent = '作成中...';
+      try {
+        await runTemplateMerge({ ...template, slotCode, slots }, mergeData);
+      } finally {
+        createBtn.textContent = '作成';
+        setCreateEnabled(true);
+      }
+    };
+  }
+
+  // 差し込みを実行して PPTX をダウンロードし、行ごとの結果を #merge-report に表示
+  async function runTemplateMerge(template, rows) {
+    const reportEl = document.querySelector('#merge-report');
+    if (rows.length > MAX_MERGE_ROWS) {
+      alert(`一度に差し込めるのは${MAX_MERGE_ROWS}行までです`);
+      return;
+    }
+    const merged = buildMergeSnippets(template, rows);
+    const fileName = await nextExportFileName('', `${template.name}_merge`);
+    try {
+      const { blob, failures, report } = await requestMultiSlides(merged.map(m => m.code), {
+        exportOptions: await loadExportOptions(),
+        fileName
+      });
+      saveBlobAs(blob, fileName);
+
+      // スニペットの番号（1 始まり）は merged の並びと同じ
+      const results = merged.map((m, index) => {
+        const snippet = index + 1;
+        const failure = failures.find(f => f.snippet === snippet);
+        const dropped = report.filter(entry => entry.snippet === snippet && (entry.status === 'skipped' || entry.status === 'failed'));
+        const notes = m.warnings.concat(dropped.map(entry => `${entry.name}: ${entry.error || entry.status}`));
+        return { rowNumber: m.rowNumber, failure, notes };
+      });
+      const failedCount = results.filter(r => r.failure).length;
+      const warnedCount = results.filter(r => !r.failure && r.notes.length).length;
+      const okCount = results.length - failedCount - warnedCount;
+      const details = results.filter(r => r.failure || r.notes.length).map(r => {
+        const color = r.failure ? '#bf0000' : '#b26a00';
+        const label = r.failure ? '失敗' : '注意';
+        const text = r.failure ? [r.failure.message].concat(r.notes) : r.notes;
+        return `<li style="color:${color};">${r.rowNumber}行目 [${label}] ${text.map(escapeHtml).join(' / ')}</li>`;
+      }).join('');
+      if (reportEl) {
+        reportEl.innerHTML = `
+          <div style="font-weight:600;">結果: 成功 ${okCount}件 / 注意 ${warnedCount}件 / 失敗 ${failedCount}件</div>
+          ${details ? `<ul style="margin:6px 0 0 0;padding-left:18px;max-height:200px;overflow:auto;">${details}</ul>` : ''}
+        `;
+      }
+    } catch (error) {
+      console.error('[Template Merge] エラー:', error);
+      if (reportEl) {
+        reportEl.innerHTML = `<span style="color:#bf0000;">作成に失敗しました: ${escapeHtml(error.message)}</span>`;
+      }
+    }
+  }
+
   // テンプレートとテキストを組み合わせてAIに送信
+  // スロットがあればAIにはスロットの値（JSON）だけを作らせ、コードへの流し込みは回答後に手元で行う
   async function createWithTemplate(template, inputText) {
     try {
       // モーダルを閉じる
       closeTemplatesModal();
 
+      const { slotCode, slots } = getTemplateSlots(template);
+      if (slots.length) {
+        const prompt = buildSlotFillPrompt({ slots }, inputText);
+        await handOff({
+          prompt,
+          templateFill: { templateId: template.id, name: template.name, slotCode, slots }
+        }, app.CHAT_URL);
+        return;
+      }
+
       // マスキング前のオリジナルコードを使用（後方互換性のため template.code にフォールバック）
       const codeToUse = template.originalCode || template.code;
 
@@ -4714,11 +5784,11 @@ ${codeToUse}
     }
   }
 
-  // HTMLエスケープ（テンプレート名用）
+  // HTMLエスケープ（テンプレート名・id 用。属性値にも入れるため引用符もエスケープする）
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   // srcdoc用HTMLエスケープ
@@ -4732,13 +5802,274 @@ ${codeToUse}
       .replace(/>/g, '&gt;');
   }
 
-  // タグフィルターの状態を保持
-  let currentTagFilter = null;
+  // 一覧の検索・タグ絞り込み・並び順の状態を保持
+  const templateListState = { query: '', tags: [], tagMode: 'and', sort: 'created' };
+  // 検索対象テキストのキャッシュ（id → { updatedAt, text }）
+  const templateSearchCache = new Map();
   // 選択されたテンプレートIDを保持
   let selectedTemplateIds = new Set();
 
+  // テンプレートの書き出し・読み込みボタン
+  function renderLibraryToolbar(hasTemplates) {
+    return `
+      <div id="template-library-toolbar" style="display:flex;justify-content:flex-end;gap:8px;margin-bottom:12px;">
+        ${hasTemplates ? `
+          <button type="button" id="template-export-btn" title="選択中のテンプレート（未選択ならすべて）を書き出します" style="padding:6px 12px;background:white;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;">
+            書き出し
+          </button>
+        ` : ''}
+        <button type="button" id="template-import-btn" style="padding:6px 12px;background:white;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;">
+          読み込み
+        </button>
+        <input type="file" id="template-import-input" accept=".json,application/json" style="display:none;">
+      </div>
+    `;
+  }
+
+  function bindLibraryToolbar() {
+    const exportBtn = document.querySelector('#template-export-btn');
+    if (exportBtn) {
+      exportBtn.onclick = () => exportTemplateLibrary();
+    }
+    const importBtn = document.querySelector('#template-import-btn');
+    const importInput = document.querySelector('#template-import-input');
+    if (importBtn && importInput) {
+      importBtn.onclick = () => importInput.click();
+      importInput.onchange = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) await importTemplateLibrary(file);
+      };
+    }
+  }
+
+  // 選択中のテンプレート（未選択ならすべて）を JSON に書き出す
+  async function exportTemplateLibrary() {
+    const templates = await getTemplates();
+    const selected = templates.filter(t => selectedTemplateIds.has(t.id));
+    const targets = selected.length ? selected : templates;
+    if (!targets.length) return;
+    const bundle = buildTemplateBundle(targets);
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    saveBlobAs(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), `pptx-templates_${date}.json`);
+  }
+
+  // 書き出したファイルを読み込む（重複があれば扱いを選んでもらう）
+  async function importTemplateLibrary(file) {
+    let incoming;
+    try {
+      incoming = parseTemplateBundle(await file.text());
+    } catch (error) {
+      alert(`読み込みに失敗しました: ${error.message}`);
+      return;
+    }
+    const conflicts = findImportConflicts(await getTemplates(), incoming);
+    if (conflicts.length) {
+      showTemplateImportUI(incoming, conflicts, file.name);
+    } else {
+      await applyTemplateImport(incoming, 'skip');
+    }
+  }
+
+  // 重複したテンプレートの扱い（スキップ・名前を変えて追加・上書き）を選ぶUI
+  function showTemplateImportUI(incoming, conflicts, fileName) {
+    const templatesList = document.querySelector('#templates-list');
+    if (!templatesList) return;
+
+    templatesList.innerHTML = `
+      <div style="display:flex;flex-direction:column;gap:12px;">
+        <div>
+          <button type="button" id="back-to-templates-btn" style="padding:8px 16px;background:#007bff;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px;font-weight:500;">
+            ← 一覧に戻る
+          </button>
+        </div>
+        <div>
+          <h3 style="margin:0 0 8px 0;font-size:16px;font-weight:600;">読み込み: ${escapeHtml(fileName)}</h3>
+          <p style="margin:0;color:#666;font-size:14px;line-height:1.5;">
+            ${incoming.length}件のうち${conflicts.length}件が既存のテンプレートと重複しています。
+          </p>
+          <ul style="margin:8px 0 0 0;padding-left:18px;font-size:13px;color:#666;max-height:120px;overflow:auto;">
+            ${conflicts.map(c => `<li>${escapeHtml(c.incoming.name)}</li>`).join('')}
+          </ul>
+        </div>
+        <div style="display:flex;flex-direction:column;gap:6px;font-size:14px;">
+          <label><input type="radio" name="template-import-mode" value="skip" checked> 重複したものは読み込まない</label>
+          <label><input type="radio" name="template-import-mode" value="rename"> 名前を変えて追加する</label>
+          <label><input type="radio" name="template-import-mode" value="overwrite"> 上書きする（上書き前の内容は履歴から戻せます）</label>
+        </div>
+        <div style="display:flex;justify-content:flex-end;gap:8px;">
+          <button type="button" id="template-import-apply-btn" style="padding:10px 24px;background:#bf0000;color:white;border:none;border-radius:4px;cursor:pointer;font-size:14px;font-weight:500;">
+            読み込む
+          </button>
+        </div>
+      </div>
+    `;
+
+    document.querySelector('#back-to-templates-btn').onclick = () => loadTemplatesList();
+    document.querySelector('#template-import-apply-btn').onclick = async () => {
+      const checked = templatesList.querySelector('input[name="template-import-mode"]:checked');
+      await applyTemplateImport(incoming, checked ? checked.value : 'skip');
+    };
+  }
+
+  async function applyTemplateImport(incoming, mode) {
+    try {
+      const result = mergeImportedTemplates(await getTemplates(), incoming, mode);
+      await saveTemplates(result.templates);
+      const parts = [`追加 ${result.added}件`];
+      if (result.renamed) parts.push(`名前を変えて追加 ${result.renamed}件`);
+      if (result.overwritten) parts.push(`上書き ${result.overwritten}件`);
+      if (result.skipped) parts.push(`スキップ ${result.skipped}件`);
+      await loadTemplatesList();
+      alert(`テンプレートを読み込みました（${parts.join(' / ')}）`);
+    } catch (error) {
+      console.error('[Template Import] エラー:', error);
+      alert(`読み込みに失敗しました: ${error.message}`);
+    }
+  }
+
+  // テンプレートの変更履歴を表示し、選んだ版に戻す
+  function showTemplateHistoryUI(template) {
+    const templatesList = document.querySelector('#templates-list');
+    if (!templatesList) return;
+    const revisions = Array.isArray(template.revisions) ? template.revisions : [];
+
+    templatesList.innerHTML = `
+      <div style="display:flex;flex-direction:column;gap:12px;">
+        <div>
+          <button type="button" id="back-to-templates-btn" style="padding:8px 16px;background:#007bff;color:white;border:none;border-radius:4px;cursor:pointer;font-size:13px;font-weight:500;">
+            ← 一覧に戻る
+          </button>
+        </div>
+        <h3 style="margin:0;font-size:16px;font-weight:600;">履歴: ${escapeHtml(template.name)}</h3>
+        ${revisions.map(revision => `
+          <div style="display:flex;gap:16px;align-items:center;border:1px solid #e0e0e0;border-radius:8px;padding:8px;">
+            ${revision.snapshot.previewHtml ? `
+              <div style="width:160px;height:90px;flex-shrink:0;border:1px solid #ddd;border-radius:4px;overflow:hidden;position:relative;">
+                <iframe
+                  srcdoc="${escapeSrcdoc(revision.snapshot.previewHtml)}"
+                  sandbox="allow-same-origin"
+                  scrolling="no"
+                  style="width:720px;height:405px;border:none;transform:scale(0.2222);transform-origin:top left;display:block;position:absolute;top:0;left:0;"
+                ></iframe>
+              </div>
+            ` : ''}
+            <div style="flex:1;font-size:13px;color:#666;">
+              <div style="font-weight:600;color:#333;">${escapeHtml(revision.snapshot.name || '')}</div>
+              <div>${new Date(revision.savedAt).toLocaleString('ja-JP')}（${escapeHtml(revision.reason)}）</div>
+              <div>📝 ${(revision.snapshot.code || '').length} 文字</div>
+            </div>
+            <button type="button" class="restore-revision-btn" data-id="${escapeHtml(revision.id)}" style="padding:6px 12px;background:white;color:#333;border:1px solid #ddd;border-radius:4px;cursor:pointer;font-size:13px;">
+              この版に戻す
+            </button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    document.querySelector('#back-to-templates-btn').onclick = () => loadTemplatesList();
+    templatesList.querySelectorAll('.restore-revision-btn').forEach(btn => {
+      btn.onclick = async () => {
+        if (!confirm('この版に戻しますか？\n（現在の内容は履歴に残ります）')) return;
+        try {
+          const templates = await getTemplates();
+          const target = templates.find(t => t.id === template.id);
+          if (!target) throw new Error('テンプレートが見つかりません');
+          restoreTemplateRevision(target, btn.dataset.id);
+          await saveTemplates(templates);
+          await loadTemplatesList();
+        } catch (error) {
+          console.error('[Template History] エラー:', error);
+          alert(`元に戻せませんでした: ${error.message}`);
+        }
+      };
+    });
+  }
+
+  // 検索対象テキストを取得（テンプレートが更新されるまでキャッシュ）
+  function getTemplateSearchText(template) {
+    const cached = templateSearchCache.get(template.id);
+    if (cached && cached.updatedAt === template.updatedAt) return cached.text;
+    const text = buildTemplateSearchText(template, getTemplateSlots(template).slots);
+    templateSearchCache.set(template.id, { updatedAt: template.updatedAt, text });
+    return text;
+  }
+
+  // 検索欄・並び順・タグフィルターのイベントを設定
+  function bindTemplateFilterBar() {
+    const searchInput = document.querySelector('#template-search-input');
+    if (searchInput) {
+      let searchTimer = null;
+      searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(async () => {
+          templateListState.query = searchInput.value;
+          const caret = searchInput.selectionStart;
+          await loadTemplatesList();
+          // 一覧を作り直しても入力を続けられるようにフォーカスを戻す
+          const input = document.querySelector('#template-search-input');
+          if (input) {
+            input.focus();
+            input.setSelectionRange(caret, caret);
+          }
+        }, 200);
+      });
+    }
+
+    const sortSelect = document.querySelector('#template-sort-select');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', () => {
+        templateListState.sort = sortSelect.value;
+        loadTemplatesList();
+      });
+    }
+
+    const tagModeSelect = document.querySelector('#template-tag-mode-select');
+    if (tagModeSelect) {
+      tagModeSelect.addEventListener('change', () => {
+        templateListState.tagMode = tagModeSelect.value;
+        loadTemplatesList();
+      });
+    }
+
+    // タグは複数選択できる（「すべて」で解除）
+    document.querySelectorAll('.tag-filter-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const tag = btn.dataset.tag;
+        if (!tag) {
+          templateListState.tags = [];
+        } else if (templateListState.tags.includes(tag)) {
+          templateListState.tags = templateListState.tags.filter(t => t !== tag);
+        } else {
+          templateListState.tags = templateListState.tags.concat(tag);
+        }
+        loadTemplatesList();
+      });
+    });
+  }
+
+  // お気に入りを切り替える
+  async function toggleTemplateFavorite(id) {
+    const templates = await getTemplates();
+    const template = templates.find(t => t.id === id);
+    if (!template) return;
+    template.favorite = !template.favorite;
+    await saveTemplates(templates);
+  }
+
+  // 使用回数と最終使用日時を記録
+  async function markTemplatesUsed(ids) {
+    try {
+      const templates = await getTemplates();
+      if (recordTemplateUsage(templates, ids)) {
+        await saveTemplates(templates);
+      }
+    } catch (e) {
+      console.warn('[Template Usage] failed to record usage', e);
+    }
+  }
+
   // テンプレート一覧を読み込む
-  async function loadTemplatesList(filterTag = null) {
+  async function loadTemplatesList() {
     const templates = await getTemplates();
     const templatesList = document.querySelector('#templates-list');
     const allTags = await getAllTags();
@@ -4750,77 +6081,88 @@ ${codeToUse}
       selectedTemplateIds.add(checkbox.dataset.id);
     });
 
-    // フィルターを適用
-    let filteredTemplates = templates;
-    if (filterTag) {
-      filteredTemplates = templates.filter(t => t.tags && t.tags.includes(filterTag));
-    }
+    // 削除されたタグは絞り込みから外す
+    templateListState.tags = templateListState.tags.filter(tag => allTags.includes(tag));
 
     if (templates.length === 0) {
-      templatesList.innerHTML = `
+      templatesList.innerHTML = renderLibraryToolbar(false) + `
         <div class="no-templates">
           <p style="font-size:48px;margin-bottom:16px;">📝</p>
           <p style="font-size:16px;">保存されたテンプレートはありません</p>
         </div>
       `;
+      bindLibraryToolbar();
       return;
     }
 
-    // タグフィルターバーを作成
+    // 検索・タグで絞り込み、お気に入りを先頭にして並び替え
+    const sortedTemplates = sortTemplates(
+      filterTemplates(templates, templateListState, getTemplateSearchText),
+      templateListState.sort
+    );
+
+    // 検索・並び替え・タグフィルターバーを作成
+    const selectedTags = templateListState.tags;
+    const tagButtonStyle = isActive => `padding: 6px 14px; background: ${isActive ? '#bf0000' : '#f0f0f0'}; color: ${isActive ? 'white' : '#333'}; border: 1px solid ${isActive ? '#bf0000' : '#ddd'}; border-radius: 16px; cursor: pointer; font-size: 13px; transition: all 0.2s; font-weight: ${isActive ? '600' : '400'};`;
     const tagFilterBar = `
       <div id="tag-filter-bar" style="margin-bottom: 16px; padding-bottom: 12px; border-bottom: 1px solid #e0e0e0;">
+        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 10px;">
+          <input type="search" id="template-search-input" value="${escapeHtml(templateListState.query)}"
+            placeholder="名前・タグ・スライド内のテキストで検索"
+            style="flex: 1; padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+          <select id="template-sort-select" style="padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+            <option value="created" ${templateListState.sort === 'created' ? 'selected' : ''}>作成日順</option>
+            <option value="lastUsed" ${templateListState.sort === 'lastUsed' ? 'selected' : ''}>最近使った順</option>
+            <option value="useCount" ${templateListState.sort === 'useCount' ? 'selected' : ''}>よく使う順</option>
+          </select>
+        </div>
         <div style="display: flex; flex-wrap: wrap; gap: 8px; align-items: center;">
           <span style="font-size: 13px; color: #666; font-weight: 600;">フィルター:</span>
-          <button class="tag-filter-btn ${!filterTag ? 'active' : ''}" data-tag=""
-            style="padding: 6px 14px; background: ${!filterTag ? '#bf0000' : '#f0f0f0'}; color: ${!filterTag ? 'white' : '#333'}; border: 1px solid ${!filterTag ? '#bf0000' : '#ddd'}; border-radius: 16px; cursor: pointer; font-size: 13px; transition: all 0.2s; font-weight: ${!filterTag ? '600' : '400'};">
+          <button class="tag-filter-btn ${!selectedTags.length ? 'active' : ''}" data-tag=""
+            style="${tagButtonStyle(!selectedTags.length)}">
             すべて (${templates.length})
           </button>
           ${allTags.map(tag => {
             const count = templates.filter(t => t.tags && t.tags.includes(tag)).length;
-            const isActive = filterTag === tag;
+            const isActive = selectedTags.includes(tag);
             return `
               <button class="tag-filter-btn ${isActive ? 'active' : ''}" data-tag="${escapeHtml(tag)}"
-                style="padding: 6px 14px; background: ${isActive ? '#bf0000' : '#f0f0f0'}; color: ${isActive ? 'white' : '#333'}; border: 1px solid ${isActive ? '#bf0000' : '#ddd'}; border-radius: 16px; cursor: pointer; font-size: 13px; transition: all 0.2s; font-weight: ${isActive ? '600' : '400'};">
+                style="${tagButtonStyle(isActive)}">
                 ${escapeHtml(tag)} (${count})
               </button>
             `;
           }).join('')}
+          ${selectedTags.length > 1 ? `
+            <select id="template-tag-mode-select" style="padding: 4px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px;">
+              <option value="and" ${templateListState.tagMode === 'and' ? 'selected' : ''}>すべてのタグを含む</option>
+              <option value="or" ${templateListState.tagMode === 'or' ? 'selected' : ''}>いずれかのタグを含む</option>
+            </select>
+          ` : ''}
         </div>
       </div>
     `;
 
-    if (filteredTemplates.length === 0) {
-      templatesList.innerHTML = tagFilterBar + `
+    if (sortedTemplates.length === 0) {
+      templatesList.innerHTML = renderLibraryToolbar(true) + tagFilterBar + `
         <div class="no-templates">
           <p style="font-size:48px;margin-bottom:16px;">🔍</p>
-          <p style="font-size:16px;">「${escapeHtml(filterTag)}」のテンプレートはありません</p>
+          <p style="font-size:16px;">条件に一致するテンプレートはありません</p>
         </div>
       `;
 
-      // タグフィルターボタンのイベントリスナーを追加
-      document.querySelectorAll('.tag-filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-          const tag = btn.dataset.tag;
-          currentTagFilter = tag || null;
-          loadTemplatesList(currentTagFilter);
-        });
-      });
+      bindLibraryToolbar();
+      bindTemplateFilterBar();
       return;
     }
 
-    // 新しい順にソート
-    const sortedTemplates = filteredTemplates.sort((a, b) =>
-      new Date(b.createdAt) - new Date(a.createdAt)
-    );
-
     // バルク入力モードのクラスを削除
     templatesList.classList.remove('bulk-input-mode');
 
-    templatesList.innerHTML = tagFilterBar + `
+    templatesList.innerHTML = renderLibraryToolbar(true) + tagFilterBar + `
       <div id="templates-items-container">
         ${sortedTemplates.map(template => `
-          <div class="template-item" data-id="${template.id}">
-            <input type="checkbox" class="template-select-checkbox" data-id="${template.id}">
+          <div class="template-item" data-id="${escapeHtml(template.id)}">
+            <input type="checkbox" class="template-select-checkbox" data-id="${escapeHtml(template.id)}">
             <div class="template-thumbnail-container">
               ${template.previewHtml ? `
                 <iframe
@@ -4837,29 +6179,37 @@ ${codeToUse}
             </div>
             <div class="template-content">
               <div class="template-header">
-                <h3 class="template-name">${escapeHtml(template.name)}</h3>
+                <h3 class="template-name">
+                  <button class="favorite-template-btn" data-id="${escapeHtml(template.id)}" title="${template.favorite ? 'お気に入りから外す' : 'お気に入りに追加'}"
+                    style="border:none;background:none;cursor:pointer;padding:0 4px 0 0;font-size:16px;color:${template.favorite ? '#f5a623' : '#bbb'};">${template.favorite ? '★' : '☆'}</button>${escapeHtml(template.name)}
+                </h3>
                 <span class="template-date">${formatTemplateDate(template.createdAt)}</span>
               </div>
               <div class="template-info">
                 <span>📝 ${template.code.length} 文字</span>
+                ${template.useCount ? `<span style="margin-left:8px;">🔁 ${template.useCount}回使用</span>` : ''}
               </div>
               ${template.tags && template.tags.length > 0 ? `
                 <div class="template-tags">
                   ${template.tags.map(tag => `
                     <span class="template-tag">
                       ${escapeHtml(tag)}
-                      <button class="template-tag-remove" data-id="${template.id}" data-tag="${escapeHtml(tag)}" title="タグを削除">×</button>
+                      <button class="template-tag-remove" data-id="${escapeHtml(template.id)}" data-tag="${escapeHtml(tag)}" title="タグを削除">×</button>
                     </span>
                   `).join('')}
-                  <button class="template-tag-add" data-id="${template.id}" title="タグを追加">＋</button>
+                  <button class="template-tag-add" data-id="${escapeHtml(template.id)}" title="タグを追加">＋</button>
                 </div>
               ` : `
                 <div class="template-tags">
-                  <button class="template-tag-add" data-id="${template.id}" title="タグを追加">＋タグを追加</button>
+                  <button class="template-tag-add" data-id="${escapeHtml(template.id)}" title="タグを追加">＋タグを追加</button>
                 </div>
               `}
               <div class="template-actions">
-                <button class="delete-template-btn" data-id="${template.id}" data-i18n="templateDelete">削除</button>
+                <button class="merge-template-btn" data-id="${escapeHtml(template.id)}">データ差し込み</button>
+                ${template.revisions && template.revisions.length ? `
+                  <button class="history-template-btn" data-id="${escapeHtml(template.id)}">履歴 (${template.revisions.length})</button>
+                ` : ''}
+                <button class="delete-template-btn" data-id="${escapeHtml(template.id)}" data-i18n="templateDelete">削除</button>
               </div>
             </div>
           </div>
@@ -4873,15 +6223,9 @@ ${codeToUse}
 
     // 翻訳を適用
     applyTranslations(templatesList);
+    bindLibraryToolbar();
 
-    // タグフィルターボタンのイベントリスナー
-    document.querySelectorAll('.tag-filter-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const tag = btn.dataset.tag;
-        currentTagFilter = tag || null;
-        loadTemplatesList(currentTagFilter);
-      });
-    });
+    bindTemplateFilterBar();
 
     // チェックボックスのイベントリスナー
     document.querySelectorAll('.template-select-checkbox').forEach(checkbox => {
@@ -4913,7 +6257,7 @@ ${codeToUse}
     document.querySelectorAll('.template-item').forEach(item => {
       item.addEventListener('click', (e) => {
         // ボタンのクリックは除外
-        if (e.target.closest('.delete-template-btn') || e.target.closest('.template-tag-remove') || e.target.closest('.template-tag-add')) {
+        if (e.target.closest('.delete-template-btn') || e.target.closest('.merge-template-btn') || e.target.closest('.favorite-template-btn') || e.target.closest('.history-template-btn') || e.target.closest('.template-tag-remove') || e.target.closest('.template-tag-add')) {
           return;
         }
 
@@ -4940,6 +6284,33 @@ ${codeToUse}
       });
     });
 
+    // データ差し込みボタンのイベントリスナー
+    document.querySelectorAll('.merge-template-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation(); // 親要素のクリックイベントを防ぐ
+        const template = sortedTemplates.find(t => t.id === btn.dataset.id);
+        if (template) showTemplateMergeUI(template);
+      });
+    });
+
+    // お気に入りボタンのイベントリスナー
+    document.querySelectorAll('.favorite-template-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation(); // 親要素のクリックイベントを防ぐ
+        await toggleTemplateFavorite(btn.dataset.id);
+        loadTemplatesList();
+      });
+    });
+
+    // 履歴ボタンのイベントリスナー
+    document.querySelectorAll('.history-template-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation(); // 親要素のクリックイベントを防ぐ
+        const template = sortedTemplates.find(t => t.id === btn.dataset.id);
+        if (template) showTemplateHistoryUI(template);
+      });
+    });
+
     // タグ削除ボタンのイベントリスナー
     document.querySelectorAll('.template-tag-remove').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -4947,7 +6318,7 @@ ${codeToUse}
         const templateId = btn.dataset.id;
         const tagToRemove = btn.dataset.tag;
         await removeTagFromTemplate(templateId, tagToRemove);
-        loadTemplatesList(currentTagFilter); // 現在のフィルターを維持してリストを再読み込み
+        loadTemplatesList(); // 現在のフィルターを維持してリストを再読み込み
       });
     });
 
@@ -5039,6 +6410,7 @@ ${codeToUse}
       return;
     }
 
+    await markTemplatesUsed(selectedTemplates.map(t => t.id));
     showBulkTemplateInputUI(selectedTemplates);
   }
 
@@ -5061,7 +6433,7 @@ ${codeToUse}
           <h3>各テンプレートの個別指示（オプション）</h3>
           <div class="bulk-input-templates" id="bulk-templates-container">
             ${templates.map((template, index) => `
-              <div class="bulk-template-item" data-id="${template.id}" draggable="true">
+              <div class="bulk-template-item" data-id="${escapeHtml(template.id)}" draggable="true">
                 <span class="bulk-template-drag-handle" title="ドラッグして順番を変更">⋮⋮</span>
                 <div class="bulk-template-left">
                   ${template.previewHtml ? `
@@ -5079,7 +6451,7 @@ ${codeToUse}
                 </div>
                 <textarea
                   class="bulk-individual-input"
-                  data-id="${template.id}"
+                  data-id="${escapeHtml(template.id)}"
                   placeholder="このテンプレート固有の追加指示を入力（任意）..."
                 ></textarea>
               </div>
@@ -5220,12 +6592,9 @@ ${codeToUse}
       const messages = templateInputs.map(input => {
         const { template, commonText, individualText } = input;
 
-<<<<<<< HEAD
-=======
         // マスキング前のオリジナルコードを使用（後方互換性のため template.code にフォールバック）
         const codeToUse = template.originalCode || template.code;
 
->>>>>>> 71df29a (chore: Update project files and configurations)
         // 新しいプロンプト形式: 全体指示 + 個別指示 + PptxGenJSコード
         let combinedPrompt = `下記のPptxgenjsを参考にデザインは全く変えずに#全体指示と#個別指示に従ってコンテンツだけを書き換えてください。
 
@@ -5832,10 +7201,25 @@ ${codeToUse}
     }
   }
 
+  // 診断結果を修正指示用のテキストに整形
+  function formatDiagnosticsForPrompt(diagnostics) {
+    return diagnostics.map(d => {
+      const level = d.severity === 'warning' ? '警告' : 'エラー';
+      const source = d.source ? `\n    該当行: ${d.source}` : '';
+      return `- ${d.line}行目 ${d.column}列 [${level}: ${d.code}] ${d.message}${source}`;
+    }).join('\n');
+  }
+
   // エラー内容を含むテキストを入力欄に挿入
-  function insertErrorPrompt(errMsg) {
-    const text =
+  // diagnostics があれば行・列ごとの問題点を列挙した修正指示にする
+  function insertErrorPrompt(errMsg, diagnostics = []) {
+    let text =
       `エラーが起きてパワーポイントが適切にエクスポートできないので、コードを適切に書き換えてエラーを解決して\n${errMsg || ''}`;
+    if (Array.isArray(diagnostics) && diagnostics.length) {
+      text += `\n\nコードの検証で以下の問題が見つかりました（行・列はスニペットの先頭から数えています）。\n`
+        + formatDiagnosticsForPrompt(diagnostics)
+        + `\n\n上記の箇所を修正し、許可されている pptx / slide の API と ShapeType・ChartType だけを使い、座標はスライド内に収まるようにしてください。`;
+    }
     let attempts = 0;
     const maxAttempts = 5;
     const tryInsert = () => {
@@ -5853,6 +7237,99 @@ ${codeToUse}
     tryInsert();
   }
 
+  // 診断結果・実行レポートの一覧をプレビュー領域に表示（「修正を依頼」で修正指示を入力欄へ）
+  function renderSnippetNotice(title, message, list) {
+    const wrap = document.getElementById(app.PANEL_ID);
+    const view = wrap && wrap.querySelector('#preview-content');
+    if (!view) return;
+    const old = view.querySelector('#snippet-diagnostics');
+    if (old) old.remove();
+    if (!list.length && !message) return;
+
+    const box = document.createElement('div');
+    box.id = 'snippet-diagnostics';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'snippet-diagnostics-title';
+    titleEl.textContent = title;
+    box.appendChild(titleEl);
+    if (message) {
+      const msg = document.createElement('div');
+      msg.className = 'snippet-diagnostics-message';
+      msg.textContent = message;
+      box.appendChild(msg);
+    }
+    if (list.length) {
+      const ul = document.createElement('ul');
+      list.forEach(d => {
+        const li = document.createElement('li');
+        li.className = d.severity === 'warning' ? 'warning' : 'error';
+        li.textContent = `L${d.line}:${d.column} [${d.code}] ${d.message}`;
+        if (d.source) {
+          const code = document.createElement('code');
+          code.textContent = d.source;
+          li.appendChild(code);
+        }
+        ul.appendChild(li);
+      });
+      box.appendChild(ul);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'snippet-diagnostics-actions';
+    const fixBtn = document.createElement('button');
+    fixBtn.textContent = t('snippetDiagnosticsFix');
+    fixBtn.addEventListener('click', () => {
+      insertErrorPrompt(message, list);
+      box.remove();
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = t('snippetDiagnosticsClose');
+    closeBtn.addEventListener('click', () => box.remove());
+    actions.appendChild(fixBtn);
+    actions.appendChild(closeBtn);
+    box.appendChild(actions);
+    view.appendChild(box);
+  }
+
+  // スニペットの診断結果をプレビュー領域に表示
+  function showSnippetDiagnostics(diagnostics, message) {
+    const list = Array.isArray(diagnostics) ? diagnostics : [];
+    renderSnippetNotice(`${t('snippetDiagnosticsTitle')} (${list.length})`, message, list);
+  }
+
+  // 実行レポートから追加されなかった要素（skipped / failed）を「N 件の要素が追加されませんでした」として表示
+  // failures（失敗したスニペット）があれば同じ表示の先頭に診断結果と一緒に並べる
+  // summary は sandbox の summarizePptxReport の集計（件数はこれを使う）。戻り値は追加されなかった要素の数
+  function showExecutionReport(report, { failures = [], summary = null } = {}) {
+    const entries = Array.isArray(report) ? report : [];
+    const failed = Array.isArray(failures) ? failures : [];
+    const counts = summary || { dropped: 0, sanitized: 0 };
+    if (!counts.dropped && !failed.length) return 0;
+    const dropped = entries.filter(entry => entry.status === 'skipped' || entry.status === 'failed');
+    const diagnostics = [];
+    failed.forEach(f => {
+      (f.diagnostics || []).forEach(d => {
+        diagnostics.push({ ...d, message: `#${f.snippet}: ${d.message}` });
+      });
+    });
+    const list = diagnostics.concat(dropped.map(entry => ({
+      line: entry.line || 1,
+      column: 1,
+      severity: entry.status === 'failed' ? 'error' : 'warning',
+      code: entry.status,
+      message: `${entry.snippet ? `#${entry.snippet}: ` : ''}${entry.name}: ${entry.error || ''}`,
+      source: ''
+    })));
+    const lines = failed.map(f => `#${f.snippet}: ${f.message}`);
+    if (counts.dropped) {
+      let line = `${counts.dropped}${t('reportElementsDropped')}`;
+      if (counts.sanitized) line += ` / ${counts.sanitized}${t('reportElementsSanitized')}`;
+      lines.push(line);
+    }
+    const title = failed.length ? `${t('snippetDiagnosticsTitle')} (${list.length})` : t('reportTitle');
+    renderSnippetNotice(title, lines.join('\n'), list);
+    return counts.dropped;
+  }
+
   // 提案プロンプトのリストを更新
   function updatePromptCandidates() {
     try {
@@ -6160,6 +7637,11 @@ ${codeToUse}
   window.previewApp = app;
   window.previewApp.insertPromptText = insertPromptText;
   window.previewApp.insertErrorPrompt = insertErrorPrompt;
+  window.previewApp.showSnippetDiagnostics = showSnippetDiagnostics;
+  window.previewApp.showExecutionReport = showExecutionReport;
+  window.previewApp.getBrandKit = loadBrandKit;
+  window.previewApp.getExportOptions = loadExportOptions;
+  window.previewApp.getExportFileName = nextExportFileName;
   window.previewApp.sendHtmlSlides = sendHtmlSlides;
   window.previewApp.extractPreviewFrames = extractPreviewFrames;
   window.previewApp.downloadMultiplePptx = downloadMultiplePptx;
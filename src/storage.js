@@ -1,160 +1,47 @@
 // storage.js
 // Storage management utilities separated from previewPanel.js
 
+// 暗号化・復号は background service worker（background.js の "secure-storage"）で行い、暗号鍵は content script に渡さない
+// chrome.runtime が使えない場合はページの sessionStorage / localStorage に代わりに保存せず、失敗させる
 const secureStorage = (() => {
-  const enc = new TextEncoder();
-  const dec = new TextDecoder();
-  const KEY_NAME = '__secureStorageKey';
-  let keyPromise;
-
-  // 利用可能な storage オブジェクトを取得
-  function getStorage() {
-    if (chrome?.storage?.session) return chrome.storage.session;
-    try {
-      return sessionStorage;
-    } catch {
-      return null;
-    }
-  }
-
-  // 保存されている暗号鍵を読み込む
-  async function loadKey() {
-    const storage = getStorage();
-    if (!storage) return null;
-    try {
-      if (typeof storage.get === 'function') {
-        const res = await storage.get(KEY_NAME);
-        return res[KEY_NAME];
-      } else {
-        return storage.getItem(KEY_NAME);
+  function request(op, key, value) {
+    return new Promise((resolve, reject) => {
+      if (!(chrome && chrome.runtime && chrome.runtime.sendMessage)) {
+        reject(new Error('secureStorage is not available'));
+        return;
       }
-    } catch {
-      return null;
-    }
-  }
-
-  // 生成した鍵を保存する
-  async function saveKey(jwk) {
-    const storage = getStorage();
-    if (!storage) return;
-    if (typeof storage.set === 'function') {
-      await storage.set({ [KEY_NAME]: jwk });
-    } else {
-      storage.setItem(KEY_NAME, jwk);
-    }
-  }
-
-  // 暗号化に使う鍵を取得（なければ作成）
-  async function getKey() {
-    if (!keyPromise) {
-      keyPromise = (async () => {
-        let jwk = await loadKey();
-        if (jwk) {
-          try {
-            return await crypto.subtle.importKey(
-              'jwk',
-              JSON.parse(jwk),
-              { name: 'AES-GCM' },
-              false,
-              ['encrypt', 'decrypt']
-            );
-          } catch (e) {
-            console.warn('secureStorage key import error', e);
-          }
+      chrome.runtime.sendMessage({ action: 'secure-storage', op, key, value }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
         }
-        const key = await crypto.subtle.generateKey(
-          { name: 'AES-GCM', length: 256 },
-          true,
-          ['encrypt', 'decrypt']
-        );
-        try {
-          const exported = await crypto.subtle.exportKey('jwk', key);
-          await saveKey(JSON.stringify(exported));
-        } catch (e) {
-          console.warn('secureStorage key export error', e);
+        if (!response || !response.success) {
+          reject(new Error(response?.error?.message || 'secureStorage request failed'));
+          return;
         }
-        return key;
-      })();
-    }
-    return keyPromise;
-  }
-
-  // 文字列を暗号化する
-  async function encrypt(text) {
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    const key = await getKey();
-    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(text));
-    const buffer = new Uint8Array(iv.byteLength + encrypted.byteLength);
-    buffer.set(iv, 0);
-    buffer.set(new Uint8Array(encrypted), iv.byteLength);
-    return btoa(String.fromCharCode(...buffer));
-  }
-
-  // 暗号化されたデータを復号する
-  async function decrypt(data) {
-    const raw = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
-    const iv = raw.slice(0, 12);
-    const payload = raw.slice(12);
-    const key = await getKey();
-    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, payload);
-    return dec.decode(decrypted);
+        resolve(response);
+      });
+    });
   }
 
   return {
-    // 保存された値を復号して取得
+    // 保存された値を復号して取得（取得できなければ null）
     async getItem(k) {
-      const storage = getStorage();
-      if (!storage) return null;
       try {
-        let v;
-        if (typeof storage.get === 'function') {
-          const res = await storage.get(k);
-          v = res[k];
-        } else {
-          v = storage.getItem(k);
-        }
-        if (!v) return null;
-        return await decrypt(v);
+        const { value } = await request('get', k);
+        return value || null;
       } catch (e) {
-        console.warn('secureStorage decrypt error', e);
+        console.warn('secureStorage get error', e);
         return null;
       }
     },
-    // 文字列を暗号化して保存
+    // 文字列を暗号化して保存（保存できなければ例外）
     async setItem(k, v) {
-      const storage = getStorage();
-      if (!storage) return;
-      try {
-        const ev = await encrypt(v);
-        if (typeof storage.set === 'function') {
-          await storage.set({ [k]: ev });
-        } else {
-          storage.setItem(k, ev);
-        }
-      } catch (e) {
-        console.warn('secureStorage encrypt error', e);
-      }
+      await request('set', k, v);
     },
     // 指定キーのデータを削除
     async removeItem(k) {
-      const storage = getStorage();
-      if (!storage) return;
-      if (typeof storage.remove === 'function') {
-        await storage.remove(k);
-      } else {
-        storage.removeItem(k);
-      }
-    },
-    // 保存済みデータをすべて消去
-    async clear() {
-      const storage = getStorage();
-      if (!storage) return;
-      if (typeof storage.clear === 'function') {
-        await storage.clear();
-      } else {
-        storage.clear();
-      }
-      keyPromise = null;
+      await request('remove', k);
     },
   };
 })();
@@ -321,72 +208,81 @@ export { secureStorage };
 // API経由ダウンロード機能のためのAPIキー管理
 // ========================================
 
-/**
- * APIキーをchrome.storage.localから取得
- * @returns {Promise<string|null>} APIキー、または null
- */
-export async function loadApiKey() {
+// APIキーは接続先のプロファイル（apiEndpoints.js）ごとに secureStorage へ暗号化して保存する
+const API_KEY_PREFIX = 'apiKey:';
+// 以前の保存先（chrome.storage.local に平文で保存していた本番用のキー）。暗号化して保存し直したら削除する
+const LEGACY_API_KEY = 'pptx_api_key';
+
+// 平文で保存されていたキーを読み込む
+function readLegacyApiKey() {
   return new Promise((resolve) => {
-    if (chrome && chrome.storage && chrome.storage.local) {
-      chrome.storage.local.get(['pptx_api_key'], (result) => {
-        resolve(result.pptx_api_key || null);
-      });
-    } else {
-      try {
-        const key = localStorage.getItem('pptx_api_key');
-        resolve(key || null);
-      } catch {
-        resolve(null);
-      }
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      resolve(null);
+      return;
+    }
+    chrome.storage.local.get([LEGACY_API_KEY], (result = {}) => {
+      resolve(result[LEGACY_API_KEY] || null);
+    });
+  });
+}
+
+// 平文で保存されていたキーを削除する
+function removeLegacyApiKey() {
+  return new Promise((resolve) => {
+    if (!(chrome && chrome.storage && chrome.storage.local)) {
+      resolve();
+      return;
     }
+    chrome.storage.local.remove([LEGACY_API_KEY], () => resolve());
   });
 }
 
 /**
- * APIキーをchrome.storage.localに保存
+ * 接続先のプロファイルの APIキーを secureStorage から取得
+ * 本番のキーがなく、以前の平文のキーが残っていれば暗号化して保存し直し、平文のキーは削除する
+ * @param {string} [profileId] 接続先のプロファイル（既定は本番）
+ * @returns {Promise<string|null>} APIキー、または null
+ */
+export async function loadApiKey(profileId = 'production') {
+  const key = await secureStorage.getItem(API_KEY_PREFIX + profileId);
+  if (key || profileId !== 'production') return key || null;
+  const legacyKey = await readLegacyApiKey();
+  if (!legacyKey) return null;
+  try {
+    await saveApiKey(legacyKey, profileId);
+    console.log('[Storage] 平文で保存されていたAPIキーを暗号化して保存しました');
+  } catch (e) {
+    // 暗号化して保存できなかったときは平文のキーを消さず、次回やり直す
+    console.warn('[Storage] 平文で保存されていたAPIキーを移行できませんでした', e);
+  }
+  return legacyKey;
+}
+
+/**
+ * 接続先のプロファイルの APIキーを secureStorage に暗号化して保存
+ * 本番のキーを保存したら、以前の平文のキーは削除する
  * @param {string} apiKey - 保存するAPIキー
+ * @param {string} [profileId] 接続先のプロファイル（既定は本番）
  * @returns {Promise<void>}
+ * @throws {Error} 保存できなかった場合
  */
-export async function saveApiKey(apiKey) {
-  return new Promise((resolve) => {
-    if (chrome && chrome.storage && chrome.storage.local) {
-      chrome.storage.local.set({ pptx_api_key: apiKey }, () => {
-        console.log('[Storage] APIキーを保存しました');
-        resolve();
-      });
-    } else {
-      try {
-        localStorage.setItem('pptx_api_key', apiKey);
-        console.log('[Storage] APIキーを保存しました');
-        resolve();
-      } catch (e) {
-        console.error('[Storage] APIキーの保存に失敗しました', e);
-        resolve();
-      }
-    }
-  });
+export async function saveApiKey(apiKey, profileId = 'production') {
+  await secureStorage.setItem(API_KEY_PREFIX + profileId, apiKey);
+  // 復号できることを読み戻して確かめる
+  if (await secureStorage.getItem(API_KEY_PREFIX + profileId) !== apiKey) {
+    throw new Error('APIキーを保存できませんでした');
+  }
+  if (profileId === 'production') await removeLegacyApiKey();
+  console.log(`[Storage] APIキーを保存しました（${profileId}）`);
 }
 
 /**
- * APIキーをchrome.storage.localから削除
+ * 接続先のプロファイルの APIキーを削除
+ * @param {string} [profileId] 接続先のプロファイル（既定は本番）
  * @returns {Promise<void>}
  */
-export async function clearApiKey() {
-  return new Promise((resolve) => {
-    if (chrome && chrome.storage && chrome.storage.local) {
-      chrome.storage.local.remove(['pptx_api_key'], () => {
-        console.log('[Storage] APIキーをクリアしました');
-        resolve();
-      });
-    } else {
-      try {
-        localStorage.removeItem('pptx_api_key');
-        console.log('[Storage] APIキーをクリアしました');
-        resolve();
-      } catch (e) {
-        console.error('[Storage] APIキーのクリアに失敗しました', e);
-        resolve();
-      }
-    }
-  });
+export async function clearApiKey(profileId = 'production') {
+  await secureStorage.removeItem(API_KEY_PREFIX + profileId);
+  if (profileId === 'production') await removeLegacyApiKey();
+  console.log(`[Storage] APIキーをクリアしました（${profileId}）`);
 }
@@ -0,0 +1,313 @@
+/**
+ * ファイル名: src/templateLibrary.js
+ * 説明:
+ *   保存済みテンプレート（chrome.storage.local の pptxTemplates）の書き出し・読み込みと、テンプレートごとの変更履歴を扱うモジュール。
+ *   ストレージへの読み書きは previewPanel.js の getTemplates / saveTemplates が行い、ここでは配列の変換だけを行う。
+ *
+ * 主な機能:
+ *   - 選択したテンプレート、またはライブラリ全体をバージョン付き JSON（バンドル）に書き出す
+ *   - バンドルの検証と、既存テンプレートとの重複の処理（skip / rename / overwrite）
+ *   - 内容を上書きする前の状態を revisions に残し、任意の版に戻す
+ *   - 一覧の検索（名前・タグ・スライド内のテキスト）、タグの AND / OR 絞り込み、並び替え（お気に入りを先頭に固定）
+ *   - 使用回数・最終使用日時の記録
+ *
+ * バンドルの形式:
+ *   { format: 'pptx-genai-templates', version: 1, exportedAt, templates: [...] }
+ *   変更履歴（revisions）・お気に入り・使用回数は共有先では意味がないため書き出さない
+ */
+
+export const TEMPLATE_BUNDLE_FORMAT = 'pptx-genai-templates';
+export const TEMPLATE_BUNDLE_VERSION = 1;
+
+// テンプレートごとに残す履歴の数（プレビューHTMLを含むため storage の容量を考えて少なめ）
+export const MAX_TEMPLATE_REVISIONS = 5;
+
+// 履歴に残す（= 上書きで変わる）内容のフィールド
+const CONTENT_FIELDS = [
+  'name',
+  'originalCode',
+  'maskedCode',
+  'code',
+  'previewHtml',
+  'originalCodeLength',
+  'slotCode',
+  'slots',
+  'slotsVersion',
+  'tags',
+  'updatedAt'
+];
+
+// 書き出し・読み込みの対象にするフィールド
+const BUNDLE_FIELDS = ['id', 'createdAt'].concat(CONTENT_FIELDS);
+
+function pickFields(source, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+// 読み込んだテンプレートの id として受け付ける形式（一覧の data-id 属性などに入るため英数字・_・- のみ）
+const TEMPLATE_ID_PATTERN = /^[\w-]+$/;
+
+function createTemplateId() {
+  return `${Date.now()}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * テンプレートをバンドルに書き出す
+ * @param {Array<object>} templates 書き出すテンプレート
+ * @returns {{ format: string, version: number, exportedAt: string, templates: Array<object> }}
+ */
+export function buildTemplateBundle(templates) {
+  return {
+    format: TEMPLATE_BUNDLE_FORMAT,
+    version: TEMPLATE_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: (Array.isArray(templates) ? templates : []).map(template => pickFields(template, BUNDLE_FIELDS))
+  };
+}
+
+/**
+ * バンドルの JSON テキストを検証してテンプレートの配列を取り出す
+ * @param {string} text JSON テキスト
+ * @returns {Array<object>}
+ * @throws {Error} 形式が違う・新しいバージョンのバンドル・テンプレートが1件もない場合
+ */
+export function parseTemplateBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new Error('JSON として読み込めませんでした');
+  }
+  if (!bundle || bundle.format !== TEMPLATE_BUNDLE_FORMAT || !Array.isArray(bundle.templates)) {
+    throw new Error('テンプレートの書き出しファイルではありません');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > TEMPLATE_BUNDLE_VERSION) {
+    throw new Error(`対応していないバージョンです (version: ${bundle.version})`);
+  }
+  const templates = bundle.templates
+    .filter(template => template && typeof template.name === 'string' && (template.originalCode || template.code))
+    .map(template => {
+      const picked = pickFields(template, BUNDLE_FIELDS);
+      picked.id = typeof picked.id === 'string' && TEMPLATE_ID_PATTERN.test(picked.id) ? picked.id : createTemplateId();
+      picked.tags = Array.isArray(picked.tags) ? picked.tags.filter(tag => typeof tag === 'string') : [];
+      picked.createdAt = picked.createdAt || new Date().toISOString();
+      picked.updatedAt = picked.updatedAt || picked.createdAt;
+      return picked;
+    });
+  if (templates.length === 0) {
+    throw new Error('読み込めるテンプレートがありません');
+  }
+  return templates;
+}
+
+// 読み込むテンプレートと重複する既存テンプレート（同じ id、なければ同じ名前）を探す
+function findConflict(existing, template) {
+  return existing.find(t => t.id === template.id) || existing.find(t => t.name === template.name) || null;
+}
+
+/**
+ * 既存テンプレートと重複する読み込み対象を調べる
+ * @returns {Array<{ incoming: object, existing: object }>}
+ */
+export function findImportConflicts(existing, incoming) {
+  return incoming
+    .map(template => ({ incoming: template, existing: findConflict(existing, template) }))
+    .filter(pair => pair.existing);
+}
+
+// 既存の名前と重ならない名前を作る（例: 売上報告 (2)）
+function uniqueName(name, usedNames) {
+  let index = 2;
+  let candidate = `${name} (${index})`;
+  while (usedNames.has(candidate)) {
+    index++;
+    candidate = `${name} (${index})`;
+  }
+  return candidate;
+}
+
+/**
+ * テンプレートの現在の内容を履歴に残す（新しい順、MAX_TEMPLATE_REVISIONS 件まで）
+ * @param {object} template 対象のテンプレート（直接書き換える）
+ * @param {string} reason 履歴を残した理由（表示用）
+ * @returns {object} template
+ */
+export function recordTemplateRevision(template, reason) {
+  const revisions = Array.isArray(template.revisions) ? template.revisions.slice() : [];
+  revisions.unshift({
+    id: createTemplateId(),
+    savedAt: new Date().toISOString(),
+    reason: reason || '',
+    snapshot: pickFields(template, CONTENT_FIELDS)
+  });
+  template.revisions = revisions.slice(0, MAX_TEMPLATE_REVISIONS);
+  return template;
+}
+
+/**
+ * テンプレートの内容を置き換える（置き換える前の内容は履歴に残す）
+ * @param {object} template 対象のテンプレート（直接書き換える）
+ * @param {object} content 新しい内容（CONTENT_FIELDS のみ反映）
+ * @param {string} reason 履歴を残した理由
+ * @returns {object} template
+ */
+export function replaceTemplateContent(template, content, reason) {
+  recordTemplateRevision(template, reason);
+  CONTENT_FIELDS.forEach(field => {
+    if (field === 'updatedAt') return;
+    if (content[field] === undefined) {
+      delete template[field];
+    } else {
+      template[field] = content[field];
+    }
+  });
+  template.updatedAt = new Date().toISOString();
+  return template;
+}
+
+/**
+ * 履歴の版に戻す（戻す前の内容も履歴に残すので、戻した操作も取り消せる）
+ * @param {object} template 対象のテンプレート（直接書き換える）
+ * @param {string} revisionId 戻す版の id
+ * @returns {object} template
+ * @throws {Error} 版が見つからない場合
+ */
+export function restoreTemplateRevision(template, revisionId) {
+  const revisions = Array.isArray(template.revisions) ? template.revisions : [];
+  const revision = revisions.find(r => r.id === revisionId);
+  if (!revision) {
+    throw new Error('指定された履歴が見つかりません');
+  }
+  return replaceTemplateContent(template, revision.snapshot, `${revision.savedAt} の版に戻す前`);
+}
+
+/**
+ * 読み込んだテンプレートを既存の一覧に加える
+ * @param {Array<object>} existing 既存のテンプレート（変更しない）
+ * @param {Array<object>} incoming parseTemplateBundle の結果
+ * @param {'skip'|'rename'|'overwrite'} mode 重複したときの扱い
+ * @returns {{ templates: Array<object>, added: number, skipped: number, renamed: number, overwritten: number }}
+ */
+export function mergeImportedTemplates(existing, incoming, mode = 'skip') {
+  const templates = existing.map(template => ({ ...template }));
+  const usedNames = new Set(templates.map(template => template.name));
+  const usedIds = new Set(templates.map(template => template.id));
+  const result = { templates, added: 0, skipped: 0, renamed: 0, overwritten: 0 };
+
+  incoming.forEach(source => {
+    const template = { ...source };
+    const conflict = findConflict(templates, template);
+    if (!conflict) {
+      if (usedIds.has(template.id)) template.id = createTemplateId();
+      templates.push(template);
+      usedNames.add(template.name);
+      usedIds.add(template.id);
+      result.added++;
+      return;
+    }
+    if (mode === 'overwrite') {
+      replaceTemplateContent(conflict, template, 'インポートで上書きする前');
+      usedNames.add(conflict.name);
+      result.overwritten++;
+    } else if (mode === 'rename') {
+      template.id = createTemplateId();
+      template.name = uniqueName(template.name, usedNames);
+      templates.push(template);
+      usedNames.add(template.name);
+      usedIds.add(template.id);
+      result.renamed++;
+    } else {
+      result.skipped++;
+    }
+  });
+  return result;
+}
+
+// 一覧の並び順（お気に入りはどの並び順でも先頭）
+export const TEMPLATE_SORT_KEYS = ['created', 'lastUsed', 'useCount'];
+
+// 検索用に全角・半角と大文字・小文字をそろえる
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * テンプレートの検索対象テキスト（名前・タグ・スライド内のテキスト）を作る
+ * @param {object} template テンプレート
+ * @param {Array<object>} slots templateSlots のスロット定義（default にスライド内のテキストが入っている）
+ * @returns {string}
+ */
+export function buildTemplateSearchText(template, slots) {
+  const parts = [template.name].concat(template.tags || []);
+  (Array.isArray(slots) ? slots : []).forEach(slot => {
+    if (slot.type === 'numberList') return;
+    parts.push(Array.isArray(slot.default) ? slot.default.join(' ') : slot.default);
+  });
+  return normalizeSearchText(parts.join('\n'));
+}
+
+/**
+ * 検索語とタグで絞り込む
+ * @param {Array<object>} templates テンプレート
+ * @param {{ query: string, tags: string[], tagMode: 'and'|'or' }} filter 検索語は空白区切りですべてを含むものを残す
+ * @param {(template: object) => string} searchTextOf buildTemplateSearchText の結果を返す関数（呼び出し側でキャッシュする）
+ * @returns {Array<object>}
+ */
+export function filterTemplates(templates, filter, searchTextOf) {
+  const words = normalizeSearchText(filter.query).split(/\s+/).filter(Boolean);
+  const tags = Array.isArray(filter.tags) ? filter.tags : [];
+  return templates.filter(template => {
+    const templateTags = template.tags || [];
+    if (tags.length) {
+      const matches = filter.tagMode === 'or'
+        ? tags.some(tag => templateTags.includes(tag))
+        : tags.every(tag => templateTags.includes(tag));
+      if (!matches) return false;
+    }
+    if (!words.length) return true;
+    const text = searchTextOf(template);
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * 並び替える（お気に入りが先頭、同じ順位なら新しく作成した順）
+ * @param {Array<object>} templates テンプレート（変更しない）
+ * @param {'created'|'lastUsed'|'useCount'} sort 並び順
+ * @returns {Array<object>}
+ */
+export function sortTemplates(templates, sort = 'created') {
+  const time = value => (value ? new Date(value).getTime() || 0 : 0);
+  const keyOf = template => {
+    if (sort === 'lastUsed') return time(template.lastUsedAt);
+    if (sort === 'useCount') return template.useCount || 0;
+    return time(template.createdAt);
+  };
+  return templates.slice().sort((a, b) =>
+    (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0) ||
+    keyOf(b) - keyOf(a) ||
+    time(b.createdAt) - time(a.createdAt)
+  );
+}
+
+/**
+ * テンプレートの使用回数と最終使用日時を更新する
+ * @param {Array<object>} templates テンプレート（該当するものを直接書き換える）
+ * @param {string[]} ids 使用したテンプレートの id
+ * @returns {number} 更新した件数
+ */
+export function recordTemplateUsage(templates, ids) {
+  const now = new Date().toISOString();
+  let updated = 0;
+  templates.forEach(template => {
+    if (!ids.includes(template.id)) return;
+    template.useCount = (template.useCount || 0) + 1;
+    template.lastUsedAt = now;
+    updated++;
+  });
+  return updated;
+}
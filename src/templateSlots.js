@@ -0,0 +1,627 @@
+/**
+ * ファイル名: src/templateSlots.js
+ * 説明:
+ *   保存したテンプレート（PptxGenJS スニペット）のコンテンツ部分を名前付きスロットに置き換えるモジュール。
+ *   テンプレートを再利用するときは AI にスロットの値だけを JSON で出力させ、コードへの流し込みは手元で行うため、
+ *   レイアウトや装飾が AI によって書き換えられることがない。
+ *
+ * 主な機能:
+ *   - addText のテキスト（文字列・テキストラン）、addTable のセル、addChart の系列（名前・ラベル・値）をスロット化
+ *   - テキストボックスの大きさとフォントサイズから最大文字数の目安を算出
+ *   - スロットの値（AI の JSON 回答や CSV の行）をコードへ流し込み
+ *   - AI にスロットの値を JSON で出力させるプロンプトの作成と、回答 JSON の読み取り
+ *   - テンプレートのサムネイル用に、同じ解析でテキスト・数値を伏せたコードの作成
+ *
+ * スロット付きコードでは、元の文字列・数値リテラルが {{スロット名}} に置き換わる。
+ * 変数やループで組み立てた値は置き換えず、そのまま残す。
+ */
+
+// スロット形式のバージョン（保存データの互換性判定用）
+export const TEMPLATE_SLOTS_VERSION = 1;
+
+// AI の回答 JSON でスロット値を格納するキー
+export const TEMPLATE_SLOTS_KEY = 'templateSlots';
+
+// PptxGenJS の既定フォントサイズ（pt）
+const DEFAULT_FONT_SIZE = 18;
+
+// スロット化の対象となる呼び出し
+const SLOT_CALL_RE = /\.\s*(addSlide|addText|addTable|addChart)\s*\(/g;
+
+const PLACEHOLDER_RE = /\{\{(\w+)\}\}/g;
+
+// 文字列・コメントを読み飛ばしながら code[index] から始まるリテラル／コメントの終端を返す（該当しなければ -1）
+function skipStringOrComment(code, index) {
+  const ch = code[index];
+  if (ch === '"' || ch === "'" || ch === '`') {
+    let i = index + 1;
+    while (i < code.length && code[i] !== ch) {
+      if (code[i] === '\\') i++;
+      i++;
+    }
+    return i + 1;
+  }
+  if (ch === '/' && code[index + 1] === '/') {
+    const end = code.indexOf('\n', index);
+    return end === -1 ? code.length : end;
+  }
+  if (ch === '/' && code[index + 1] === '*') {
+    const end = code.indexOf('*/', index + 2);
+    return end === -1 ? code.length : end + 2;
+  }
+  return -1;
+}
+
+// 文字列・コメントの範囲を除いたうえで、正規表現に一致する位置を列挙する
+function findCodeMatches(code, re) {
+  const skipped = [];
+  for (let i = 0; i < code.length;) {
+    const end = skipStringOrComment(code, i);
+    if (end === -1) {
+      i++;
+      continue;
+    }
+    skipped.push([i, end]);
+    i = end;
+  }
+  const matches = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(code))) {
+    const pos = m.index;
+    if (!skipped.some(([s, e]) => pos >= s && pos < e)) matches.push(m);
+  }
+  return matches;
+}
+
+// 開き括弧に対応する閉じ括弧の位置を返す
+function findClosing(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length;) {
+    const end = skipStringOrComment(code, i);
+    if (end !== -1) {
+      i = end;
+      continue;
+    }
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+// JavaScript の文字列リテラルの中身をデコードする
+function decodeJsString(body) {
+  return body.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (m, esc) => {
+    if (esc[0] === 'u' && esc[1] === '{') return String.fromCodePoint(parseInt(esc.slice(2, -1), 16));
+    if (esc[0] === 'u' && esc.length === 5) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    if (esc[0] === 'x' && esc.length === 3) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    const map = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0', '\n': '' };
+    return esc in map ? map[esc] : esc;
+  });
+}
+
+// 引数などの値を簡易的に構文解析する
+// 文字列・数値・オブジェクト・配列リテラルのみ解釈し、それ以外の式は kind: 'other' として位置だけ記録する
+function parseValue(code, start, end) {
+  let i = skipSpace(code, start, end);
+  const node = parsePrimary(code, i, end);
+  i = skipSpace(code, node.end, end);
+  if (i < end && !',)]}'.includes(code[i])) {
+    // 演算子などが続く式（"a" + b、evenX(...) など）はリテラルとして扱わない
+    return { kind: 'other', start: node.start, end: skipExpression(code, i, end) };
+  }
+  return node;
+}
+
+function parsePrimary(code, start, end) {
+  const ch = code[start];
+  if (ch === '"' || ch === "'" || ch === '`') {
+    const stop = skipStringOrComment(code, start);
+    const body = code.slice(start + 1, stop - 1);
+    if (ch === '`' && body.includes('${')) return { kind: 'other', start, end: stop };
+    return { kind: 'string', value: decodeJsString(body), start, end: stop };
+  }
+  if (ch === '{') return parseObject(code, start, end);
+  if (ch === '[') return parseArray(code, start, end);
+  const num = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(code.slice(start, end));
+  if (num) return { kind: 'number', value: Number(num[0]), start, end: start + num[0].length };
+  return { kind: 'other', start, end: skipExpression(code, start, end) };
+}
+
+function parseObject(code, start, end) {
+  const close = findClosing(code, start);
+  const node = { kind: 'object', props: [], start, end: close + 1 };
+  let i = start + 1;
+  while (i < close) {
+    i = skipSpace(code, i, close);
+    if (i >= close) break;
+    let key = null;
+    const keyMatch = /^[A-Za-z_$][\w$]*/.exec(code.slice(i, close));
+    if (keyMatch) {
+      key = keyMatch[0];
+      i += key.length;
+    } else if (code[i] === '"' || code[i] === "'") {
+      const stop = skipStringOrComment(code, i);
+      key = decodeJsString(code.slice(i + 1, stop - 1));
+      i = stop;
+    }
+    i = skipSpace(code, i, close);
+    if (key !== null && code[i] === ':') {
+      const value = parseValue(code, i + 1, close);
+      node.props.push({ key, value });
+      i = value.end;
+    } else {
+      // 省略記法・スプレッド・計算プロパティ名は対象外
+      i = skipExpression(code, i, close);
+    }
+    i = skipSpace(code, i, close);
+    if (code[i] === ',') i++;
+  }
+  return node;
+}
+
+function parseArray(code, start, end) {
+  const close = findClosing(code, start);
+  const node = { kind: 'array', items: [], start, end: close + 1 };
+  let i = start + 1;
+  while (i < close) {
+    i = skipSpace(code, i, close);
+    if (i >= close) break;
+    const item = parseValue(code, i, close);
+    node.items.push(item);
+    i = skipSpace(code, item.end, close);
+    if (code[i] === ',') i++;
+  }
+  return node;
+}
+
+// 空白とコメントを読み飛ばす
+function skipSpace(code, start, end) {
+  let i = start;
+  while (i < end) {
+    if (/\s/.test(code[i])) {
+      i++;
+    } else if (code[i] === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+      i = skipStringOrComment(code, i);
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+// 同じ階層の区切り（, や閉じ括弧）まで読み飛ばす
+function skipExpression(code, start, end) {
+  let i = start;
+  while (i < end) {
+    const stop = skipStringOrComment(code, i);
+    if (stop !== -1) {
+      i = stop;
+      continue;
+    }
+    const ch = code[i];
+    if (ch === '(' || ch === '[' || ch === '{') {
+      i = findClosing(code, i) + 1;
+      continue;
+    }
+    if (ch === ',' || ch === ')' || ch === ']' || ch === '}') break;
+    i++;
+  }
+  return i;
+}
+
+// 呼び出しの引数を解析する
+function parseCallArgs(code, openIndex) {
+  const close = findClosing(code, openIndex);
+  const args = [];
+  let i = openIndex + 1;
+  while (i < close) {
+    i = skipSpace(code, i, close);
+    if (i >= close) break;
+    const arg = parseValue(code, i, close);
+    args.push(arg);
+    i = skipSpace(code, arg.end, close);
+    if (code[i] === ',') i++;
+  }
+  return { args, end: close + 1 };
+}
+
+function getProp(node, key) {
+  if (!node || node.kind !== 'object') return null;
+  const prop = node.props.find(p => p.key === key);
+  return prop ? prop.value : null;
+}
+
+function getNumberProp(node, key) {
+  const value = getProp(node, key);
+  return value && value.kind === 'number' ? value.value : null;
+}
+
+// テキストボックスに収まる文字数の目安（全角文字を基準に計算）
+function estimateTextCapacity(opts, fallbackLength) {
+  const fallback = Math.max(10, Math.ceil(fallbackLength * 1.5));
+  const w = getNumberProp(opts, 'w');
+  const h = getNumberProp(opts, 'h');
+  if (!w || !h) return fallback;
+  const fontSize = getNumberProp(opts, 'fontSize') || DEFAULT_FONT_SIZE;
+  const perLine = Math.floor(((w - 0.2) * 72) / fontSize);
+  const lines = Math.floor(((h - 0.1) * 72) / (fontSize * 1.2));
+  const capacity = Math.max(1, perLine) * Math.max(1, lines);
+  return Math.max(capacity, fallbackLength);
+}
+
+/**
+ * スニペットからスロットを抽出し、スロット付きコードを作成する
+ * @param {string} code PptxGenJS スニペット
+ * @returns {{ slotCode: string, slots: Array<object>, version: number }}
+ *   slots の各要素: { name, type: 'text' | 'textList' | 'numberList', role, slide, default, maxLength?, maxItems? }
+ */
+export function extractTemplateSlots(code) {
+  const src = typeof code === 'string' ? code : '';
+  const slots = [];
+  const replacements = [];
+  const counters = {};
+  let slideNo = 0;
+
+  const nextName = (kind) => {
+    const key = `${Math.max(slideNo, 1)}_${kind}`;
+    counters[key] = (counters[key] || 0) + 1;
+    return `slide${Math.max(slideNo, 1)}_${kind}${counters[key]}`;
+  };
+  const addSlot = (node, slot) => {
+    slots.push({ slide: Math.max(slideNo, 1), ...slot });
+    replacements.push({ start: node.start, end: node.end, name: slot.name });
+  };
+
+  for (const m of findCodeMatches(src, SLOT_CALL_RE)) {
+    const method = m[1];
+    if (method === 'addSlide') {
+      slideNo++;
+      continue;
+    }
+    const openIndex = m.index + m[0].length - 1;
+    if (findClosing(src, openIndex) === -1) continue;
+    const { args } = parseCallArgs(src, openIndex);
+
+    if (method === 'addText') {
+      const [content, opts] = args;
+      if (!content) continue;
+      if (content.kind === 'string') {
+        addSlot(content, {
+          name: nextName('text'),
+          type: 'text',
+          role: 'text',
+          default: content.value,
+          maxLength: estimateTextCapacity(opts, content.value.length)
+        });
+      } else if (content.kind === 'array') {
+        // テキストラン: 文字数の目安はボックス全体の容量を元の文字数で按分する
+        const runs = content.items
+          .map(item => getProp(item, 'text'))
+          .filter(text => text && text.kind === 'string' && text.value.trim());
+        const total = runs.reduce((sum, text) => sum + text.value.length, 0);
+        const capacity = estimateTextCapacity(opts, total);
+        const name = nextName('text');
+        runs.forEach((text, index) => {
+          addSlot(text, {
+            name: `${name}_run${index + 1}`,
+            type: 'text',
+            role: 'textRun',
+            default: text.value,
+            maxLength: Math.max(text.value.length, Math.round(capacity * (text.value.length / (total || 1))))
+          });
+        });
+      }
+    } else if (method === 'addTable') {
+      const [rows] = args;
+      if (!rows || rows.kind !== 'array') continue;
+      const name = nextName('table');
+      rows.items.forEach((row, r) => {
+        if (row.kind !== 'array') return;
+        row.items.forEach((cell, c) => {
+          const text = cell.kind === 'string' ? cell : getProp(cell, 'text');
+          if (!text || text.kind !== 'string') return;
+          addSlot(text, {
+            name: `${name}_r${r + 1}c${c + 1}`,
+            type: 'text',
+            role: 'tableCell',
+            default: text.value,
+            maxLength: Math.max(10, Math.ceil(text.value.length * 1.5))
+          });
+        });
+      });
+    } else if (method === 'addChart') {
+      // 複合グラフは [{ type, data: [...] }, ...]、通常は (type, data, opts)
+      const seriesLists = args[0] && args[0].kind === 'array'
+        ? args[0].items.map(item => getProp(item, 'data'))
+        : [args[1]];
+      const name = nextName('chart');
+      let seriesNo = 0;
+      seriesLists.forEach(list => {
+        if (!list || list.kind !== 'array') return;
+        list.items.forEach(series => {
+          if (series.kind !== 'object') return;
+          seriesNo++;
+          const base = `${name}_series${seriesNo}`;
+          const seriesName = getProp(series, 'name');
+          if (seriesName && seriesName.kind === 'string') {
+            addSlot(seriesName, {
+              name: `${base}_name`,
+              type: 'text',
+              role: 'chartName',
+              default: seriesName.value,
+              maxLength: Math.max(20, Math.ceil(seriesName.value.length * 1.5))
+            });
+          }
+          const labels = getProp(series, 'labels');
+          if (labels && labels.kind === 'array' && labels.items.length && labels.items.every(item => item.kind === 'string')) {
+            const values = labels.items.map(item => item.value);
+            addSlot(labels, {
+              name: `${base}_labels`,
+              type: 'textList',
+              role: 'chartLabels',
+              default: values,
+              maxItems: values.length,
+              maxLength: Math.max(10, Math.ceil(Math.max(...values.map(v => v.length)) * 1.5))
+            });
+          }
+          const numbers = getProp(series, 'values');
+          if (numbers && numbers.kind === 'array' && numbers.items.length && numbers.items.every(item => item.kind === 'number')) {
+            addSlot(numbers, {
+              name: `${base}_values`,
+              type: 'numberList',
+              role: 'chartValues',
+              default: numbers.items.map(item => item.value),
+              maxItems: numbers.items.length
+            });
+          }
+        });
+      });
+    }
+  }
+
+  // 後ろから置き換えて位置がずれないようにする
+  let slotCode = src;
+  replacements
+    .sort((a, b) => b.start - a.start)
+    .forEach(r => {
+      slotCode = slotCode.slice(0, r.start) + `{{${r.name}}}` + slotCode.slice(r.end);
+    });
+
+  return { slotCode, slots, version: TEMPLATE_SLOTS_VERSION };
+}
+
+// 値をスロットの型に合わせて変換する
+function coerceSlotValue(slot, value) {
+  if (slot.type === 'textList' || slot.type === 'numberList') {
+    // 文字列は改行か | で区切る（どちらもなければ , や 、 で区切る）
+    const text = Array.isArray(value) ? '' : String(value);
+    let list = Array.isArray(value)
+      ? value
+      : text.split(/\r?\n|\|/.test(text) ? /\r?\n|\|/ : /,|、/).map(v => v.trim()).filter(v => v !== '');
+    if (slot.type === 'numberList') {
+      list = list.map(v => {
+        const num = typeof v === 'number' ? v : parseFloat(String(v).replace(/[,，%％\s]/g, ''));
+        return Number.isFinite(num) ? num : 0;
+      });
+    } else {
+      list = list.map(v => String(v));
+    }
+    return list;
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * スロットに値を流し込んだコードを作成する
+ * @param {{ slotCode: string, slots: Array<object> }} template extractTemplateSlots の結果
+ * @param {object} values スロット名 → 値（足りないスロットは元の値を使用）
+ * @returns {{ code: string, warnings: string[] }}
+ */
+export function fillTemplateSlots(template, values = {}) {
+  const slots = Array.isArray(template && template.slots) ? template.slots : [];
+  const byName = new Map(slots.map(slot => [slot.name, slot]));
+  const input = values && typeof values === 'object' ? values : {};
+  const warnings = [];
+
+  Object.keys(input).forEach(name => {
+    if (!byName.has(name)) warnings.push(`Unknown slot: ${name}`);
+  });
+
+  const code = String((template && template.slotCode) || '').replace(PLACEHOLDER_RE, (m, name) => {
+    const slot = byName.get(name);
+    if (!slot) return m;
+    let value;
+    if (Object.prototype.hasOwnProperty.call(input, name) && input[name] !== null && input[name] !== undefined) {
+      value = coerceSlotValue(slot, input[name]);
+    } else {
+      warnings.push(`Missing value for slot: ${name} (kept the original)`);
+      value = slot.default;
+    }
+    if (slot.maxItems && Array.isArray(value) && value.length !== slot.maxItems) {
+      warnings.push(`${name}: expected ${slot.maxItems} item(s) but got ${value.length}`);
+    }
+    const texts = Array.isArray(value) ? value.filter(v => typeof v === 'string') : [value];
+    if (slot.maxLength && texts.some(v => typeof v === 'string' && v.length > slot.maxLength)) {
+      warnings.push(`${name}: longer than ${slot.maxLength} characters`);
+    }
+    return JSON.stringify(value);
+  });
+
+  return { code, warnings };
+}
+
+// マスキングの対象（スロットの role → performMasking のオプション名）
+const MASK_OPTION_BY_ROLE = {
+  text: 'maskText',
+  textRun: 'maskBullet',
+  tableCell: 'maskTable',
+  chartName: 'maskChart',
+  chartLabels: 'maskChart',
+  chartValues: 'randomValues'
+};
+
+// 文字を X に置き換える（preserveSpaces なら空白・改行は残す）
+function maskText(text, preserveSpaces) {
+  return Array.from(String(text)).map(ch => (preserveSpaces && /\s/.test(ch) ? ch : 'X')).join('');
+}
+
+// 数値をランダムな値に置き換える
+// keepMagnitude: 元の値の ±30% の範囲、keepDigits: 整数部の桁数と小数点以下の桁数を元の値に合わせる
+function maskNumber(value, { keepMagnitude, keepDigits, random }) {
+  const decimals = (String(value).split('.')[1] || '').length;
+  const abs = Math.abs(value);
+  let next = keepMagnitude
+    ? abs * (0.7 + random() * 0.6)
+    : random() * 100;
+  if (keepDigits) {
+    const digits = Math.max(1, Math.floor(abs).toString().length);
+    const min = digits === 1 ? 0 : 10 ** (digits - 1);
+    const max = 10 ** digits - 1;
+    next = Math.min(max, Math.max(min, next));
+  }
+  const rounded = Number(next.toFixed(keepDigits ? decimals : Math.min(decimals, 2)));
+  return value < 0 ? -rounded : rounded;
+}
+
+/**
+ * スニペットのテキスト・表のセル・グラフの系列名／ラベル・数値を伏せたコードを作成する（テンプレートのサムネイル用）
+ * 文字列の位置は extractTemplateSlots と同じ解析で特定するため、テンプレートリテラルやエスケープを含む文字列も扱える
+ * @param {string} code PptxGenJS スニペット
+ * @param {object} [options]
+ * @param {boolean} [options.maskText=true] addText の文字列
+ * @param {boolean} [options.maskBullet=true] addText のテキストラン（箇条書き）
+ * @param {boolean} [options.maskTable=true] addTable のセル
+ * @param {boolean} [options.maskChart=true] addChart の系列名・ラベル
+ * @param {boolean} [options.randomValues=true] addChart の数値
+ * @param {boolean} [options.keepMagnitude=true] 数値を元の値の ±30% に収める
+ * @param {boolean} [options.keepDigits=false] 数値の桁数を元の値に合わせる
+ * @param {boolean} [options.preserveSpaces=false] 空白・改行を残す
+ * @param {() => number} [options.random=Math.random] 乱数（テスト用）
+ * @param {(code: string) => { ok: boolean, diagnostics: Array<object> }} [options.validate]
+ *   伏せた後のコードの検証（既定は safePptxExecutor.js の validatePptxSnippet。読み込まれていなければ検証しない）
+ * @returns {{ code: string, masked: number }} masked は伏せた箇所の数
+ * @throws {Error} 伏せたことで元のコードになかったエラーが検証で見つかった場合
+ */
+export function maskTemplateCode(code, options = {}) {
+  const opts = {
+    maskText: true,
+    maskBullet: true,
+    maskTable: true,
+    maskChart: true,
+    randomValues: true,
+    keepMagnitude: true,
+    keepDigits: false,
+    preserveSpaces: false,
+    random: Math.random,
+    validate: globalThis.validatePptxSnippet,
+    ...options
+  };
+  const template = extractTemplateSlots(code);
+  const values = {};
+  let masked = 0;
+  template.slots.forEach(slot => {
+    if (!opts[MASK_OPTION_BY_ROLE[slot.role]]) {
+      values[slot.name] = slot.default;
+      return;
+    }
+    masked++;
+    if (slot.type === 'numberList') {
+      values[slot.name] = slot.default.map(v => maskNumber(v, opts));
+    } else if (slot.type === 'textList') {
+      values[slot.name] = slot.default.map(v => maskText(v, opts.preserveSpaces));
+    } else {
+      values[slot.name] = maskText(slot.default, opts.preserveSpaces);
+    }
+  });
+  const result = fillTemplateSlots(template, values).code;
+
+  // 伏せた後のコードを実行時と同じ検証にかけ、元のコードになかったエラーが増えていないことを確認する
+  if (typeof opts.validate === 'function') {
+    const countErrors = (src) => {
+      const counts = {};
+      opts.validate(src).diagnostics
+        .filter(d => d.severity === 'error')
+        .forEach(d => { counts[d.code] = (counts[d.code] || 0) + 1; });
+      return counts;
+    };
+    const before = countErrors(code);
+    const after = countErrors(result);
+    const introduced = Object.keys(after).filter(key => after[key] > (before[key] || 0));
+    if (introduced.length) {
+      throw new Error(`Masked code failed validation: ${introduced.join(', ')}`);
+    }
+  }
+  return { code: result, masked };
+}
+
+// スロット定義を AI 向けの説明文（1 スロット 1 行）に整形する
+function describeSlot(slot) {
+  const kind = {
+    text: 'テキスト',
+    textRun: 'テキスト（同じボックス内の一部分）',
+    tableCell: '表のセル',
+    chartName: 'グラフの系列名',
+    chartLabels: 'グラフのラベル（文字列の配列）',
+    chartValues: 'グラフの値（数値の配列）'
+  }[slot.role] || 'テキスト';
+  const limits = [];
+  if (slot.maxItems) limits.push(`${slot.maxItems}個`);
+  if (slot.maxLength) limits.push(`${slot.type === 'text' ? '' : '各'}最大${slot.maxLength}文字`);
+  const limitText = limits.length ? `・${limits.join('・')}` : '';
+  return `- ${slot.name}（${kind}${limitText}）現在の値: ${JSON.stringify(slot.default)}`;
+}
+
+/**
+ * スロットの値を JSON で出力させるプロンプトを作成する
+ * @param {{ slots: Array<object> }} template extractTemplateSlots の結果
+ * @param {string} inputText ユーザーの指示
+ * @returns {string}
+ */
+export function buildSlotFillPrompt(template, inputText) {
+  const slots = Array.isArray(template && template.slots) ? template.slots : [];
+  const example = {};
+  slots.slice(0, 3).forEach(slot => {
+    example[slot.name] = slot.type === 'text' ? '...' : slot.type === 'numberList' ? [0] : ['...'];
+  });
+  return `スライドのテンプレートに流し込む内容を作成してください。
+#全体指示 に従って、#スロット定義 の各スロットに入れる値を考え、JSON のコードブロック1つだけを出力してください。
+コードやデザインの説明は出力しないでください。レイアウトはテンプレート側で固定されています。
+
+#全体指示
+${inputText}
+
+#出力ルール
+- \`\`\`json のコードブロックに {"${TEMPLATE_SLOTS_KEY}": {スロット名: 値}} の形式で出力する
+- すべてのスロットに値を入れる（スロット名は変更しない）
+- テキストは最大文字数を超えない（改行は \\n）
+- 配列のスロットは指定された個数の配列にする。グラフの値は数値のみ
+
+#出力例
+\`\`\`json
+${JSON.stringify({ [TEMPLATE_SLOTS_KEY]: example }, null, 2)}
+\`\`\`
+
+#スロット定義
+${slots.map(describeSlot).join('\n')}`;
+}
+
+/**
+ * AI の回答からスロット値の JSON を読み取る
+ * @param {string} text JSON テキスト
+ * @returns {object|null} スロット名 → 値
+ */
+export function parseSlotValuesJson(text) {
+  try {
+    const data = JSON.parse(String(text || '').trim());
+    const values = data && data[TEMPLATE_SLOTS_KEY];
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : null;
+  } catch {
+    return null;
+  }
+}
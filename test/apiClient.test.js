@@ -0,0 +1,183 @@
+// src/apiClient.js のジョブAPIによる生成と、ジョブ非対応のサーバーでの同期APIへの切り替え、
+// 大きなレスポンスの分割受信（readResponseBlob）のテスト
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// storage.js は読み込み時に window.secureStorage を設定する
+globalThis.window = globalThis;
+const { generatePptxBlobViaApi, readResponseBlob } = await import('../src/apiClient.js');
+
+const PPTX_BASE64 = Buffer.from('PK\u0003\u0004pptx').toString('base64');
+const PPTX_RESPONSE = {
+  ok: true,
+  status: 200,
+  headers: {},
+  data: { success: true, data: PPTX_BASE64, mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' }
+};
+
+// background.js の代わり
+// jobMessages はジョブのポートで "start" を受け取ったときに返すメッセージ、requests は送られた内容
+function installChrome({ profile, baseUrl, jobMessages }) {
+  const requests = [];
+  const local = { apiEndpoint: { profile, urls: { staging: baseUrl, localhost: baseUrl } } };
+  globalThis.chrome = {
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      sendMessage: (message, cb) => {
+        if (message.action === 'secure-storage') {
+          return cb({ success: true, value: message.op === 'get' ? 'test-key' : undefined });
+        }
+        requests.push({ type: 'api-fetch', url: message.url, body: message.options.body });
+        return cb({ success: true, response: PPTX_RESPONSE });
+      },
+      connect: ({ name }) => {
+        const listeners = { message: [], disconnect: [] };
+        return {
+          name,
+          onMessage: { addListener: fn => listeners.message.push(fn) },
+          onDisconnect: { addListener: fn => listeners.disconnect.push(fn) },
+          disconnect: () => {},
+          postMessage: (msg) => {
+            if (msg.action !== 'start') return;
+            requests.push({ type: 'api-job', url: `${msg.baseUrl}/jobs`, body: msg.body });
+            queueMicrotask(() => jobMessages.forEach(m => listeners.message.forEach(fn => fn(m))));
+          }
+        };
+      }
+    },
+    storage: {
+      local: {
+        get: (keys, cb) => cb(Object.fromEntries([].concat(keys).filter(k => k in local).map(k => [k, local[k]])))
+      }
+    }
+  };
+  return requests;
+}
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test('ジョブAPIで生成し、進捗を通知する', async () => {
+  const requests = installChrome({
+    profile: 'staging',
+    baseUrl: 'https://jobs.example.com',
+    jobMessages: [
+      { type: 'progress', jobId: 'j1', status: 'running', progress: { completed: 1, total: 3 } },
+      { type: 'response', response: PPTX_RESPONSE }
+    ]
+  });
+  const progress = [];
+  const blob = await generatePptxBlobViaApi('slide.addText("a")', 'a.pptx', {}, { onProgress: p => progress.push(p) });
+  assert.equal(Buffer.from(await blob.arrayBuffer()).toString('base64'), PPTX_BASE64);
+  assert.deepEqual(progress, [{ status: 'running', completed: 1, total: 3 }]);
+  assert.deepEqual(requests.map(r => r.type), ['api-job']);
+});
+
+test('ジョブ非対応のサーバーでは同期APIで送り直し、以後は最初から同期APIで送る', async () => {
+  const requests = installChrome({
+    profile: 'localhost',
+    baseUrl: 'http://localhost:8787',
+    jobMessages: [{ type: 'unsupported' }]
+  });
+  await generatePptxBlobViaApi('slide.addText("a")', 'a.pptx');
+  assert.deepEqual(requests.map(r => [r.type, r.url]), [
+    ['api-job', 'http://localhost:8787/jobs'],
+    ['api-fetch', 'http://localhost:8787/generate-pptx']
+  ]);
+  assert.equal(JSON.parse(requests[1].body).script, 'slide.addText("a")');
+
+  requests.length = 0;
+  await generatePptxBlobViaApi('slide.addText("b")', 'b.pptx');
+  assert.deepEqual(requests.map(r => [r.type, r.url]), [['api-fetch', 'http://localhost:8787/generate-pptx']]);
+});
+
+test('ジョブ非対応として覚えるのはその接続先だけ', async () => {
+  const requests = installChrome({
+    profile: 'staging',
+    baseUrl: 'https://other.example.com',
+    jobMessages: [{ type: 'response', response: PPTX_RESPONSE }]
+  });
+  await generatePptxBlobViaApi('slide.addText("c")', 'c.pptx');
+  assert.deepEqual(requests.map(r => r.type), ['api-job']);
+});
+
+test('ジョブが失敗したら request のエラーにする', async () => {
+  installChrome({
+    profile: 'staging',
+    baseUrl: 'https://failed.example.com',
+    jobMessages: [{ type: 'failed', error: { message: 'SyntaxError' } }]
+  });
+  await assert.rejects(generatePptxBlobViaApi('slide.addText(', 'd.pptx'), (error) => {
+    assert.equal(error.kind, 'request');
+    assert.match(error.message, /SyntaxError/);
+    return true;
+  });
+});
+
+// background.js の "api-transfer" ポートの代わり
+// "start" / "next" を受け取るたびに messages を 1 つずつ返し、受け取った内容を received に残す
+function installTransfer(messages) {
+  const received = [];
+  let disconnected = false;
+  globalThis.chrome = {
+    runtime: {
+      lastError: undefined,
+      connect: ({ name }) => {
+        const listeners = { message: [], disconnect: [] };
+        const queue = [...messages];
+        return {
+          name,
+          onMessage: { addListener: fn => listeners.message.push(fn) },
+          onDisconnect: { addListener: fn => listeners.disconnect.push(fn) },
+          disconnect: () => { disconnected = true; },
+          postMessage: (msg) => {
+            received.push(msg);
+            const next = queue.shift();
+            if (next) queueMicrotask(() => listeners.message.forEach(fn => fn(next)));
+          }
+        };
+      }
+    }
+  };
+  return { received, isDisconnected: () => disconnected };
+}
+
+const chunk = text => ({ type: 'chunk', data: Buffer.from(text).toString('base64') });
+
+test('小さなレスポンスはそのまま Blob にする', async () => {
+  const blob = await readResponseBlob(PPTX_RESPONSE);
+  assert.equal(blob.type, PPTX_RESPONSE.data.mimeType);
+  assert.equal(Buffer.from(await blob.arrayBuffer()).toString('base64'), PPTX_BASE64);
+  await assert.rejects(readResponseBlob({ ok: true, status: 200, data: {} }), (error) => {
+    assert.equal(error.kind, 'server');
+    return true;
+  });
+});
+
+test('大きなレスポンスは "api-transfer" ポートで分割して受け取り、つなげて Blob にする', async () => {
+  const { received, isDisconnected } = installTransfer([chunk('PK\u0003'), chunk('\u0004pp'), chunk('tx'), { type: 'end' }]);
+  const blob = await readResponseBlob({ ok: true, status: 200, data: { mimeType: 'application/test' }, transfer: { id: 't1', size: 9 } });
+  assert.equal(blob.type, 'application/test');
+  assert.equal(Buffer.from(await blob.arrayBuffer()).toString('base64'), PPTX_BASE64);
+  assert.deepEqual(received, [{ action: 'start', id: 't1' }, { action: 'next' }, { action: 'next' }, { action: 'next' }]);
+  assert.equal(isDisconnected(), true);
+});
+
+test('預けたデータの期限切れなど background のエラーは reject する', async () => {
+  installTransfer([chunk('PK'), { type: 'error', error: { message: 'API response data has expired', name: 'TransferExpiredError' } }]);
+  await assert.rejects(readResponseBlob({ ok: true, status: 200, data: {}, transfer: { id: 't2', size: 4 } }), (error) => {
+    assert.equal(error.message, 'API response data has expired');
+    assert.equal(error.kind, 'network');
+    return true;
+  });
+});
+
+test('キャンセル済みのシグナルではポートを開かずに中断する', async () => {
+  const { received } = installTransfer([{ type: 'end' }]);
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(readResponseBlob({ ok: true, status: 200, data: {}, transfer: { id: 't3', size: 1 } }, { signal: controller.signal }), { name: 'AbortError' });
+  assert.deepEqual(received, []);
+});
@@ -0,0 +1,110 @@
+// src/brandKit.js の検証・JSON の書き出しと読み込み・保存のテスト
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BRAND_KIT_FORMAT,
+  BRAND_KIT_VERSION,
+  BRAND_KIT_STORAGE_KEY,
+  DEFAULT_BRAND_KIT,
+  MAX_BRAND_IMAGE_DATA_LENGTH,
+  normalizeBrandKit,
+  buildBrandKitJson,
+  parseBrandKitJson,
+  loadBrandKit,
+  saveBrandKit,
+  resetBrandKit
+} from '../src/brandKit.js';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+// chrome.storage.local の代わり（コールバック形式のみ）
+function installChromeStorage(initial = {}) {
+  const data = { ...initial };
+  globalThis.chrome = {
+    runtime: {},
+    storage: {
+      local: {
+        get: (keys, cb) => cb(Object.fromEntries([].concat(keys).filter(k => k in data).map(k => [k, data[k]]))),
+        set: (items, cb) => { Object.assign(data, items); cb(); },
+        remove: (keys, cb) => { [].concat(keys).forEach(k => delete data[k]); cb(); }
+      }
+    }
+  };
+  return data;
+}
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test('空の入力は既定値になる', () => {
+  const kit = normalizeBrandKit(null);
+  assert.deepEqual(kit, JSON.parse(JSON.stringify(DEFAULT_BRAND_KIT)));
+});
+
+test('色・数値・配置を検証し、範囲外や不正な値は既定値にする', () => {
+  const kit = normalizeBrandKit({
+    fonts: { heading: '  ', body: 'Noto Sans JP' },
+    palette: { text: '#abc', accent: 'red', chartColors: ['#112233', 'zz', 'ABCDEF'] },
+    footer: { text: 'Internal', x: 99, y: -1, fontSize: 200, fontFace: ' Meiryo ', align: 'justify', bold: 'yes' },
+    slideNumber: { enabled: false }
+  });
+  assert.equal(kit.fonts.heading, DEFAULT_BRAND_KIT.fonts.heading);
+  assert.equal(kit.fonts.body, 'Noto Sans JP');
+  assert.equal(kit.palette.text, 'AABBCC');
+  assert.equal(kit.palette.accent, DEFAULT_BRAND_KIT.palette.accent);
+  assert.deepEqual(kit.palette.chartColors, ['112233', 'ABCDEF']);
+  assert.equal(kit.footer.text, 'Internal');
+  assert.equal(kit.footer.x, 13.33);
+  assert.equal(kit.footer.y, 0);
+  assert.equal(kit.footer.fontSize, 72);
+  assert.equal(kit.footer.fontFace, 'Meiryo');
+  assert.equal(kit.footer.align, DEFAULT_BRAND_KIT.footer.align);
+  assert.equal(kit.footer.bold, DEFAULT_BRAND_KIT.footer.bold);
+  assert.equal(kit.slideNumber.enabled, false);
+});
+
+test('画像は埋め込める形式の data URI だけを残す', () => {
+  const kit = normalizeBrandKit({
+    logo: { data: 'https://example.com/logo.png' },
+    images: [
+      { data: PNG, x: 1, y: 1, w: 1, h: 1 },
+      { data: 'data:image/bmp;base64,AAAA' },
+      { data: `data:image/png;base64,${'A'.repeat(MAX_BRAND_IMAGE_DATA_LENGTH)}` },
+      null
+    ]
+  });
+  assert.equal(kit.logo.data, '');
+  assert.deepEqual(kit.images, [{ data: PNG, x: 1, y: 1, w: 1, h: 1 }]);
+});
+
+test('書き出した JSON を読み込むと同じブランドキットになる', () => {
+  const kit = normalizeBrandKit({ name: '営業部', palette: { accent: '0055AA' }, logo: { data: PNG } });
+  const json = buildBrandKitJson(kit);
+  assert.equal(JSON.parse(json).format, BRAND_KIT_FORMAT);
+  assert.deepEqual(parseBrandKitJson(`\uFEFF${json}`), kit);
+});
+
+test('形式の違う JSON・新しいバージョンは読み込まない', () => {
+  assert.throws(() => parseBrandKitJson('{'), /JSON として読み込めませんでした/);
+  assert.throws(() => parseBrandKitJson('{"format":"other"}'), /ブランドキットの書き出しファイルではありません/);
+  assert.throws(
+    () => parseBrandKitJson(JSON.stringify({ format: BRAND_KIT_FORMAT, version: BRAND_KIT_VERSION + 1 })),
+    /対応していないバージョンです/
+  );
+});
+
+test('保存・読み込み・既定値に戻す', async () => {
+  const data = installChromeStorage();
+  assert.deepEqual(await loadBrandKit(), normalizeBrandKit(null));
+  const saved = await saveBrandKit({ name: 'A', palette: { accent: '#123456' } });
+  assert.equal(data[BRAND_KIT_STORAGE_KEY].palette.accent, '123456');
+  assert.deepEqual(await loadBrandKit(), saved);
+  await resetBrandKit();
+  assert.equal(data[BRAND_KIT_STORAGE_KEY], undefined);
+});
+
+test('chrome.storage がなければ既定値を返す', async () => {
+  assert.deepEqual(await loadBrandKit(), normalizeBrandKit(null));
+});
@@ -0,0 +1,148 @@
+// src/dataMerge.js の CSV の読み書きと差し込みのテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+
+import {
+  MAX_XLSX_ROWS,
+  buildCsvTemplate,
+  parseCsv,
+  readWorkbookRows,
+  readMergeFile,
+  matchMergeColumns,
+  buildMergeSnippets
+} from '../src/dataMerge.js';
+import { extractTemplateSlots } from '../src/templateSlots.js';
+
+const TEMPLATE = extractTemplateSlots(`const slide = pptx.addSlide();
+slide.addText("タイトル", { x: 1, y: 1, w: 8, h: 1 });
+slide.addChart(pptx.ChartType.bar, [{ name: "売上", labels: ["1月", "2月"], values: [1, 2] }], { x: 1, y: 2 });`);
+
+// content script と同じく JSZip・DOMParser はグローバルから使う
+globalThis.JSZip = JSZip;
+globalThis.DOMParser = DOMParser;
+
+// readMergeFile に渡す File の代わり
+function csvFile(text, name = 'data.csv') {
+  return { name, text: async () => text };
+}
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+// 最初のシートの sheetData と、表示形式（cellXfs の numFmtId と独自の numFmt）を指定して XLSX を作る
+async function buildXlsx(sheetData, { xfs = [0], numFmts = {}, sharedStrings = [] } = {}) {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<workbook xmlns="${SHEET_NS}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="データ" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet xmlns="${SHEET_NS}"><sheetData>${sheetData}</sheetData></worksheet>`);
+  const fmts = Object.entries(numFmts).map(([id, code]) => `<numFmt numFmtId="${id}" formatCode="${code}"/>`).join('');
+  zip.file('xl/styles.xml', `<styleSheet xmlns="${SHEET_NS}"><numFmts>${fmts}</numFmts><cellXfs>${xfs.map(id => `<xf numFmtId="${id}"/>`).join('')}</cellXfs></styleSheet>`);
+  zip.file('xl/sharedStrings.xml', `<sst xmlns="${SHEET_NS}">${sharedStrings.map(t => `<si><t>${t}</t></si>`).join('')}</sst>`);
+  return zip.generateAsync({ type: 'arraybuffer' });
+}
+
+test('ひな形は BOM 付きで、, " 改行を含むセルをクォートする', () => {
+  const csv = buildCsvTemplate([
+    { name: 'a', default: 'カンマ, あり' },
+    { name: 'b', default: '引用符 "x"' },
+    { name: 'c', default: '改行\nあり' },
+    { name: 'd', default: ['1月', '2月'] }
+  ]);
+  assert.equal(csv, '\uFEFFa,b,c,d\r\n"カンマ, あり","引用符 ""x""","改行\nあり",1月|2月\r\n');
+});
+
+test('BOM を取り除き、クォート内の , "" 改行を読み取る', () => {
+  const rows = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n"1\r\n2",\n');
+  assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['1\r\n2', '']]);
+});
+
+test('最後の行に改行がなくても読み取る', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('ひな形を読み戻すと同じ値になる', () => {
+  const csv = buildCsvTemplate(TEMPLATE.slots);
+  const [header, example] = parseCsv(csv);
+  assert.deepEqual(header, TEMPLATE.slots.map(slot => slot.name));
+  assert.equal(example[0], 'タイトル');
+  assert.equal(example[2], '1月|2月');
+});
+
+test('見出しの前の空行と空のデータ行を飛ばし、行番号はファイル上の行にする', async () => {
+  const { headers, rows } = await readMergeFile(csvFile('\n name ,value\n1,2\n,\n3\n'));
+  assert.deepEqual(headers, ['name', 'value']);
+  assert.deepEqual(rows, [
+    { rowNumber: 3, values: { name: '1', value: '2' } },
+    { rowNumber: 5, values: { name: '3', value: '' } }
+  ]);
+});
+
+test('XLSX の日付・時刻・パーセントの表示形式を表示に近い文字列にする', async () => {
+  const data = await buildXlsx([
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>メモ</t></is></c></row>',
+    '<row r="2"><c r="A2" s="1"><v>45292</v></c><c r="B2" s="2"><v>0.25</v></c><c r="C2"><v>1234.5</v></c></row>',
+    '<row r="3"><c r="A3" s="3"><v>45292.5</v></c><c r="B3" s="4"><v>0.1234</v></c><c r="C3" s="5"><v>0.75</v></c></row>',
+    '<row r="4"><c r="A4" s="6"><v>45292</v></c><c r="B4" s="7"><v>0.5</v></c><c r="C4" t="b"><v>1</v></c></row>'
+  ].join(''), {
+    xfs: [0, 14, 9, 164, 10, 20, 165, 166],
+    numFmts: { 164: 'yyyy/m/d h:mm', 165: '[$-411]ggge&quot;年&quot;m&quot;月&quot;d&quot;日&quot;', 166: '0.0%' },
+    sharedStrings: ['日付', '割合']
+  });
+  assert.deepEqual(await readWorkbookRows(data), [
+    ['日付', '割合', 'メモ'],
+    ['2024/01/01', '25%', '1234.5'],
+    ['2024/01/01 12:00', '12.34%', '18:00'],
+    ['2024/01/01', '50.0%', 'TRUE']
+  ]);
+});
+
+test('XLSX は上限の行・列より外のセルを読まない', async () => {
+  const data = await buildXlsx([
+    '<row r="1"><c r="A1" t="inlineStr"><is><t>a</t></is></c><c r="B1" t="inlineStr"><is><t>b</t></is></c><c r="C1" t="inlineStr"><is><t>c</t></is></c></row>',
+    '<row r="2"><c r="A2"><v>1</v></c><c r="XFD2"><v>2</v></c></row>',
+    '<row r="3"><c r="A3"><v>3</v></c></row>',
+    '<row r="1048576"><c r="XFD1048576"><v>4</v></c></row>'
+  ].join(''));
+  assert.deepEqual(await readWorkbookRows(data, { maxRows: 2, maxColumns: 2 }), [['a', 'b'], ['1', '']]);
+  const rows = await readWorkbookRows(data);
+  assert.equal(rows.length, 3);
+  assert.ok(rows.every(row => row.length === 3));
+  assert.ok(MAX_XLSX_ROWS < 1048576);
+});
+
+test('XLSX のファイルは最初のシートを読み込む', async () => {
+  const data = await buildXlsx('<row r="2"><c r="A2" t="inlineStr"><is><t>name</t></is></c></row><row r="3"><c r="A3" s="1"><v>45292</v></c></row>', { xfs: [0, 14] });
+  const { headers, rows } = await readMergeFile({ name: 'data.XLSX', arrayBuffer: async () => data });
+  assert.deepEqual(headers, ['name']);
+  assert.deepEqual(rows, [{ rowNumber: 3, values: { name: '2024/01/01' } }]);
+});
+
+test('データ行がなければ例外にする', async () => {
+  await assert.rejects(readMergeFile(csvFile('a,b\n')), /見出し行とデータ行が必要です/);
+  await assert.rejects(readMergeFile(csvFile('')), /見出し行とデータ行が必要です/);
+});
+
+test('見出しとスロットの過不足を調べる', () => {
+  const result = matchMergeColumns(TEMPLATE.slots, ['slide1_text1', 'extra', '']);
+  assert.deepEqual(result.matched, ['slide1_text1']);
+  assert.deepEqual(result.unknownColumns, ['extra']);
+  assert.deepEqual(result.missingSlots, [
+    'slide1_chart1_series1_name',
+    'slide1_chart1_series1_labels',
+    'slide1_chart1_series1_values'
+  ]);
+});
+
+test('行ごとに差し込み、見出しのないスロットと空の配列は元の値を使う', () => {
+  const snippets = buildMergeSnippets(TEMPLATE, [
+    { rowNumber: 2, values: { slide1_text1: '東日本', slide1_chart1_series1_values: '3|4' } },
+    { rowNumber: 3, values: { slide1_text1: '', slide1_chart1_series1_values: ' ' } }
+  ]);
+  assert.equal(snippets.length, 2);
+  assert.ok(snippets[0].code.includes('slide.addText("東日本"'));
+  assert.ok(snippets[0].code.includes('labels: ["1月","2月"], values: [3,4]'));
+  assert.ok(snippets[1].code.includes('slide.addText("",'));
+  assert.ok(snippets[1].code.includes('values: [1,2]'));
+  assert.ok(snippets[1].warnings.includes('slide1_chart1_series1_values: empty, kept the original values'));
+});
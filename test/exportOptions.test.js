@@ -0,0 +1,117 @@
+// src/exportOptions.js の書き出し設定の検証・保存と、ファイル名のパターンのテスト
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  EXPORT_OPTIONS_STORAGE_KEY,
+  MAX_APPENDIX_SLIDES,
+  LAYOUT_PRESETS,
+  PREVIEW_EXPORT_OPTIONS,
+  normalizeExportOptions,
+  loadExportOptions,
+  saveExportOptions,
+  extractSnippetTitle,
+  buildExportFileName,
+  nextExportFileName
+} from '../src/exportOptions.js';
+
+// chrome.storage.local の代わり（コールバック形式のみ）
+function installChromeStorage(initial = {}) {
+  const data = { ...initial };
+  globalThis.chrome = {
+    runtime: {},
+    storage: {
+      local: {
+        get: (keys, cb) => cb(Object.fromEntries([].concat(keys).filter(k => k in data).map(k => [k, data[k]]))),
+        set: (items, cb) => { Object.assign(data, items); cb(); }
+      }
+    }
+  };
+  return data;
+}
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test('空の入力は既定値（表紙なし・末尾の案内スライドあり・付録なし）になる', () => {
+  const options = normalizeExportOptions(undefined);
+  assert.deepEqual(options, JSON.parse(JSON.stringify(DEFAULT_EXPORT_OPTIONS)));
+  assert.equal(options.cover.template, 'none');
+  assert.deepEqual(options.infoSlides, { fontNote: true, contact: true });
+});
+
+test('表紙のひな形と末尾の案内スライドを検証する', () => {
+  const options = normalizeExportOptions({
+    cover: { template: 'fancy', title: 'x'.repeat(300), showDate: 'yes' },
+    infoSlides: { fontNote: false, contact: 'no' }
+  });
+  assert.equal(options.cover.template, 'none');
+  assert.equal(options.cover.title.length, 200);
+  assert.equal(options.cover.showDate, false);
+  assert.deepEqual(options.infoSlides, { fontNote: false, contact: true });
+  assert.equal(normalizeExportOptions({ cover: { template: 'band' } }).cover.template, 'band');
+});
+
+test('付録は空のものを除き、MAX_APPENDIX_SLIDES 枚までにする', () => {
+  const appendix = [{ title: '免責事項', body: '本文' }, { title: ' ', body: '' }, null, { title: 1 }, { body: '本文だけ' }];
+  for (let i = 0; i < MAX_APPENDIX_SLIDES; i++) appendix.push({ title: `付録${i}` });
+  const options = normalizeExportOptions({ appendix });
+  assert.equal(options.appendix.length, MAX_APPENDIX_SLIDES);
+  assert.deepEqual(options.appendix.slice(0, 2), [{ title: '免責事項', body: '本文' }, { title: '', body: '本文だけ' }]);
+});
+
+test('プレビュー用の設定は表紙・付録・末尾の案内スライドを付けない', () => {
+  const options = normalizeExportOptions(PREVIEW_EXPORT_OPTIONS);
+  assert.equal(options.cover.template, 'none');
+  assert.deepEqual(options.infoSlides, { fontNote: false, contact: false });
+  assert.deepEqual(options.appendix, []);
+  assert.equal(options.compression, false);
+});
+
+test('保存した設定を検証して読み込む', async () => {
+  const data = installChromeStorage();
+  const saved = await saveExportOptions({ cover: { template: 'simple', subtitle: '社外秘' } });
+  assert.equal(data[EXPORT_OPTIONS_STORAGE_KEY].cover.subtitle, '社外秘');
+  assert.deepEqual(await loadExportOptions(), saved);
+});
+
+test('chrome.storage がなければ既定値を返す', async () => {
+  assert.deepEqual(await loadExportOptions(), normalizeExportOptions(null));
+});
+
+test('スライドサイズはプリセットか、custom のときだけ範囲内の幅・高さを使う', () => {
+  assert.deepEqual(normalizeExportOptions({ layout: { preset: '4:3', width: 99 } }).layout, { preset: '4:3', ...LAYOUT_PRESETS['4:3'] });
+  assert.deepEqual(normalizeExportOptions({ layout: { preset: 'custom', width: '20', height: 0.5 } }).layout, { preset: 'custom', width: 20, height: 1 });
+  assert.equal(normalizeExportOptions({ layout: { preset: 'A4' } }).layout.preset, '16:9');
+});
+
+test('ファイル名のパターンと連番を検証する', () => {
+  const options = normalizeExportOptions({ fileName: { pattern: '  ', counter: 0.4 }, metadata: { author: 1, company: '楽天' } });
+  assert.equal(options.fileName.pattern, DEFAULT_EXPORT_OPTIONS.fileName.pattern);
+  assert.equal(options.fileName.counter, 1);
+  assert.deepEqual(options.metadata, { author: '', company: '楽天', subject: '' });
+});
+
+test('最初の addText の文字列をタイトルにする（20文字まで）', () => {
+  assert.equal(extractSnippetTitle(`slide.addText('四半期\\n報告', {});`), '四半期 報告');
+  assert.equal(extractSnippetTitle(`slide.addText("${'あ'.repeat(30)}", {});`), 'あ'.repeat(20));
+  assert.equal(extractSnippetTitle('slide.addShape(pptx.ShapeType.rect, {});'), '');
+});
+
+test('パターンを展開し、ファイル名に使えない文字と空白を _ にする', () => {
+  const now = new Date(2024, 0, 5, 9, 7);
+  assert.equal(buildExportFileName('{title}_{date}_{time}_{counter}', { title: 'A/B: "C"', counter: 7, now }), 'A_B___C__20240105_0907_007.pptx');
+  assert.equal(buildExportFileName('{title}.pptx', { now }), 'slides.pptx');
+  assert.equal(buildExportFileName('', { title: '報告 書', now }), '報告_書_20240105.pptx');
+});
+
+test('{counter} を使うパターンでは書き出すたびに番号を進めて保存する', async () => {
+  const data = installChromeStorage({
+    [EXPORT_OPTIONS_STORAGE_KEY]: { fileName: { pattern: '{title}_{counter}', counter: 9 } }
+  });
+  assert.equal(await nextExportFileName('slide.addText("売上", {});'), '売上_009.pptx');
+  assert.equal(await nextExportFileName('', 'merge'), 'merge_010.pptx');
+  assert.equal(data[EXPORT_OPTIONS_STORAGE_KEY].fileName.counter, 11);
+});
@@ -0,0 +1,160 @@
+// src/exportOrchestrator.js のエラーの分類・再試行・sandbox への切り替えのテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  EXPORT_ERROR_TYPES,
+  DEFAULT_RETRY_POLICY,
+  classifyExportError,
+  describeExportError,
+  backoffDelay,
+  runExport
+} from '../src/exportOrchestrator.js';
+
+// 待ち時間なしで再試行する
+const NO_WAIT = { retries: 2, baseDelay: 0, maxDelay: 0 };
+
+function apiError(kind, status) {
+  const error = new Error(`${kind} error`);
+  if (kind) error.kind = kind;
+  if (status) error.status = status;
+  return error;
+}
+
+function abortError() {
+  const error = new Error('aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+test('error.kind・name・status からエラーを分類する', () => {
+  const cases = [
+    [apiError('ip', 403), 'ip', false],
+    [apiError('config'), 'config', false],
+    [abortError(), 'canceled', false],
+    [Object.assign(new Error('t'), { name: 'TimeoutError' }), 'timeout', false],
+    [apiError(null, 401), 'auth', false],
+    [apiError(null, 403), 'auth', false],
+    [apiError(null, 429), 'server', true],
+    [apiError(null, 503), 'server', true],
+    [apiError(null, 400), 'request', false],
+    [new Error('Could not establish connection'), 'network', true],
+    [undefined, 'network', true]
+  ];
+  cases.forEach(([error, type, retryable]) => {
+    const classified = classifyExportError(error);
+    assert.equal(classified.type, type, String(error && error.message));
+    assert.equal(classified.retryable, retryable, type);
+  });
+});
+
+test('タイムアウトは再試行しない', () => {
+  assert.equal(classifyExportError(apiError(EXPORT_ERROR_TYPES.TIMEOUT)).retryable, false);
+});
+
+test('分類ごとの説明を返す（不明な分類は接続の失敗）', () => {
+  assert.equal(describeExportError({ type: 'ip' }), 'IP制限により、このネットワークからはAPIを利用できません');
+  assert.equal(describeExportError({ type: 'unknown' }), describeExportError({ type: 'network' }));
+});
+
+test('待ち時間は指数的に伸び、上限と 20% までのゆらぎを持つ', () => {
+  assert.equal(backoffDelay(1, DEFAULT_RETRY_POLICY, () => 0), 1000);
+  assert.equal(backoffDelay(2, DEFAULT_RETRY_POLICY, () => 0), 2000);
+  assert.equal(backoffDelay(10, DEFAULT_RETRY_POLICY, () => 0), 8000);
+  assert.equal(backoffDelay(1, DEFAULT_RETRY_POLICY, () => 1), 800);
+});
+
+test('API で生成できればそのまま返す', async () => {
+  const result = await runExport({ viaApi: async () => 'api-blob', viaSandbox: async () => assert.fail('sandbox') });
+  assert.deepEqual(result, { blob: 'api-blob', path: 'api', attempts: 1, apiError: null });
+});
+
+test('サーバーエラーは再試行し、成功すれば API の結果を返す', async () => {
+  let calls = 0;
+  const retries = [];
+  const result = await runExport({
+    viaApi: async () => {
+      calls++;
+      if (calls < 3) throw apiError('server', 503);
+      return 'api-blob';
+    },
+    viaSandbox: async () => assert.fail('sandbox'),
+    retry: NO_WAIT,
+    onRetry: info => retries.push(info.attempt)
+  });
+  assert.equal(result.path, 'api');
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(retries, [1, 2]);
+});
+
+test('再試行しても失敗すれば sandbox に切り替える', async () => {
+  let fallback = null;
+  const result = await runExport({
+    viaApi: async () => { throw apiError('network'); },
+    viaSandbox: async () => 'sandbox-blob',
+    retry: NO_WAIT,
+    onFallback: error => { fallback = error; }
+  });
+  assert.equal(result.path, 'sandbox');
+  assert.equal(result.attempts, NO_WAIT.retries + 1);
+  assert.equal(result.apiError.type, 'network');
+  assert.equal(fallback.type, 'network');
+});
+
+test('タイムアウト・APIキーのエラーは再試行せずに sandbox に切り替える', async () => {
+  for (const kind of ['timeout', 'auth', 'config']) {
+    let calls = 0;
+    const result = await runExport({
+      viaApi: async () => { calls++; throw apiError(kind); },
+      viaSandbox: async () => 'sandbox-blob',
+      retry: NO_WAIT
+    });
+    assert.equal(calls, 1, kind);
+    assert.equal(result.path, 'sandbox');
+    assert.equal(result.apiError.type, kind);
+  }
+});
+
+test('IP制限と判別できなかった 403 は checkIp で確かめる', async () => {
+  const run = checkIp => runExport({
+    viaApi: async () => { throw apiError(null, 403); },
+    viaSandbox: async () => 'sandbox-blob',
+    checkIp
+  });
+  assert.equal((await run(async () => ({ allowed: false, ipv4: '10.0.0.1', ipv6: 'Unknown' }))).apiError.type, 'ip');
+  assert.equal((await run(async () => ({ allowed: false, ipv4: 'Unknown', ipv6: 'Unknown' }))).apiError.type, 'auth');
+  assert.equal((await run(async () => { throw new Error('offline'); })).apiError.type, 'auth');
+});
+
+test('キャンセルされたら再試行も sandbox への切り替えもしない', async () => {
+  await assert.rejects(
+    runExport({ viaApi: async () => { throw abortError(); }, viaSandbox: async () => assert.fail('sandbox') }),
+    { name: 'AbortError' }
+  );
+  const controller = new AbortController();
+  await assert.rejects(
+    runExport({
+      viaApi: async () => { throw apiError('server', 500); },
+      viaSandbox: async () => assert.fail('sandbox'),
+      signal: controller.signal,
+      retry: { retries: 2, baseDelay: 60000, maxDelay: 60000 },
+      onRetry: () => controller.abort()
+    }),
+    { name: 'AbortError' }
+  );
+});
+
+test('sandbox でも失敗したら API 側の理由を付けて投げる', async () => {
+  await assert.rejects(
+    runExport({
+      viaApi: async () => { throw apiError('config'); },
+      viaSandbox: async () => { throw new Error('sandbox failed'); }
+    }),
+    error => error.apiError.type === 'config' && error.message === 'sandbox failed（API: APIキーまたは接続先が設定されていません）'
+  );
+});
+
+test('viaApi がなければ sandbox だけで生成する', async () => {
+  const result = await runExport({ viaSandbox: async () => 'sandbox-blob' });
+  assert.deepEqual(result, { blob: 'sandbox-blob', path: 'sandbox', attempts: 0, apiError: null });
+});
@@ -0,0 +1,58 @@
+// server/mockApiServer.js の参照サーバー（POST /generate-pptx）のテスト
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createMockApiServer } = require('../server/mockApiServer.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createMockApiServer({ apiKey: 'test-key' });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// リクエストごとのログは出さない
+async function post(path, body, apiKey = 'test-key') {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    console.log = log;
+  }
+}
+
+test('sandbox と同じ許可されたメソッドだけを実行して PPTX を返す', async () => {
+  const { status, body } = await post('/generate-pptx', {
+    script: "const pptx = new PptxGenJS();\nconst slide = pptx.addSlide();\nslide.addText('Hello', { x: 1, y: 1, w: 4, h: 1 });",
+    filename: 'hello.pptx'
+  });
+  assert.equal(status, 200);
+  assert.equal(body.filename, 'hello.pptx');
+  assert.equal(body.mimeType, 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+  assert.equal(Buffer.from(body.data, 'base64').subarray(0, 2).toString(), 'PK');
+  assert.deepEqual(body.report.map(entry => [entry.name, entry.status]), [['slide.addText', 'applied']]);
+});
+
+test('危険なコードは 400、APIキーが違う場合は 401 にする', async () => {
+  const unsafe = await post('/generate-pptx', { script: "fetch('https://example.com');" });
+  assert.equal(unsafe.status, 400);
+  assert.equal(unsafe.body.error, 'Unsafe code detected');
+
+  const invalid = await post('/generate-pptx', { script: 'pptx.addSlide();' }, 'wrong-key');
+  assert.equal(invalid.status, 401);
+  assert.equal(invalid.body.reason, 'invalid');
+});
@@ -0,0 +1,320 @@
+// src/pptxAnalyzer.js の PPTX の解析（画像・塗りつぶし・ノート・SmartArt・グループ・グラフ・埋め込みワークブック）とデッキJSONのテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+
+import { analyzePPTX, buildDeckDocument, DECK_SCHEMA, DECK_SCHEMA_VERSION } from '../src/pptxAnalyzer.js';
+
+const require = createRequire(import.meta.url);
+const PptxGenJS = require('pptxgenjs');
+
+// content script と同じく JSZip・DOMParser はグローバルから使う
+globalThis.JSZip = JSZip;
+globalThis.DOMParser = new JSDOM('').window.DOMParser;
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * PptxGenJS で 1 枚のスライドの資料を作り、必要ならスライドの XML などを書き換える
+ * @param {(pptx: object, slide: object) => void} [setup] 画像・グラフなどのパーツを作る
+ * @param {(zip: JSZip) => Promise<void>} [edit] 書き出した PPTX を書き換える
+ * @returns {Promise<{ name: string, arrayBuffer: Function }>} analyzePPTX に渡す File の代わり
+ */
+async function buildDeck(setup = () => {}, edit = async () => {}) {
+  const pptx = new PptxGenJS();
+  setup(pptx, pptx.addSlide());
+  const zip = await JSZip.loadAsync(await pptx.write({ outputType: 'nodebuffer' }));
+  await edit(zip);
+  const data = await zip.generateAsync({ type: 'arraybuffer' });
+  return { name: 'test.pptx', arrayBuffer: async () => data };
+}
+
+// スライドの図形ツリー（p:spTree の中身）を置き換える
+async function replaceShapes(zip, shapesXml, path = 'ppt/slides/slide1.xml') {
+  const xml = await zip.file(path).async('string');
+  zip.file(path, xml.replace(/(<p:spTree>[\s\S]*?<\/p:grpSpPr>)[\s\S]*(<\/p:spTree>)/, `$1${shapesXml}$2`));
+}
+
+// 解析のログは出さない
+async function analyze(file) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await analyzePPTX(file);
+  } finally {
+    console.log = log;
+  }
+}
+
+// 位置・大きさ（インチ）の xfrm
+function xfrm({ x, y, w, h }, attrs = '') {
+  const emu = v => Math.round(v * 914400);
+  return `<a:xfrm${attrs}><a:off x="${emu(x)}" y="${emu(y)}"/><a:ext cx="${emu(w)}" cy="${emu(h)}"/></a:xfrm>`;
+}
+
+function picXml({ id = 3, name = 'Photo', descr = '', blipExtra = '', srcRect = '', xfrmAttrs = '', box = { x: 2, y: 1, w: 4, h: 2 } } = {}) {
+  return `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="${name}" descr="${descr}"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>`
+    + `<p:blipFill><a:blip r:embed="rId1">${blipExtra}</a:blip>${srcRect}<a:stretch><a:fillRect/></a:stretch></p:blipFill>`
+    + `<p:spPr>${xfrm(box, xfrmAttrs)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`;
+}
+
+// 図形（p:sp）。spPrExtra に塗りつぶしなどを入れる
+function shapeXml({ id = 2, name = 'Shape', box = { x: 1, y: 1, w: 3, h: 1 }, spPrExtra = '', text = '' } = {}) {
+  const body = text ? `<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:r><a:rPr lang="ja-JP"/><a:t>${text}</a:t></a:r></a:p></p:txBody>` : '';
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>`
+    + `<p:spPr>${xfrm(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>${spPrExtra}</p:spPr>${body}</p:sp>`;
+}
+
+test('画像の位置・回転・反転・透過と、埋め込まれた画像のデータを取り出す', async () => {
+  const file = await buildDeck(
+    (pptx, slide) => slide.addImage({ data: PNG, x: 0, y: 0, w: 1, h: 1 }),
+    zip => replaceShapes(zip, picXml({
+      descr: 'ロゴ',
+      blipExtra: '<a:alphaModFix amt="60000"/>',
+      xfrmAttrs: ' rot="1800000" flipH="1"'
+    }))
+  );
+  const result = await analyze(file);
+  assert.equal(result.success, true);
+  const [image] = result.slides[0].data.images;
+  assert.equal(image.x, 2);
+  assert.equal(image.y, 1);
+  assert.equal(image.w, 4);
+  assert.equal(image.h, 2);
+  assert.equal(image.rotate, 30);
+  assert.equal(image.flipH, true);
+  assert.equal(image.transparency, 40);
+  assert.equal(image.altText, 'ロゴ');
+  assert.equal(image.data, PNG);
+  assert.equal(image.mediaRef, 'ppt/media/image-1-1.png');
+  assert.equal(result.slides[0].imageCount, 1);
+});
+
+test('トリミングした画像は元画像全体の大きさと表示する範囲（sizing: crop）にする', async () => {
+  const file = await buildDeck(
+    (pptx, slide) => slide.addImage({ data: PNG, x: 0, y: 0, w: 1, h: 1 }),
+    zip => replaceShapes(zip, picXml({ srcRect: '<a:srcRect l="25000" t="0" r="25000" b="50000"/>' }))
+  );
+  const [image] = (await analyze(file)).slides[0].data.images;
+  assert.equal(image.w, 8);
+  assert.equal(image.h, 4);
+  assert.deepEqual(image.sizing, { type: 'crop', x: 2, y: 0, w: 4, h: 2 });
+});
+
+test('図形のグラデーション・パターンの塗りつぶしと、代わりに使う平均の色', async () => {
+  const file = await buildDeck(undefined, zip => replaceShapes(zip, [
+    shapeXml({
+      id: 2,
+      spPrExtra: '<a:gradFill><a:gsLst><a:gs pos="100000"><a:srgbClr val="0000FF"/></a:gs>'
+        + '<a:gs pos="0"><a:srgbClr val="FF0000"><a:alpha val="50000"/></a:srgbClr></a:gs></a:gsLst><a:lin ang="5400000"/></a:gradFill>'
+    }),
+    shapeXml({
+      id: 3,
+      box: { x: 1, y: 3, w: 3, h: 1 },
+      spPrExtra: '<a:pattFill prst="dkDnDiag"><a:fgClr><a:srgbClr val="000000"/></a:fgClr><a:bgClr><a:srgbClr val="FFFFFF"/></a:bgClr></a:pattFill>'
+    })
+  ].join('')));
+  const [gradient, pattern] = (await analyze(file)).slides[0].data.elements;
+  // fill.color は PptxGenJS で使える代わりの色（グラデーション・パターンの色の平均）
+  assert.deepEqual(gradient.fill, { color: '800080' });
+  assert.deepEqual(gradient.fillStyle, {
+    type: 'gradient',
+    gradientType: 'linear',
+    angle: 90,
+    stops: [
+      { position: 0, color: 'FF0000', transparency: 50 },
+      { position: 100, color: '0000FF', transparency: 0 }
+    ],
+    color: '800080'
+  });
+  assert.deepEqual(pattern.fill, { color: '808080' });
+  assert.deepEqual(pattern.fillStyle, { type: 'pattern', pattern: 'dkDnDiag', foreground: '000000', background: 'FFFFFF', color: '808080' });
+});
+
+test('背景の画像の塗りつぶしは画像のデータとトリミングを取り出す', async () => {
+  const file = await buildDeck(
+    (pptx, slide) => slide.addImage({ data: PNG, x: 0, y: 0, w: 1, h: 1 }),
+    async (zip) => {
+      const path = 'ppt/slides/slide1.xml';
+      const xml = await zip.file(path).async('string');
+      const bg = '<p:bg><p:bgPr><a:blipFill><a:blip r:embed="rId1"><a:alphaModFix amt="75000"/></a:blip>'
+        + '<a:srcRect l="10000"/><a:stretch><a:fillRect/></a:stretch></a:blipFill><a:effectLst/></p:bgPr></p:bg>';
+      zip.file(path, xml.replace('<p:cSld name="Slide 1">', `<p:cSld name="Slide 1">${bg}`));
+    }
+  );
+  const { backgroundFill } = (await analyze(file)).slides[0].data.template;
+  assert.deepEqual(backgroundFill, {
+    type: 'picture',
+    stretch: true,
+    tile: false,
+    data: PNG,
+    mediaRef: 'ppt/media/image-1-1.png',
+    crop: { left: 0.1, top: 0, right: 0, bottom: 0 },
+    transparency: 25
+  });
+});
+
+test('スピーカーノートを取り出す', async () => {
+  const file = await buildDeck((pptx, slide) => {
+    slide.addText('本文', { x: 1, y: 1, w: 4, h: 1 });
+    slide.addNotes('最初に話す内容\n次に話す内容');
+  });
+  const [slide] = (await analyze(file)).slides;
+  assert.equal(slide.notes, '最初に話す内容\n次に話す内容');
+  assert.equal(slide.data.notes, slide.notes);
+});
+
+test('デッキJSONにはテーマ・マスターとレイアウト・スライドごとのデータを入れ、画像データは mediaRef だけ残す', async () => {
+  const file = await buildDeck((pptx, slide) => {
+    slide.addText('見出し', { x: 1, y: 1, w: 4, h: 1 });
+    slide.addImage({ data: PNG, x: 5, y: 1, w: 1, h: 1 });
+  });
+  const analysis = await analyze(file);
+  const doc = buildDeckDocument(analysis);
+  assert.equal(doc.schema, DECK_SCHEMA);
+  assert.equal(doc.version, DECK_SCHEMA_VERSION);
+  assert.equal(doc.fileName, 'test.pptx');
+  assert.equal(doc.theme.colors.accent1, '4472C4');
+  assert.ok(doc.masters.length > 0);
+  assert.ok(doc.masters[0].layouts.some(layout => layout.path === doc.slides[0].layoutPath));
+
+  const [slide] = doc.slides;
+  assert.equal(slide.slideNumber, 1);
+  assert.equal(slide.slidePath, 'ppt/slides/slide1.xml');
+  assert.equal(slide.elements[0].text, '見出し');
+  assert.equal(slide.images[0].data, undefined);
+  assert.equal(slide.images[0].mediaRef, analysis.slides[0].data.images[0].mediaRef);
+  // JSON にして比べられる（実行ごとに変わる値を含まない）
+  assert.equal(JSON.stringify(buildDeckDocument(await analyze(file))), JSON.stringify(doc));
+
+  assert.equal(buildDeckDocument(analysis, { includeMedia: true }).slides[0].images[0].data, PNG);
+});
+
+test('SmartArt は描画パーツの図形とテキストを、フレームの位置に合わせた図形として取り出す', async () => {
+  const file = await buildDeck(undefined, async (zip) => {
+    const frame = '<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="4" name="Diagram"/><p:cNvGraphicFramePr/><p:nvPr/></p:nvGraphicFramePr>'
+      + '<p:xfrm><a:off x="914400" y="1828800"/><a:ext cx="4114800" cy="914400"/></p:xfrm>'
+      + '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/diagram">'
+      + '<dgm:relIds xmlns:dgm="http://schemas.openxmlformats.org/drawingml/2006/diagram" r:dm="rIdDm" r:lo="" r:qs="" r:cs=""/>'
+      + '</a:graphicData></a:graphic></p:graphicFrame>';
+    await replaceShapes(zip, frame);
+
+    const relsPath = 'ppt/slides/_rels/slide1.xml.rels';
+    const rels = await zip.file(relsPath).async('string');
+    zip.file(relsPath, rels.replace('</Relationships>',
+      '<Relationship Id="rIdDm" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/diagramData" Target="../diagrams/data1.xml"/>'
+      + '<Relationship Id="rIdDr" Type="http://schemas.microsoft.com/office/2007/relationships/diagramDrawing" Target="../diagrams/drawing7.xml"/>'
+      + '</Relationships>'));
+    // 描画パーツはデータパーツの dsp:dataModelExt で指定する（番号はデータパーツと違ってよい）
+    zip.file('ppt/diagrams/data1.xml', '<dgm:dataModel xmlns:dgm="http://schemas.openxmlformats.org/drawingml/2006/diagram" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">'
+      + '<dgm:extLst><a:ext uri="http://schemas.microsoft.com/office/drawing/2008/diagram">'
+      + '<dsp:dataModelExt xmlns:dsp="http://schemas.microsoft.com/office/drawing/2008/diagram" relId="rIdDr"/></a:ext></dgm:extLst></dgm:dataModel>');
+    const step = (id, x, text) => `<dsp:sp modelId="{${id}}"><dsp:nvSpPr><dsp:cNvPr id="0" name=""/><dsp:cNvSpPr/></dsp:nvSpPr>`
+      + `<dsp:spPr>${xfrm({ x, y: 0, w: 2, h: 1 })}<a:prstGeom prst="roundRect"><a:avLst/></a:prstGeom><a:solidFill><a:srgbClr val="4472C4"/></a:solidFill></dsp:spPr>`
+      + `<dsp:txBody><a:bodyPr/><a:lstStyle/><a:p><a:r><a:rPr lang="ja-JP"/><a:t>${text}</a:t></a:r></a:p></dsp:txBody></dsp:sp>`;
+    zip.file('ppt/diagrams/drawing7.xml', '<dsp:drawing xmlns:dsp="http://schemas.microsoft.com/office/drawing/2008/diagram" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">'
+      + '<dsp:spTree><dsp:nvGrpSpPr><dsp:cNvPr id="0" name=""/><dsp:cNvGrpSpPr/></dsp:nvGrpSpPr><dsp:grpSpPr/>'
+      + step(1, 0, '計画') + step(2, 2.5, '実行') + '</dsp:spTree></dsp:drawing>');
+  });
+  const { elements } = (await analyze(file)).slides[0].data;
+  assert.deepEqual(elements.map(el => [el.text, el.x, el.y, el.w, el.h, el.shapeType, el.fill.color]), [
+    ['計画', 1, 2, 2, 1, 'roundRect', '4472C4'],
+    ['実行', 3.5, 2, 2, 1, 'roundRect', '4472C4']
+  ]);
+});
+
+test('入れ子のグループは親子の変換（位置・拡大縮小）を重ねて絶対位置にする', async () => {
+  const group = (id, box, child, inner) => `<p:grpSp><p:nvGrpSpPr><p:cNvPr id="${id}" name="Group"/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>`
+    + `<p:grpSpPr>${xfrm(box).replace('</a:xfrm>', `<a:chOff x="0" y="0"/><a:chExt cx="${child.w * 914400}" cy="${child.h * 914400}"/></a:xfrm>`)}</p:grpSpPr>`
+    + `${inner}</p:grpSp>`;
+  const file = await buildDeck(undefined, zip => replaceShapes(zip,
+    // 外側は 1/2 に縮小、内側は 2 倍に拡大
+    group(3, { x: 1, y: 1, w: 4, h: 2 }, { w: 8, h: 4 },
+      group(4, { x: 2, y: 2, w: 2, h: 2 }, { w: 1, h: 1 },
+        shapeXml({ id: 5, box: { x: 0.5, y: 0.5, w: 0.5, h: 0.5 }, text: '中' })))
+  ));
+  const [element] = (await analyze(file)).slides[0].data.elements;
+  assert.deepEqual([element.text, element.x, element.y, element.w, element.h], ['中', 2.5, 2.5, 0.5, 0.5]);
+});
+
+// 棒（主軸）＋折れ線（第2軸）の複合グラフ
+function addComboChart(pptx, slide) {
+  slide.addChart([
+    { type: pptx.ChartType.bar, data: [{ name: '売上', labels: ['Q1', 'Q2'], values: [100, 200] }], options: { barDir: 'col' } },
+    { type: pptx.ChartType.line, data: [{ name: '利益率', labels: ['Q1', 'Q2'], values: [0.1, 0.25] }], options: { secondaryValAxis: true, secondaryCatAxis: true } }
+  ], {
+    x: 1, y: 1, w: 6, h: 4,
+    valAxes: [{ valAxisMinVal: 0, valAxisMaxVal: 300, valAxisLabelFormatCode: '#,##0' }, { valAxisMaxVal: 1, valAxisLabelFormatCode: '0%' }],
+    catAxes: [{}, { catAxisHidden: true }],
+    showLegend: true,
+    legendPos: 'b'
+  });
+}
+
+test('グループ内の複合グラフを、グループの変換・第2軸・軸の範囲と表示形式つきで取り出す', async () => {
+  const file = await buildDeck(addComboChart, async (zip) => {
+    // グラフのフレームを 1/2 に縮小するグループで囲む
+    const path = 'ppt/slides/slide1.xml';
+    const xml = await zip.file(path).async('string');
+    const frame = xml.match(/<p:graphicFrame>[\s\S]*<\/p:graphicFrame>/)[0];
+    const group = '<p:grpSp><p:nvGrpSpPr><p:cNvPr id="10" name="Group"/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+      + `<p:grpSpPr>${xfrm({ x: 0, y: 0, w: 5, h: 4 }).replace('</a:xfrm>', '<a:chOff x="0" y="0"/><a:chExt cx="9144000" cy="7315200"/></a:xfrm>')}</p:grpSpPr>`
+      + `${frame}</p:grpSp>`;
+    zip.file(path, xml.replace(frame, group));
+  });
+  const [chart] = (await analyze(file)).slides[0].data.charts;
+  assert.deepEqual([chart.x, chart.y, chart.w, chart.h], [0.5, 0.5, 3, 2]);
+  assert.equal(chart.chartType, 'combo');
+  assert.deepEqual(chart.series.map(s => [s.name, s.chartType, !!s.secondaryAxis, s.categories, s.values]), [
+    ['売上', 'bar', false, ['Q1', 'Q2'], [100, 200]],
+    ['利益率', 'line', true, ['Q1', 'Q2'], [0.1, 0.25]]
+  ]);
+  assert.deepEqual(chart.axes, { maxValue: 300, minValue: 0, numberFormat: '#,##0', secondary: { maxValue: 1, numberFormat: '0%' } });
+  assert.deepEqual(chart.legend, { position: 'b' });
+});
+
+test('散布図・面グラフ・バブルチャートとデータラベルを取り出す', async () => {
+  const file = await buildDeck((pptx, slide) => {
+    slide.addChart(pptx.ChartType.scatter, [{ name: 'X', values: [1, 2, 3] }, { name: 'Y', values: [4, 5, 6] }], {
+      x: 0, y: 0, w: 3, h: 3, showValue: true, dataLabelPosition: 't', dataLabelFormatCode: '0.0'
+    });
+    slide.addChart(pptx.ChartType.area, [{ name: 'A', labels: ['a', 'b'], values: [1, 2] }], { x: 3, y: 0, w: 3, h: 3, barGrouping: 'stacked' });
+    slide.addChart(pptx.ChartType.bubble, [{ name: 'X', values: [1, 2] }, { name: 'B', values: [3, 4], sizes: [5, 6] }], { x: 6, y: 0, w: 3, h: 3 });
+  });
+  const [scatter, area, bubble] = (await analyze(file)).slides[0].data.charts;
+  assert.equal(scatter.chartType, 'scatter');
+  assert.deepEqual([scatter.series[0].name, scatter.series[0].categories, scatter.series[0].values], ['Y', ['1', '2', '3'], [4, 5, 6]]);
+  assert.equal(scatter.series[0].dataLabels.showValue, true);
+  assert.equal(scatter.series[0].dataLabels.position, 't');
+  assert.equal(scatter.series[0].dataLabels.numberFormat, '0.0');
+  assert.equal(area.chartType, 'area');
+  assert.deepEqual(area.specialProperties, { grouping: 'stacked' });
+  assert.equal(bubble.chartType, 'bubble');
+  assert.deepEqual([bubble.series[0].name, bubble.series[0].values, bubble.series[0].sizes], ['B', [3, 4], [5, 6]]);
+});
+
+test('グラフのキャッシュが欠けているときは埋め込みワークブックの値で補い、取得元を workbook にする', async () => {
+  const setup = (pptx, slide) => slide.addChart(pptx.ChartType.bar, [
+    { name: '東日本', labels: ['4月', '5月', '6月'], values: [120, 80.5, 150] },
+    { name: '西日本', labels: ['4月', '5月', '6月'], values: [90, 110, 70] }
+  ], { x: 1, y: 1, w: 6, h: 4 });
+  const cached = await buildDeck(setup);
+  const missing = await buildDeck(setup, async (zip) => {
+    // 系列名・項目・値のキャッシュのデータ点を消す
+    const path = Object.keys(zip.files).find(p => /^ppt\/charts\/chart\d+\.xml$/.test(p));
+    const xml = await zip.file(path).async('string');
+    zip.file(path, xml.replace(/<c:pt idx="\d+">[\s\S]*?<\/c:pt>/g, ''));
+  });
+
+  const [fromCache] = (await analyze(cached)).slides[0].data.charts;
+  const [fromWorkbook] = (await analyze(missing)).slides[0].data.charts;
+  assert.equal(fromCache.dataSource, 'cache');
+  assert.equal(fromWorkbook.dataSource, 'workbook');
+  assert.deepEqual(fromWorkbook.series.map(s => [s.name, s.categories, s.values]), [
+    ['東日本', ['4月', '5月', '6月'], [120, 80.5, 150]],
+    ['西日本', ['4月', '5月', '6月'], [90, 110, 70]]
+  ]);
+  assert.deepEqual(fromWorkbook.series.map(s => s.values), fromCache.series.map(s => s.values));
+});
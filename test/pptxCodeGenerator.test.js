@@ -0,0 +1,118 @@
+// src/pptxCodeGenerator.js の解析結果から PptxGenJS のスニペットを生成するテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+
+import { analyzePPTX } from '../src/pptxAnalyzer.js';
+import { generateSlideCode, generateDeckCode } from '../src/pptxCodeGenerator.js';
+
+const require = createRequire(import.meta.url);
+const PptxGenJS = require('pptxgenjs');
+
+// content script と同じく JSZip・DOMParser はグローバルから使う
+globalThis.JSZip = JSZip;
+globalThis.DOMParser = new JSDOM('').window.DOMParser;
+
+// 生成コードの検証に使う safePptxExecutor.js（sandbox と同じく window に PptxGenJS を置く）
+function loadExecutor() {
+  const context = vm.createContext({ console });
+  context.window = context;
+  context.PptxGenJS = PptxGenJS;
+  vm.runInContext(readFileSync(new URL('../safePptxExecutor.js', import.meta.url), 'utf8'), context);
+  return context;
+}
+
+const executor = loadExecutor();
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// PptxGenJS で作った資料を解析する（解析のログは出さない）
+async function analyzeDeck(setup) {
+  const pptx = new PptxGenJS();
+  setup(pptx, pptx.addSlide());
+  const data = await pptx.write({ outputType: 'arraybuffer' });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await analyzePPTX({ name: 'test.pptx', arrayBuffer: async () => data });
+  } finally {
+    console.log = log;
+  }
+}
+
+test('解析したスライドのラン・表の結合・矢印つきの線・ノートをコードにし、検証を通る', async () => {
+  const analysis = await analyzeDeck((pptx, slide) => {
+    slide.addText([
+      { text: '太字', options: { bold: true, color: 'FF0000', breakLine: true } },
+      { text: '二行目', options: { bullet: true } }
+    ], { x: 1, y: 0.5, w: 5, h: 1.5 });
+    slide.addTable([[{ text: 'A', options: { colspan: 2, fill: { color: 'DDDDDD' } } }], ['b', 'c']], { x: 1, y: 2.5, w: 4, colW: [2, 2] });
+    slide.addShape(pptx.ShapeType.line, { x: 6, y: 1, w: 2, h: 0, line: { color: '0000FF', width: 2, endArrowType: 'triangle' } });
+    slide.addNotes('話す内容');
+  });
+  const code = generateSlideCode(analysis.slides[0].data);
+
+  assert.ok(code.includes('{ text: "太字", options: { fontSize: 18, color: "FF0000", bold: true, breakLine: true } }'));
+  assert.ok(code.includes('{ text: "二行目", options: { fontSize: 18, color: "000000", bullet: true } }'));
+  assert.ok(code.includes('fill: { color: "DDDDDD" }'));
+  assert.ok(code.includes('colspan: 2'));
+  assert.ok(code.includes('colW: [2, 2]'));
+  assert.match(code, /slide\.addShape\(pptx\.ShapeType\.line, \{ x: 6, y: 1, w: 2, h: 0, .*endArrowType: "triangle"/);
+  assert.ok(code.endsWith('slide.addNotes("話す内容");\n'));
+
+  const result = executor.validatePptxSnippet(code);
+  assert.deepEqual(plain(result.diagnostics), []);
+  assert.equal(result.ok, true);
+});
+
+test('同じ解析データからは常に同じコードを生成する', async () => {
+  const analysis = await analyzeDeck((pptx, slide) => {
+    slide.addText('タイトル', { x: 0.5, y: 0.5, w: 8, h: 1, fontSize: 32 });
+  });
+  assert.equal(generateSlideCode(analysis.slides[0].data), generateSlideCode(analysis.slides[0].data));
+  assert.deepEqual(generateDeckCode(analysis), [generateSlideCode(analysis.slides[0].data)]);
+});
+
+test('テンプレートの背景・スライド番号・固定画像と、画像データのない画像', () => {
+  const code = generateSlideCode({
+    slide: 'slide2',
+    template: {
+      background: '#112233',
+      slideNumber: { x: 9, y: 7, w: 0.5, h: 0.3, fontSize: 10, color: '888888', align: 'r' },
+      fixedImages: [{ name: 'logo', data: 'data:image/png;base64,AAAA', x: 0.2, y: 0.2, w: 1, h: 0.5 }]
+    },
+    images: [{ name: 'photo', mediaRef: 'ppt/media/image1.png', x: 1, y: 1, w: 2, h: 2 }]
+  });
+  assert.equal(code, [
+    '// slide2',
+    'const pptx = new PptxGenJS();',
+    'const slide = pptx.addSlide();',
+    'slide.background = { color: "112233" };',
+    'slide.slideNumber = { x: 9, y: 7, w: 0.5, h: 0.3, fontSize: 10, color: "888888", align: "right" };',
+    'slide.addImage({ data: "data:image/png;base64,AAAA", x: 0.2, y: 0.2, w: 1, h: 0.5 });',
+    '// 画像 photo は画像データがないため省略',
+    ''
+  ].join('\n'));
+  assert.equal(executor.validatePptxSnippet(code).ok, true);
+});
+
+test('複合グラフは種類・軸ごとの addChart の配列にし、第2軸の範囲と表示形式も出力する', async () => {
+  const analysis = await analyzeDeck((pptx, slide) => {
+    slide.addChart([
+      { type: pptx.ChartType.bar, data: [{ name: '売上', labels: ['Q1', 'Q2'], values: [100, 200] }], options: { barDir: 'col' } },
+      { type: pptx.ChartType.line, data: [{ name: '利益率', labels: ['Q1', 'Q2'], values: [0.1, 0.25] }], options: { secondaryValAxis: true, secondaryCatAxis: true } }
+    ], {
+      x: 1, y: 1, w: 6, h: 4,
+      valAxes: [{ valAxisMinVal: 0, valAxisMaxVal: 300 }, { valAxisMaxVal: 1, valAxisLabelFormatCode: '0%' }],
+      catAxes: [{}, { catAxisHidden: true }]
+    });
+  });
+  const code = generateSlideCode(analysis.slides[0].data);
+  assert.ok(code.includes('{ type: pptx.ChartType.bar, data: [{ name: "売上", labels: ["Q1", "Q2"], values: [100, 200] }], options: { barDir: "col", chartColors: ["C0504D"] } }'));
+  assert.ok(code.includes('{ type: pptx.ChartType.line, data: [{ name: "利益率", labels: ["Q1", "Q2"], values: [0.1, 0.25] }], options: { chartColors: ["C0504D"], secondaryValAxis: true, secondaryCatAxis: true } }'));
+  assert.ok(code.includes('valAxes: [{ valAxisMaxVal: 300, valAxisMinVal: 0 }, { valAxisMaxVal: 1, valAxisLabelFormatCode: "0%" }], catAxes: [{}, { catAxisHidden: true }]'));
+  assert.equal(executor.validatePptxSnippet(code).ok, true);
+});
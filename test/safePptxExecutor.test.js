@@ -0,0 +1,142 @@
+// safePptxExecutor.js の静的検証（checkSnippetSafety / validatePptxSnippet / formatPptxDiagnostics）と
+// 実行レポート（runPptxFromSnippetWithReport / summarizePptxReport）のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+
+const require = createRequire(import.meta.url);
+
+// sandbox と同じく window に PptxGenJS を置いてから読み込む（acorn はないため正規表現で検査する）
+function loadExecutor() {
+  const context = vm.createContext({ console });
+  context.window = context;
+  context.PptxGenJS = require('pptxgenjs');
+  vm.runInContext(readFileSync(new URL('../safePptxExecutor.js', import.meta.url), 'utf8'), context);
+  return context;
+}
+
+const executor = loadExecutor();
+
+// vm の中で作られた配列・オブジェクトは deepEqual で比べられないため、JSON を通して比べる
+const plain = (value) => JSON.parse(JSON.stringify(value));
+// 診断結果を比べやすい形にする
+const summarize = (result) => plain(result.diagnostics).map(d => `${d.line}:${d.column} ${d.severity} ${d.code}`);
+
+test('正しいスニペットは診断結果なし', () => {
+  const result = executor.validatePptxSnippet([
+    'const slide = pptx.addSlide();',
+    "slide.addText('Hello', { x: 1, y: 1, w: 4, h: 1 });",
+    "slide.addShape(pptx.ShapeType.rect, { x: 1, y: 2, w: 2, h: 1, fill: { color: 'FF0000' } });"
+  ].join('\n'));
+  assert.equal(result.ok, true);
+  assert.deepEqual(plain(result.diagnostics), []);
+});
+
+test('許可されていない呼び出しと、スライドからはみ出す枠を行・列つきで返す', () => {
+  const result = executor.validatePptxSnippet([
+    'const slide = pptx.addSlide();',
+    "slide.addFoo('x');",
+    "slide.addText('Hello', { x: 20, y: 1, w: 4, h: 1 });"
+  ].join('\n'));
+  assert.equal(result.ok, false);
+  assert.deepEqual(summarize(result), ['2:1 error disallowed-call', '3:24 warning out-of-bounds']);
+  assert.equal(result.diagnostics[0].source, "slide.addFoo('x');");
+});
+
+test('未知の図形・グラフの種類を報告する', () => {
+  const result = executor.validatePptxSnippet([
+    'const slide = pptx.addSlide();',
+    'slide.addShape(pptx.ShapeType.notAShape, { x: 1, y: 1, w: 1, h: 1 });',
+    'slide.addChart(pptx.ChartType.pie3d, [], {});'
+  ].join('\n'));
+  assert.deepEqual(summarize(result), ['2:16 error unknown-shape', '3:16 error unknown-chart-type']);
+});
+
+test('閉じていない括弧は構文エラーにする', () => {
+  const result = executor.validatePptxSnippet("const slide = pptx.addSlide();\nslide.addText('a', { x: 1, y: 1, w: 4, h: 1 }");
+  assert.deepEqual(summarize(result), ['2:14 error syntax-error']);
+});
+
+test('診断結果を修正依頼用の文章にする', () => {
+  const { diagnostics } = executor.validatePptxSnippet("const slide = pptx.addSlide();\nslide.addFoo('x');");
+  assert.equal(
+    executor.formatPptxDiagnostics(diagnostics),
+    "L2:1 error [disallowed-call] Not allowed call: slide.addFoo\n    > slide.addFoo('x');"
+  );
+});
+
+test('文字列の中の fetch( / __proto__ / .prototype は危険なパターンとして扱わない', () => {
+  const snippet = [
+    'const slide = pptx.addSlide();',
+    "slide.addText('fetch() で取得し、__proto__ と Array.prototype を説明する', { x: 1, y: 1, w: 6, h: 1 });",
+    'slide.addText("obj[\'constructor\'] は使わない", { x: 1, y: 2, w: 6, h: 1 });',
+    '// fetch( はコメントの中でも使える',
+    'slide.addText(`eval と new Function`, { x: 1, y: 3, w: 6, h: 1 });'
+  ].join('\n');
+  assert.deepEqual(plain(executor.checkSnippetSafety(snippet)), []);
+  assert.equal(executor.validatePptxSnippet(snippet).ok, true);
+});
+
+test('文字列の外の危険な式は検出する', () => {
+  const codes = (snippet) => plain(executor.checkSnippetSafety(snippet)).map(issue => issue.message);
+  assert.deepEqual(codes("fetch('https://example.com');"), ['Disallowed expression: fetch(']);
+  assert.deepEqual(codes("const o = {}; o['constructor'];"), ["Disallowed expression: ['constructor']"]);
+  assert.deepEqual(codes('const p = ({}).__proto__;'), ['Disallowed expression: __proto__']);
+  assert.deepEqual(codes('slide.addText(`${fetch(url)}`, {});'), ['Disallowed expression: fetch(']);
+});
+
+test('slide.addNotes は文字列のノートだけ許可する', () => {
+  const ok = executor.validatePptxSnippet("const slide = pptx.addSlide();\nslide.addNotes('話す内容');");
+  assert.equal(ok.ok, true);
+  const ng = executor.validatePptxSnippet("const slide = pptx.addSlide();\nslide.addNotes({ text: '話す内容' });");
+  assert.deepEqual(summarize(ng), ['2:16 error unparseable-argument']);
+});
+
+// 実行時の失敗は console.warn に出るため、テスト中は出さない
+async function runWithReport(snippet) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await executor.runPptxFromSnippetWithReport(snippet);
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('呼び出しごとに applied / sanitized / skipped / failed と補正内容・エラーを返す', async () => {
+  const { pptx, report } = await runWithReport([
+    'const slide = pptx.addSlide();',
+    "slide.addText('OK', { x: 1, y: 1, w: 4, h: 1 });",
+    "slide.addText('Red', { x: 1, y: 2, w: 4, h: 1, color: '#ff0000' });",
+    "slide.addShape('star9', { x: 1, y: 3, w: 1, h: 1 });",
+    'slide.addNotes({ text: 1 });',
+    "pptx.writeFile({ fileName: 'a.pptx' });"
+  ].join('\n'));
+  assert.deepEqual(plain(report), [
+    { name: 'slide.addText', line: 2, status: 'applied', changes: [] },
+    { name: 'slide.addText', line: 3, status: 'sanitized', changes: ['color: "#ff0000" → FF0000'] },
+    { name: 'slide.addShape', line: 4, status: 'skipped', changes: [], error: 'Unsupported shape: star9' },
+    { name: 'slide.addNotes', line: 5, status: 'failed', changes: [], error: 'Notes must be a string' }
+  ]);
+  // 失敗した呼び出しがあっても、ほかの要素はスライドに追加される
+  assert.equal(pptx.slides.length, 1);
+  assert.equal(pptx.slides[0]._slideObjects.length, 2);
+});
+
+test('レポートを集計し、反映されなかった呼び出しを dropped として数える', async () => {
+  const { report } = await runWithReport([
+    'const slide = pptx.addSlide();',
+    "slide.addText('OK', { x: 1, y: 1, w: 4, h: 1 });",
+    "slide.addShape('star9', { x: 1, y: 3, w: 1, h: 1 });",
+    'slide.addNotes(1);'
+  ].join('\n'));
+  assert.deepEqual(plain(executor.summarizePptxReport(report)), { total: 3, applied: 1, sanitized: 0, skipped: 1, failed: 1, dropped: 2 });
+  assert.deepEqual(plain(executor.summarizePptxReport(undefined)), { total: 0, applied: 0, sanitized: 0, skipped: 0, failed: 0, dropped: 0 });
+});
+
+test('runPptxFromSnippet は report なしで pptx だけを返す', async () => {
+  const pptx = await executor.runPptxFromSnippet("const slide = pptx.addSlide();\nslide.addText('OK', { x: 1, y: 1, w: 4, h: 1 });");
+  assert.equal(pptx.slides[0]._slideObjects.length, 1);
+});
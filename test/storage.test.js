@@ -0,0 +1,91 @@
+// src/storage.js の APIキーの保存・平文のキーの移行のテスト
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// storage.js は読み込み時に window.secureStorage を設定する
+globalThis.window = globalThis;
+const { loadApiKey, saveApiKey, clearApiKey } = await import('../src/storage.js');
+
+// background.js の "secure-storage" と chrome.storage.local の代わり
+// （暗号化した値は { encrypted: 値 } として区別し、content script 側が平文を chrome.storage.local に置かないことを確かめる）
+function installChrome({ local = {}, failSet = false } = {}) {
+  const data = { ...local };
+  const messages = [];
+  globalThis.chrome = {
+    runtime: {
+      lastError: undefined,
+      sendMessage: (message, cb) => {
+        messages.push(message);
+        if (message.action !== 'secure-storage') return cb(undefined);
+        const { op, key, value } = message;
+        if (op === 'get') return cb({ success: true, value: data[key] ? data[key].encrypted : null });
+        if (op === 'set') {
+          if (failSet) return cb({ success: false, error: { message: 'quota exceeded' } });
+          data[key] = { encrypted: value };
+          return cb({ success: true });
+        }
+        if (op === 'remove') {
+          delete data[key];
+          return cb({ success: true });
+        }
+        return cb({ success: false, error: { message: 'Invalid secure storage operation' } });
+      }
+    },
+    storage: {
+      local: {
+        get: (keys, cb) => cb(Object.fromEntries([].concat(keys).filter(k => k in data).map(k => [k, data[k]]))),
+        remove: (keys, cb) => { [].concat(keys).forEach(k => delete data[k]); cb(); }
+      }
+    }
+  };
+  return { data, messages };
+}
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test('APIキーは接続先のプロファイルごとに background で暗号化して保存する', async () => {
+  const { data } = installChrome();
+  await saveApiKey('prod-key');
+  await saveApiKey('local-key', 'local');
+  assert.deepEqual(data['apiKey:production'], { encrypted: 'prod-key' });
+  assert.deepEqual(data['apiKey:local'], { encrypted: 'local-key' });
+  assert.equal(await loadApiKey(), 'prod-key');
+  assert.equal(await loadApiKey('local'), 'local-key');
+  assert.equal(await loadApiKey('staging'), null);
+});
+
+test('平文で保存されていた本番のキーは暗号化して保存し直し、平文のキーは削除する', async () => {
+  const { data } = installChrome({ local: { pptx_api_key: 'legacy-key' } });
+  assert.equal(await loadApiKey(), 'legacy-key');
+  assert.deepEqual(data['apiKey:production'], { encrypted: 'legacy-key' });
+  assert.equal('pptx_api_key' in data, false);
+  // 移行したあとも同じキーを使える
+  assert.equal(await loadApiKey(), 'legacy-key');
+});
+
+test('本番以外のプロファイルでは平文のキーを使わない', async () => {
+  const { data } = installChrome({ local: { pptx_api_key: 'legacy-key' } });
+  assert.equal(await loadApiKey('staging'), null);
+  assert.equal(data.pptx_api_key, 'legacy-key');
+});
+
+test('暗号化して保存できなかったときは平文のキーを消さない', async () => {
+  const { data } = installChrome({ local: { pptx_api_key: 'legacy-key' }, failSet: true });
+  assert.equal(await loadApiKey(), 'legacy-key');
+  assert.equal(data.pptx_api_key, 'legacy-key');
+  await assert.rejects(saveApiKey('new-key'), /quota exceeded/);
+});
+
+test('chrome.runtime が使えないときはページのストレージに保存せず失敗する', async () => {
+  globalThis.chrome = { runtime: {} };
+  await assert.rejects(saveApiKey('prod-key'), /secureStorage is not available/);
+  assert.equal(await loadApiKey('local'), null);
+});
+
+test('本番のキーをクリアすると平文のキーも削除する', async () => {
+  const { data } = installChrome({ local: { pptx_api_key: 'legacy-key', 'apiKey:production': { encrypted: 'prod-key' } } });
+  await clearApiKey();
+  assert.deepEqual(data, {});
+});
@@ -0,0 +1,132 @@
+// src/templateLibrary.js のバンドルの書き出し・読み込み、重複の処理、履歴のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TEMPLATE_BUNDLE_FORMAT,
+  TEMPLATE_BUNDLE_VERSION,
+  MAX_TEMPLATE_REVISIONS,
+  buildTemplateBundle,
+  parseTemplateBundle,
+  findImportConflicts,
+  mergeImportedTemplates,
+  recordTemplateRevision,
+  replaceTemplateContent,
+  restoreTemplateRevision
+} from '../src/templateLibrary.js';
+
+function bundleText(templates, overrides = {}) {
+  return JSON.stringify({ format: TEMPLATE_BUNDLE_FORMAT, version: TEMPLATE_BUNDLE_VERSION, templates, ...overrides });
+}
+
+function sampleTemplate(overrides = {}) {
+  return {
+    id: 't1',
+    name: '売上報告',
+    originalCode: 'slide.addText("a", {});',
+    tags: ['営業'],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-02T00:00:00.000Z',
+    revisions: [{ id: 'r1' }],
+    favorite: true,
+    useCount: 3,
+    ...overrides
+  };
+}
+
+test('書き出しには履歴・お気に入り・使用回数を含めない', () => {
+  const bundle = buildTemplateBundle([sampleTemplate()]);
+  assert.equal(bundle.format, TEMPLATE_BUNDLE_FORMAT);
+  assert.equal(bundle.version, TEMPLATE_BUNDLE_VERSION);
+  assert.deepEqual(Object.keys(bundle.templates[0]).sort(), ['createdAt', 'id', 'name', 'originalCode', 'tags', 'updatedAt']);
+});
+
+test('書き出したバンドルを読み込める（BOM 付きでもよい）', () => {
+  const text = '\uFEFF' + JSON.stringify(buildTemplateBundle([sampleTemplate()]));
+  const [template] = parseTemplateBundle(text);
+  assert.equal(template.id, 't1');
+  assert.equal(template.name, '売上報告');
+  assert.deepEqual(template.tags, ['営業']);
+});
+
+test('形式の違うファイル・新しいバージョン・空のバンドルは読み込まない', () => {
+  assert.throws(() => parseTemplateBundle('{'), /JSON として読み込めませんでした/);
+  assert.throws(() => parseTemplateBundle(JSON.stringify({ format: 'other', version: 1, templates: [] })), /テンプレートの書き出しファイルではありません/);
+  assert.throws(() => parseTemplateBundle(bundleText([sampleTemplate()], { version: TEMPLATE_BUNDLE_VERSION + 1 })), /対応していないバージョンです/);
+  assert.throws(() => parseTemplateBundle(bundleText([{ name: 'コードなし' }, { originalCode: 'x' }])), /読み込めるテンプレートがありません/);
+});
+
+test('読み込むフィールドを限定し、タグと日時を補う', () => {
+  const [template] = parseTemplateBundle(bundleText([
+    { name: 'a', code: 'x', tags: ['ok', 1, null], favorite: true, revisions: [{}], extra: 'x' }
+  ]));
+  assert.deepEqual(template.tags, ['ok']);
+  assert.equal(template.favorite, undefined);
+  assert.equal(template.revisions, undefined);
+  assert.equal(template.extra, undefined);
+  assert.ok(template.createdAt);
+  assert.equal(template.updatedAt, template.createdAt);
+});
+
+test('英数字・_・- 以外を含む id は作り直す', () => {
+  const templates = parseTemplateBundle(bundleText([
+    sampleTemplate({ id: 'ok_id-1' }),
+    sampleTemplate({ id: '"><img src=x onerror=alert(1)>' }),
+    sampleTemplate({ id: '' }),
+    sampleTemplate({ id: 42 })
+  ]));
+  assert.equal(templates[0].id, 'ok_id-1');
+  templates.slice(1).forEach(template => assert.match(template.id, /^[\w-]+$/));
+});
+
+test('同じ id、なければ同じ名前のテンプレートを重複とみなす', () => {
+  const existing = [sampleTemplate({ id: 'a', name: 'A' }), sampleTemplate({ id: 'b', name: 'B' })];
+  const incoming = [sampleTemplate({ id: 'a', name: 'X' }), sampleTemplate({ id: 'c', name: 'B' }), sampleTemplate({ id: 'd', name: 'D' })];
+  const conflicts = findImportConflicts(existing, incoming);
+  assert.deepEqual(conflicts.map(c => [c.incoming.id, c.existing.id]), [['a', 'a'], ['c', 'b']]);
+});
+
+test('重複したテンプレートを skip / rename / overwrite で扱う', () => {
+  const existing = [sampleTemplate({ id: 'a', name: 'A', originalCode: 'old' })];
+  const incoming = [sampleTemplate({ id: 'a', name: 'A', originalCode: 'new' }), sampleTemplate({ id: 'n', name: 'N' })];
+
+  const skipped = mergeImportedTemplates(existing, incoming, 'skip');
+  assert.deepEqual([skipped.added, skipped.skipped], [1, 1]);
+  assert.equal(skipped.templates.length, 2);
+
+  const renamed = mergeImportedTemplates(existing, incoming, 'rename');
+  assert.equal(renamed.renamed, 1);
+  const copy = renamed.templates.find(t => t.name === 'A (2)');
+  assert.ok(copy);
+  assert.notEqual(copy.id, 'a');
+
+  const overwritten = mergeImportedTemplates(existing, incoming, 'overwrite');
+  assert.equal(overwritten.overwritten, 1);
+  const target = overwritten.templates.find(t => t.id === 'a');
+  assert.equal(target.originalCode, 'new');
+  assert.equal(target.revisions[0].snapshot.originalCode, 'old');
+  // 既存の一覧は変更しない
+  assert.equal(existing[0].originalCode, 'old');
+});
+
+test('履歴は新しい順に MAX_TEMPLATE_REVISIONS 件まで残す', () => {
+  const template = sampleTemplate({ revisions: [] });
+  for (let i = 0; i < MAX_TEMPLATE_REVISIONS + 2; i++) {
+    template.name = `v${i}`;
+    recordTemplateRevision(template, `r${i}`);
+  }
+  assert.equal(template.revisions.length, MAX_TEMPLATE_REVISIONS);
+  assert.equal(template.revisions[0].snapshot.name, `v${MAX_TEMPLATE_REVISIONS + 1}`);
+});
+
+test('履歴の版に戻すと、戻す前の内容も履歴に残る', () => {
+  const template = sampleTemplate({ revisions: [] });
+  replaceTemplateContent(template, { name: '新しい名前', originalCode: 'new' }, '上書き');
+  assert.equal(template.name, '新しい名前');
+  assert.equal(template.tags, undefined);
+  restoreTemplateRevision(template, template.revisions[0].id);
+  assert.equal(template.name, '売上報告');
+  assert.deepEqual(template.tags, ['営業']);
+  assert.equal(template.revisions[0].snapshot.name, '新しい名前');
+  assert.throws(() => restoreTemplateRevision(template, 'missing'), /指定された履歴が見つかりません/);
+});
@@ -0,0 +1,72 @@
+// src/templateLibrary.js のテンプレートの検索・タグの絞り込み・並び替え・使用回数のテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TEMPLATE_SORT_KEYS,
+  buildTemplateSearchText,
+  filterTemplates,
+  sortTemplates,
+  recordTemplateUsage
+} from '../src/templateLibrary.js';
+
+function sampleTemplate(overrides = {}) {
+  return {
+    id: 't1',
+    name: '売上報告',
+    tags: ['営業'],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    favorite: false,
+    useCount: 0,
+    ...overrides
+  };
+}
+
+test('検索対象は名前・タグ・スライド内のテキストで、数値の配列は含めない', () => {
+  const text = buildTemplateSearchText(sampleTemplate({ name: 'ＡＢＣ' }), [
+    { type: 'text', default: '東日本' },
+    { type: 'textList', default: ['Q1', 'Q2'] },
+    { type: 'numberList', default: [12345] }
+  ]);
+  assert.equal(text, 'abc\n営業\n東日本\nq1 q2');
+});
+
+test('名前・タグ・スライド内のテキストを全角半角・大文字小文字をそろえて検索する', () => {
+  const a = sampleTemplate({ id: 'a', name: 'ＱＵＡＲＴＥＲ 報告', tags: ['営業', '月次'] });
+  const b = sampleTemplate({ id: 'b', name: '採用計画', tags: ['人事'] });
+  const texts = new Map([
+    [a, buildTemplateSearchText(a, [{ type: 'text', default: '東日本' }, { type: 'numberList', default: [1] }])],
+    [b, buildTemplateSearchText(b, [{ type: 'textList', default: ['Q1', 'Q2'] }])]
+  ]);
+  const search = (filter) => filterTemplates([a, b], { query: '', tags: [], tagMode: 'and', ...filter }, t => texts.get(t)).map(t => t.id);
+  assert.deepEqual(search({}), ['a', 'b']);
+  assert.deepEqual(search({ query: 'quarter 東日本' }), ['a']);
+  assert.deepEqual(search({ query: 'q2' }), ['b']);
+  assert.deepEqual(search({ query: 'q2 営業' }), []);
+  assert.deepEqual(search({ tags: ['営業', '月次'], tagMode: 'and' }), ['a']);
+  assert.deepEqual(search({ tags: ['営業', '人事'], tagMode: 'and' }), []);
+  assert.deepEqual(search({ tags: ['営業', '人事'], tagMode: 'or' }), ['a', 'b']);
+});
+
+test('お気に入りを先頭にして並び替え、元の配列は変更しない', () => {
+  const templates = [
+    sampleTemplate({ id: 'old', useCount: 5, createdAt: '2024-01-01T00:00:00.000Z', lastUsedAt: '2024-02-01T00:00:00.000Z' }),
+    sampleTemplate({ id: 'new', useCount: 1, createdAt: '2024-03-01T00:00:00.000Z' }),
+    sampleTemplate({ id: 'fav', favorite: true, createdAt: '2023-01-01T00:00:00.000Z' })
+  ];
+  assert.deepEqual(TEMPLATE_SORT_KEYS, ['created', 'lastUsed', 'useCount']);
+  assert.deepEqual(sortTemplates(templates).map(t => t.id), ['fav', 'new', 'old']);
+  assert.deepEqual(sortTemplates(templates, 'useCount').map(t => t.id), ['fav', 'old', 'new']);
+  assert.deepEqual(sortTemplates(templates, 'lastUsed').map(t => t.id), ['fav', 'old', 'new']);
+  assert.deepEqual(templates.map(t => t.id), ['old', 'new', 'fav']);
+});
+
+test('使用したテンプレートの使用回数と最終使用日時を記録する', () => {
+  const templates = [sampleTemplate({ id: 'a', useCount: 2 }), sampleTemplate({ id: 'b' })];
+  assert.equal(recordTemplateUsage(templates, ['b', 'missing']), 1);
+  assert.equal(templates[0].useCount, 2);
+  assert.equal(templates[0].lastUsedAt, undefined);
+  assert.equal(templates[1].useCount, 1);
+  assert.ok(!Number.isNaN(new Date(templates[1].lastUsedAt).getTime()));
+  assert.deepEqual(sortTemplates(templates, 'lastUsed').map(t => t.id), ['b', 'a']);
+});
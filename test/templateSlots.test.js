@@ -0,0 +1,144 @@
+// src/templateSlots.js のスロット抽出・流し込み・マスキング・回答 JSON の読み取りのテスト
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+import {
+  extractTemplateSlots,
+  fillTemplateSlots,
+  maskTemplateCode,
+  parseSlotValuesJson,
+  TEMPLATE_SLOTS_VERSION
+} from '../src/templateSlots.js';
+
+const SNIPPET = `const slide = pptx.addSlide();
+slide.addText("売上報告", { x: 0.5, y: 0.3, w: 6, h: 0.8, fontSize: 28 });
+slide.addText([{ text: "前年比 " }, { text: "120%", options: { bold: true } }], { x: 0.5, y: 1.2, w: 6, h: 0.6 });
+slide.addTable([["地域", "売上"], ["東日本", "1,200"]], { x: 0.5, y: 2 });
+slide.addChart(pptx.ChartType.bar, [{ name: "売上", labels: ["Q1", "Q2"], values: [10, 20.5] }], { x: 7, y: 2, w: 5, h: 3 });`;
+
+test('addText・addTable・addChart の内容をスロットにする', () => {
+  const { slots, slotCode, version } = extractTemplateSlots(SNIPPET);
+  assert.equal(version, TEMPLATE_SLOTS_VERSION);
+  assert.deepEqual(slots.map(slot => slot.name), [
+    'slide1_text1',
+    'slide1_text2_run1',
+    'slide1_text2_run2',
+    'slide1_table1_r1c1',
+    'slide1_table1_r1c2',
+    'slide1_table1_r2c1',
+    'slide1_table1_r2c2',
+    'slide1_chart1_series1_name',
+    'slide1_chart1_series1_labels',
+    'slide1_chart1_series1_values'
+  ]);
+  const values = slots.find(slot => slot.name === 'slide1_chart1_series1_values');
+  assert.equal(values.type, 'numberList');
+  assert.deepEqual(values.default, [10, 20.5]);
+  assert.equal(values.maxItems, 2);
+  assert.match(slotCode, /slide\.addText\(\{\{slide1_text1\}\}, \{ x: 0\.5/);
+  assert.ok(!slotCode.includes('売上報告'));
+});
+
+test('文字列・コメント内の呼び出しや変数で組み立てた値はスロットにしない', () => {
+  const code = `const slide = pptx.addSlide();
+// slide.addText("コメント", {});
+const title = "見出し";
+slide.addText(title, { x: 1, y: 1 });
+slide.addText("a" + title, { x: 1, y: 2 });
+slide.addText(\`\${title}です\`, { x: 1, y: 3 });
+slide.addText("slide.addText('x')", { x: 1, y: 4 });`;
+  const { slots, slotCode } = extractTemplateSlots(code);
+  assert.deepEqual(slots.map(slot => slot.default), ["slide.addText('x')"]);
+  assert.ok(slotCode.includes('slide.addText(title, { x: 1, y: 1 });'));
+});
+
+test('エスケープを含む文字列をデコードしてスロットの既定値にする', () => {
+  const { slots } = extractTemplateSlots(`slide.addText("A\\"B\\nC\\u3042", { x: 1 });`);
+  assert.equal(slots[0].default, 'A"B\nCあ');
+});
+
+test('addSlide ごとにスライド番号を数える', () => {
+  const code = `let s = pptx.addSlide();
+s.addText("1枚目", {});
+s = pptx.addSlide();
+s.addText("2枚目", {});`;
+  const { slots } = extractTemplateSlots(code);
+  assert.deepEqual(slots.map(slot => [slot.name, slot.slide]), [['slide1_text1', 1], ['slide2_text1', 2]]);
+});
+
+test('値を流し込み、足りないスロットは元の値を使って警告する', () => {
+  const template = extractTemplateSlots(SNIPPET);
+  const { code, warnings } = fillTemplateSlots(template, {
+    slide1_text1: '新しい "タイトル"',
+    slide1_chart1_series1_labels: '4月|5月|6月',
+    slide1_chart1_series1_values: '1,000|2,000',
+    unknown_slot: 'x'
+  });
+  assert.ok(code.includes('slide.addText("新しい \\"タイトル\\"", {'));
+  assert.ok(code.includes('labels: ["4月","5月","6月"]'));
+  assert.ok(code.includes('values: [1000,2000]'));
+  assert.ok(code.includes('"東日本"'));
+  assert.ok(warnings.includes('Unknown slot: unknown_slot'));
+  assert.ok(warnings.includes('slide1_chart1_series1_labels: expected 2 item(s) but got 3'));
+  assert.ok(warnings.some(w => w.startsWith('Missing value for slot: slide1_table1_r2c1')));
+});
+
+test('最大文字数を超える値は警告する', () => {
+  const template = extractTemplateSlots(`slide.addText("短い", { x: 0, y: 0, w: 1, h: 0.5, fontSize: 18 });`);
+  const { warnings } = fillTemplateSlots(template, { slide1_text1: 'あ'.repeat(50) });
+  assert.ok(warnings.some(w => w.startsWith('slide1_text1: longer than')));
+});
+
+test('回答 JSON から templateSlots を取り出す', () => {
+  assert.deepEqual(parseSlotValuesJson('{"templateSlots":{"a":"b"}}'), { a: 'b' });
+  assert.equal(parseSlotValuesJson('{"templateSlots":["a"]}'), null);
+  assert.equal(parseSlotValuesJson('not json'), null);
+});
+
+// マスキング後の検証に使う safePptxExecutor.js の validatePptxSnippet（拡張では content script として読み込まれる）
+function loadValidator() {
+  const context = vm.createContext({});
+  context.window = context;
+  vm.runInContext(readFileSync(new URL('../safePptxExecutor.js', import.meta.url), 'utf8'), context);
+  return context.validatePptxSnippet;
+}
+
+test('テキスト・表・グラフの系列名とラベルを X に、数値を元の値の ±30% に置き換える', () => {
+  const { code, masked } = maskTemplateCode(SNIPPET, { random: () => 0.5, validate: loadValidator() });
+  assert.equal(masked, 10);
+  assert.ok(code.includes('slide.addText("XXXX", { x: 0.5, y: 0.3, w: 6, h: 0.8, fontSize: 28 });'));
+  assert.ok(code.includes('[["XX", "XX"], ["XXX", "XXXXX"]]'));
+  assert.ok(code.includes('labels: ["XX","XX"], values: [10,20.5]'));
+  assert.ok(!/売上|東日本|前年比/.test(code));
+});
+
+test('オプションで伏せる対象を選び、空白を残せる', () => {
+  const { code, masked } = maskTemplateCode(
+    `slide.addText("A B", { x: 1 });\nslide.addTable([["表"]], { x: 1 });`,
+    { maskTable: false, preserveSpaces: true, validate: loadValidator() }
+  );
+  assert.equal(masked, 1);
+  assert.ok(code.includes('slide.addText("X X", { x: 1 });'));
+  assert.ok(code.includes('[["表"]]'));
+});
+
+test('keepDigits では数値の桁数と小数点以下の桁数を保つ', () => {
+  const code = `slide.addChart(pptx.ChartType.bar, [{ name: "a", labels: ["b"], values: [123.45, 900] }], {});`;
+  const { code: result } = maskTemplateCode(code, { keepDigits: true, random: () => 0.99 });
+  assert.ok(result.includes('values: [159.74,999]'));
+});
+
+test('伏せたことで検証のエラーが増えたら例外にする', () => {
+  const validate = (src) => ({
+    ok: !src.includes('XXXX'),
+    diagnostics: src.includes('XXXX') ? [{ severity: 'error', code: 'syntax-error', message: 'x' }] : []
+  });
+  assert.throws(() => maskTemplateCode(SNIPPET, { validate }), /Masked code failed validation: syntax-error/);
+});
+
+test('元のコードにあった検証のエラーは問題にしない', () => {
+  const validate = () => ({ ok: false, diagnostics: [{ severity: 'error', code: 'disallowed-call', message: 'x' }] });
+  assert.doesNotThrow(() => maskTemplateCode(SNIPPET, { validate }));
+});